@@ -0,0 +1,17 @@
+import type { CSSProperties, MouseEventHandler, ReactElement, ReactNode } from 'react';
+
+export type BadgeVariant = 'default' | 'primary' | 'secondary' | 'accent' | 'pink';
+
+export interface BadgeProps {
+  children?: ReactNode;
+  variant?: BadgeVariant;
+  /** Any hex color, e.g. a tag's; replaces the variant with an AA-contrast tint. */
+  color?: string;
+  /** Renders the badge as a toggle button. */
+  onClick?: MouseEventHandler<HTMLButtonElement>;
+  /** aria-pressed when it is a button. */
+  pressed?: boolean;
+  style?: CSSProperties;
+}
+
+export function Badge(props: BadgeProps): ReactElement;
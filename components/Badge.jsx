@@ -0,0 +1,20 @@
+import React from 'react';
+import { tokens } from '../memoss-tokens.js';
+import { ensureContrast, mix } from '../memoss-color-utils.js';
+import { badgeVariants } from '../memoss-variants.js';
+import { useTheme } from './context.js';
+
+// Badge Component
+// Soft tint of an arbitrary color (e.g. a tag's colorHex) with AA-contrast text
+const colorTone = (hex, theme) => {
+  const background = mix(hex, theme.surface.base, theme.name === 'dark' ? 0.3 : 0.16);
+  return { background, color: ensureContrast(hex, background) };
+};
+
+// With `onClick` it renders as a toggle button; `pressed` sets aria-pressed
+export const Badge = ({ children, variant = 'default', color, onClick, pressed, style = {} }) => {
+  const theme = useTheme();
+  const badgeStyle = { display: 'inline-flex', alignItems: 'center', borderRadius: tokens.borderRadius.full, fontFamily: tokens.typography.fontFamily.display, fontWeight: tokens.typography.fontWeight.bold, padding: `${tokens.spacing[1]} ${tokens.spacing[3]}`, fontSize: tokens.typography.fontSize.xs, ...(color ? colorTone(color, theme) : badgeVariants(theme)[variant]), ...style };
+  if (onClick) return <button type="button" onClick={onClick} aria-pressed={pressed} style={{ ...badgeStyle, border: 'none', cursor: 'pointer', lineHeight: 'inherit' }}>{children}</button>;
+  return <span style={badgeStyle}>{children}</span>;
+};
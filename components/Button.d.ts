@@ -0,0 +1,22 @@
+import type { CSSProperties, MouseEventHandler, ReactElement, ReactNode } from 'react';
+
+export type ButtonVariant = 'primary' | 'secondary' | 'ghost' | 'soft' | 'accent' | 'danger';
+export type ButtonSize = 'sm' | 'md' | 'lg';
+
+export interface ButtonProps {
+  children?: ReactNode;
+  variant?: ButtonVariant;
+  size?: ButtonSize;
+  /** Leading icon element, e.g. <Icon name="plus" size="lg" />. */
+  icon?: ReactNode;
+  /** Round button showing just the icon; needs ariaLabel or string children. */
+  iconOnly?: boolean;
+  fullWidth?: boolean;
+  onClick?: MouseEventHandler<HTMLButtonElement>;
+  ariaLabel?: string;
+  /** Makes it a toggle button. */
+  ariaPressed?: boolean;
+  style?: CSSProperties;
+}
+
+export function Button(props: ButtonProps): ReactElement;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { tokens } from '../memoss-tokens.js';
+import { buttonVariants } from '../memoss-variants.js';
+import { useTheme } from './context.js';
+
+// Button Component
+// Icon-only buttons need `ariaLabel` (or string children) for their accessible name
+export const Button = ({ children, variant = 'primary', size = 'md', icon, iconOnly = false, fullWidth = false, onClick, ariaLabel, ariaPressed, style = {} }) => {
+  const theme = useTheme();
+  const baseStyle = {
+    fontFamily: tokens.typography.fontFamily.display, fontWeight: tokens.typography.fontWeight.bold,
+    borderRadius: iconOnly ? tokens.borderRadius.full : tokens.borderRadius.xl, border: 'none', cursor: 'pointer',
+    display: 'inline-flex', alignItems: 'center', justifyContent: 'center', gap: tokens.spacing[2],
+    transition: `all ${tokens.transitions.normal}`, width: fullWidth ? '100%' : 'auto',
+  };
+  const sizes = {
+    sm: { padding: iconOnly ? tokens.spacing[2] : `${tokens.spacing[2]} ${tokens.spacing[4]}`, fontSize: tokens.typography.fontSize.sm, minHeight: '40px', minWidth: iconOnly ? '40px' : 'auto' },
+    md: { padding: iconOnly ? tokens.spacing[3] : `${tokens.spacing[3]} ${tokens.spacing[6]}`, fontSize: tokens.typography.fontSize.base, minHeight: '52px', minWidth: iconOnly ? '52px' : 'auto' },
+    lg: { padding: iconOnly ? tokens.spacing[4] : `${tokens.spacing[4]} ${tokens.spacing[8]}`, fontSize: tokens.typography.fontSize.lg, minHeight: '60px', minWidth: iconOnly ? '60px' : 'auto' },
+  };
+  const { backdrops: _backdrops, ...variantStyle } = buttonVariants(theme)[variant];
+  const label = ariaLabel ?? (iconOnly && typeof children === 'string' ? children : undefined);
+  return (
+    <button type="button" onClick={onClick} aria-label={label} aria-pressed={ariaPressed} style={{ ...baseStyle, ...sizes[size], ...variantStyle, ...style }}>
+      {icon && <span aria-hidden="true" style={{ display: 'flex', alignItems: 'center' }}>{icon}</span>}
+      {!iconOnly && children}
+    </button>
+  );
+};
@@ -0,0 +1,12 @@
+import type { CSSProperties, ReactElement, ReactNode } from 'react';
+
+export type CardVariant = 'elevated' | 'outlined' | 'soft' | 'nature';
+
+export interface CardProps {
+  children?: ReactNode;
+  variant?: CardVariant;
+  padding?: 'sm' | 'md' | 'lg';
+  style?: CSSProperties;
+}
+
+export function Card(props: CardProps): ReactElement;
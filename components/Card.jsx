@@ -0,0 +1,16 @@
+import React from 'react';
+import { tokens } from '../memoss-tokens.js';
+import { useTheme } from './context.js';
+
+// Card Component
+export const Card = ({ children, variant = 'elevated', padding = 'md', style = {} }) => {
+  const theme = useTheme();
+  const paddings = { sm: tokens.spacing[3], md: tokens.spacing[5], lg: tokens.spacing[6] };
+  const variants = {
+    elevated: { background: theme.surface.base, boxShadow: theme.shadows.lg, border: `1px solid ${theme.border.subtle}` },
+    outlined: { background: theme.surface.base, border: `2px solid ${theme.border.default}` },
+    soft: { background: theme.surface.soft, border: `1px solid ${theme.border.brand}` },
+    nature: { background: `linear-gradient(135deg, ${theme.surface.soft} 0%, ${theme.surface.softEnd} 100%)`, border: `1px solid ${theme.border.brand}` },
+  };
+  return <div style={{ borderRadius: tokens.borderRadius['2xl'], padding: paddings[padding], ...variants[variant], ...style }}>{children}</div>;
+};
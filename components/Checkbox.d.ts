@@ -0,0 +1,14 @@
+import type { ReactElement, ReactNode } from 'react';
+
+export interface CheckboxProps {
+  checked?: boolean;
+  /** Called on click and Space. */
+  onChange?: () => void;
+  label?: ReactNode;
+  /** Accessible name when there is no visible label. */
+  ariaLabel?: string;
+  /** Strike the label through once checked. */
+  strikethrough?: boolean;
+}
+
+export function Checkbox(props: CheckboxProps): ReactElement;
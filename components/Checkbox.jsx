@@ -0,0 +1,23 @@
+import React from 'react';
+import { tokens } from '../memoss-tokens.js';
+import { useTheme } from './context.js';
+
+// Checkbox Component
+// role="checkbox" toggles on click and Space; pass `ariaLabel` when there's no visible label
+export const Checkbox = ({ checked, onChange, label, ariaLabel, strikethrough = false }) => {
+  const theme = useTheme();
+  const handleKeyDown = (e) => {
+    if (e.key !== ' ') return;
+    e.preventDefault();
+    onChange?.();
+  };
+  return (
+    <div role="checkbox" aria-checked={checked} aria-label={ariaLabel} tabIndex={0} onClick={onChange} onKeyDown={handleKeyDown}
+      style={{ display: 'flex', alignItems: 'flex-start', gap: tokens.spacing[3], cursor: 'pointer', borderRadius: tokens.borderRadius.md }}>
+      <div aria-hidden="true" style={{ width: '26px', height: '26px', borderRadius: tokens.borderRadius.md, border: `2px solid ${checked ? theme.surface.brand : theme.border.strong}`, background: checked ? theme.surface.brand : theme.surface.base, display: 'flex', alignItems: 'center', justifyContent: 'center', flexShrink: 0 }}>
+        {checked && <svg width="14" height="14" viewBox="0 0 14 14" fill="none"><path d="M2 7L5.5 10.5L12 3" stroke="white" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"/></svg>}
+      </div>
+      {label && <span style={{ fontSize: tokens.typography.fontSize.base, color: checked ? theme.text.disabled : theme.text.body, textDecoration: strikethrough && checked ? 'line-through' : 'none', lineHeight: 1.5 }}>{label}</span>}
+    </div>
+  );
+};
@@ -0,0 +1,21 @@
+import type { ReactElement } from 'react';
+
+/** One bar of dailyCompletions / weeklyCompletions (memoss-history.js). */
+export interface CompletionBar {
+  /** The day, or the Sunday that starts the week. */
+  date: Date;
+  onTime: number;
+  late: number;
+}
+
+export interface CompletionChartProps {
+  data?: readonly CompletionBar[];
+  /** Labels bars by weekday or by the week's start date. Default 'day'. */
+  period?: 'day' | 'week';
+  /** Accessible name for the chart. */
+  label?: string;
+  /** Show the on-time / late key under the bars. Default false. */
+  legend?: boolean;
+}
+
+export function CompletionChart(props: CompletionChartProps): ReactElement;
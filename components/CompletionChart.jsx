@@ -0,0 +1,54 @@
+import React from 'react';
+import { tokens } from '../memoss-tokens.js';
+import { isSameDay, startOfWeek } from '../memoss-dates.js';
+import { useLocale, useNow, useTheme } from './context.js';
+
+const PLOT_HEIGHT = 96;
+
+// Completed on the day they were due, and after it
+const SEGMENTS = [
+  { key: 'late', color: tokens.colors.accent[400] },
+  { key: 'onTime', color: tokens.colors.primary[500] },
+];
+
+// Completion Chart Component
+// Stacked bars of on-time and late completions, one per day or per week,
+// from dailyCompletions / weeklyCompletions in memoss-history.js. The bar
+// for today (or this week) is highlighted.
+export const CompletionChart = ({ data = [], period = 'day', label, legend = false }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const { t, format } = useLocale();
+  const max = Math.max(1, ...data.map(bar => bar.onTime + bar.late));
+  const isCurrent = (date) => isSameDay(date, period === 'week' ? startOfWeek(now) : now);
+  const barName = (date) => (period === 'week' ? t('stats.weekOf', { date: format.shortDate(date) }) : format.fullDate(date));
+  const barLabel = ({ date, onTime, late }) => t(late > 0 ? 'stats.barLate' : 'stats.bar', { date: barName(date), count: onTime + late, late });
+  const captionStyle = { fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: theme.text.muted };
+
+  return (
+    <div>
+      <div role="list" aria-label={label} style={{ display: 'flex', alignItems: 'flex-end', gap: tokens.spacing[1] }}>
+        {data.map(bar => {
+          const total = bar.onTime + bar.late;
+          const current = isCurrent(bar.date);
+          return (
+            <div key={bar.date.getTime()} role="listitem" aria-label={barLabel(bar)} style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '4px' }}>
+              <span aria-hidden="true" style={{ ...captionStyle, fontWeight: tokens.typography.fontWeight.bold, color: current ? theme.text.brand : theme.text.muted, minHeight: '1em' }}>{total > 0 ? format.number(total) : ''}</span>
+              <div aria-hidden="true" style={{ width: '100%', maxWidth: '28px', height: `${PLOT_HEIGHT}px`, display: 'flex', flexDirection: 'column', justifyContent: 'flex-end', background: theme.surface.muted, borderRadius: tokens.borderRadius.md, overflow: 'hidden', boxShadow: current ? `0 0 0 2px ${theme.surface.base}, 0 0 0 4px ${tokens.colors.primary[200]}` : 'none' }}>
+                {SEGMENTS.filter(({ key }) => bar[key] > 0).map(({ key, color }) => <div key={key} style={{ height: `${(bar[key] / max) * 100}%`, background: color }} />)}
+              </div>
+              <span aria-hidden="true" style={{ ...captionStyle, fontWeight: current ? tokens.typography.fontWeight.bold : tokens.typography.fontWeight.normal, color: current ? theme.text.brand : theme.text.muted, whiteSpace: 'nowrap' }}>{period === 'week' ? format.shortDate(bar.date) : format.weekdayShort(bar.date)}</span>
+            </div>
+          );
+        })}
+      </div>
+      {legend && (
+        <div aria-hidden="true" style={{ display: 'flex', gap: tokens.spacing[4], marginTop: tokens.spacing[3] }}>
+          {[...SEGMENTS].reverse().map(({ key, color }) => (
+            <span key={key} style={{ ...captionStyle, display: 'flex', alignItems: 'center', gap: tokens.spacing[1] }}><span style={{ width: '8px', height: '8px', borderRadius: '2px', background: color }} />{t(`stats.${key}`)}</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,17 @@
+import type { CSSProperties, MouseEventHandler, ReactElement } from 'react';
+
+export interface DatePillProps {
+  day: number | string;
+  weekday: string;
+  /** Spoken name, e.g. "Tuesday, January 21, has reminders". */
+  label?: string;
+  isActive?: boolean;
+  /** Sets aria-current="date". */
+  isToday?: boolean;
+  /** Dot for days with open reminders. */
+  hasReminder?: boolean;
+  onClick?: MouseEventHandler<HTMLButtonElement>;
+  style?: CSSProperties;
+}
+
+export function DatePill(props: DatePillProps): ReactElement;
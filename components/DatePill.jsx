@@ -0,0 +1,16 @@
+import React from 'react';
+import { tokens } from '../memoss-tokens.js';
+import { useTheme } from './context.js';
+
+// Date Pill Component
+// `label` is the spoken name, e.g. "Tuesday, January 21, has reminders"
+export const DatePill = ({ day, weekday, label, isActive = false, isToday = false, hasReminder = false, onClick, style = {} }) => {
+  const theme = useTheme();
+  return (
+    <button type="button" onClick={onClick} aria-label={label} aria-pressed={isActive} aria-current={isToday ? 'date' : undefined} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', padding: `${tokens.spacing[3]} ${tokens.spacing[4]}`, borderRadius: tokens.borderRadius.xl, border: 'none', background: isActive ? theme.surface.brand : 'transparent', color: isActive ? theme.text.onBrand : isToday ? theme.text.brand : theme.text.secondary, cursor: 'pointer', minWidth: '56px', position: 'relative', ...style }}>
+      <span style={{ fontSize: tokens.typography.fontSize.xl, fontWeight: tokens.typography.fontWeight.extrabold, fontFamily: tokens.typography.fontFamily.display, lineHeight: 1.2 }}>{day}</span>
+      <span style={{ fontSize: tokens.typography.fontSize.xs, fontWeight: tokens.typography.fontWeight.semibold, textTransform: 'uppercase', letterSpacing: '0.5px', marginTop: '2px', opacity: 0.8 }}>{weekday}</span>
+      {hasReminder && !isActive && <div style={{ position: 'absolute', bottom: '8px', width: '6px', height: '6px', borderRadius: '50%', background: tokens.colors.primary[400] }} />}
+    </button>
+  );
+};
@@ -0,0 +1,10 @@
+import type { MouseEventHandler, ReactElement, ReactNode } from 'react';
+
+export interface FABProps {
+  icon: ReactNode;
+  /** Accessible name; the icon is decorative. */
+  label: string;
+  onClick?: MouseEventHandler<HTMLButtonElement>;
+}
+
+export function FAB(props: FABProps): ReactElement;
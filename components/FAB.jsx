@@ -0,0 +1,12 @@
+import React from 'react';
+import { tokens } from '../memoss-tokens.js';
+import { useTheme } from './context.js';
+
+// FAB Component
+// `label` is the accessible name; the icon is decorative
+export const FAB = ({ icon, label, onClick }) => {
+  const theme = useTheme();
+  return (
+    <button type="button" onClick={onClick} aria-label={label} style={{ width: '68px', height: '68px', borderRadius: tokens.borderRadius.full, border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', boxShadow: theme.shadows.xl, background: theme.surface.brand, color: theme.text.onBrand }}>{icon}</button>
+  );
+};
@@ -0,0 +1,8 @@
+import type { ReactElement, ReactNode } from 'react';
+
+export interface FieldErrorProps {
+  children?: ReactNode;
+}
+
+/** Inline validation message, announced as an alert. */
+export function FieldError(props: FieldErrorProps): ReactElement;
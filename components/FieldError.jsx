@@ -0,0 +1,7 @@
+import React from 'react';
+import { tokens } from '../memoss-tokens.js';
+
+// Field Error Component
+export const FieldError = ({ children }) => (
+  <p role="alert" style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: tokens.colors.error, marginTop: tokens.spacing[2] }}>{children}</p>
+);
@@ -0,0 +1,18 @@
+import type { ChangeEventHandler, CSSProperties, ReactElement, ReactNode } from 'react';
+
+export interface InputProps {
+  label?: string;
+  placeholder?: string;
+  value?: string;
+  onChange?: ChangeEventHandler<HTMLInputElement>;
+  /** Leading icon element. */
+  icon?: ReactNode;
+  /** Shown below the field; marks it aria-invalid. */
+  error?: string | null;
+  /** Accessible name when there is no label (the placeholder otherwise). */
+  ariaLabel?: string;
+  /** Style overrides for the wrapper. */
+  style?: CSSProperties;
+}
+
+export function Input(props: InputProps): ReactElement;
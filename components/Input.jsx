@@ -0,0 +1,21 @@
+import React, { useId } from 'react';
+import { tokens } from '../memoss-tokens.js';
+import { useTheme } from './context.js';
+import { FieldError } from './FieldError.jsx';
+
+// Input Component
+export const Input = ({ label, placeholder, value, onChange, icon, error, ariaLabel, style = {} }) => {
+  const theme = useTheme();
+  const id = useId();
+  return (
+    <div style={{ width: '100%', ...style }}>
+      {label && <label htmlFor={id} style={{ display: 'block', fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.semibold, color: theme.text.label, marginBottom: tokens.spacing[2] }}>{label}</label>}
+      <div style={{ position: 'relative' }}>
+        {icon && <span aria-hidden="true" style={{ position: 'absolute', insetInlineStart: tokens.spacing[4], top: '50%', transform: 'translateY(-50%)', color: theme.text.disabled, display: 'flex' }}>{icon}</span>}
+        <input id={id} type="text" aria-label={label ? undefined : ariaLabel ?? placeholder} aria-invalid={Boolean(error)} placeholder={placeholder} value={value} onChange={onChange}
+          style={{ width: '100%', padding: `${tokens.spacing[4]} ${icon ? tokens.spacing[12] : tokens.spacing[4]}`, fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.body, background: theme.surface.base, border: `2px solid ${error ? tokens.colors.error : theme.border.default}`, borderRadius: tokens.borderRadius.xl }} />
+      </div>
+      {error && <FieldError>{error}</FieldError>}
+    </div>
+  );
+};
@@ -0,0 +1,21 @@
+import type { ReactElement } from 'react';
+
+/** One day of monthSummaries (memoss-calendar.js); highPriority counts open reminders only. */
+export interface DaySummary {
+  open: number;
+  completed: number;
+  highPriority: number;
+}
+
+export interface MonthCalendarProps {
+  /** Any date in the month to show; defaults to the current one. */
+  month?: Date;
+  selectedDate?: Date | null;
+  /** Keyed by 'YYYY-MM-DD' in local time. */
+  summaries?: Readonly<Record<string, DaySummary>>;
+  onSelect?: (date: Date) => void;
+  /** Adds the previous / next / today controls; called with the 1st of the new month. */
+  onMonthChange?: (month: Date) => void;
+}
+
+export function MonthCalendar(props: MonthCalendarProps): ReactElement;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { tokens } from '../memoss-tokens.js';
+import { MAX_DENSITY, addMonths, dayKey, densityLevel, isSameMonth, monthGrid, startOfMonth } from '../memoss-calendar.js';
+import { isSameDay } from '../memoss-dates.js';
+import { useLocale, useNow, useTheme } from './context.js';
+import { Icon } from './icons.jsx';
+
+// Month Calendar Component
+// Six-week grid with a density dot per open reminder (up to three) and a
+// marker for days with open high-priority ones. `summaries` comes from
+// monthSummaries in memoss-calendar.js.
+export const MonthCalendar = ({ month, selectedDate, summaries = {}, onSelect, onMonthChange }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const { t, format, dir } = useLocale();
+  const shown = month ?? now;
+  const weeks = monthGrid(shown);
+  // Chevrons point toward the earlier or later month in the reading direction
+  const chevronStyle = (back) => ({ display: 'flex', transform: back !== (dir === 'rtl') ? 'rotate(180deg)' : 'none' });
+  const arrowStyle = { width: '32px', height: '32px', borderRadius: tokens.borderRadius.full, border: 'none', background: theme.surface.muted, color: theme.text.secondary, cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center' };
+
+  const dayLabel = (date, summary) => {
+    const values = { date: format.fullDate(date), count: summary?.open ?? 0 };
+    if (!summary) return values.date;
+    if (summary.open === 0) return t('calendar.dayDone', values);
+    return t(summary.highPriority > 0 ? 'calendar.dayUrgent' : 'calendar.dayOpen', values);
+  };
+
+  return (
+    <div style={{ background: theme.surface.base, borderRadius: tokens.borderRadius['2xl'], padding: tokens.spacing[3], boxShadow: theme.shadows.sm }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: `0 ${tokens.spacing[1]} ${tokens.spacing[3]}` }}>
+        <h3 aria-live="polite" style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.body, margin: 0 }}>{format.monthYear(shown)}</h3>
+        {onMonthChange && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[2] }}>
+            {!isSameMonth(shown, now) && <button type="button" onClick={() => onMonthChange(startOfMonth(now))} style={{ ...arrowStyle, width: 'auto', padding: `0 ${tokens.spacing[3]}`, fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.xs, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.brand }}>{t('dates.today')}</button>}
+            <button type="button" aria-label={t('calendar.previousMonth')} onClick={() => onMonthChange(addMonths(shown, -1))} style={arrowStyle}><span style={chevronStyle(true)}><Icon name="chevronRight" size="base" /></span></button>
+            <button type="button" aria-label={t('calendar.nextMonth')} onClick={() => onMonthChange(addMonths(shown, 1))} style={arrowStyle}><span style={chevronStyle(false)}><Icon name="chevronRight" size="base" /></span></button>
+          </div>
+        )}
+      </div>
+      <div role="group" aria-label={format.monthYear(shown)}>
+        <div aria-hidden="true" style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', marginBottom: tokens.spacing[1] }}>
+          {weeks[0].map(date => <span key={date.getDay()} style={{ textAlign: 'center', fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, fontWeight: tokens.typography.fontWeight.semibold, color: theme.text.muted, textTransform: 'uppercase', letterSpacing: '0.5px' }}>{format.weekdayShort(date)}</span>)}
+        </div>
+        {weeks.map(week => (
+          <div key={dayKey(week[0])} style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', gap: '2px' }}>
+            {week.map(date => {
+              const summary = summaries[dayKey(date)];
+              const isSelected = selectedDate ? isSameDay(date, selectedDate) : false;
+              const isToday = isSameDay(date, now);
+              const inMonth = isSameMonth(date, shown);
+              const dots = densityLevel(summary?.open ?? 0);
+              return (
+                <button key={dayKey(date)} type="button" onClick={() => onSelect?.(date)} aria-label={dayLabel(date, summary)} aria-pressed={isSelected} aria-current={isToday ? 'date' : undefined}
+                  style={{ position: 'relative', height: '48px', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'flex-start', gap: '3px', paddingTop: tokens.spacing[1], border: 'none', borderRadius: tokens.borderRadius.lg, cursor: 'pointer', background: isSelected ? theme.surface.brand : isToday ? theme.tone.primary.background : 'transparent', color: isSelected ? theme.text.onBrand : isToday ? theme.text.brand : inMonth ? theme.text.body : theme.text.disabled, fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: isToday || isSelected ? tokens.typography.fontWeight.extrabold : tokens.typography.fontWeight.semibold }}>
+                  {format.day(date)}
+                  <span aria-hidden="true" style={{ display: 'flex', gap: '2px', height: '5px' }}>
+                    {[...Array(MAX_DENSITY)].slice(0, dots || (summary?.completed ? 1 : 0)).map((_, i) => (
+                      <span key={i} style={{ width: '5px', height: '5px', borderRadius: tokens.borderRadius.full, background: isSelected ? theme.text.onBrand : dots ? tokens.colors.primary[400] : theme.border.strong }} />
+                    ))}
+                  </span>
+                  {summary?.highPriority > 0 && <span aria-hidden="true" style={{ position: 'absolute', top: '4px', insetInlineEnd: '5px', width: '6px', height: '6px', borderRadius: tokens.borderRadius.full, background: tokens.colors.pink[500], boxShadow: `0 0 0 1.5px ${theme.surface.base}` }} />}
+                </button>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
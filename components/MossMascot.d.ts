@@ -0,0 +1,15 @@
+import type { ReactElement } from 'react';
+
+export type MascotMood = 'happy' | 'excited' | 'calm' | 'sleepy';
+
+export interface MossMascotProps {
+  /** Width in px; height is 70% of it. Default 120. */
+  size?: number;
+  mood?: MascotMood;
+  /** Wiggle, sway and sparkle; off under reduced motion. */
+  animate?: boolean;
+  /** Accessible name; without it the SVG is aria-hidden. */
+  title?: string;
+}
+
+export function MossMascot(props: MossMascotProps): ReactElement;
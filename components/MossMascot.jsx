@@ -0,0 +1,66 @@
+import React from 'react';
+import { useReducedMotion } from './context.js';
+
+// Moss Mascot Component
+// Decorative (aria-hidden) unless given a `title`
+export const MossMascot = ({ size = 120, mood = 'happy', animate = false, title }) => {
+  const reduceMotion = useReducedMotion();
+  const moods = {
+    happy: { eyeScale: 1, mouthOpen: true },
+    excited: { eyeScale: 1.1, mouthOpen: true },
+    calm: { eyeScale: 0.9, mouthOpen: false },
+    sleepy: { eyeScale: 0.6, mouthOpen: false },
+  };
+  const { eyeScale, mouthOpen } = moods[mood];
+  const animated = animate && !reduceMotion;
+
+  return (
+    <svg width={size} height={size * 0.7} viewBox="0 0 200 140" fill="none" {...(title ? { role: 'img' } : { 'aria-hidden': true, focusable: 'false' })}>
+      {title && <title>{title}</title>}
+      <defs>
+        <radialGradient id="mossGrad" cx="50%" cy="30%" r="70%">
+          <stop offset="0%" stopColor="#86EFAC" />
+          <stop offset="50%" stopColor="#4ADE80" />
+          <stop offset="100%" stopColor="#16A34A" />
+        </radialGradient>
+      </defs>
+      <ellipse cx="100" cy="130" rx="70" ry="8" fill="#16A34A" opacity="0.15"/>
+      <ellipse cx="100" cy="90" rx="85" ry="50" fill="url(#mossGrad)" 
+        style={animated ? { animation: 'mossWiggle 3s ease-in-out infinite' } : {}} />
+      {[...Array(12)].map((_, i) => (
+        <circle key={i} cx={35 + (i % 6) * 26} cy={70 + Math.floor(i / 6) * 30 + (i % 2) * 10}
+          r={8 + (i % 3) * 3} fill={i % 2 === 0 ? '#86EFAC' : '#4ADE80'} opacity="0.6" />
+      ))}
+      {[40, 70, 100, 130, 160].map((x, i) => (
+        <g key={i} transform={`translate(${x}, ${35 + (i % 2) * 8})`}>
+          <path d={`M0,20 Q${-3 + i},10 0,0 Q${3 - i},10 0,20`} fill="#4ADE80"
+            style={animated ? { animation: `sproutSway ${1.5 + i * 0.2}s ease-in-out infinite`, transformOrigin: '0 20px' } : {}} />
+          {i !== 2 && (<><ellipse cx="-4" cy="5" rx="3" ry="4" fill="#22C55E"/><ellipse cx="4" cy="5" rx="3" ry="4" fill="#22C55E"/></>)}
+        </g>
+      ))}
+      {[[25, 45], [175, 50], [50, 25], [150, 30]].map(([x, y], i) => (
+        <g key={i} style={animated ? { animation: `sparkle ${1 + i * 0.3}s ease-in-out infinite` } : {}}>
+          <path d={`M${x},${y} l2,-6 l2,6 l-6,-2 l6,0 l-6,2 l6,0 l-2,-6`} fill="#FDE68A" opacity="0.8" />
+        </g>
+      ))}
+      <g transform={`translate(70, 80) scale(${eyeScale})`}>
+        <ellipse cx="0" cy="0" rx="12" ry="14" fill="#1a1a1a"/>
+        <ellipse cx="3" cy="-4" rx="4" ry="5" fill="white"/>
+      </g>
+      <g transform={`translate(130, 80) scale(${eyeScale})`}>
+        <ellipse cx="0" cy="0" rx="12" ry="14" fill="#1a1a1a"/>
+        <ellipse cx="3" cy="-4" rx="4" ry="5" fill="white"/>
+      </g>
+      {mouthOpen ? (
+        <><path d="M90,100 Q100,115 110,100" fill="#1a1a1a"/><ellipse cx="100" cy="106" rx="6" ry="4" fill="#FB7185"/></>
+      ) : (
+        <path d="M90,102 Q100,108 110,102" stroke="#1a1a1a" strokeWidth="3" strokeLinecap="round" fill="none" />
+      )}
+      <style>{`
+        @keyframes mossWiggle { 0%, 100% { transform: scaleX(1); } 50% { transform: scaleX(1.02); } }
+        @keyframes sproutSway { 0%, 100% { transform: rotate(-3deg); } 50% { transform: rotate(3deg); } }
+        @keyframes sparkle { 0%, 100% { opacity: 0.4; transform: scale(0.8); } 50% { opacity: 1; transform: scale(1.2); } }
+      `}</style>
+    </svg>
+  );
+};
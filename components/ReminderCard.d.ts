@@ -0,0 +1,51 @@
+import type { ReactElement } from 'react';
+import type { MemossLocale } from './context.js';
+
+/** Same shape as memoss-recurrence.js; weekdays count from Sunday = 1. */
+export type RecurrenceRule =
+  | { type: 'none' | 'daily' | 'hourly' }
+  | { type: 'weekly'; weekday: number }
+  | { type: 'monthly'; day: number };
+
+export interface Tag {
+  id: string;
+  name: string;
+  colorHex: string;
+}
+
+export type SyncStatus = 'pending' | 'syncing' | 'failed' | 'conflict';
+
+export interface ReminderCardProps {
+  title: string;
+  /** Time label; otherwise formatted from scheduledDate. */
+  time?: string;
+  /** Repeat label; otherwise derived from recurrenceRule. */
+  recurrence?: string;
+  recurrenceRule?: RecurrenceRule;
+  scheduledDate?: Date;
+  recurrenceEndDate?: Date | null;
+  completed?: boolean;
+  overdue?: boolean;
+  snoozedUntil?: Date | null;
+  onToggle?: () => void;
+  /** Called on tap; makes the title an Edit button. */
+  onOpen?: () => void;
+  /** Adds the Snooze swipe action. */
+  onSnooze?: () => void;
+  onUnsnooze?: () => void;
+  /** Adds the Delete swipe action. */
+  onDelete?: () => void;
+  /** Adds the Duplicate swipe action. */
+  onDuplicate?: () => void;
+  /** Tags, or plain strings shown as primary badges. */
+  tags?: Array<Tag | string>;
+  priority?: 'high' | null;
+  syncStatus?: SyncStatus | null;
+  syncMessage?: string;
+  onSyncAction?: () => void;
+}
+
+export function ReminderCard(props: ReminderCardProps): ReactElement;
+
+/** Full repeat description, e.g. "Every Monday" or "Monthly on the 3rd". */
+export function recurrenceLabel(locale: Pick<MemossLocale, 't' | 'format'>, rule: RecurrenceRule): string;
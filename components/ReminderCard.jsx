@@ -0,0 +1,133 @@
+import React, { useRef, useState } from 'react';
+import { tokens } from '../memoss-tokens.js';
+import { isRecurring, upcomingOccurrences } from '../memoss-recurrence.js';
+import { formatDayTime, isSameDay } from '../memoss-dates.js';
+import { useLocale, useNow, useTheme } from './context.js';
+import { Badge } from './Badge.jsx';
+import { Card } from './Card.jsx';
+import { Checkbox } from './Checkbox.jsx';
+import { Icon } from './icons.jsx';
+
+// Reminder Card Component
+// Full repeat description in the phone's language, e.g. "Every Monday" or "Monthly on the 3rd"
+export const recurrenceLabel = ({ t, format }, rule) => {
+  // Rule weekdays count from Sunday = 1; January 4, 2026 was a Sunday
+  if (rule.type === 'weekly') return t('recurrence.every', { weekday: format.weekday(new Date(2026, 0, 3 + rule.weekday)) });
+  if (rule.type === 'monthly') return t('recurrence.monthlyOn', { day: format.ordinal(rule.day) });
+  return t(`recurrence.${rule.type}`);
+};
+
+// Sync row message keys per status; `conflict` wording depends on which side won
+const syncLabels = {
+  pending: { icon: '●', text: 'sync.pending' },
+  syncing: { icon: null, text: 'sync.syncing' },
+  failed: { icon: '⚠', text: 'sync.cardFailed', action: 'sync.retry' },
+  conflict: { icon: '⇄', text: 'sync.conflict', action: 'sync.ok' },
+};
+
+// Swipe toward the start edge (or tab to them) to reveal the actions behind the card
+const SWIPE_ACTION_WIDTH = 76;
+
+export const ReminderCard = ({ title, time, recurrence, recurrenceRule, scheduledDate, recurrenceEndDate, completed = false, overdue = false, snoozedUntil, onToggle, onOpen, onSnooze, onUnsnooze, onDelete, onDuplicate, tags = [], priority, syncStatus, syncMessage, onSyncAction }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const locale = useLocale();
+  const { t, format } = locale;
+  // Offsets are measured toward the start edge; RTL mirrors them on screen
+  const side = locale.dir === 'rtl' ? -1 : 1;
+  const [offset, setOffset] = useState(0);
+  const [isDragging, setIsDragging] = useState(false);
+  const drag = useRef(null);
+  const suppressClick = useRef(false);
+  const actionCount = [onSnooze, onDuplicate, onDelete].filter(Boolean).length;
+  const swipeable = actionCount > 0;
+  const actionsWidth = actionCount * SWIPE_ACTION_WIDTH;
+  const snoozed = snoozedUntil && !completed && snoozedUntil > now;
+  const timeLabel = time ?? (scheduledDate && (overdue && !isSameDay(scheduledDate, now) ? t('time.dayTime', { day: format.longDate(scheduledDate), time: format.time(scheduledDate) }) : format.time(scheduledDate)));
+  const repeats = isRecurring(recurrenceRule);
+  const recurrenceShortLabel = recurrence ?? (repeats ? t(`recurrence.${recurrenceRule.type}`) : null);
+  const upcoming = repeats && scheduledDate && !completed ? upcomingOccurrences({ recurrenceRule, scheduledDate, recurrenceEndDate }, { count: 3, now }) : [];
+  const sync = syncStatus && syncLabels[syncStatus];
+  const syncColor = { pending: theme.text.muted, syncing: theme.text.brand, failed: tokens.colors.error, conflict: theme.tone.accent.foreground }[syncStatus];
+
+  const handlePointerDown = (e) => {
+    if (!swipeable) return;
+    drag.current = { x: e.clientX, offset, start: offset, moved: false };
+  };
+  const handlePointerMove = (e) => {
+    if (!drag.current) return;
+    const deltaX = (e.clientX - drag.current.x) * side;
+    if (!drag.current.moved && Math.abs(deltaX) < 6) return;
+    drag.current.moved = true;
+    setIsDragging(true);
+    drag.current.offset = Math.min(0, Math.max(-actionsWidth, drag.current.start + deltaX));
+    setOffset(drag.current.offset);
+  };
+  // Snap open or shut depending on how far the card travelled
+  const handlePointerUp = () => {
+    if (!drag.current) return;
+    const { moved, offset: released } = drag.current;
+    suppressClick.current = moved;
+    drag.current = null;
+    setIsDragging(false);
+    setOffset(released < -actionsWidth / 2 ? -actionsWidth : 0);
+  };
+  // A tap opens the reminder (or closes the actions); taps on controls are theirs
+  const handleClick = (e) => {
+    if (suppressClick.current) {
+      suppressClick.current = false;
+      return;
+    }
+    if (e.target.closest('button, [role="checkbox"]')) return;
+    if (offset !== 0) setOffset(0);
+    else onOpen?.();
+  };
+  const runAction = (action) => {
+    setOffset(0);
+    action();
+  };
+  const actionStyle = { width: `${SWIPE_ACTION_WIDTH - 4}px`, border: 'none', borderRadius: tokens.borderRadius.xl, cursor: 'pointer', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', gap: tokens.spacing[1], fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.xs, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.onBrand };
+
+  return (
+    <div style={{ position: 'relative', marginBottom: tokens.spacing[3] }}>
+      {swipeable && (
+        <div onFocus={() => setOffset(-actionsWidth)} onBlur={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setOffset(0); }} style={{ position: 'absolute', top: 0, insetInlineEnd: 0, bottom: 0, display: 'flex', gap: tokens.spacing[2], opacity: offset === 0 ? 0 : 1 }}>
+          {onSnooze && <button type="button" aria-label={t('card.snoozeItem', { name: title })} onClick={() => runAction(onSnooze)} style={{ ...actionStyle, background: tokens.colors.accent[500], color: tokens.colors.neutral[900] }}><Icon name="snooze" size="lg" />{t('card.snooze')}</button>}
+          {onDuplicate && <button type="button" aria-label={t('card.duplicateItem', { name: title })} onClick={() => runAction(onDuplicate)} style={{ ...actionStyle, background: theme.surface.brand }}><Icon name="copy" size="lg" />{t('card.duplicate')}</button>}
+          {onDelete && <button type="button" aria-label={t('common.deleteItem', { name: title })} onClick={() => runAction(onDelete)} style={{ ...actionStyle, background: tokens.colors.pink[800] }}><Icon name="trash" size="lg" />{t('common.delete')}</button>}
+        </div>
+      )}
+      <div onPointerDown={handlePointerDown} onPointerMove={handlePointerMove} onPointerUp={handlePointerUp} onPointerLeave={handlePointerUp} onClick={handleClick}
+        style={{ position: 'relative', transform: `translateX(${offset * side}px)`, transition: isDragging ? 'none' : `transform ${tokens.transitions.normal}`, touchAction: 'pan-y', cursor: onOpen ? 'pointer' : 'default' }}>
+        <Card variant="elevated" padding="md" style={syncStatus === 'failed' || syncStatus === 'conflict' ? { border: `1px solid ${syncColor}` } : {}}>
+          <div style={{ display: 'flex', alignItems: 'flex-start', gap: tokens.spacing[4] }}>
+            <Checkbox checked={completed} onChange={onToggle} ariaLabel={title} strikethrough label="" />
+            <div style={{ flex: 1 }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[2], marginBottom: tokens.spacing[1] }}>
+                <h4 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.semibold, color: completed ? theme.text.disabled : theme.text.body, textDecoration: completed ? 'line-through' : 'none', margin: 0 }}>
+                  {onOpen ? <button type="button" onClick={onOpen} aria-label={t('common.editItem', { name: title })} style={{ background: 'none', border: 'none', padding: 0, font: 'inherit', color: 'inherit', textDecoration: 'inherit', textAlign: 'start', cursor: 'pointer' }}>{title}</button> : title}
+                </h4>
+                {priority === 'high' && <Badge variant="pink">!</Badge>}
+              </div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[3], flexWrap: 'wrap' }}>
+                {timeLabel && <span style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[1], fontSize: tokens.typography.fontSize.sm, color: overdue ? tokens.colors.error : theme.text.muted }}><Icon name="clock" size="sm" />{timeLabel}</span>}
+                {recurrenceShortLabel && <span title={repeats ? recurrenceLabel(locale, recurrenceRule) : undefined} style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[1], fontSize: tokens.typography.fontSize.sm, color: theme.text.recurrence }}><Icon name="repeat" size="sm" />{recurrenceShortLabel}</span>}
+                {snoozed && <span style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[1], fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.semibold, color: theme.tone.accent.foreground }}><Icon name="snooze" size="sm" />{t('card.snoozedUntil', { time: formatDayTime(locale, snoozedUntil, now) })}</span>}
+                {snoozed && onUnsnooze && <button type="button" onClick={onUnsnooze} style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', font: 'inherit', fontSize: tokens.typography.fontSize.xs, color: theme.tone.accent.foreground, textDecoration: 'underline' }}>{t('card.wakeNow')}</button>}
+                {upcoming.length > 0 && <span title={upcoming.map(date => `${format.longDate(date)} ${format.time(date)}`).join('\n')} style={{ fontSize: tokens.typography.fontSize.xs, color: theme.text.muted }}>{t('card.next', { when: t('time.dayTime', { day: format.relativeDay(upcoming[0], now), time: format.time(upcoming[0]) }) })}</span>}
+              </div>
+              {tags.length > 0 && <div style={{ display: 'flex', gap: tokens.spacing[2], marginTop: tokens.spacing[2], flexWrap: 'wrap' }}>{tags.map((tag, i) => typeof tag === 'string' ? <Badge key={i} variant="primary">{tag}</Badge> : <Badge key={tag.id} color={tag.colorHex}>{tag.name}</Badge>)}</div>}
+              {sync && (
+                <div role="status" style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[1], marginTop: tokens.spacing[2], fontSize: tokens.typography.fontSize.xs, fontWeight: tokens.typography.fontWeight.semibold, color: syncColor }}>
+                  <span aria-hidden="true">{sync.icon ?? <Icon name="sync" size="xs" spinning />}</span>
+                  <span style={{ flex: 1 }} title={syncMessage}>{t(sync.text)}{syncMessage ? ` · ${syncMessage}` : ''}</span>
+                  {sync.action && onSyncAction && <button type="button" onClick={onSyncAction} style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', font: 'inherit', color: syncColor, textDecoration: 'underline' }}>{t(sync.action)}</button>}
+                </div>
+              )}
+            </div>
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,13 @@
+import type { ReactElement } from 'react';
+
+export interface SyncStatusBarProps {
+  isSyncing?: boolean;
+  /** Local changes waiting to sync. */
+  pending?: number;
+  lastSyncedAt?: Date | null;
+  /** Last sync error; "offline" or "network" reads as Offline. */
+  error?: string | null;
+  onSync?: () => void;
+}
+
+export function SyncStatusBar(props: SyncStatusBarProps): ReactElement;
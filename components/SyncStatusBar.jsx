@@ -0,0 +1,26 @@
+import React from 'react';
+import { tokens } from '../memoss-tokens.js';
+import { useLocale, useNow, useTheme } from './context.js';
+import { Button } from './Button.jsx';
+import { Icon } from './icons.jsx';
+
+// Sync summary above the date strip
+export const SyncStatusBar = ({ isSyncing, pending, lastSyncedAt, error, onSync }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const { t, format } = useLocale();
+  const offline = error && /offline|network/i.test(error);
+  const label = isSyncing ? t('sync.syncing')
+    : error ? `${offline ? t('sync.offline') : t('sync.failed')}${pending ? ` · ${t('sync.waitingShort', { count: pending })}` : ''}`
+    : pending ? t('sync.waiting', { count: pending })
+    : lastSyncedAt ? t('sync.synced', { day: format.relativeDay(lastSyncedAt, now), time: format.time(lastSyncedAt) })
+    : t('sync.notYet');
+  const color = error ? tokens.colors.error : pending && !isSyncing ? theme.text.secondary : theme.text.brand;
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[2], padding: `${tokens.spacing[2]} ${tokens.spacing[3]}`, marginBottom: tokens.spacing[4], borderRadius: tokens.borderRadius.xl, background: theme.surface.base, border: `1px solid ${error ? tokens.colors.error : theme.border.subtle}` }}>
+      <Icon name="sync" size="base" color={color} spinning={isSyncing} />
+      <span role="status" style={{ flex: 1, fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.semibold, color }}>{label}</span>
+      <Button variant="ghost" size="sm" onClick={onSync} style={{ minHeight: '32px', padding: `${tokens.spacing[1]} ${tokens.spacing[3]}`, opacity: isSyncing ? 0.5 : 1 }}>{error ? t('sync.retry') : t('sync.sync')}</Button>
+    </div>
+  );
+};
@@ -0,0 +1,13 @@
+import type { ReactElement, ReactNode } from 'react';
+
+/** How long the app keeps a toast up, in ms. */
+export const UNDO_TIMEOUT: number;
+
+export interface UndoToastProps {
+  message: ReactNode;
+  onUndo?: () => void;
+  onDismiss?: () => void;
+}
+
+/** Positioned absolutely at the bottom of its containing block. */
+export function UndoToast(props: UndoToastProps): ReactElement;
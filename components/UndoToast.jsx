@@ -0,0 +1,19 @@
+import React from 'react';
+import { tokens } from '../memoss-tokens.js';
+import { useLocale, useTheme } from './context.js';
+import { Icon } from './icons.jsx';
+
+// Undo Toast Component
+export const UNDO_TIMEOUT = 5000;
+
+export const UndoToast = ({ message, onUndo, onDismiss }) => {
+  const { immersive, shadows } = useTheme();
+  const { t } = useLocale();
+  return (
+    <div role="status" style={{ position: 'absolute', left: tokens.spacing[4], right: tokens.spacing[4], bottom: '116px', display: 'flex', alignItems: 'center', gap: tokens.spacing[3], padding: `${tokens.spacing[3]} ${tokens.spacing[4]}`, borderRadius: tokens.borderRadius.xl, background: immersive.background, color: immersive.title, boxShadow: shadows.xl, fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, zIndex: 10 }}>
+      <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{message}</span>
+      <button type="button" onClick={onUndo} style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', font: 'inherit', fontWeight: tokens.typography.fontWeight.bold, color: immersive.highlight }}>{t('common.undo')}</button>
+      <button type="button" aria-label={t('common.dismiss')} onClick={onDismiss} style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: immersive.text, display: 'flex' }}><Icon name="x" size="base" /></button>
+    </div>
+  );
+};
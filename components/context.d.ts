@@ -0,0 +1,48 @@
+import type { Context } from 'react';
+import type { MemossTheme } from '../memoss-tokens.js';
+
+export type LocaleCode = 'en-US' | 'en-GB' | 'pt-BR' | 'ar';
+export type HourCycle = 'auto' | 'h12' | 'h23';
+
+/** Intl formatters for one locale (see createFormatter in memoss-i18n.js). */
+export interface MemossFormatter {
+  locale: string;
+  time(date: Date): string;
+  statusTime(date: Date): string;
+  longDate(date: Date): string;
+  fullDate(date: Date): string;
+  shortDate(date: Date): string;
+  monthYear(date: Date): string;
+  weekday(date: Date): string;
+  weekdayShort(date: Date): string;
+  day(date: Date): string;
+  relativeDay(date: Date, now?: Date): string;
+  relativeDayTitle(date: Date, now?: Date): string;
+  number(value: number): string;
+  percent(value: number): string;
+  ordinal(n: number): string;
+  minutes(total: number): string;
+  since(date: Date, now?: Date): string;
+}
+
+export interface MemossLocale {
+  locale: string;
+  dir: 'ltr' | 'rtl';
+  /** Catalog message by key, with `{name}` placeholders filled from `values`. */
+  t(key: string, values?: Record<string, string | number>): string;
+  format: MemossFormatter;
+}
+
+export const ThemeContext: Context<MemossTheme>;
+export function useTheme(): MemossTheme;
+
+export const MotionContext: Context<boolean>;
+export function useReducedMotion(): boolean;
+
+/** null (the default) means real time. */
+export const ClockContext: Context<Date | null>;
+export function useNow(): Date;
+
+export function createLocale(locale: LocaleCode | string, hourCycle?: HourCycle): MemossLocale;
+export const LocaleContext: Context<MemossLocale>;
+export function useLocale(): MemossLocale;
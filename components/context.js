@@ -0,0 +1,21 @@
+import { createContext, useContext } from 'react';
+import { themes } from '../memoss-tokens.js';
+import { DEFAULT_LOCALE, createFormatter, textDirection, translate } from '../memoss-i18n.js';
+
+// Semantic color roles for the light or dark theme (see memoss-tokens.js)
+export const ThemeContext = createContext(themes.light);
+export const useTheme = () => useContext(ThemeContext);
+
+// True when animations should be skipped; starts from prefers-reduced-motion
+export const MotionContext = createContext(false);
+export const useReducedMotion = () => useContext(MotionContext);
+
+// Current time; the showcase app provides its virtual clock, everything else gets real time
+export const ClockContext = createContext(null);
+export const useNow = () => useContext(ClockContext) ?? new Date();
+
+// Language of the components: `t` looks up catalog messages (memoss-i18n.js)
+// and `format` holds the Intl formatters. US English without a provider.
+export const createLocale = (locale, hourCycle = 'auto') => ({ locale, dir: textDirection(locale), t: (key, values) => translate(locale, key, values), format: createFormatter(locale, { hourCycle }) });
+export const LocaleContext = createContext(createLocale(DEFAULT_LOCALE));
+export const useLocale = () => useContext(LocaleContext);
@@ -0,0 +1,39 @@
+import type { ReactElement } from 'react';
+import type { MemossTokens } from '../memoss-tokens.js';
+
+export type IconName =
+  | 'plus' | 'check' | 'x' | 'chevronRight' | 'arrowRight'
+  | 'clock' | 'calendar' | 'calendarClock' | 'calendarAlert' | 'sunrise' | 'repeat'
+  | 'bell' | 'snooze' | 'sync' | 'cloud' | 'tag' | 'flag' | 'mic' | 'copy' | 'trash'
+  | 'settings' | 'person' | 'leaf' | 'chart' | 'flame';
+
+export type IconSize = keyof MemossTokens['icon']['size'];
+export type IconWeight = keyof MemossTokens['icon']['stroke'];
+
+/** A registry entry: the default stroke and the SF Symbol for the same job on iOS. */
+export interface IconInfo {
+  symbol: string;
+  weight: IconWeight;
+}
+
+export const ICONS: Readonly<Record<IconName, IconInfo>>;
+export const ICON_NAMES: IconName[];
+
+/** Matches RecurrenceRule.icon in the iOS app; `symbol` is what Swift returns. */
+export const RECURRENCE_ICONS: Readonly<Record<'none' | 'daily' | 'hourly' | 'weekly' | 'monthly', { icon: IconName; symbol: string }>>;
+export function recurrenceIcon(rule: { type: string } | null | undefined): IconName;
+
+export interface IconProps {
+  name: IconName;
+  /** A size token, or a number in px. Default '2xl' (24px). */
+  size?: IconSize | number;
+  /** Stroke color. Default currentColor. */
+  color?: string;
+  /** Overrides the icon's own stroke weight. */
+  weight?: IconWeight;
+  /** Rotates with the memossSpin keyframes from baseStyles. */
+  spinning?: boolean;
+}
+
+/** Always aria-hidden; name the control around it instead. */
+export function Icon(props: IconProps): ReactElement;
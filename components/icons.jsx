@@ -0,0 +1,45 @@
+import React from 'react';
+import { tokens } from '../memoss-tokens.js';
+import { ICONS } from '../memoss-icons.js';
+
+export { ICONS, ICON_NAMES, RECURRENCE_ICONS, recurrenceIcon } from '../memoss-icons.js';
+
+// Icons
+// Paths in a 24 × 24 viewBox, one entry per name in memoss-icons.js
+const GLYPHS = {
+  plus: <><line x1="12" y1="5" x2="12" y2="19" /><line x1="5" y1="12" x2="19" y2="12" /></>,
+  check: <polyline points="5,12 10,17 19,7" />,
+  x: <><line x1="18" y1="6" x2="6" y2="18" /><line x1="6" y1="6" x2="18" y2="18" /></>,
+  chevronRight: <polyline points="9,6 15,12 9,18" />,
+  arrowRight: <><line x1="5" y1="12" x2="19" y2="12" /><polyline points="12,5 19,12 12,19" /></>,
+  clock: <><circle cx="12" cy="12" r="9" /><polyline points="12,7 12,12 15,14" /></>,
+  calendar: <><rect x="3" y="4" width="18" height="18" rx="3" /><line x1="16" y1="2" x2="16" y2="6" /><line x1="8" y1="2" x2="8" y2="6" /><line x1="3" y1="10" x2="21" y2="10" /></>,
+  calendarClock: <><path d="M21 10V7a3 3 0 00-3-3H6a3 3 0 00-3 3v12a3 3 0 003 3h5" /><line x1="16" y1="2" x2="16" y2="6" /><line x1="8" y1="2" x2="8" y2="6" /><line x1="3" y1="10" x2="12" y2="10" /><circle cx="17.5" cy="17.5" r="4.5" /><polyline points="17.5,15.5 17.5,17.5 19,18.5" /></>,
+  calendarAlert: <><path d="M21 11V7a3 3 0 00-3-3H6a3 3 0 00-3 3v12a3 3 0 003 3h9" /><line x1="16" y1="2" x2="16" y2="6" /><line x1="8" y1="2" x2="8" y2="6" /><line x1="3" y1="10" x2="21" y2="10" /><line x1="20" y1="14" x2="20" y2="18" /><line x1="20" y1="21.5" x2="20" y2="21.5" /></>,
+  sunrise: <><path d="M17 18a5 5 0 00-10 0" /><line x1="12" y1="2" x2="12" y2="9" /><polyline points="8,5 12,2 16,5" /><line x1="4.2" y1="10.2" x2="5.6" y2="11.6" /><line x1="18.4" y1="11.6" x2="19.8" y2="10.2" /><line x1="1" y1="18" x2="3" y2="18" /><line x1="21" y1="18" x2="23" y2="18" /><line x1="1" y1="22" x2="23" y2="22" /></>,
+  repeat: <><path d="M17 2l4 4-4 4" /><path d="M3 11V9a4 4 0 014-4h14" /><path d="M7 22l-4-4 4-4" /><path d="M21 13v2a4 4 0 01-4 4H3" /></>,
+  bell: <><path d="M18 8A6 6 0 006 8c0 7-3 9-3 9h18s-3-2-3-9" /><path d="M13.73 21a2 2 0 01-3.46 0" /></>,
+  snooze: <><path d="M21 12.8A9 9 0 1111.2 3a7 7 0 009.8 9.8z" /><polyline points="14,4 18,4 14,8 18,8" /></>,
+  sync: <><path d="M21 12a9 9 0 01-15.5 6.2" /><path d="M3 12A9 9 0 0118.5 5.8" /><polyline points="18.5,2 18.5,5.8 14.7,5.8" /><polyline points="5.5,22 5.5,18.2 9.3,18.2" /></>,
+  cloud: <path d="M18 10h-1.26A8 8 0 109 20h9a5 5 0 000-10z" />,
+  tag: <><path d="M20.6 13.4l-7.2 7.2a2 2 0 01-2.8 0L3 13V3h10l7.6 7.6a2 2 0 010 2.8z" /><circle cx="7.5" cy="7.5" r="1.5" /></>,
+  flag: <><path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z" /><line x1="4" y1="22" x2="4" y2="15" /></>,
+  mic: <><rect x="9" y="2" width="6" height="12" rx="3" /><path d="M19 10v2a7 7 0 01-14 0v-2" /><line x1="12" y1="19" x2="12" y2="22" /></>,
+  copy: <><rect x="9" y="9" width="12" height="12" rx="2" /><path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1" /></>,
+  trash: <><polyline points="3,6 5,6 21,6" /><path d="M19 6l-1 14a2 2 0 01-2 2H8a2 2 0 01-2-2L5 6" /><path d="M10 11v6M14 11v6M9 6V4a1 1 0 011-1h4a1 1 0 011 1v2" /></>,
+  settings: <><circle cx="12" cy="12" r="3" /><path d="M19.4 15a1.65 1.65 0 00.33 1.82l.06.06a2 2 0 01-2.83 2.83l-.06-.06a1.65 1.65 0 00-1.82-.33 1.65 1.65 0 00-1 1.51V21a2 2 0 01-4 0v-.09A1.65 1.65 0 009 19.4a1.65 1.65 0 00-1.82.33l-.06.06a2 2 0 01-2.83-2.83l.06-.06a1.65 1.65 0 00.33-1.82 1.65 1.65 0 00-1.51-1H3a2 2 0 010-4h.09A1.65 1.65 0 004.6 9a1.65 1.65 0 00-.33-1.82l-.06-.06a2 2 0 012.83-2.83l.06.06a1.65 1.65 0 001.82.33H9a1.65 1.65 0 001-1.51V3a2 2 0 014 0v.09a1.65 1.65 0 001 1.51 1.65 1.65 0 001.82-.33l.06-.06a2 2 0 012.83 2.83l-.06.06a1.65 1.65 0 00-.33 1.82V9a1.65 1.65 0 001.51 1H21a2 2 0 010 4h-.09a1.65 1.65 0 00-1.51 1z" /></>,
+  person: <><circle cx="12" cy="12" r="10" /><circle cx="12" cy="10" r="3" /><path d="M6.2 18.8a7 7 0 0111.6 0" /></>,
+  leaf: <><path d="M11 20A7 7 0 0 1 9.8 6.1C15.5 5 17 4.48 19 2c1 2 2 4.18 2 8 0 5.5-4.78 10-10 10Z" /><path d="M2 21c0-3 1.85-5.36 5.08-6C9.5 14.52 12 13 13 12" /></>,
+  chart: <><rect x="3" y="12" width="4" height="9" rx="1" /><rect x="10" y="7" width="4" height="14" rx="1" /><rect x="17" y="3" width="4" height="18" rx="1" /></>,
+  flame: <path d="M12 22a7 7 0 007-7c0-4-3-6.5-4-10-1.5 2-2.5 3.5-2.5 5.5C11 9 10 8 9.5 6.5 7 9 5 11.5 5 15a7 7 0 007 7z" />,
+};
+
+/**
+ * Any registry icon by name. `size` is an icon size token (or px); `weight`
+ * overrides the icon's own stroke. Always aria-hidden: name the control
+ * around it instead.
+ */
+export const Icon = ({ name, size = '2xl', color = 'currentColor', weight, spinning = false }) => {
+  const px = tokens.icon.size[size] ?? size;
+  return (<svg aria-hidden="true" width={px} height={px} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth={tokens.icon.stroke[weight ?? ICONS[name].weight]} strokeLinecap="round" strokeLinejoin="round" style={spinning ? { animation: 'memossSpin 1s linear infinite' } : undefined}>{GLYPHS[name]}</svg>);
+};
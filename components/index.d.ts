@@ -0,0 +1,36 @@
+export { tokens, themes } from '../memoss-tokens.js';
+export type { MemossTheme, MemossTokens, ToneName } from '../memoss-tokens.js';
+export { ClockContext, LocaleContext, MotionContext, ThemeContext, createLocale, useLocale, useNow, useReducedMotion, useTheme } from './context.js';
+export type { HourCycle, LocaleCode, MemossFormatter, MemossLocale } from './context.js';
+export { baseStyles } from './styles.js';
+
+export { MossMascot } from './MossMascot.js';
+export type { MascotMood, MossMascotProps } from './MossMascot.js';
+export { Button } from './Button.js';
+export type { ButtonProps, ButtonSize, ButtonVariant } from './Button.js';
+export { Input } from './Input.js';
+export type { InputProps } from './Input.js';
+export { FieldError } from './FieldError.js';
+export type { FieldErrorProps } from './FieldError.js';
+export { Card } from './Card.js';
+export type { CardProps, CardVariant } from './Card.js';
+export { Checkbox } from './Checkbox.js';
+export type { CheckboxProps } from './Checkbox.js';
+export { Badge } from './Badge.js';
+export type { BadgeProps, BadgeVariant } from './Badge.js';
+export { DatePill } from './DatePill.js';
+export type { DatePillProps } from './DatePill.js';
+export { CompletionChart } from './CompletionChart.js';
+export type { CompletionBar, CompletionChartProps } from './CompletionChart.js';
+export { MonthCalendar } from './MonthCalendar.js';
+export type { DaySummary, MonthCalendarProps } from './MonthCalendar.js';
+export { ReminderCard, recurrenceLabel } from './ReminderCard.js';
+export type { RecurrenceRule, ReminderCardProps, SyncStatus, Tag } from './ReminderCard.js';
+export { FAB } from './FAB.js';
+export type { FABProps } from './FAB.js';
+export { UNDO_TIMEOUT, UndoToast } from './UndoToast.js';
+export type { UndoToastProps } from './UndoToast.js';
+export { SyncStatusBar } from './SyncStatusBar.js';
+export type { SyncStatusBarProps } from './SyncStatusBar.js';
+export { ICONS, ICON_NAMES, Icon, RECURRENCE_ICONS, recurrenceIcon } from './icons.js';
+export type { IconInfo, IconName, IconProps, IconSize, IconWeight } from './icons.js';
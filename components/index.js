@@ -0,0 +1,32 @@
+// ============================================
+// MEMOSS COMPONENTS
+// The package entry: tokens, themes, contexts and every library component
+// as named exports. Each component also has its own module (e.g.
+// components/Button.jsx) for deep imports; nothing here has side effects,
+// so bundlers drop what a project doesn't use.
+//
+// Components render with the light theme, US English and real time by
+// default. Wrap them in ThemeContext / LocaleContext / ClockContext /
+// MotionContext providers to change that, and render baseStyles(theme)
+// once for the focus ring, keyframes and reduced-motion rules.
+// ============================================
+
+export { tokens, themes } from '../memoss-tokens.js';
+export { ClockContext, LocaleContext, MotionContext, ThemeContext, createLocale, useLocale, useNow, useReducedMotion, useTheme } from './context.js';
+export { baseStyles } from './styles.js';
+
+export { MossMascot } from './MossMascot.jsx';
+export { Button } from './Button.jsx';
+export { Input } from './Input.jsx';
+export { FieldError } from './FieldError.jsx';
+export { Card } from './Card.jsx';
+export { Checkbox } from './Checkbox.jsx';
+export { Badge } from './Badge.jsx';
+export { DatePill } from './DatePill.jsx';
+export { CompletionChart } from './CompletionChart.jsx';
+export { MonthCalendar } from './MonthCalendar.jsx';
+export { ReminderCard, recurrenceLabel } from './ReminderCard.jsx';
+export { FAB } from './FAB.jsx';
+export { UNDO_TIMEOUT, UndoToast } from './UndoToast.jsx';
+export { SyncStatusBar } from './SyncStatusBar.jsx';
+export { ICONS, ICON_NAMES, Icon, RECURRENCE_ICONS, recurrenceIcon } from './icons.jsx';
@@ -0,0 +1,8 @@
+import type { MemossTheme } from '../memoss-tokens.js';
+
+/**
+ * Global CSS for a page using the components: box-sizing reset, focus ring,
+ * keyframes and the reduced-motion rules. `local` skips the Google Fonts
+ * import and uses installed Nunito, falling back to system-ui.
+ */
+export function baseStyles(theme: MemossTheme, fonts?: 'google' | 'local'): string;
@@ -0,0 +1,20 @@
+import { tokens } from '../memoss-tokens.js';
+
+// Nunito from Google Fonts, or (`local`, for offline snapshot runs) installed
+// copies of it; without them the system-ui fallback in the font stacks applies
+const FONT_SOURCES = {
+  google: "@import url('https://fonts.googleapis.com/css2?family=Nunito:wght@400;500;600;700;800&family=Nunito+Sans:wght@400;500;600;700&display=swap');",
+  local: "@font-face { font-family: 'Nunito'; font-weight: 400 800; src: local('Nunito'), local('Nunito-Regular'); } @font-face { font-family: 'Nunito Sans'; font-weight: 400 700; src: local('Nunito Sans'), local('NunitoSans-Regular'); }",
+};
+
+// Focus rings only show for keyboard focus (:focus-visible), in the theme's focus color
+export const baseStyles = (theme, fonts = 'google') => `
+  ${FONT_SOURCES[fonts]}
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  @keyframes memossSpin { from { transform: rotate(0deg); } to { transform: rotate(360deg); } }
+  @keyframes memossSlideIn { from { transform: translateX(24px); opacity: 0; } to { transform: translateX(0); opacity: 1; } }
+  @keyframes memossBannerIn { from { transform: translateY(-120%); opacity: 0; } to { transform: translateY(0); opacity: 1; } }
+  :focus { outline: none; }
+  :focus-visible { outline: ${tokens.focus.width} solid ${theme.border.focus}; outline-offset: ${tokens.focus.offset}; }
+  [data-reduced-motion="true"] *, [data-reduced-motion="true"] *::before, [data-reduced-motion="true"] *::after { animation: none !important; transition: none !important; scroll-behavior: auto !important; }
+`;
@@ -0,0 +1,167 @@
+import { createMemoryStorage, probeLocalStorage } from './memoss-store.js';
+
+// ============================================
+// MEMOSS AUTH
+// Local stand-in for AuthService.swift: sign in with Apple or Google, link
+// and unlink providers (plans/feat-account-linking.md), sign out and delete
+// the account. No network; knobs fail the next request or expire the
+// session so every account state on the Settings screen can be reached.
+//
+// The session ({ email, provider, linkedProviders, expiresAt }) is saved
+// like the Keychain tokens; "signing in" and errors are not.
+// ============================================
+
+export const AUTH_KEY = 'memoss.auth';
+
+export const AUTH_PROVIDERS = ['apple', 'google'];
+
+/** What the Settings account section shows, in the order a first sign-in goes through them. */
+export const ACCOUNT_STATES = ['signedOut', 'signingIn', 'linked', 'tokenExpired', 'error'];
+
+// Server codes from the account-linking plan, plus the client-side AuthError cases
+export const AUTH_ERROR_CODES = ['PROVIDER_CONFLICT', 'INVALID_PROVIDER_TOKEN', 'CANNOT_UNLINK_ONLY_PROVIDER', 'NETWORK_ERROR', 'CANCELLED'];
+
+// Same lifetime as the Go backend's refresh tokens; after that the user signs in again
+export const SESSION_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const wait = (ms) => (ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve());
+
+/** Account state for a snapshot of the provider (see createFakeAuth). */
+export const accountState = ({ session, busy, error }, now = new Date()) => {
+  if (busy === 'signIn') return 'signingIn';
+  if (!session) return error ? 'error' : 'signedOut';
+  return now >= session.expiresAt ? 'tokenExpired' : 'linked';
+};
+
+/**
+ * Create a fake auth provider. Actions are async like the real service and
+ * resolve once the simulated request is done; read `snapshot` (or
+ * `stateAt(now)`) for the result. `busy` is 'signIn' or the provider being
+ * linked or unlinked while a request is in flight.
+ */
+export const createFakeAuth = ({ latency = 800, storage = probeLocalStorage() ?? createMemoryStorage(), key = AUTH_KEY, now = () => new Date(), email = 'moss@example.com' } = {}) => {
+  const load = () => {
+    try {
+      const saved = JSON.parse(storage.getItem(key) ?? 'null');
+      return saved && { ...saved, expiresAt: new Date(saved.expiresAt) };
+    } catch {
+      return null;
+    }
+  };
+  let session = load();
+  let busy = null;
+  let error = null;
+  let nextFailure = null;
+  const listeners = new Set();
+  const notify = () => listeners.forEach(listener => listener());
+
+  const persist = () => {
+    if (session) storage.setItem(key, JSON.stringify(session));
+    else storage.removeItem(key);
+  };
+
+  // One simulated request: `busy` while waiting, then the queued failure (if any) or `apply`
+  const request = async (label, apply) => {
+    busy = label;
+    error = null;
+    notify();
+    await wait(latency);
+    const failure = nextFailure;
+    nextFailure = null;
+    busy = null;
+    // Cancelling the system sheet is not an error, like AuthError.cancelled
+    if (failure && failure !== 'CANCELLED') error = { code: failure };
+    if (!failure) apply();
+    persist();
+    notify();
+    return !failure;
+  };
+
+  const newSession = (provider, linkedProviders = [provider]) => ({ email, provider, linkedProviders, expiresAt: new Date(now().getTime() + SESSION_DAYS * DAY) });
+
+  return {
+    get snapshot() { return { session, busy, error }; },
+    get nextFailure() { return nextFailure; },
+
+    stateAt(date = now()) {
+      return accountState({ session, busy, error }, date);
+    },
+
+    signIn(provider) {
+      return request('signIn', () => { session = newSession(provider); });
+    },
+
+    /** Sign in again after the session expired, keeping the linked providers. */
+    reauthenticate() {
+      return request('signIn', () => { session = newSession(session.provider, session.linkedProviders); });
+    },
+
+    link(provider) {
+      return request(provider, () => { session = { ...session, linkedProviders: [...session.linkedProviders, provider] }; });
+    },
+
+    unlink(provider) {
+      // Checked before any request, like the guard in AuthService.unlinkProvider
+      if (session.linkedProviders.length <= 1) {
+        error = { code: 'CANNOT_UNLINK_ONLY_PROVIDER' };
+        notify();
+        return Promise.resolve(false);
+      }
+      return request(provider, () => {
+        const linkedProviders = session.linkedProviders.filter(linked => linked !== provider);
+        session = { ...session, linkedProviders, provider: linkedProviders.includes(session.provider) ? session.provider : linkedProviders[0] };
+      });
+    },
+
+    // Signing out always succeeds locally, even if the logout request fails
+    signOut() {
+      session = null;
+      error = null;
+      persist();
+      notify();
+    },
+
+    deleteAccount() {
+      return request('delete', () => { session = null; });
+    },
+
+    dismissError() {
+      error = null;
+      notify();
+    },
+
+    /** Make the next sign-in, link, unlink or delete fail with `code` (one of AUTH_ERROR_CODES); null clears it. */
+    failNext(code) {
+      nextFailure = code;
+      notify();
+    },
+
+    /** End the session now, as if the refresh token had run out. */
+    expireSession() {
+      if (!session) return;
+      session = { ...session, expiresAt: now() };
+      persist();
+      notify();
+    },
+
+    setLatency(ms) {
+      latency = ms;
+    },
+
+    reset() {
+      session = null;
+      busy = null;
+      error = null;
+      nextFailure = null;
+      persist();
+      notify();
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
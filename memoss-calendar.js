@@ -0,0 +1,92 @@
+import { addDays, startOfDay, startOfWeek, toDateInputValue } from './memoss-dates.js';
+import { occurrencesBetween } from './memoss-recurrence.js';
+
+// ============================================
+// MEMOSS CALENDAR
+// Reminders laid out over days for the month grid, the agenda and the list.
+// Recurring reminders are expanded into their occurrences; a series that
+// falls several times on one day (hourly) counts once, at its next slot that
+// day or the last one once they have all passed. Completed reminders only
+// show on the day they were scheduled.
+//
+// Days are keyed by their 'YYYY-MM-DD' date in local time (see dayKey).
+// ============================================
+
+export const dayKey = (date) => toDateInputValue(date);
+
+export const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+export const addMonths = (date, months) => new Date(date.getFullYear(), date.getMonth() + months, 1);
+
+export const isSameMonth = (a, b) => a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth();
+
+/**
+ * Six rows of seven days from the Sunday on or before the 1st, like the date
+ * strip's weeks. Always six rows, so paging months doesn't change the height.
+ */
+export const monthGrid = (month) => {
+  const first = startOfWeek(startOfMonth(month));
+  return [...Array(6)].map((_, week) => [...Array(7)].map((_, day) => addDays(first, week * 7 + day)));
+};
+
+// MARK: - Occurrences
+
+/**
+ * Reminders per day between `start` and `end` (exclusive): a Map of dayKey →
+ * reminders with `scheduledDate` moved to that day's occurrence, sorted by time.
+ */
+export const occurrencesByDay = (reminders, start, end, now = new Date()) => {
+  const days = new Map();
+  reminders.forEach(reminder => {
+    if (!reminder.scheduledDate) return;
+    const dates = reminder.completed ? occurrencesBetween({ scheduledDate: reminder.scheduledDate }, start, end) : occurrencesBetween(reminder, start, end);
+    const byDay = dates.reduce((groups, date) => groups.set(dayKey(date), [...(groups.get(dayKey(date)) ?? []), date]), new Map());
+    byDay.forEach((sameDay, key) => {
+      const scheduledDate = sameDay.find(date => date > now) ?? sameDay[sameDay.length - 1];
+      days.set(key, [...(days.get(key) ?? []), { ...reminder, scheduledDate }]);
+    });
+  });
+  days.forEach(entries => entries.sort((a, b) => a.scheduledDate - b.scheduledDate));
+  return days;
+};
+
+/** One day of the list, e.g. today's tasks. */
+export const remindersForDay = (reminders, day, now = new Date()) => {
+  const dayStart = startOfDay(day);
+  return occurrencesByDay(reminders, dayStart, addDays(dayStart, 1), now).get(dayKey(dayStart)) ?? [];
+};
+
+// MARK: - Summaries
+
+export const MAX_DENSITY = 3;
+
+/** Dots for a day's open reminders: one, two for 2–3, three for 4 or more. */
+export const densityLevel = (open) => {
+  if (open <= 0) return 0;
+  if (open === 1) return 1;
+  return open <= 3 ? 2 : MAX_DENSITY;
+};
+
+/**
+ * What the month grid shows per day: a plain object of dayKey →
+ * { open, completed, highPriority }, with highPriority counting open ones only.
+ */
+export const daySummaries = (reminders, start, end, now = new Date()) => Object.fromEntries([...occurrencesByDay(reminders, start, end, now)].map(([key, entries]) => {
+  const open = entries.filter(r => !r.completed);
+  return [key, { open: open.length, completed: entries.length - open.length, highPriority: open.filter(r => r.priority === 'high').length }];
+}));
+
+/** Summaries for every day a month's grid shows, including the days of the months around it. */
+export const monthSummaries = (reminders, month, now = new Date()) => {
+  const grid = monthGrid(month);
+  return daySummaries(reminders, grid[0][0], addDays(grid[5][6], 1), now);
+};
+
+// MARK: - Agenda
+
+/** The days from `start` on that have reminders: [{ date, reminders }] for `days` days. */
+export const agendaDays = (reminders, start, days, now = new Date()) => {
+  const from = startOfDay(start);
+  const byDay = occurrencesByDay(reminders, from, addDays(from, days), now);
+  return [...Array(days)].map((_, i) => addDays(from, i)).filter(date => byDay.has(dayKey(date))).map(date => ({ date, reminders: byDay.get(dayKey(date)) }));
+};
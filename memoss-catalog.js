@@ -0,0 +1,257 @@
+import { ICON_NAMES } from './memoss-icons.js';
+import { TAG_COLORS } from './memoss-tags.js';
+import { tokens } from './memoss-tokens.js';
+import { BADGE_VARIANTS, BUTTON_VARIANTS } from './memoss-variants.js';
+
+// ============================================
+// MEMOSS COMPONENT CATALOG
+// Prop schemas for the Catalog page: what each component is for, its props
+// (type, default, description) and the example value the playground starts
+// from. Kept out of the JSX so `node scripts/check-catalog.js` can compare
+// them with the components in components/ and memoss-design-system.jsx.
+// ============================================
+
+// MARK: - Prop Types
+
+// Every builder takes the description first, then { default, example } where
+// `default` is the component's own default and `example` the playground's
+// starting value. `control: false` props are documented but not editable.
+export const prop = {
+  text: (description, options = {}) => ({ type: 'text', description, ...options }),
+  boolean: (description, options = {}) => ({ type: 'boolean', description, ...options }),
+  number: (description, { min, max, step = 1, ...options }) => ({ type: 'number', description, min, max, step, ...options }),
+  oneOf: (values, description, options = {}) => ({ type: 'enum', values, description, ...options }),
+  // An <Icon> element; picked by name and rendered at the `size` token in the preview and snippet
+  icon: (size, description, options = {}) => ({ type: 'icon', values: ['', ...ICON_NAMES], size, description, ...options }),
+  handler: (description) => ({ type: 'function', description, control: false }),
+  // Structured data (dates, rules, arrays) that the playground leaves out
+  data: (type, description) => ({ type, description, control: false }),
+};
+
+// A tri-state `aria-pressed`: unset, true or false
+const pressedProp = (description) => prop.oneOf(['', 'true', 'false'], description, { example: '' });
+
+// MARK: - Entries
+
+export const CATALOG = {
+  MossMascot: {
+    description: 'The moss mascot. Decorative unless given a title; animation stops under reduced motion.',
+    props: {
+      size: prop.number('Width in px; height is 70% of it', { min: 40, max: 200, step: 10, default: 120 }),
+      mood: prop.oneOf(['happy', 'excited', 'calm', 'sleepy'], 'Eye size and mouth shape', { default: 'happy' }),
+      animate: prop.boolean('Wiggle, sway and sparkle', { default: false }),
+      title: prop.text('Accessible name; without it the SVG is aria-hidden'),
+    },
+  },
+  Button: {
+    description: 'Primary action control. Icon-only buttons take their accessible name from ariaLabel or string children.',
+    props: {
+      children: prop.text('Label', { example: 'Add reminder' }),
+      variant: prop.oneOf(BUTTON_VARIANTS, 'Color style from memoss-variants.js', { default: 'primary' }),
+      size: prop.oneOf(['sm', 'md', 'lg'], 'Padding, font size and minimum tap target', { default: 'md' }),
+      icon: prop.icon('lg', 'Leading icon'),
+      iconOnly: prop.boolean('Round button showing just the icon', { default: false }),
+      fullWidth: prop.boolean('Stretch to the container', { default: false }),
+      ariaLabel: prop.text('Accessible name when the label is hidden'),
+      ariaPressed: pressedProp('Makes it a toggle button'),
+      onClick: prop.handler('Called on press'),
+      style: prop.data('object', 'Style overrides'),
+    },
+  },
+  Input: {
+    description: 'Text field with a label, an optional leading icon and an inline error.',
+    props: {
+      label: prop.text('Visible label', { example: 'What do you need to remember?' }),
+      placeholder: prop.text('Hint text; also the accessible name when there is no label', { example: 'e.g., Water the plants, call mom' }),
+      value: prop.text('Current text'),
+      icon: prop.icon('xl', 'Leading icon'),
+      error: prop.text('Shown below the field; marks it aria-invalid'),
+      ariaLabel: prop.text('Accessible name when there is no label'),
+      onChange: prop.handler('Called with the change event'),
+      style: prop.data('object', 'Style overrides for the wrapper'),
+    },
+  },
+  FieldError: {
+    description: 'Inline validation message, announced as an alert.',
+    props: {
+      children: prop.text('Message', { example: 'Pick a time in the future.' }),
+    },
+  },
+  Card: {
+    description: 'Rounded container for grouped content.',
+    props: {
+      children: prop.text('Content', { example: 'Cards group related content.' }),
+      variant: prop.oneOf(['elevated', 'outlined', 'soft', 'nature'], 'Surface, border and shadow', { default: 'elevated' }),
+      padding: prop.oneOf(['sm', 'md', 'lg'], 'Inner spacing', { default: 'md' }),
+      style: prop.data('object', 'Style overrides'),
+    },
+  },
+  Checkbox: {
+    description: 'Square check that toggles on click and Space.',
+    props: {
+      checked: prop.boolean('Checked state', { example: false }),
+      label: prop.text('Visible label', { example: 'Water the plants' }),
+      strikethrough: prop.boolean('Strike the label through once checked', { default: false }),
+      ariaLabel: prop.text('Accessible name when there is no label'),
+      onChange: prop.handler('Called on toggle'),
+    },
+  },
+  Badge: {
+    description: 'Small label for tags and statuses. With onClick it renders as a toggle button.',
+    props: {
+      children: prop.text('Label', { example: 'Work' }),
+      variant: prop.oneOf(BADGE_VARIANTS, 'Color style from memoss-variants.js', { default: 'default' }),
+      color: prop.oneOf(['', ...TAG_COLORS], 'Any hex color, e.g. a tag’s; replaces the variant with an AA-contrast tint'),
+      pressed: pressedProp('aria-pressed when it is a button'),
+      onClick: prop.handler('Makes the badge a button'),
+      style: prop.data('object', 'Style overrides'),
+    },
+  },
+  DatePill: {
+    description: 'One day in the date strip.',
+    props: {
+      day: prop.number('Day of the month', { min: 1, max: 31, example: 21 }),
+      weekday: prop.text('Short weekday name', { example: 'Tue' }),
+      label: prop.text('Accessible name', { example: 'Tuesday, January 21, has reminders' }),
+      isActive: prop.boolean('Selected day', { default: false }),
+      isToday: prop.boolean('Today; sets aria-current="date"', { default: false }),
+      hasReminder: prop.boolean('Dot for days with open reminders', { default: false, example: true }),
+      onClick: prop.handler('Called when the day is picked'),
+      style: prop.data('object', 'Style overrides'),
+    },
+  },
+  CompletionChart: {
+    description: 'Stacked bars of on-time and late completions per day or week, from the completion log. The bar for today or this week is outlined.',
+    props: {
+      data: prop.data('CompletionBar[]', 'Bars from dailyCompletions or weeklyCompletions'),
+      period: prop.oneOf(['day', 'week'], 'Labels bars by weekday or by the date the week starts', { default: 'day' }),
+      label: prop.text('Accessible name for the chart', { example: 'Completions this week' }),
+      legend: prop.boolean('Show the on-time and late key', { default: false, example: true }),
+    },
+  },
+  MonthCalendar: {
+    description: 'Month grid for the calendar screen. Dots show how many reminders are open each day (one, two for 2–3, three for 4+), a pink marker flags open high-priority ones.',
+    props: {
+      month: prop.data('Date', 'Any date in the month to show; defaults to now'),
+      selectedDate: prop.data('Date', 'Highlighted day'),
+      summaries: prop.data('Record<string, DaySummary>', 'Per-day counts from monthSummaries, keyed YYYY-MM-DD'),
+      onSelect: prop.handler('Called with the tapped day'),
+      onMonthChange: prop.handler('Adds previous, next and today controls'),
+    },
+  },
+  ReminderCard: {
+    description: 'A reminder in the list, with swipe actions, snooze and sync states.',
+    props: {
+      title: prop.text('Title; also names the checkbox', { example: 'Water the plants 🌱' }),
+      time: prop.text('Time label; otherwise formatted from scheduledDate', { example: '9:00 AM' }),
+      recurrence: prop.text('Repeat label; otherwise derived from recurrenceRule'),
+      completed: prop.boolean('Checked and struck through', { default: false }),
+      overdue: prop.boolean('Time shown in the error color', { default: false }),
+      priority: prop.oneOf(['', 'high'], 'High priority adds a “!” badge'),
+      syncStatus: prop.oneOf(['', 'pending', 'syncing', 'failed', 'conflict'], 'Sync row under the card'),
+      syncMessage: prop.text('Detail after the sync status'),
+      scheduledDate: prop.data('Date', 'When it is due'),
+      recurrenceRule: prop.data('RecurrenceRule', 'Repeat rule; lists the next occurrences'),
+      recurrenceEndDate: prop.data('Date', 'Last possible occurrence'),
+      snoozedUntil: prop.data('Date', 'Shows the snoozed state until then'),
+      tags: prop.data('Tag[]', 'Tag badges under the title'),
+      onToggle: prop.handler('Called when the checkbox is toggled'),
+      onOpen: prop.handler('Called on tap; makes the title an Edit button'),
+      onSnooze: prop.handler('Adds the Snooze swipe action'),
+      onUnsnooze: prop.handler('Called by Wake now on a snoozed card'),
+      onDuplicate: prop.handler('Adds the Duplicate swipe action'),
+      onDelete: prop.handler('Adds the Delete swipe action'),
+      onSyncAction: prop.handler('Called by Retry / OK on the sync row'),
+    },
+  },
+  FAB: {
+    description: 'Floating action button for the main action on a screen.',
+    props: {
+      label: prop.text('Accessible name', { example: 'Add reminder' }),
+      icon: prop.icon('3xl', 'Icon', { example: 'plus' }),
+      onClick: prop.handler('Called on press'),
+    },
+  },
+  UndoToast: {
+    description: 'Status toast with an Undo action after completing or deleting. Positioned at the bottom of the phone.',
+    props: {
+      message: prop.text('What happened', { example: 'Completed “Water the plants 🌱”' }),
+      onUndo: prop.handler('Called by Undo'),
+      onDismiss: prop.handler('Called by the close button'),
+    },
+  },
+  SyncStatusBar: {
+    description: 'Sync summary above the date strip.',
+    props: {
+      isSyncing: prop.boolean('Spinning icon and “Syncing…”', { example: false }),
+      pending: prop.number('Local changes waiting to sync', { min: 0, max: 9, example: 0 }),
+      error: prop.text('Last sync error; “offline” or “network” reads as Offline'),
+      lastSyncedAt: prop.data('Date', 'Time of the last successful sync'),
+      onSync: prop.handler('Called by Sync / Retry'),
+    },
+  },
+  Icon: {
+    description: 'Stroke icon from the registry in memoss-icons.js, always aria-hidden; name the control around it instead.',
+    props: {
+      name: prop.oneOf(ICON_NAMES, 'Which icon', { example: 'leaf' }),
+      size: prop.oneOf(Object.keys(tokens.icon.size), 'Size token (a number is taken as px)', { default: '2xl' }),
+      weight: prop.oneOf(['', ...Object.keys(tokens.icon.stroke)], 'Stroke weight; unset uses the icon’s own', { example: '' }),
+      color: prop.oneOf(['currentColor', ...TAG_COLORS], 'Stroke color', { default: 'currentColor' }),
+      spinning: prop.boolean('Rotates, e.g. sync while syncing', { default: false }),
+    },
+  },
+};
+
+// Components in memoss-design-system.jsx left out on purpose: the app, its
+// screens and panels, and parts that only make sense inside one screen
+export const CATALOG_IGNORED = [
+  /^MemossDesignSystem$/, /^Snapshot$/, /Screen$/, /Panel$/, /Docs$/, /Documentation$/, /^ComponentCatalog$/, /^PropControl$/, /^ColorPalette$/, /^IconGallery$/,
+  /^ListSection$/, /^DateStrip$/, /^GreetingHeader$/, /^SnoozeSheet$/, /^NotificationBanner$/, /^PermissionAlert$/, /^ColorSwatches$/, /^TagForm$/, /^TagPicker$/, /^PickerCard$/,
+  /^SettingsSection$/, /^SettingsToggle$/, /^AccountCard$/, /^AgendaView$/, /^CompletionHistory$/, /^MilestoneCelebration$/,
+];
+
+// MARK: - Lookups
+
+/** Top-level arrow-function components (PascalCase consts, exported or not) in a JSX source file. */
+export const findComponentNames = (source) => [...source.matchAll(/^(?:export )?const ([A-Z]\w*) = (?:\([^)]*\)|\w+) =>/gm)].map(match => match[1]);
+
+/** Components with no catalog entry that aren't ignored. */
+export const missingEntries = (names, { catalog = CATALOG, ignored = CATALOG_IGNORED } = {}) => names.filter(name => !catalog[name] && !ignored.some(pattern => pattern.test(name)));
+
+/** Entries that no longer match a component. */
+export const staleEntries = (names, catalog = CATALOG) => Object.keys(catalog).filter(name => !names.includes(name));
+
+// MARK: - Playground
+
+const EMPTY_VALUES = { text: '', enum: '', icon: '', boolean: false };
+
+export const isEditable = (schema) => schema.control !== false;
+
+/** Starting values for an entry's editable props. */
+export const initialValues = ({ props }) => Object.fromEntries(Object.entries(props).filter(([, schema]) => isEditable(schema)).map(([key, schema]) => [key, schema.example ?? schema.default ?? EMPTY_VALUES[schema.type]]));
+
+/** Whether a value can be left out of the JSX: it's the component's default or empty. */
+export const isDefaultValue = (schema, value) => value === (schema.default ?? EMPTY_VALUES[schema.type]);
+
+/** Editable values as props: empty strings dropped and tri-state strings turned into booleans. */
+export const valuesToProps = ({ props }, values) => Object.fromEntries(Object.entries(values).filter(([key, value]) => !isDefaultValue(props[key], value) || key === 'children').map(([key, value]) => [key, value === 'true' || value === 'false' ? value === 'true' : value]));
+
+const attribute = (key, value, schema) => {
+  if (schema.type === 'boolean') return value ? key : `${key}={false}`;
+  if (schema.type === 'number' || value === 'true' || value === 'false') return `${key}={${value}}`;
+  if (schema.type === 'icon') return `${key}={<Icon name="${value}" size="${schema.size}" />}`;
+  return /["{}<>]/.test(value) ? `${key}={${JSON.stringify(value)}}` : `${key}="${value}"`;
+};
+
+/**
+ * JSX for the current values, leaving out defaults. `handlers` are the
+ * callbacks the preview wires up; they show as `onChange={handleChange}`.
+ */
+export const jsxSnippet = (name, entry, values, { handlers = [] } = {}) => {
+  const attributes = Object.entries(entry.props)
+    .filter(([key, schema]) => key !== 'children' && isEditable(schema) && !isDefaultValue(schema, values[key]))
+    .map(([key, schema]) => attribute(key, values[key], schema));
+  const callbacks = handlers.map(key => `${key}={${key.replace(/^on/, 'handle')}}`);
+  const open = [name, ...attributes, ...callbacks].join(' ');
+  return values.children ? `<${open}>${values.children}</${name}>` : `<${open} />`;
+};
@@ -0,0 +1,53 @@
+// ============================================
+// MEMOSS COLOR UTILITIES
+// WCAG contrast math and color mixing for user-picked colors (tags) that
+// the fixed token shades don't cover.
+// ============================================
+
+export const hexToRgb = (hex) => {
+  const value = hex.replace('#', '');
+  const full = value.length === 3 ? value.split('').map(char => char + char).join('') : value;
+  return [0, 2, 4].map(offset => parseInt(full.slice(offset, offset + 2), 16));
+};
+
+export const rgbToHex = (rgb) => `#${rgb.map(channel => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+
+/** Mix `amount` (0-1) of `hex` into `base`. */
+export const mix = (hex, base, amount) => {
+  const from = hexToRgb(base);
+  return rgbToHex(hexToRgb(hex).map((channel, i) => from[i] + (channel - from[i]) * amount));
+};
+
+// https://www.w3.org/TR/WCAG21/#dfn-relative-luminance
+export const relativeLuminance = (hex) => {
+  const [r, g, b] = hexToRgb(hex).map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+export const contrastRatio = (foreground, background) => {
+  const [lighter, darker] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+// WCAG AA thresholds
+export const MIN_CONTRAST = { text: 4.5, largeText: 3 };
+
+/** Pick whichever of `light` / `dark` reads better on `background`. */
+export const readableTextColor = (background, { light = '#FFFFFF', dark = '#252320' } = {}) =>
+  contrastRatio(light, background) >= contrastRatio(dark, background) ? light : dark;
+
+/**
+ * Darken (or lighten, on dark backgrounds) `foreground` until it reaches
+ * `ratio` against `background`, keeping as much of its hue as possible.
+ */
+export const ensureContrast = (foreground, background, ratio = MIN_CONTRAST.text) => {
+  const target = relativeLuminance(background) > 0.5 ? '#000000' : '#FFFFFF';
+  for (let step = 0; step <= 20; step++) {
+    const candidate = mix(target, foreground, step / 20);
+    if (contrastRatio(candidate, background) >= ratio) return candidate;
+  }
+  return target;
+};
@@ -0,0 +1,26 @@
+import { MIN_CONTRAST, contrastRatio } from './memoss-color-utils.js';
+import { BADGE_VARIANTS, BUTTON_VARIANTS, badgeVariants, buttonVariants } from './memoss-variants.js';
+
+// ============================================
+// MEMOSS CONTRAST CHECK
+// WCAG AA text contrast for every Badge and Button variant in every theme.
+// Badge and button labels are under 18px, so all pairs need the 4.5:1 text
+// ratio. Run it with `node scripts/check-contrast.js`.
+// ============================================
+
+const rowsFor = (themeName, component, variants, names) => names.flatMap(variant => {
+  const { background, color, backdrops = [background] } = variants[variant];
+  return backdrops.map(backdrop => {
+    const ratio = contrastRatio(color, backdrop);
+    return { theme: themeName, component, variant, foreground: color, background: backdrop, ratio, required: MIN_CONTRAST.text, pass: ratio >= MIN_CONTRAST.text };
+  });
+});
+
+/** One row per variant, theme and backdrop: { theme, component, variant, foreground, background, ratio, required, pass }. */
+export const contrastReport = (themes) => Object.entries(themes).flatMap(([themeName, theme]) => [
+  ...rowsFor(themeName, 'Badge', badgeVariants(theme), BADGE_VARIANTS),
+  ...rowsFor(themeName, 'Button', buttonVariants(theme), BUTTON_VARIANTS),
+]);
+
+export const formatContrastRow = ({ theme, component, variant, foreground, background, ratio, required, pass }) =>
+  `${pass ? '✓' : '✗'} ${theme} ${component} ${variant}: ${foreground} on ${background} = ${ratio.toFixed(2)}:1 (needs ${required}:1)`;
@@ -0,0 +1,27 @@
+// ============================================
+// MEMOSS DATES
+// Calendar-day helpers shared by the components and the prototype screens.
+// Days are local-time days, like Calendar.current in the iOS app.
+// ============================================
+
+export const MINUTE = 60 * 1000;
+
+export const isSameDay = (a, b) => a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+export const startOfWeek = (date) => addDays(startOfDay(date), -date.getDay());
+
+/** Just the time today, otherwise "tomorrow, 9:00 AM" or "Friday, 9:00 AM" (`locale` is { t, format }). */
+export const formatDayTime = ({ t, format }, date, now) => (isSameDay(date, now) ? format.time(date) : t('time.dayTime', { day: format.relativeDay(date, now), time: format.time(date) }));
+
+/** Defaults new reminders to the next 15-minute mark, like the iOS form. */
+export const nextQuarterHour = (now = new Date()) => {
+  const date = new Date(now.getTime() + 15 * MINUTE);
+  date.setMinutes(Math.floor(date.getMinutes() / 15) * 15, 0, 0);
+  return date;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+export const toDateInputValue = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+export const toTimeInputValue = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
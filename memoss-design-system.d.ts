@@ -0,0 +1,29 @@
+import type { ReactElement } from 'react';
+
+export type ShowcaseScreen = 'onboarding' | 'list' | 'create' | 'edit' | 'empty' | 'success' | 'voice' | 'tags' | 'calendar' | 'stats' | 'settings' | 'import' | 'system' | 'catalog';
+
+export interface MemossDesignSystemProps {
+  initialScreen?: ShowcaseScreen;
+  initialTheme?: 'light' | 'dark';
+  /** Defaults to the OS prefers-reduced-motion setting. */
+  initialReduceMotion?: boolean;
+  /** Saved prototype data to start from instead of localStorage or the samples. */
+  initialState?: object;
+  fonts?: 'google' | 'local';
+}
+
+/** The showcase app: phone screens, docs and dev panels. */
+declare function MemossDesignSystem(props: MemossDesignSystemProps): ReactElement;
+export default MemossDesignSystem;
+
+export interface SnapshotProps {
+  /** Catalog entry to render with `values` (see memoss-catalog.js). */
+  entry?: string;
+  values?: Record<string, unknown>;
+  /** A whole screen instead of one entry. */
+  screen?: ShowcaseScreen;
+  theme?: 'light' | 'dark';
+}
+
+/** Static render target for scripts/snapshots.js. */
+export function Snapshot(props: SnapshotProps): ReactElement;
@@ -1,578 +1,2137 @@
-import React, { useState } from 'react';
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react';
+import { tokens, themes } from './memoss-tokens.js';
+import { parseReminder, segmentTranscript } from './memoss-reminder-parser.js';
+import { MAX_TAG_NAME_LENGTH, TAG_COLORS, countRemindersByTag, createTag, deleteTag, ensureTags, filterByTags, recolorTag, removeTagFromReminders, renameTag, resolveTags, validateTagName } from './memoss-tags.js';
+import { mix } from './memoss-color-utils.js';
+import { createReminderStore, exportJson, importJson } from './memoss-store.js';
+import { createMockServer } from './memoss-mock-server.js';
+import { DEFAULT_PROFILE, GREETING_STYLES, MAX_NAME_LENGTH, PROFILE_LOCALES, greetingFor, greetingName, greetingStyleLabel, hourCycleLabel, mascotMood, normalizeProfile } from './memoss-profile.js';
+import { HOUR_CYCLES, LOCALES } from './memoss-i18n.js';
+import { CLOCK_SPEEDS, LOOKAHEAD_DAYS, createVirtualClock, deliverNotifications, nextNotification, notificationsBetween } from './memoss-notifications.js';
+import { contrastReport } from './memoss-contrast.js';
+import { CATALOG, initialValues, isEditable, jsxSnippet, missingEntries, staleEntries, valuesToProps } from './memoss-catalog.js';
+import { DEFAULT_SNOOZE_MINUTES, DEFAULT_SNOOZE_PRESETS, MAX_SNOOZE_MINUTES, addPreset, clearSnooze, dueDate, parseSnoozeInput, presetKey, presetLabel, removePreset, snoozeReminder, snoozeUntil, validatePreset } from './memoss-snooze.js';
+import { EMPTY_SYNC, createApiClient, itemKey, nextNumericId, pendingCount, queueDeletion, rebase, syncAll, syncStatusOf } from './memoss-sync.js';
+import { RECURRENCE_TYPES, advanceToNextOccurrence, isRecurring, monthlyOnCurrentDay, weeklyOnCurrentDay } from './memoss-recurrence.js';
+import { MINUTE, addDays, formatDayTime, isSameDay, startOfDay, startOfWeek, toDateInputValue, toTimeInputValue } from './memoss-dates.js';
+import { agendaDays, dayKey, monthSummaries, remindersForDay, startOfMonth } from './memoss-calendar.js';
+import { ACCOUNT_STATES, AUTH_ERROR_CODES, AUTH_PROVIDERS, SESSION_DAYS, createFakeAuth } from './memoss-auth.js';
+import { DEFAULT_PREFERENCES, DEFAULT_TIME_OPTIONS, atTime, defaultReminderDate, normalizePreferences } from './memoss-settings.js';
+import { BLOCKING_ISSUES, ICS_COMPONENTS, ICS_MIME_TYPE, exportIcs, isAlreadyImported, parseIcs, remindersFromPreviews } from './memoss-ical.js';
+import { TOTAL_MILESTONES, completionsOf, dailyCompletions, isOnTime, logCompletion, milestoneReached, progressMood, streakOf, unlogCompletion, weeklyCompletions } from './memoss-history.js';
+import { Badge, Button, Card, Checkbox, ClockContext, CompletionChart, DatePill, FAB, FieldError, ICONS, ICON_NAMES, Icon, Input, LocaleContext, MonthCalendar, MossMascot, MotionContext, RECURRENCE_ICONS, ReminderCard, SyncStatusBar, ThemeContext, UNDO_TIMEOUT, UndoToast, baseStyles, createLocale, recurrenceIcon, recurrenceLabel, useLocale, useNow, useTheme } from './components/index.js';
 
 // ============================================
 // MEMOSS DESIGN SYSTEM
 // "your reminder" — A friendly, nature-inspired reminder app
+//
+// The showcase app: phone screens, docs and dev panels built from the
+// component package in components/ (published entry: components/index.js).
 // ============================================
 
-const tokens = {
-  colors: {
-    primary: {
-      50: '#F0F9F4',
-      100: '#DCFCE7',
-      200: '#BBF7D0',
-      300: '#86EFAC',
-      400: '#4ADE80',
-      500: '#22C55E',
-      600: '#16A34A',
-      700: '#15803D',
-      800: '#166534',
-      900: '#14532D',
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+const prefersReducedMotion = () => typeof window !== 'undefined' && Boolean(window.matchMedia?.(REDUCED_MOTION_QUERY).matches);
+
+// Sample data is anchored to the current day so the prototype always has something due
+const daysFromToday = (days, hours, minutes = 0) => {
+  const date = addDays(startOfDay(new Date()), days);
+  date.setHours(hours, minutes);
+  return date;
+};
+
+// Snooze Sheet Component
+const snoozePresetLabel = ({ t, format }, preset) => (preset.kind === 'minutes' ? format.minutes(preset.minutes) : t(`snooze.${preset.kind}`));
+
+// Bottom sheet listing the snooze presets, plus a typed number of minutes like the iOS "Custom…" action
+const SnoozeSheet = ({ reminder, presets, onSnooze, onClose }) => {
+  const theme = useTheme();
+  const titleId = useId();
+  const firstOption = useRef(null);
+  const [custom, setCustom] = useState(String(DEFAULT_SNOOZE_MINUTES));
+  const [error, setError] = useState(null);
+  const now = useNow();
+  const locale = useLocale();
+  const { t, format } = locale;
+  const options = presets.map(preset => ({ preset, until: snoozeUntil(preset, now) })).filter(option => option.until);
+
+  useEffect(() => { firstOption.current?.focus(); }, []);
+
+  const snoozeCustom = () => {
+    const minutes = parseSnoozeInput(custom);
+    if (!minutes) {
+      setError(t('snooze.invalid', { max: MAX_SNOOZE_MINUTES }));
+      return;
+    }
+    onSnooze(snoozeUntil({ kind: 'minutes', minutes }, now));
+  };
+
+  const optionStyle = { width: '100%', display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: `${tokens.spacing[3]} ${tokens.spacing[4]}`, borderRadius: tokens.borderRadius.lg, border: 'none', background: theme.surface.muted, color: theme.text.body, cursor: 'pointer', fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.semibold };
+
+  return (
+    <div onClick={onClose} onKeyDown={(e) => { if (e.key === 'Escape') onClose(); }} style={{ position: 'absolute', inset: 0, background: 'rgba(0, 0, 0, 0.35)', display: 'flex', alignItems: 'flex-end', zIndex: 20 }}>
+      <div role="dialog" aria-modal="true" aria-labelledby={titleId} onClick={(e) => e.stopPropagation()}
+        style={{ width: '100%', background: theme.surface.base, borderRadius: `${tokens.borderRadius['2xl']} ${tokens.borderRadius['2xl']} 0 0`, padding: tokens.spacing[5], boxShadow: theme.shadows.xl }}>
+        <h3 id={titleId} style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, margin: 0 }}>{t('snooze.title', { title: reminder.title })}</h3>
+        <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.muted, margin: `${tokens.spacing[1]} 0 ${tokens.spacing[4]}` }}>{t('snooze.scheduled', { date: format.longDate(reminder.scheduledDate), time: format.time(reminder.scheduledDate) })}</p>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[2] }}>
+          {options.map(({ preset, until }, i) => (
+            <button key={presetKey(preset)} ref={i === 0 ? firstOption : undefined} type="button" onClick={() => onSnooze(until)} style={optionStyle}>
+              <span>{snoozePresetLabel(locale, preset)}</span>
+              <span style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.normal, color: theme.text.muted }}>{formatDayTime(locale, until, now)}</span>
+            </button>
+          ))}
+        </div>
+        <div style={{ display: 'flex', alignItems: 'flex-end', gap: tokens.spacing[2], marginTop: tokens.spacing[4] }}>
+          <Input label={t('snooze.custom')} placeholder={t('snooze.customPlaceholder')} value={custom} onChange={(e) => { setCustom(e.target.value); setError(null); }} error={error} style={{ flex: 1 }} />
+          <Button variant="soft" onClick={snoozeCustom} style={error ? { marginBottom: tokens.spacing[8] } : {}}>{t('card.snooze')}</Button>
+        </div>
+        <Button variant="ghost" fullWidth onClick={onClose} style={{ marginTop: tokens.spacing[3] }}>{t('common.cancel')}</Button>
+      </div>
+    </div>
+  );
+};
+
+// Notification Banner Component
+// iOS-style banner for a fired reminder. Snooze expands the presets in place,
+// like the actions under a long-pressed notification; Custom… opens the sheet.
+// Settings can hide the title (previews) and the Complete/Snooze row (actions)
+const NotificationBanner = ({ notification, presets, showPreview = true, showActions = true, onOpen, onComplete, onSnooze, onCustomSnooze, onDismiss }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const locale = useLocale();
+  const { t, format } = locale;
+  const [showSnooze, setShowSnooze] = useState(false);
+  const options = presets.map(preset => ({ preset, until: snoozeUntil(preset, now) })).filter(option => option.until);
+  const body = showPreview ? notification.body : t('notification.preview');
+  const actionStyle = { flex: 1, minHeight: '36px', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: tokens.spacing[1], border: 'none', borderRadius: tokens.borderRadius.lg, background: theme.surface.muted, color: theme.text.body, cursor: 'pointer', fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.bold };
+
+  return (
+    <div role="group" aria-label={`${notification.title}: ${body}`} style={{ background: theme.surface.base, border: `1px solid ${theme.border.subtle}`, borderRadius: tokens.borderRadius['2xl'], padding: tokens.spacing[3], boxShadow: theme.shadows.xl, animation: 'memossBannerIn 0.35s ease-out' }}>
+      <div style={{ display: 'flex', alignItems: 'flex-start', gap: tokens.spacing[3] }}>
+        <span aria-hidden="true" style={{ width: '36px', height: '36px', flexShrink: 0, borderRadius: tokens.borderRadius.lg, background: theme.surface.brand, color: theme.text.onBrand, display: 'flex', alignItems: 'center', justifyContent: 'center' }}><Icon name="leaf" size="xl" /></span>
+        <button type="button" onClick={onOpen} aria-label={t('notification.open', { title: body })} style={{ flex: 1, minWidth: 0, background: 'none', border: 'none', padding: 0, textAlign: 'start', cursor: 'pointer', font: 'inherit', color: 'inherit' }}>
+          <span style={{ display: 'flex', justifyContent: 'space-between', gap: tokens.spacing[2], fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: theme.text.muted }}>
+            <span style={{ fontWeight: tokens.typography.fontWeight.semibold, textTransform: 'uppercase', letterSpacing: '0.04em' }}>{notification.title}</span>
+            <span>{format.since(notification.date, now)}</span>
+          </span>
+          <span style={{ display: 'block', fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{body}</span>
+          <span style={{ display: 'block', fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: theme.text.secondary }}>{notification.snoozed ? t('notification.snoozed') : t('notification.due', { time: format.time(notification.date) })}</span>
+        </button>
+        <button type="button" aria-label={t('notification.dismiss')} onClick={onDismiss} style={{ background: 'none', border: 'none', padding: tokens.spacing[1], cursor: 'pointer', color: theme.text.muted, display: 'flex' }}><Icon name="x" size="sm" /></button>
+      </div>
+      {showActions && <div style={{ display: 'flex', gap: tokens.spacing[2], marginTop: tokens.spacing[3] }}>
+        <button type="button" onClick={onComplete} style={{ ...actionStyle, background: theme.tone.primary.background, color: theme.tone.primary.foreground }}><Icon name="check" size="sm" />{t('notification.complete')}</button>
+        <button type="button" aria-expanded={showSnooze} onClick={() => setShowSnooze(!showSnooze)} style={{ ...actionStyle, background: theme.tone.accent.background, color: theme.tone.accent.foreground }}><Icon name="snooze" size="sm" />{t('card.snooze')}</button>
+      </div>}
+      {showActions && showSnooze && (
+        <div role="group" aria-label={t('notification.snoozeFor')} style={{ display: 'flex', flexWrap: 'wrap', gap: tokens.spacing[2], marginTop: tokens.spacing[2] }}>
+          {options.map(({ preset, until }) => <button key={presetKey(preset)} type="button" onClick={() => onSnooze(until)} style={{ ...actionStyle, flex: '1 1 40%' }}>{snoozePresetLabel(locale, preset)}</button>)}
+          <button type="button" onClick={onCustomSnooze} style={{ ...actionStyle, flex: '1 1 40%' }}>{t('notification.custom')}</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Sample Data
+// Seeded on first run and by "Reset to sample data"; dates are relative to today
+const createSampleData = () => {
+  const now = new Date();
+  const tags = [
+    ['tag-work', 'Work', tokens.colors.tag.blue],
+    ['tag-personal', 'Personal', tokens.colors.tag.purple],
+    ['tag-health', 'Health', tokens.colors.tag.green],
+    ['tag-home', 'Home', tokens.colors.tag.teal],
+    ['tag-buddy', 'Buddy', tokens.colors.tag.orange],
+  ].reduce((list, [id, name, colorHex]) => createTag(list, { id, name, colorHex, now }), []);
+  const reminders = [
+    { id: 1, title: 'Water the plants 🌱', scheduledDate: daysFromToday(0, 9), completed: false, priority: 'high', tagIds: ['tag-home'] },
+    { id: 2, title: 'Call mom for her birthday', scheduledDate: daysFromToday(0, 11), completed: false, tagIds: ['tag-personal'] },
+    { id: 3, title: 'Pick up groceries', scheduledDate: daysFromToday(0, 14), completed: true, tagIds: ['tag-home'] },
+    { id: 4, title: 'Take Buddy to the vet', scheduledDate: daysFromToday(1, 15), completed: false, tagIds: ['tag-buddy'] },
+    { id: 5, title: 'Finish project presentation', scheduledDate: daysFromToday(3, 17), completed: false, tagIds: ['tag-work'] },
+    { id: 6, title: 'Evening meditation', scheduledDate: daysFromToday(0, 20), completed: false, recurrenceRule: { type: 'daily' }, tagIds: ['tag-health'] },
+    { id: 7, title: 'Return library books', scheduledDate: daysFromToday(-1, 18), completed: false },
+  ].map(reminder => ({ ...reminder, createdAt: now, updatedAt: now, remoteID: null }));
+  // Evening meditation was kept up for two weeks, missed a day (once done late), and is
+  // six days into a new streak, so completing it today reaches the 7-day milestone
+  const meditationDays = [...Array(20)].map((_, i) => i - 20).filter(days => days !== -7);
+  const history = [
+    ...meditationDays.map(days => ({ reminderId: 6, occurrence: daysFromToday(days, 20), completedAt: days === -12 ? daysFromToday(days + 1, 8) : daysFromToday(days, 20, 10) })),
+    { reminderId: 3, occurrence: daysFromToday(0, 14), completedAt: daysFromToday(0, 8, 30) },
+  ];
+  return { reminders, tags, history };
+};
+
+const reminderStore = createReminderStore();
+const mockServer = createMockServer();
+const syncApi = createApiClient(mockServer.handle);
+const virtualClock = createVirtualClock();
+// Sessions expire on the simulated clock, so fast-forwarding 30 days reaches "token expired"
+const fakeAuth = createFakeAuth({ now: () => virtualClock.now() });
+
+// Main App Component
+// The props are for the snapshot harness (see Snapshot below); the prototype uses the defaults
+const MemossDesignSystem = ({ initialScreen = 'list', initialTheme = 'light', initialReduceMotion = prefersReducedMotion, initialState, fonts = 'google' }) => {
+  const [activeScreen, setActiveScreen] = useState(initialScreen);
+  const [themeName, setThemeName] = useState(initialTheme);
+  const [reduceMotion, setReduceMotion] = useState(initialReduceMotion);
+  const [initialData] = useState(() => initialState ?? reminderStore.load() ?? createSampleData());
+  const [reminders, setReminders] = useState(initialData.reminders);
+  const [tags, setTags] = useState(initialData.tags);
+  const [syncMeta, setSyncMeta] = useState(initialData.sync ?? EMPTY_SYNC);
+  const [snoozePresets, setSnoozePresets] = useState(initialData.settings?.snoozePresets ?? DEFAULT_SNOOZE_PRESETS);
+  const [hasCompletedOnboarding, setHasCompletedOnboarding] = useState(initialData.settings?.hasCompletedOnboarding ?? false);
+  const [notificationPermission, setNotificationPermission] = useState(initialData.settings?.notificationPermission ?? 'notDetermined');
+  const [profile, setProfile] = useState(() => normalizeProfile(initialData.settings?.profile));
+  const [preferences, setPreferences] = useState(() => normalizePreferences(initialData.settings?.preferences));
+  const [history, setHistory] = useState(initialData.history ?? []);
+  const [syncReport, setSyncReport] = useState({ conflicts: {}, failures: {}, error: null });
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const [lastSaved, setLastSaved] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [listDate, setListDate] = useState(null);
+  const [undo, setUndo] = useState(null);
+  const [snoozingId, setSnoozingId] = useState(null);
+  const [now, setNow] = useState(() => virtualClock.now());
+  const [banners, setBanners] = useState([]);
+  const [milestone, setMilestone] = useState(null);
+  const [calendarFile, setCalendarFile] = useState(null);
+  const [importError, setImportError] = useState(null);
+
+  useEffect(() => {
+    reminderStore.save({ reminders, tags, sync: syncMeta, settings: { snoozePresets, hasCompletedOnboarding, notificationPermission, profile, preferences }, history });
+  }, [reminders, tags, syncMeta, snoozePresets, hasCompletedOnboarding, notificationPermission, profile, preferences, history]);
+
+  // Sync runs async; edits made meanwhile are rebased onto its result
+  const latest = useRef(null);
+  const syncInFlight = useRef(false);
+  latest.current = { reminders, tags, sync: syncMeta };
+  const runSync = async () => {
+    if (syncInFlight.current) return;
+    syncInFlight.current = true;
+    const before = latest.current;
+    setIsSyncing(true);
+    const { state, report } = await syncAll(before, syncApi);
+    const current = latest.current;
+    setReminders(rebase(before.reminders, state.reminders, current.reminders, { newId: nextNumericId }));
+    setTags(rebase(before.tags, state.tags, current.tags));
+    setSyncMeta({ ...state.sync, deletions: [...state.sync.deletions, ...current.sync.deletions.filter(deletion => !before.sync.deletions.includes(deletion))] });
+    setSyncReport(previous => ({ ...report, conflicts: { ...previous.conflicts, ...report.conflicts } }));
+    setIsSyncing(false);
+    syncInFlight.current = false;
+  };
+  const pending = pendingCount({ reminders, tags, sync: syncMeta });
+  const syncBlocked = Boolean(syncReport.error) || Object.keys(syncReport.failures).length > 0;
+
+  // Sync on launch like DashboardView, then push local changes shortly after
+  // they happen. After a failure, wait for a manual retry instead of looping.
+  useEffect(() => {
+    runSync();
+  }, []);
+  useEffect(() => {
+    if (!pending || syncBlocked || mockServer.isOffline) return undefined;
+    const timer = setTimeout(runSync, 1500);
+    return () => clearTimeout(timer);
+  }, [reminders, tags, syncMeta, syncBlocked]);
+  const dismissConflict = (key) => setSyncReport(previous => {
+    const { [key]: _dismissed, ...conflicts } = previous.conflicts;
+    return { ...previous, conflicts };
+  });
+  const syncProps = {
+    isSyncing,
+    pending,
+    lastSyncedAt: syncMeta.lastSyncedAt,
+    error: syncReport.error,
+    statusOf: (reminder) => syncStatusOf('reminders', reminder, { syncing: isSyncing, ...syncReport }),
+    conflictOf: (reminder) => syncReport.conflicts[itemKey('reminders', reminder.id)],
+    failureOf: (reminder) => syncReport.failures[itemKey('reminders', reminder.id)],
+    onSync: runSync,
+    onDismissConflict: (reminder) => dismissConflict(itemKey('reminders', reminder.id)),
+  };
+
+  const theme = themes[themeName];
+  const locale = useMemo(() => createLocale(profile.locale, profile.hourCycle), [profile.locale, profile.hourCycle]);
+
+  // Fire notifications for whatever fell due since the last tick, including a
+  // fast-forward's worth at once. Moving the clock back fires nothing, and
+  // nothing shows once notifications were denied during onboarding or turned
+  // off in Settings.
+  useEffect(() => virtualClock.subscribe(setNow), []);
+  const lastChecked = useRef(now);
+  useEffect(() => {
+    const from = lastChecked.current;
+    lastChecked.current = now;
+    if (now <= from || notificationPermission === 'denied' || !preferences.notify) return;
+    const fired = notificationsBetween(latest.current.reminders, from, now);
+    if (fired.length > 0) setBanners(current => deliverNotifications(current, fired));
+  }, [now]);
+  const dismissBanner = (id) => setBanners(current => current.filter(banner => banner.id !== id));
+  const visibleBanners = banners.filter(banner => reminders.some(r => r.id === banner.reminderId && !r.completed));
+
+  // One undoable action at a time; `revert` runs against the latest state
+  const offerUndo = (message, revert) => setUndo({ message, revert, id: Date.now() });
+  useEffect(() => {
+    if (!undo) return undefined;
+    const timer = setTimeout(() => setUndo(null), UNDO_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, [undo]);
+  const runUndo = () => {
+    undo.revert();
+    setUndo(null);
+  };
+  // The mascot's milestone card goes away by itself too
+  useEffect(() => {
+    if (!milestone) return undefined;
+    const timer = setTimeout(() => setMilestone(null), MILESTONE_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, [milestone]);
+
+  // Completing a recurring reminder rolls it forward instead, like DashboardView on iOS.
+  // Each completion is logged at the simulated time, and may be a milestone for the mascot.
+  const toggleReminder = (id) => {
+    const previous = reminders.find(r => r.id === id);
+    setReminders(reminders.map(r => {
+      if (r.id !== id) return r;
+      if (isRecurring(r.recurrenceRule) && !r.completed) {
+        return { ...advanceToNextOccurrence(clearSnooze(r)), updatedAt: new Date() };
+      }
+      return { ...clearSnooze(r), completed: !r.completed, updatedAt: new Date() };
+    }));
+    if (previous.completed) {
+      setHistory(unlogCompletion(history, id, previous.scheduledDate));
+      return;
+    }
+    const completedAt = virtualClock.now();
+    const logged = logCompletion(history, previous, completedAt);
+    const reached = milestoneReached(previous, history, logged, completedAt);
+    const celebration = reached && { ...reached, id: Date.now() };
+    setHistory(logged);
+    if (celebration) setMilestone(celebration);
+    // Undo restores only what completing changed, so later edits (e.g. a sync) survive
+    offerUndo(locale.t('undo.completed', { title: previous.title }), () => {
+      setReminders(current => current.map(r => (
+        r.id === id ? { ...r, completed: previous.completed, scheduledDate: previous.scheduledDate, snoozedUntil: previous.snoozedUntil, updatedAt: new Date() } : r
+      )));
+      setHistory(current => unlogCompletion(current, id, previous.scheduledDate));
+      setMilestone(current => (current === celebration ? null : current));
+    });
+  };
+  const openReminder = (id) => {
+    setEditingId(id);
+    setActiveScreen('edit');
+  };
+  const updateReminder = (id, changes) => {
+    setReminders(reminders.map(r => (r.id === id ? { ...r, ...changes, updatedAt: new Date() } : r)));
+    setActiveScreen('list');
+  };
+  const deleteReminder = (id) => {
+    const index = reminders.findIndex(r => r.id === id);
+    const deleted = reminders[index];
+    const isQueued = (deletion) => deletion.resource === 'reminders' && deletion.remoteID === deleted.remoteID;
+    setSyncMeta(queueDeletion(syncMeta, 'reminders', deleted));
+    setReminders(reminders.filter(r => r.id !== id));
+    setActiveScreen('list');
+    offerUndo(locale.t('undo.deleted', { title: deleted.title }), () => {
+      // If the delete already reached the server, bring it back as a new reminder
+      const { syncedAt: _syncedAt, ...fields } = deleted;
+      const stillQueued = latest.current.sync.deletions.some(isQueued);
+      const restored = !deleted.remoteID || stillQueued ? { ...deleted, updatedAt: new Date() } : { ...fields, remoteID: null, updatedAt: new Date() };
+      setSyncMeta(sync => ({ ...sync, deletions: sync.deletions.filter(deletion => !isQueued(deletion)) }));
+      setReminders(current => {
+        const next = current.filter(r => r.id !== restored.id);
+        const id = next.length === current.length ? restored.id : nextNumericId(current.map(r => r.id));
+        next.splice(Math.min(index, next.length), 0, { ...restored, id });
+        return next;
+      });
+    });
+  };
+  const duplicateReminder = (id) => {
+    const index = reminders.findIndex(r => r.id === id);
+    const { syncedAt: _syncedAt, ...original } = reminders[index];
+    const now = new Date();
+    const copy = { ...original, id: nextNumericId(reminders.map(r => r.id)), completed: false, createdAt: now, updatedAt: now, remoteID: null };
+    setReminders([...reminders.slice(0, index + 1), copy, ...reminders.slice(index + 1)]);
+  };
+  const editingReminder = reminders.find(r => r.id === editingId) ?? reminders[0];
+  const snoozeActions = {
+    open: (id) => setSnoozingId(id),
+    snooze: (id, until) => {
+      setReminders(reminders.map(r => (r.id === id ? snoozeReminder(r, until) : r)));
+      setSnoozingId(null);
     },
-    secondary: {
-      50: '#F6F9F6',
-      100: '#E8F0E8',
-      200: '#D1E2D1',
-      300: '#AECBAE',
-      400: '#86B086',
-      500: '#6B9B6B',
-      600: '#567D56',
-      700: '#456445',
+    wake: (id) => setReminders(reminders.map(r => (r.id === id ? clearSnooze(r) : r))),
+  };
+  const snoozingReminder = reminders.find(r => r.id === snoozingId);
+  const bannerActions = {
+    open: (banner) => {
+      dismissBanner(banner.id);
+      openReminder(banner.reminderId);
     },
-    accent: {
-      50: '#FEFCF3',
-      100: '#FEF9E7',
-      200: '#FEF3C7',
-      300: '#FDE68A',
-      400: '#FACC15',
-      500: '#EAB308',
-      600: '#CA8A04',
+    complete: (banner) => {
+      dismissBanner(banner.id);
+      toggleReminder(banner.reminderId);
     },
-    pink: {
-      100: '#FFE4E6',
-      400: '#FB7185',
-      500: '#F43F5E',
+    snooze: (banner, until) => {
+      dismissBanner(banner.id);
+      snoozeActions.snooze(banner.reminderId, until);
     },
-    neutral: {
-      0: '#FFFFFF',
-      50: '#FDFCFA',
-      100: '#F9F7F3',
-      200: '#F3F0EA',
-      300: '#E8E4DC',
-      400: '#D4CEC4',
-      500: '#A8A298',
-      600: '#7D786F',
-      700: '#5C5852',
-      800: '#3D3A36',
-      900: '#252320',
-      950: '#1A1816',
+    custom: (banner) => {
+      dismissBanner(banner.id);
+      snoozeActions.open(banner.reminderId);
     },
-    success: '#22C55E',
-    warning: '#EAB308',
-    error: '#F43F5E',
-  },
-  typography: {
-    fontFamily: {
-      display: '"Nunito", system-ui, sans-serif',
-      body: '"Nunito Sans", system-ui, sans-serif',
+  };
+  // `tagNames` (e.g. parsed #hashtags) are matched to existing tags or created
+  const addReminder = ({ tagNames = [], ...reminder }) => {
+    const { tags: nextTags, tagIds } = ensureTags(tags, tagNames);
+    const now = new Date();
+    const saved = { ...reminder, tagIds: [...new Set([...(reminder.tagIds ?? []), ...tagIds])], id: Math.max(0, ...reminders.map(r => r.id)) + 1, createdAt: now, updatedAt: now, remoteID: null };
+    setTags(nextTags);
+    setReminders([...reminders, saved]);
+    setLastSaved(saved);
+    setActiveScreen('success');
+  };
+  const tagActions = {
+    create: (draft) => {
+      const next = createTag(tags, draft);
+      setTags(next);
+      return next[next.length - 1];
     },
-    fontSize: {
-      xs: '0.75rem',
-      sm: '0.875rem',
-      base: '1rem',
-      lg: '1.125rem',
-      xl: '1.25rem',
-      '2xl': '1.5rem',
-      '3xl': '1.875rem',
-      '4xl': '2.25rem',
+    rename: (id, name) => setTags(renameTag(tags, id, name)),
+    recolor: (id, colorHex) => setTags(recolorTag(tags, id, colorHex)),
+    remove: (id) => {
+      setSyncMeta(queueDeletion(syncMeta, 'tags', tags.find(tag => tag.id === id)));
+      setTags(deleteTag(tags, id));
+      setReminders(removeTagFromReminders(reminders, id));
     },
-    fontWeight: {
-      normal: 400,
-      medium: 500,
-      semibold: 600,
-      bold: 700,
-      extrabold: 800,
+  };
+  const dataActions = {
+    load: ({ reminders: nextReminders, tags: nextTags, history: nextHistory = [] }) => {
+      setReminders(nextReminders);
+      setTags(nextTags);
+      setHistory(nextHistory);
+      setSyncMeta(EMPTY_SYNC);
+      setSyncReport({ conflicts: {}, failures: {}, error: null });
+    },
+    reset: () => dataActions.load(createSampleData()),
+    // Synced reminders are queued for deletion so they go from the server too
+    clear: () => {
+      setSyncMeta(reminders.reduce((sync, reminder) => queueDeletion(sync, 'reminders', reminder), syncMeta));
+      setReminders([]);
+      setHistory([]);
+    },
+    previewCalendar: (file) => {
+      setCalendarFile({ ...file, id: Date.now() });
+      setImportError(null);
+      setActiveScreen('import');
     },
-  },
-  spacing: {
-    1: '0.25rem', 2: '0.5rem', 3: '0.75rem', 4: '1rem',
-    5: '1.25rem', 6: '1.5rem', 8: '2rem', 10: '2.5rem', 12: '3rem',
-  },
-  borderRadius: {
-    sm: '0.5rem', md: '0.75rem', lg: '1rem', xl: '1.5rem', '2xl': '2rem', full: '9999px',
-  },
-  shadows: {
-    sm: '0 1px 3px rgba(20, 83, 45, 0.06)',
-    md: '0 4px 12px rgba(20, 83, 45, 0.08)',
-    lg: '0 8px 24px rgba(20, 83, 45, 0.1)',
-    xl: '0 16px 48px rgba(20, 83, 45, 0.12)',
-  },
-  transitions: {
-    fast: '150ms ease',
-    normal: '250ms ease',
-    bounce: '500ms cubic-bezier(0.34, 1.56, 0.64, 1)',
-  },
-};
-
-const baseStyles = `
-  @import url('https://fonts.googleapis.com/css2?family=Nunito:wght@400;500;600;700;800&family=Nunito+Sans:wght@400;500;600;700&display=swap');
-  * { box-sizing: border-box; margin: 0; padding: 0; }
-`;
-
-// Moss Mascot Component
-const MossMascot = ({ size = 120, mood = 'happy', animate = false }) => {
-  const moods = {
-    happy: { eyeScale: 1, mouthOpen: true },
-    excited: { eyeScale: 1.1, mouthOpen: true },
-    calm: { eyeScale: 0.9, mouthOpen: false },
-    sleepy: { eyeScale: 0.6, mouthOpen: false },
-  };
-  const { eyeScale, mouthOpen } = moods[mood];
-  
-  return (
-    <svg width={size} height={size * 0.7} viewBox="0 0 200 140" fill="none">
-      <defs>
-        <radialGradient id="mossGrad" cx="50%" cy="30%" r="70%">
-          <stop offset="0%" stopColor="#86EFAC" />
-          <stop offset="50%" stopColor="#4ADE80" />
-          <stop offset="100%" stopColor="#16A34A" />
-        </radialGradient>
-      </defs>
-      <ellipse cx="100" cy="130" rx="70" ry="8" fill="#16A34A" opacity="0.15"/>
-      <ellipse cx="100" cy="90" rx="85" ry="50" fill="url(#mossGrad)" 
-        style={animate ? { animation: 'mossWiggle 3s ease-in-out infinite' } : {}} />
-      {[...Array(12)].map((_, i) => (
-        <circle key={i} cx={35 + (i % 6) * 26} cy={70 + Math.floor(i / 6) * 30 + (i % 2) * 10}
-          r={8 + (i % 3) * 3} fill={i % 2 === 0 ? '#86EFAC' : '#4ADE80'} opacity="0.6" />
+    resetOnboarding: () => {
+      setHasCompletedOnboarding(false);
+      setNotificationPermission('notDetermined');
+      setActiveScreen('list');
+    },
+  };
+  // Undo removes the imported reminders (queueing any that synced since); new tags stay
+  // Nothing is added when a tag can't be created; the import screen shows why
+  const importReminders = (previews) => {
+    let result;
+    try {
+      result = remindersFromPreviews(previews, { reminders, tags });
+    } catch (error) {
+      setImportError(error.message);
+      return;
+    }
+    const { reminders: added, tags: nextTags } = result;
+    setImportError(null);
+    setTags(nextTags);
+    setReminders([...reminders, ...added]);
+    setCalendarFile(null);
+    setActiveScreen('list');
+    const ids = added.map(r => r.id);
+    offerUndo(locale.t('ics.added', { count: added.length }), () => {
+      const imported = latest.current.reminders.filter(r => ids.includes(r.id));
+      setSyncMeta(sync => imported.reduce((next, reminder) => queueDeletion(next, 'reminders', reminder), sync));
+      setReminders(current => current.filter(r => !ids.includes(r.id)));
+    });
+  };
+  const cancelImport = () => {
+    setCalendarFile(null);
+    setImportError(null);
+    setActiveScreen('settings');
+  };
+  // The calendar opens a day in the list; the list's own nav starts back at today
+  const openDay = (date) => {
+    setListDate(date);
+    setActiveScreen('list');
+  };
+  const showScreen = (screen) => {
+    setListDate(null);
+    setImportError(null);
+    setActiveScreen(screen);
+  };
+  const completeOnboarding = () => {
+    setHasCompletedOnboarding(true);
+    setActiveScreen('list');
+  };
+  // Like MemossApp, the list stays behind onboarding until it has been completed once
+  const phoneScreen = activeScreen === 'list' && !hasCompletedOnboarding ? 'onboarding' : activeScreen;
+  const toggleTheme = () => setThemeName(themeName === 'light' ? 'dark' : 'light');
+
+  // Follow the OS setting as it changes; the nav toggle overrides it for this session
+  useEffect(() => {
+    const query = typeof window !== 'undefined' && window.matchMedia?.(REDUCED_MOTION_QUERY);
+    if (!query) return undefined;
+    const handleChange = (event) => setReduceMotion(event.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  const screens = { onboarding: 'Onboarding', list: 'Reminders', create: 'Create', edit: 'Edit', empty: 'Empty', success: 'Success', voice: 'Voice', tags: 'Tags', calendar: 'Calendar', stats: 'Stats', settings: 'Settings', import: 'Import', system: 'Design System', catalog: 'Catalog' };
+  // The docs pages take the full width, without the phone and dev panels
+  const DocsPage = { system: DesignSystemDocs, catalog: ComponentCatalog }[activeScreen];
+
+  return (
+    <ThemeContext.Provider value={theme}>
+    <MotionContext.Provider value={reduceMotion}>
+    <ClockContext.Provider value={now}>
+      <div data-reduced-motion={reduceMotion} style={{ minHeight: '100vh', background: `linear-gradient(180deg, ${theme.background.app} 0%, ${theme.background.appEnd} 100%)`, fontFamily: tokens.typography.fontFamily.body, color: theme.text.body, colorScheme: theme.name }}>
+        <style>{baseStyles(theme, fonts)}</style>
+
+        {/* Navigation */}
+        <nav style={{ background: theme.surface.base, borderBottom: `1px solid ${theme.border.default}`, padding: `${tokens.spacing[3]} ${tokens.spacing[4]}`, position: 'sticky', top: 0, zIndex: 100 }}>
+          <div style={{ maxWidth: '1200px', margin: '0 auto', display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[3] }}>
+              <MossMascot size={50} mood="happy" />
+              <div>
+                <h1 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.xl, fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.brand, margin: 0 }}>memoss</h1>
+                <p style={{ fontSize: tokens.typography.fontSize.xs, color: theme.text.muted, margin: 0 }}>your reminder</p>
+              </div>
+            </div>
+            <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap', alignItems: 'center' }}>
+              {Object.entries(screens).map(([key, label]) => (
+                <Button key={key} variant={activeScreen === key ? 'primary' : 'ghost'} size="sm" ariaPressed={activeScreen === key} onClick={() => showScreen(key)}>{label}</Button>
+              ))}
+              <Button variant="secondary" size="sm" onClick={toggleTheme}>{themeName === 'light' ? '🌙 Dark' : '☀️ Light'}</Button>
+              <Button variant="secondary" size="sm" ariaPressed={reduceMotion} onClick={() => setReduceMotion(!reduceMotion)}>Reduce motion</Button>
+              <select aria-label="Language" value={profile.locale} onChange={(e) => setProfile(normalizeProfile({ ...profile, locale: e.target.value }))}
+                style={{ minHeight: '40px', padding: `0 ${tokens.spacing[3]}`, fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.body, background: theme.surface.muted, border: 'none', borderRadius: tokens.borderRadius.xl, cursor: 'pointer', colorScheme: theme.name }}>
+                {PROFILE_LOCALES.map(code => <option key={code} value={code}>{LOCALES[code].label}</option>)}
+              </select>
+            </div>
+          </div>
+        </nav>
+
+        {/* Main Content */}
+        <div style={{ maxWidth: '1200px', margin: '0 auto', padding: tokens.spacing[6], display: 'grid', gridTemplateColumns: DocsPage ? '1fr' : '400px 1fr', gap: tokens.spacing[8] }}>
+
+          {/* Phone Preview */}
+          {!DocsPage && (
+            <LocaleContext.Provider value={locale}>
+            <div style={{ background: theme.surface.bezel, borderRadius: '48px', padding: '14px', boxShadow: theme.shadows.xl, height: 'fit-content', position: 'sticky', top: '100px' }}>
+              <div lang={locale.locale} dir={locale.dir} style={{ background: theme.surface.phone, color: theme.text.primary, borderRadius: '38px', overflow: 'hidden', height: '800px', position: 'relative' }}>
+                <div aria-hidden="true" style={{ padding: `${tokens.spacing[2]} ${tokens.spacing[5]}`, display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.semibold }}>
+                  <span>{locale.format.statusTime(now)}</span>
+                  <div style={{ display: 'flex', gap: tokens.spacing[1] }}><span>📶</span><span>🔋</span></div>
+                </div>
+                <div style={{ height: 'calc(100% - 40px)', overflow: 'auto' }}>
+                  {phoneScreen === 'onboarding' && <OnboardingScreen permission={notificationPermission} onPermission={setNotificationPermission} onComplete={completeOnboarding} />}
+                  {phoneScreen === 'list' && <ReminderListScreen key={listDate?.getTime()} initialDate={listDate} reminders={reminders} tags={tags} profile={profile} toggleReminder={toggleReminder} onAdd={() => setActiveScreen('create')} onEdit={openReminder} onSnooze={snoozeActions.open} onUnsnooze={snoozeActions.wake} onDelete={deleteReminder} onDuplicate={duplicateReminder} onSettings={() => setActiveScreen('settings')} onStats={() => setActiveScreen('stats')} onOpenCalendar={() => setActiveScreen('calendar')} sync={syncProps} />}
+                  {activeScreen === 'create' && <CreateReminderScreen preferences={preferences} tags={tags} onCreateTag={tagActions.create} onSave={addReminder} onCancel={() => setActiveScreen('list')} />}
+                  {activeScreen === 'edit' && (editingReminder
+                    ? <EditReminderScreen reminder={editingReminder} history={history} tags={tags} onCreateTag={tagActions.create} onSave={updateReminder} onDelete={deleteReminder} onCancel={() => setActiveScreen('list')} />
+                    : <EmptyStateScreen onAdd={() => setActiveScreen('create')} />)}
+                  {activeScreen === 'empty' && <EmptyStateScreen onAdd={() => setActiveScreen('create')} />}
+                  {activeScreen === 'success' && <SuccessScreen reminder={lastSaved} preferences={preferences} onDone={() => setActiveScreen('list')} />}
+                  {activeScreen === 'voice' && <VoiceInputScreen profile={profile} onSave={addReminder} onCancel={() => setActiveScreen('list')} />}
+                  {activeScreen === 'tags' && <TagManagerScreen tags={tags} reminders={reminders} actions={tagActions} />}
+                  {activeScreen === 'calendar' && <CalendarScreen reminders={reminders} tags={tags} initialDate={listDate} onOpenDay={openDay} onEdit={openReminder} />}
+                  {activeScreen === 'stats' && <StatsScreen reminders={reminders} history={history} onDone={() => setActiveScreen('list')} />}
+                  {activeScreen === 'import' && <IcsImportScreen key={calendarFile?.id ?? 'sample'} file={calendarFile} reminders={reminders} error={importError} onAdd={importReminders} onCancel={cancelImport} />}
+                  {activeScreen === 'settings' && <SettingsScreen auth={fakeAuth} sync={syncProps} preferences={preferences} onPreferencesChange={setPreferences} permission={notificationPermission}
+                    onAllowNotifications={() => setNotificationPermission('granted')} reminders={reminders} tags={tags} actions={dataActions} onDone={() => setActiveScreen('list')} />}
+                </div>
+                {snoozingReminder && <SnoozeSheet reminder={snoozingReminder} presets={snoozePresets} onSnooze={(until) => snoozeActions.snooze(snoozingReminder.id, until)} onClose={() => setSnoozingId(null)} />}
+                {undo && <UndoToast key={undo.id} message={undo.message} onUndo={runUndo} onDismiss={() => setUndo(null)} />}
+                {milestone && <MilestoneCelebration key={milestone.id} milestone={milestone} onDismiss={() => setMilestone(null)} />}
+                <div role="region" aria-label={locale.t('notification.region')} aria-live="polite" style={{ position: 'absolute', top: '40px', left: tokens.spacing[3], right: tokens.spacing[3], display: 'flex', flexDirection: 'column', gap: tokens.spacing[2], zIndex: 30 }}>
+                  {visibleBanners.map(banner => (
+                    <NotificationBanner key={banner.id} notification={banner} presets={snoozePresets} showPreview={preferences.previews} showActions={preferences.actions} onOpen={() => bannerActions.open(banner)} onComplete={() => bannerActions.complete(banner)}
+                      onSnooze={(until) => bannerActions.snooze(banner, until)} onCustomSnooze={() => bannerActions.custom(banner)} onDismiss={() => dismissBanner(banner.id)} />
+                  ))}
+                </div>
+              </div>
+            </div>
+            </LocaleContext.Provider>
+          )}
+
+          {/* Documentation Panel */}
+          <div>
+            {DocsPage ? <DocsPage /> : <ScreenDocumentation screen={phoneScreen} />}
+            {!DocsPage && <ProfilePanel profile={profile} onChange={setProfile} />}
+            {!DocsPage && <AuthPanel auth={fakeAuth} />}
+            {!DocsPage && <NotificationPanel clock={virtualClock} reminders={reminders} permission={notificationPermission} onAllow={() => setNotificationPermission('granted')} delivered={visibleBanners.length} onClearAll={() => setBanners([])} />}
+            {!DocsPage && <SyncPanel server={mockServer} sync={syncProps} reminders={reminders} />}
+            {!DocsPage && <SnoozeSettingsPanel presets={snoozePresets} onChange={setSnoozePresets} />}
+            {!DocsPage && <DataPanel reminders={reminders} tags={tags} storageKind={reminderStore.kind} actions={dataActions} />}
+          </div>
+        </div>
+      </div>
+    </ClockContext.Provider>
+    </MotionContext.Provider>
+    </ThemeContext.Provider>
+  );
+};
+
+// Screen Components
+const ListSection = ({ title, icon, color, children }) => (
+  <div style={{ marginBottom: tokens.spacing[4] }}>
+    <h3 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color, marginBottom: tokens.spacing[3], display: 'flex', alignItems: 'center', gap: tokens.spacing[2] }}>
+      {icon}{title}
+    </h3>
+    {children}
+  </div>
+);
+
+const DateStrip = ({ selectedDate, onSelect, reminders, onOpenCalendar }) => {
+  const theme = useTheme();
+  const { t, format, dir } = useLocale();
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(selectedDate));
+  const [dragStartX, setDragStartX] = useState(null);
+  const today = useNow();
+  const days = [...Array(7)].map((_, i) => addDays(weekStart, i));
+
+  const pageWeek = (weeks) => setWeekStart(addDays(weekStart, weeks * 7));
+  const goToToday = () => {
+    setWeekStart(startOfWeek(today));
+    onSelect(startOfDay(today));
+  };
+  const handlePointerUp = (e) => {
+    if (dragStartX === null) return;
+    const deltaX = e.clientX - dragStartX;
+    setDragStartX(null);
+    // Later weeks come in from the end edge: the right in LTR, the left in RTL
+    if (Math.abs(deltaX) > 40) pageWeek((dir === 'rtl' ? deltaX > 0 : deltaX < 0) ? 1 : -1);
+  };
+  // Chevrons point toward the earlier or later week in the reading direction
+  const chevronStyle = (back) => ({ display: 'flex', transform: back !== (dir === 'rtl') ? 'rotate(180deg)' : 'none' });
+
+  const arrowStyle = { width: '32px', height: '32px', borderRadius: tokens.borderRadius.full, border: 'none', background: theme.surface.muted, color: theme.text.secondary, cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center' };
+
+  return (
+    <div style={{ marginBottom: tokens.spacing[6], background: theme.surface.base, borderRadius: tokens.borderRadius['2xl'], padding: tokens.spacing[2], boxShadow: theme.shadows.sm }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: `${tokens.spacing[1]} ${tokens.spacing[2]} ${tokens.spacing[2]}` }}>
+        <span style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.body }}>{format.monthYear(addDays(weekStart, 3))}</span>
+        <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[2] }}>
+          {!days.some(day => isSameDay(day, today)) || !isSameDay(selectedDate, today) ? (
+            <button type="button" onClick={goToToday} style={{ ...arrowStyle, width: 'auto', padding: `0 ${tokens.spacing[3]}`, fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.xs, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.brand }}>{t('dates.today')}</button>
+          ) : null}
+          {onOpenCalendar && <button type="button" aria-label={t('calendar.open')} onClick={onOpenCalendar} style={{ ...arrowStyle, color: theme.text.brand }}><Icon name="calendar" size="base" /></button>}
+          <button type="button" aria-label={t('dates.previousWeek')} onClick={() => pageWeek(-1)} style={arrowStyle}><span style={chevronStyle(true)}><Icon name="chevronRight" size="base" /></span></button>
+          <button type="button" aria-label={t('dates.nextWeek')} onClick={() => pageWeek(1)} style={arrowStyle}><span style={chevronStyle(false)}><Icon name="chevronRight" size="base" /></span></button>
+        </div>
+      </div>
+      <div role="group" aria-label={t('dates.weekOf', { date: format.fullDate(weekStart) })} onPointerDown={(e) => setDragStartX(e.clientX)} onPointerUp={handlePointerUp} onPointerLeave={() => setDragStartX(null)}
+        style={{ display: 'flex', gap: tokens.spacing[1], touchAction: 'pan-y', userSelect: 'none' }}>
+        {days.map(day => {
+          const hasReminder = remindersForDay(reminders, day, today).some(r => !r.completed);
+          return (
+            <DatePill key={day.getTime()} day={format.day(day)} weekday={format.weekdayShort(day)}
+              label={hasReminder ? t('dates.hasReminders', { date: format.fullDate(day) }) : format.fullDate(day)}
+              isActive={isSameDay(day, selectedDate)} isToday={isSameDay(day, today)}
+              hasReminder={hasReminder}
+              onClick={() => onSelect(day)}
+              style={{ flex: 1, minWidth: 0, padding: `${tokens.spacing[3]} 0` }} />
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// Message key for a conflict row: which version the last-write-wins rule kept
+const conflictMessage = (conflict) => {
+  if (conflict.reason === 'deleted') return 'sync.keptYours';
+  return conflict.winner === 'remote' ? 'sync.keptRemote' : 'sync.keptLocal';
+};
+
+// Greeting and mascot, like GreetingHeader; the mood follows the clock and today's tasks.
+// The settings button sits beside it, as in DashboardView.
+const GreetingHeader = ({ profile, reminders, onStats, onSettings }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const { t, format } = useLocale();
+  const today = remindersForDay(reminders, now, now);
+  const carriedOver = reminders.filter(r => !r.completed && r.scheduledDate && r.scheduledDate < startOfDay(now));
+  const mood = mascotMood({ now, open: today.filter(r => !r.completed).length + carriedOver.length, completed: today.filter(r => r.completed).length });
+  const hello = greetingFor(profile, now);
+  const name = greetingName(profile);
+  return (
+    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: tokens.spacing[5] }}>
+      <div role="heading" aria-level={2} aria-label={t('greeting.label', { greeting: hello, name })}>
+        <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, fontWeight: tokens.typography.fontWeight.semibold, color: theme.text.brand, textTransform: 'uppercase', letterSpacing: '0.04em', margin: `0 0 ${tokens.spacing[1]}` }}>{format.fullDate(now)}</p>
+        <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.muted, margin: 0 }}>{t('greeting.salutation', { greeting: hello })}</p>
+        <p style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['3xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.primary, margin: 0 }}>{name} 🌿</p>
+      </div>
+      <div style={{ display: 'flex', alignItems: 'flex-start', gap: tokens.spacing[1] }}>
+        <MossMascot size={70} mood={mood} animate />
+        {onStats && <Button variant="ghost" size="sm" icon={<Icon name="chart" size="xl" />} iconOnly ariaLabel={t('stats.open')} onClick={onStats} style={{ color: theme.text.brand }} />}
+        {onSettings && <Button variant="ghost" size="sm" icon={<Icon name="settings" size="xl" />} iconOnly ariaLabel={t('settings.title')} onClick={onSettings} style={{ color: theme.text.brand }} />}
+      </div>
+    </div>
+  );
+};
+
+const ReminderListScreen = ({ reminders: allReminders, tags = [], profile = DEFAULT_PROFILE, toggleReminder, onAdd, onEdit, onSnooze, onUnsnooze, onDelete, onDuplicate, onSettings, onStats, onOpenCalendar, initialDate, sync }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const { t, format } = useLocale();
+  const [selectedDate, setSelectedDate] = useState(() => startOfDay(initialDate ?? now));
+  const [tagFilter, setTagFilter] = useState([]);
+  const reminders = filterByTags(allReminders, tagFilter);
+  const usedTags = tags.filter(tag => allReminders.some(r => r.tagIds?.includes(tag.id)));
+  const toggleFilter = (id) => setTagFilter(tagFilter.includes(id) ? tagFilter.filter(tagId => tagId !== id) : [...tagFilter, id]);
+  const isToday = isSameDay(selectedDate, now);
+
+  // Today also collects anything left undone from earlier days
+  const dayReminders = remindersForDay(reminders, selectedDate, now);
+  const carriedOver = isToday ? reminders.filter(r => !r.completed && r.scheduledDate && r.scheduledDate < startOfDay(now)) : [];
+  const carriedOverIds = new Set(carriedOver.map(r => r.id));
+  const open = dayReminders.filter(r => !r.completed && !carriedOverIds.has(r.id));
+  // Snoozed reminders wait in Upcoming until their snooze runs out
+  const overdue = [...carriedOver, ...open].filter(r => dueDate(r, now) <= now);
+  const upcoming = [...carriedOver, ...open].filter(r => dueDate(r, now) > now).sort((a, b) => dueDate(a, now) - dueDate(b, now));
+  const completed = dayReminders.filter(r => r.completed);
+
+  const dayTitle = isToday ? t('list.today') : isSameDay(selectedDate, addDays(now, 1)) ? t('list.tomorrow') : format.longDate(selectedDate);
+  const syncFields = (reminder) => {
+    if (!sync) return {};
+    const syncStatus = sync.statusOf(reminder);
+    if (syncStatus === 'conflict') return { syncStatus, syncMessage: t(conflictMessage(sync.conflictOf(reminder))), onSyncAction: () => sync.onDismissConflict(reminder) };
+    if (syncStatus === 'failed') return { syncStatus, syncMessage: sync.failureOf(reminder), onSyncAction: sync.onSync };
+    return { syncStatus };
+  };
+  const renderCard = (reminder, extra = {}) => <ReminderCard key={reminder.id} {...reminder} tags={resolveTags(tags, reminder.tagIds)} {...syncFields(reminder)} {...extra} onToggle={() => toggleReminder(reminder.id)}
+    onOpen={onEdit && (() => onEdit(reminder.id))} onSnooze={onSnooze && !reminder.completed ? () => onSnooze(reminder.id) : undefined} onUnsnooze={onUnsnooze && (() => onUnsnooze(reminder.id))} onDelete={onDelete && (() => onDelete(reminder.id))} onDuplicate={onDuplicate && (() => onDuplicate(reminder.id))} />;
+
+  return (
+    <div style={{ padding: tokens.spacing[5], background: `linear-gradient(180deg, ${theme.background.screen} 0%, ${theme.background.screenEnd} 100%)`, minHeight: '100%' }}>
+      <GreetingHeader profile={profile} reminders={allReminders} onStats={onStats} onSettings={onSettings} />
+
+      {sync && <SyncStatusBar {...sync} />}
+
+      <DateStrip selectedDate={selectedDate} onSelect={setSelectedDate} reminders={reminders} onOpenCalendar={onOpenCalendar} />
+
+      {usedTags.length > 0 && (
+        <div role="group" aria-label={t('list.filterByTag')} style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap', marginBottom: tokens.spacing[5] }}>
+          <Badge variant={tagFilter.length === 0 ? 'primary' : 'default'} pressed={tagFilter.length === 0} onClick={() => setTagFilter([])}>{t('list.allTags')}</Badge>
+          {usedTags.map(tag => (
+            <Badge key={tag.id} color={tag.colorHex} pressed={tagFilter.includes(tag.id)} onClick={() => toggleFilter(tag.id)} style={{ opacity: tagFilter.length === 0 || tagFilter.includes(tag.id) ? 1 : 0.5 }}>
+              {tagFilter.includes(tag.id) ? '✓ ' : ''}{tag.name}
+            </Badge>
+          ))}
+        </div>
+      )}
+
+      <h3 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.body, marginBottom: tokens.spacing[4], display: 'flex', alignItems: 'center', gap: tokens.spacing[2] }}>
+        <Icon name="leaf" size="xl" color={tokens.colors.primary[500]} /> {dayTitle}
+      </h3>
+
+      {overdue.length > 0 && (
+        <ListSection title={t('list.overdue')} icon={<Icon name="clock" size="base" />} color={tokens.colors.error}>
+          {overdue.map(reminder => renderCard(reminder, { overdue: true }))}
+        </ListSection>
+      )}
+
+      {upcoming.length > 0 && (
+        <ListSection title={t('list.upcoming')} icon={<Icon name="bell" size="base" />} color={theme.text.secondary}>
+          {upcoming.map(reminder => renderCard(reminder))}
+        </ListSection>
+      )}
+
+      {overdue.length + upcoming.length === 0 && (
+        <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.muted, textAlign: 'center', padding: `${tokens.spacing[6]} 0` }}>
+          {completed.length > 0 ? t('list.allDone') : t('list.nothingPlanned')}
+        </p>
+      )}
+
+      {completed.length > 0 && (
+        <ListSection title={t('list.completed')} color={theme.text.muted}>
+          {completed.map(reminder => renderCard(reminder))}
+        </ListSection>
+      )}
+
+      <div style={{ position: 'absolute', bottom: tokens.spacing[8], insetInlineEnd: tokens.spacing[5] }}>
+        <FAB icon={<Icon name="plus" size="3xl" color={theme.text.onBrand} />} label={t('list.add')} onClick={onAdd} />
+      </div>
+    </div>
+  );
+};
+
+// Calendar
+// Month grid and agenda over the same expanded occurrences as the list.
+// Tapping a day opens it in the reminder list.
+const AGENDA_PAGE_DAYS = 14;
+
+const AgendaView = ({ reminders, tags, onOpenDay, onEdit }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const locale = useLocale();
+  const { t, format } = locale;
+  const [dayCount, setDayCount] = useState(AGENDA_PAGE_DAYS);
+  const days = agendaDays(reminders, now, dayCount, now);
+
+  return (
+    <div>
+      {days.length === 0 && <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.muted, textAlign: 'center', padding: `${tokens.spacing[6]} 0` }}>{t('calendar.emptyAgenda')}</p>}
+      {days.map(({ date, reminders: dayReminders }) => (
+        <section key={dayKey(date)} aria-label={format.fullDate(date)} style={{ marginBottom: tokens.spacing[4] }}>
+          <button type="button" onClick={() => onOpenDay(date)} aria-label={t('calendar.openDay', { date: format.fullDate(date) })}
+            style={{ position: 'sticky', top: 0, zIndex: 1, width: '100%', display: 'flex', alignItems: 'baseline', justifyContent: 'space-between', gap: tokens.spacing[2], padding: `${tokens.spacing[2]} 0`, background: theme.background.screen, border: 'none', cursor: 'pointer', textAlign: 'start', font: 'inherit' }}>
+            <span style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: isSameDay(date, now) ? theme.text.brand : theme.text.body }}>{format.relativeDayTitle(date, now)}</span>
+            <span style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: theme.text.muted }}>{format.longDate(date)}</span>
+          </button>
+          <Card variant="outlined" padding="sm">
+            {dayReminders.map((reminder, index) => {
+              const rule = reminder.recurrenceRule;
+              return (
+                <button key={reminder.id} type="button" onClick={() => onEdit(reminder.id)} aria-label={t('common.editItem', { name: reminder.title })}
+                  style={{ width: '100%', display: 'flex', alignItems: 'center', gap: tokens.spacing[3], padding: `${tokens.spacing[2]} ${tokens.spacing[1]}`, background: 'none', border: 'none', borderTop: index > 0 ? `1px solid ${theme.border.subtle}` : 'none', cursor: 'pointer', textAlign: 'start', font: 'inherit' }}>
+                  <span style={{ width: '64px', flexShrink: 0, fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.semibold, color: theme.text.secondary }}>{format.time(reminder.scheduledDate)}</span>
+                  <span style={{ flex: 1, minWidth: 0 }}>
+                    <span style={{ display: 'block', fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.bold, color: reminder.completed ? theme.text.disabled : theme.text.body, textDecoration: reminder.completed ? 'line-through' : 'none', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{reminder.title}</span>
+                    {isRecurring(rule) && <span style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[1], fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: theme.text.recurrence }}><Icon name={recurrenceIcon(rule)} size="xs" />{recurrenceLabel(locale, rule)}</span>}
+                  </span>
+                  {resolveTags(tags, reminder.tagIds).map(tag => <span key={tag.id} aria-hidden="true" style={{ width: '8px', height: '8px', borderRadius: tokens.borderRadius.full, background: tag.colorHex, flexShrink: 0 }} />)}
+                  {reminder.priority === 'high' && !reminder.completed && <Badge variant="pink">!</Badge>}
+                </button>
+              );
+            })}
+          </Card>
+        </section>
       ))}
-      {[40, 70, 100, 130, 160].map((x, i) => (
-        <g key={i} transform={`translate(${x}, ${35 + (i % 2) * 8})`}>
-          <path d={`M0,20 Q${-3 + i},10 0,0 Q${3 - i},10 0,20`} fill="#4ADE80"
-            style={animate ? { animation: `sproutSway ${1.5 + i * 0.2}s ease-in-out infinite`, transformOrigin: '0 20px' } : {}} />
-          {i !== 2 && (<><ellipse cx="-4" cy="5" rx="3" ry="4" fill="#22C55E"/><ellipse cx="4" cy="5" rx="3" ry="4" fill="#22C55E"/></>)}
-        </g>
+      <Button variant="ghost" fullWidth onClick={() => setDayCount(dayCount + AGENDA_PAGE_DAYS)}>{t('calendar.showMore')}</Button>
+    </div>
+  );
+};
+
+const CalendarScreen = ({ reminders, tags = [], initialDate, onOpenDay, onEdit }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const { t } = useLocale();
+  const [view, setView] = useState('month');
+  const [month, setMonth] = useState(() => startOfMonth(initialDate ?? now));
+  const summaries = monthSummaries(reminders, month, now);
+  const openInMonth = Object.entries(summaries).filter(([key]) => key.startsWith(dayKey(month).slice(0, 7))).reduce((total, [, summary]) => total + summary.open, 0);
+  const legendStyle = { display: 'flex', alignItems: 'center', gap: tokens.spacing[1], fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: theme.text.muted };
+
+  return (
+    <div style={{ padding: tokens.spacing[5], background: theme.background.screen, minHeight: '100%' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: tokens.spacing[5] }}>
+        <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['2xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.primary, margin: 0 }}>{t('calendar.title')}</h2>
+        <div role="group" aria-label={t('calendar.view')} style={{ display: 'flex', gap: tokens.spacing[1], background: theme.surface.muted, borderRadius: tokens.borderRadius.xl, padding: '3px' }}>
+          {['month', 'agenda'].map(name => <Button key={name} size="sm" variant={view === name ? 'primary' : 'ghost'} ariaPressed={view === name} onClick={() => setView(name)}>{t(`calendar.${name}`)}</Button>)}
+        </div>
+      </div>
+
+      {view === 'month' ? (
+        <>
+          <MonthCalendar month={month} selectedDate={initialDate} summaries={summaries} onSelect={onOpenDay} onMonthChange={setMonth} />
+          <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary, margin: `${tokens.spacing[4]} 0 ${tokens.spacing[2]}` }}>{t('calendar.monthSummary', { count: openInMonth })}</p>
+          <div style={{ display: 'flex', gap: tokens.spacing[4] }}>
+            <span style={legendStyle}><span aria-hidden="true" style={{ display: 'flex', gap: '2px' }}>{[0, 1, 2].map(i => <span key={i} style={{ width: '5px', height: '5px', borderRadius: tokens.borderRadius.full, background: tokens.colors.primary[400] }} />)}</span>{t('calendar.legendDensity')}</span>
+            <span style={legendStyle}><span aria-hidden="true" style={{ width: '6px', height: '6px', borderRadius: tokens.borderRadius.full, background: tokens.colors.pink[500] }} />{t('calendar.legendPriority')}</span>
+          </div>
+        </>
+      ) : (
+        <AgendaView reminders={reminders} tags={tags} onOpenDay={onOpenDay} onEdit={onEdit} />
+      )}
+    </div>
+  );
+};
+
+// Tag Components
+const tagColorNames = Object.fromEntries(Object.entries(tokens.colors.tag).map(([name, hex]) => [hex, name]));
+
+const ColorSwatches = ({ value, onChange, colors = TAG_COLORS }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  return (
+    <div role="group" aria-label={t('tags.color')} style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap' }}>
+      {colors.map(color => (
+        <button type="button" key={color} aria-label={tagColorNames[color] ? t(`color.${tagColorNames[color]}`) : color} aria-pressed={value === color} onClick={() => onChange(color)}
+          style={{ width: '28px', height: '28px', borderRadius: tokens.borderRadius.full, background: color, border: 'none', cursor: 'pointer', boxShadow: value === color ? `0 0 0 2px ${theme.surface.base}, 0 0 0 4px ${color}` : 'none' }} />
       ))}
-      {[[25, 45], [175, 50], [50, 25], [150, 30]].map(([x, y], i) => (
-        <g key={i} style={animate ? { animation: `sparkle ${1 + i * 0.3}s ease-in-out infinite` } : {}}>
-          <path d={`M${x},${y} l2,-6 l2,6 l-6,-2 l6,0 l-6,2 l6,0 l-2,-6`} fill="#FDE68A" opacity="0.8" />
-        </g>
+    </div>
+  );
+};
+
+const TagForm = ({ tags, initialName = '', initialColor, submitLabel, ignoreId, onSubmit, onCancel }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const [name, setName] = useState(initialName);
+  const [colorHex, setColorHex] = useState(initialColor ?? TAG_COLORS[0]);
+  const [error, setError] = useState(null);
+
+  const submit = () => {
+    const message = validateTagName(tags, name, { ignoreId });
+    if (message) {
+      setError(message);
+      return;
+    }
+    onSubmit({ name, colorHex });
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[3], padding: tokens.spacing[3], borderRadius: tokens.borderRadius.lg, background: theme.surface.muted }}>
+      <Input placeholder={t('tags.name')} value={name} onChange={(e) => { setName(e.target.value); setError(null); }} error={error} />
+      <ColorSwatches value={colorHex} onChange={setColorHex} />
+      <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[2] }}>
+        <Badge color={colorHex}>{name.trim() || t('tags.preview')}</Badge>
+        <span style={{ flex: 1 }} />
+        {onCancel && <Button variant="ghost" size="sm" onClick={onCancel}>{t('common.cancel')}</Button>}
+        <Button variant="primary" size="sm" onClick={submit}>{submitLabel ?? t('tags.add')}</Button>
+      </div>
+    </div>
+  );
+};
+
+const TagPicker = ({ tags, selectedIds, onChange, onCreate }) => {
+  const { t } = useLocale();
+  const [isCreating, setIsCreating] = useState(false);
+  const toggle = (id) => onChange(selectedIds.includes(id) ? selectedIds.filter(tagId => tagId !== id) : [...selectedIds, id]);
+  const create = (draft) => {
+    const tag = onCreate(draft);
+    onChange([...selectedIds, tag.id]);
+    setIsCreating(false);
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[3] }}>
+      <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap' }}>
+        {tags.map(tag => {
+          const isSelected = selectedIds.includes(tag.id);
+          return (
+            <Badge key={tag.id} color={tag.colorHex} pressed={isSelected} onClick={() => toggle(tag.id)} style={{ opacity: isSelected ? 1 : 0.6 }}>
+              {isSelected ? '✓' : '+'} {tag.name}
+            </Badge>
+          );
+        })}
+        {onCreate && !isCreating && <Badge variant="default" onClick={() => setIsCreating(true)}>{t('tags.newTag')}</Badge>}
+      </div>
+      {isCreating && <TagForm tags={tags} initialColor={TAG_COLORS[tags.length % TAG_COLORS.length]} onSubmit={create} onCancel={() => setIsCreating(false)} />}
+    </div>
+  );
+};
+
+const TagManagerScreen = ({ tags, reminders, actions }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const [editingId, setEditingId] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const counts = countRemindersByTag(reminders);
+
+  return (
+    <div style={{ padding: tokens.spacing[5], background: theme.background.screen, minHeight: '100%' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: tokens.spacing[6] }}>
+        <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['2xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.primary, margin: 0 }}>{t('tags.title')}</h2>
+        {!isCreating && <Button variant="soft" size="sm" icon={<Icon name="plus" size="base" />} onClick={() => setIsCreating(true)}>{t('tags.new')}</Button>}
+      </div>
+
+      {isCreating && (
+        <div style={{ marginBottom: tokens.spacing[4] }}>
+          <TagForm tags={tags} initialColor={TAG_COLORS[tags.length % TAG_COLORS.length]} onSubmit={(draft) => { actions.create(draft); setIsCreating(false); }} onCancel={() => setIsCreating(false)} />
+        </div>
+      )}
+
+      {tags.length === 0 && <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.muted, textAlign: 'center' }}>{t('tags.empty')}</p>}
+
+      {tags.map(tag => (
+        <Card key={tag.id} variant="outlined" padding="sm" style={{ marginBottom: tokens.spacing[3] }}>
+          {editingId === tag.id ? (
+            <TagForm tags={tags} ignoreId={tag.id} initialName={tag.name} initialColor={tag.colorHex} submitLabel={t('common.save')}
+              onSubmit={({ name, colorHex }) => {
+                if (name.trim() !== tag.name) actions.rename(tag.id, name);
+                if (colorHex !== tag.colorHex) actions.recolor(tag.id, colorHex);
+                setEditingId(null);
+              }}
+              onCancel={() => setEditingId(null)} />
+          ) : (
+            <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[3] }}>
+              <span aria-hidden="true" style={{ width: '14px', height: '14px', borderRadius: tokens.borderRadius.full, background: tag.colorHex, flexShrink: 0 }} />
+              <div onClick={() => setEditingId(tag.id)} style={{ flex: 1, cursor: 'pointer' }}>
+                <p style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.body, margin: 0 }}>{tag.name}</p>
+                <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: theme.text.muted, margin: 0 }}>{t('tags.count', { count: counts[tag.id] ?? 0 })}</p>
+              </div>
+              <Button variant="ghost" size="sm" ariaLabel={t('common.editItem', { name: tag.name })} onClick={() => setEditingId(tag.id)}>{t('common.edit')}</Button>
+              <Button variant="ghost" size="sm" icon={<Icon name="x" size="base" />} iconOnly ariaLabel={t('common.deleteItem', { name: tag.name })} onClick={() => actions.remove(tag.id)} />
+            </div>
+          )}
+        </Card>
       ))}
-      <g transform={`translate(70, 80) scale(${eyeScale})`}>
-        <ellipse cx="0" cy="0" rx="12" ry="14" fill="#1a1a1a"/>
-        <ellipse cx="3" cy="-4" rx="4" ry="5" fill="white"/>
-      </g>
-      <g transform={`translate(130, 80) scale(${eyeScale})`}>
-        <ellipse cx="0" cy="0" rx="12" ry="14" fill="#1a1a1a"/>
-        <ellipse cx="3" cy="-4" rx="4" ry="5" fill="white"/>
-      </g>
-      {mouthOpen ? (
-        <><path d="M90,100 Q100,115 110,100" fill="#1a1a1a"/><ellipse cx="100" cy="106" rx="6" ry="4" fill="#FB7185"/></>
+    </div>
+  );
+};
+
+const buildRecurrenceRule = (type, date) => {
+  if (type === 'weekly') return weeklyOnCurrentDay(date);
+  if (type === 'monthly') return monthlyOnCurrentDay(date);
+  return { type };
+};
+
+const buildReminder = ({ title, scheduledDate, tagIds = [], recurrenceRule = { type: 'none' }, priority }) => ({
+  title,
+  scheduledDate,
+  completed: false,
+  tagIds,
+  recurrenceRule,
+  ...(priority ? { priority } : {}),
+});
+
+// Edits may keep a date that has since passed, like EditReminderView; only a new date must be in the future.
+// Errors are message keys.
+const validateReminderForm = ({ title, scheduledDate }, { now = new Date(), originalDate } = {}) => {
+  const errors = {};
+  if (!title.trim()) errors.title = 'form.titleRequired';
+  if (scheduledDate <= now && scheduledDate.getTime() !== originalDate?.getTime()) errors.scheduledDate = 'form.futureTime';
+  return errors;
+};
+
+const PickerCard = ({ icon, iconTone, title, subtitle, isOpen, onToggle, error, children }) => {
+  const theme = useTheme();
+  const { dir } = useLocale();
+  return (
+    <Card variant="outlined" padding="md" style={error ? { borderColor: tokens.colors.error } : {}}>
+      <button type="button" onClick={onToggle} aria-expanded={isOpen} style={{ width: '100%', display: 'flex', alignItems: 'center', justifyContent: 'space-between', cursor: 'pointer', background: 'none', border: 'none', padding: 0, font: 'inherit', color: 'inherit', textAlign: 'start', borderRadius: tokens.borderRadius.lg }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[3] }}>
+          <div style={{ width: '44px', height: '44px', borderRadius: tokens.borderRadius.lg, background: iconTone.background, color: iconTone.foreground, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+            {icon}
+          </div>
+          <div>
+            <p style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.body, margin: 0 }}>{title}</p>
+            <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.muted, margin: 0 }}>{subtitle}</p>
+          </div>
+        </div>
+        <span style={{ display: 'flex', transform: isOpen ? 'rotate(90deg)' : dir === 'rtl' ? 'rotate(180deg)' : 'none', transition: `transform ${tokens.transitions.fast}` }}>
+          <Icon name="chevronRight" size="xl" color={theme.text.disabled} />
+        </span>
+      </button>
+      {isOpen && <div style={{ marginTop: tokens.spacing[4] }}>{children}</div>}
+      {error && <FieldError>{error}</FieldError>}
+    </Card>
+  );
+};
+
+// Shared by the create and edit screens; `reminder` pre-fills the fields when editing
+const ReminderFormScreen = ({ heading, reminder, preferences = DEFAULT_PREFERENCES, tags = [], onCreateTag, onSave, onCancel, children }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const { t, format } = useLocale();
+  const [title, setTitle] = useState(reminder?.title ?? '');
+  const [scheduledDate, setScheduledDate] = useState(() => reminder?.scheduledDate ?? defaultReminderDate(preferences, now));
+  const [selectedTagIds, setSelectedTagIds] = useState(reminder?.tagIds ?? []);
+  const [recurrenceType, setRecurrenceType] = useState(reminder?.recurrenceRule?.type ?? 'none');
+  const [openPicker, setOpenPicker] = useState(null);
+  const [submitted, setSubmitted] = useState(false);
+
+  const validationOptions = { now, originalDate: reminder?.scheduledDate };
+  const errors = submitted ? validateReminderForm({ title, scheduledDate }, validationOptions) : {};
+  const pickerInputStyle = { width: '100%', padding: tokens.spacing[3], fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.body, background: theme.surface.muted, border: `2px solid ${theme.border.default}`, borderRadius: tokens.borderRadius.lg, colorScheme: theme.name };
+
+  const togglePicker = (picker) => setOpenPicker(openPicker === picker ? null : picker);
+
+  const updateDate = (value) => {
+    if (!value) return;
+    const [year, month, day] = value.split('-').map(Number);
+    const next = new Date(scheduledDate);
+    next.setFullYear(year, month - 1, day);
+    setScheduledDate(next);
+  };
+
+  const updateTime = (value) => {
+    if (!value) return;
+    const [hours, minutes] = value.split(':').map(Number);
+    const next = new Date(scheduledDate);
+    next.setHours(hours, minutes, 0, 0);
+    setScheduledDate(next);
+  };
+
+  const handleSave = () => {
+    setSubmitted(true);
+    if (Object.keys(validateReminderForm({ title, scheduledDate }, validationOptions)).length > 0) return;
+    // An untouched rule keeps its original weekday/day
+    const keepsRule = reminder && recurrenceType === reminder.recurrenceRule?.type && scheduledDate.getTime() === reminder.scheduledDate.getTime();
+    onSave(buildReminder({ title: title.trim(), scheduledDate, tagIds: selectedTagIds, recurrenceRule: keepsRule ? reminder.recurrenceRule : buildRecurrenceRule(recurrenceType, scheduledDate) }));
+  };
+
+  return (
+    <div style={{ padding: tokens.spacing[5], background: theme.background.screen, minHeight: '100%' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: tokens.spacing[6] }}>
+        <Button variant="ghost" size="sm" icon={<Icon name="x" size="xl" />} iconOnly ariaLabel={t('common.cancel')} onClick={onCancel} />
+        <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, margin: 0 }}>{heading}</h2>
+        <Button variant="primary" size="sm" onClick={handleSave}>{t('common.save')}</Button>
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[5] }}>
+        <Input label={t('form.titleLabel')} placeholder={t('form.titlePlaceholder')} value={title} onChange={(e) => setTitle(e.target.value)} error={errors.title && t(errors.title)} />
+
+        <PickerCard icon={<Icon name="calendar" size="xl" />} iconTone={{ background: theme.tone.primary.background, foreground: theme.text.brand }}
+          title={format.relativeDayTitle(scheduledDate, now)} subtitle={format.longDate(scheduledDate)}
+          isOpen={openPicker === 'date'} onToggle={() => togglePicker('date')}>
+          <input type="date" value={toDateInputValue(scheduledDate)} min={toDateInputValue(now)} onChange={(e) => updateDate(e.target.value)} style={pickerInputStyle} />
+        </PickerCard>
+
+        <PickerCard icon={<Icon name="clock" size="xl" />} iconTone={theme.tone.accent}
+          title={format.time(scheduledDate)} subtitle={t('form.remindAt')}
+          isOpen={openPicker === 'time'} onToggle={() => togglePicker('time')} error={errors.scheduledDate && t(errors.scheduledDate)}>
+          <input type="time" step={300} value={toTimeInputValue(scheduledDate)} onChange={(e) => updateTime(e.target.value)} style={pickerInputStyle} />
+        </PickerCard>
+
+        <div>
+          <p style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.semibold, color: theme.text.label, marginBottom: tokens.spacing[3] }}>{t('form.repeat')}</p>
+          <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap' }}>
+            {RECURRENCE_TYPES.map(type => (
+              <Button key={type} size="sm" variant={recurrenceType === type ? 'soft' : 'secondary'} icon={<Icon name={RECURRENCE_ICONS[type].icon} size="base" />} onClick={() => setRecurrenceType(type)}>{t(`recurrence.${type}`)}</Button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <p style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.semibold, color: theme.text.label, marginBottom: tokens.spacing[3] }}>{t('form.tags')}</p>
+          <TagPicker tags={tags} selectedIds={selectedTagIds} onChange={setSelectedTagIds} onCreate={onCreateTag} />
+        </div>
+
+        {children}
+      </div>
+    </div>
+  );
+};
+
+const CreateReminderScreen = (props) => {
+  const { t } = useLocale();
+  return <ReminderFormScreen heading={t('form.new')} {...props} />;
+};
+
+// The edit screen's log of completed occurrences, latest first, with the streak for repeating reminders
+const HISTORY_ROWS = 5;
+
+const CompletionHistory = ({ reminder, history }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const { t, format } = useLocale();
+  const entries = completionsOf(history, reminder.id);
+  const streak = streakOf(reminder, history, now);
+  const noteStyle = { fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.muted, margin: 0 };
+  return (
+    <section aria-label={t('history.title')} style={{ marginBottom: tokens.spacing[4] }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: tokens.spacing[2] }}>
+        <h3 style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, fontWeight: tokens.typography.fontWeight.semibold, color: theme.text.muted, textTransform: 'uppercase', letterSpacing: '0.04em', margin: 0 }}>{t('history.title')}</h3>
+        {streak && <Badge variant="accent" style={{ gap: tokens.spacing[1] }}><Icon name="flame" size="sm" />{t(`stats.streak.${streak.unit}`, { count: streak.current })}</Badge>}
+      </div>
+      <Card variant="outlined" padding="md">
+        {entries.length === 0 && <p style={noteStyle}>{t('history.empty')}</p>}
+        <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+          {entries.slice(0, HISTORY_ROWS).map((entry, i) => (
+            <li key={`${entry.occurrence.getTime()}-${entry.completedAt.getTime()}`} style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[2], padding: `${tokens.spacing[2]} 0`, borderTop: i > 0 ? `1px solid ${theme.border.default}` : 'none' }}>
+              <Icon name="check" size="sm" color={tokens.colors.primary[500]} />
+              <span style={{ flex: 1, fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.body }}>{t('history.entry', { date: t('time.dateAt', { date: format.longDate(entry.occurrence), time: format.time(entry.occurrence) }), done: format.since(entry.completedAt, now) })}</span>
+              <Badge variant={isOnTime(entry) ? 'primary' : 'accent'}>{t(isOnTime(entry) ? 'stats.onTime' : 'stats.late')}</Badge>
+            </li>
+          ))}
+        </ul>
+        {entries.length > HISTORY_ROWS && <p style={{ ...noteStyle, marginTop: tokens.spacing[2] }}>{t('history.more', { count: entries.length - HISTORY_ROWS })}</p>}
+      </Card>
+    </section>
+  );
+};
+
+// Saving keeps completion, priority and notes; deleting asks first, like EditReminderView
+const EditReminderScreen = ({ reminder, history = [], onSave, onDelete, ...props }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const save = ({ completed: _completed, ...changes }) => onSave(reminder.id, {
+    ...changes,
+    recurrenceEndDate: isRecurring(changes.recurrenceRule) ? reminder.recurrenceEndDate : undefined,
+    // A new date replaces any snooze
+    ...(changes.scheduledDate.getTime() !== reminder.scheduledDate.getTime() ? { snoozedUntil: null } : {}),
+  });
+  return (
+    <ReminderFormScreen key={reminder.id} heading={t('form.edit')} reminder={reminder} onSave={save} {...props}>
+      <CompletionHistory reminder={reminder} history={history} />
+      {confirmingDelete ? (
+        <Card variant="outlined" padding="md" style={{ borderColor: tokens.colors.error }}>
+          <p role="alert" style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.body, margin: 0 }}>{t('form.deleteConfirm', { title: reminder.title })}</p>
+          <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.muted, margin: `${tokens.spacing[1]} 0 ${tokens.spacing[4]}` }}>{t('form.deleteHint')}</p>
+          <div style={{ display: 'flex', gap: tokens.spacing[2], justifyContent: 'flex-end' }}>
+            <Button variant="ghost" size="sm" onClick={() => setConfirmingDelete(false)}>{t('common.cancel')}</Button>
+            <Button variant="danger" size="sm" onClick={() => onDelete(reminder.id)}>{t('common.delete')}</Button>
+          </div>
+        </Card>
       ) : (
-        <path d="M90,102 Q100,108 110,102" stroke="#1a1a1a" strokeWidth="3" strokeLinecap="round" fill="none" />
+        <Button variant="ghost" fullWidth onClick={() => setConfirmingDelete(true)} style={{ color: theme.tone.pink.foreground }}>{t('form.deleteReminder')}</Button>
       )}
-      <style>{`
-        @keyframes mossWiggle { 0%, 100% { transform: scaleX(1); } 50% { transform: scaleX(1.02); } }
-        @keyframes sproutSway { 0%, 100% { transform: rotate(-3deg); } 50% { transform: rotate(3deg); } }
-        @keyframes sparkle { 0%, 100% { opacity: 0.4; transform: scale(0.8); } 50% { opacity: 1; transform: scale(1.2); } }
-      `}</style>
-    </svg>
-  );
-};
-
-// Button Component
-const Button = ({ children, variant = 'primary', size = 'md', icon, iconOnly = false, fullWidth = false, onClick, style = {} }) => {
-  const baseStyle = {
-    fontFamily: tokens.typography.fontFamily.display, fontWeight: tokens.typography.fontWeight.bold,
-    borderRadius: iconOnly ? tokens.borderRadius.full : tokens.borderRadius.xl, border: 'none', cursor: 'pointer',
-    display: 'inline-flex', alignItems: 'center', justifyContent: 'center', gap: tokens.spacing[2],
-    transition: `all ${tokens.transitions.normal}`, width: fullWidth ? '100%' : 'auto',
-  };
-  const sizes = {
-    sm: { padding: iconOnly ? tokens.spacing[2] : `${tokens.spacing[2]} ${tokens.spacing[4]}`, fontSize: tokens.typography.fontSize.sm, minHeight: '40px', minWidth: iconOnly ? '40px' : 'auto' },
-    md: { padding: iconOnly ? tokens.spacing[3] : `${tokens.spacing[3]} ${tokens.spacing[6]}`, fontSize: tokens.typography.fontSize.base, minHeight: '52px', minWidth: iconOnly ? '52px' : 'auto' },
-    lg: { padding: iconOnly ? tokens.spacing[4] : `${tokens.spacing[4]} ${tokens.spacing[8]}`, fontSize: tokens.typography.fontSize.lg, minHeight: '60px', minWidth: iconOnly ? '60px' : 'auto' },
-  };
-  const variants = {
-    primary: { background: tokens.colors.primary[500], color: tokens.colors.neutral[0], boxShadow: tokens.shadows.md },
-    secondary: { background: tokens.colors.neutral[0], color: tokens.colors.neutral[800], border: `2px solid ${tokens.colors.neutral[200]}` },
-    ghost: { background: 'transparent', color: tokens.colors.neutral[700] },
-    soft: { background: tokens.colors.primary[100], color: tokens.colors.primary[700] },
-    accent: { background: tokens.colors.accent[500], color: tokens.colors.neutral[900] },
-  };
-  return (
-    <button onClick={onClick} style={{ ...baseStyle, ...sizes[size], ...variants[variant], ...style }}>
-      {icon && <span style={{ display: 'flex', alignItems: 'center' }}>{icon}</span>}
-      {!iconOnly && children}
-    </button>
+    </ReminderFormScreen>
   );
 };
 
-// Input Component
-const Input = ({ label, placeholder, value, onChange, icon, style = {} }) => (
-  <div style={{ width: '100%', ...style }}>
-    {label && <label style={{ display: 'block', fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.semibold, color: tokens.colors.neutral[700], marginBottom: tokens.spacing[2] }}>{label}</label>}
-    <div style={{ position: 'relative' }}>
-      {icon && <span style={{ position: 'absolute', left: tokens.spacing[4], top: '50%', transform: 'translateY(-50%)', color: tokens.colors.neutral[400], display: 'flex' }}>{icon}</span>}
-      <input type="text" placeholder={placeholder} value={value} onChange={onChange}
-        style={{ width: '100%', padding: `${tokens.spacing[4]} ${icon ? tokens.spacing[12] : tokens.spacing[4]}`, fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: tokens.colors.neutral[800], background: tokens.colors.neutral[0], border: `2px solid ${tokens.colors.neutral[200]}`, borderRadius: tokens.borderRadius.xl, outline: 'none' }} />
+// Onboarding
+// Slides from OnboardingView, each with its own mascot mood, then the permission step.
+// Titles and descriptions are the `onboarding.<id>.*` messages.
+const ONBOARDING_SLIDES = [
+  { id: 'welcome', mood: 'happy', accent: tokens.colors.primary[500] },
+  { id: 'snooze', mood: 'sleepy', accent: tokens.colors.accent[500] },
+  { id: 'patterns', mood: 'calm', accent: tokens.colors.tag.purple },
+  { id: 'sync', mood: 'excited', accent: tokens.colors.tag.teal },
+];
+
+// One page per permission state, as in NotificationPermissionView
+const PERMISSION_PAGES = {
+  notDetermined: { id: 'notDetermined', mood: 'calm', accent: tokens.colors.accent[500] },
+  granted: { id: 'granted', mood: 'excited', accent: tokens.colors.primary[500] },
+  denied: { id: 'denied', mood: 'sleepy', accent: tokens.colors.neutral[400] },
+};
+
+// Stand-in for the iOS system prompt; the choice is remembered like the real authorization status
+const PermissionAlert = ({ onChoose }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const titleId = useId();
+  const allowButton = useRef(null);
+  useEffect(() => { allowButton.current?.focus(); }, []);
+  const choiceStyle = { flex: 1, padding: tokens.spacing[3], border: 'none', background: 'none', cursor: 'pointer', fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.brand };
+
+  return (
+    <div style={{ position: 'absolute', inset: 0, background: 'rgba(0, 0, 0, 0.35)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 20 }}>
+      <div role="alertdialog" aria-modal="true" aria-labelledby={titleId} style={{ width: '270px', background: theme.surface.base, borderRadius: tokens.borderRadius.xl, boxShadow: theme.shadows.xl, textAlign: 'center', overflow: 'hidden' }}>
+        <div style={{ padding: tokens.spacing[4] }}>
+          <h3 id={titleId} style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, margin: 0 }}>{t('permission.title')}</h3>
+          <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary, margin: `${tokens.spacing[2]} 0 0` }}>{t('permission.body')}</p>
+        </div>
+        <div style={{ display: 'flex', borderTop: `1px solid ${theme.border.default}` }}>
+          <button type="button" onClick={() => onChoose('denied')} style={{ ...choiceStyle, borderInlineEnd: `1px solid ${theme.border.default}` }}>{t('permission.deny')}</button>
+          <button ref={allowButton} type="button" onClick={() => onChoose('granted')} style={{ ...choiceStyle, fontWeight: tokens.typography.fontWeight.bold }}>{t('permission.allow')}</button>
+        </div>
+      </div>
     </div>
-  </div>
-);
+  );
+};
+
+const OnboardingScreen = ({ permission, onPermission, onComplete }) => {
+  const theme = useTheme();
+  const { t, dir } = useLocale();
+  const [page, setPage] = useState(0);
+  const [isAsking, setIsAsking] = useState(false);
+  const [dragStartX, setDragStartX] = useState(null);
+  const pageCount = ONBOARDING_SLIDES.length + 1;
+  const isPermissionPage = page === ONBOARDING_SLIDES.length;
+  const content = isPermissionPage ? PERMISSION_PAGES[permission] : ONBOARDING_SLIDES[page];
+
+  // Pages advance toward the end edge, so RTL swaps the arrow keys and swipes
+  const forward = dir === 'rtl' ? -1 : 1;
+  const goTo = (next) => setPage(Math.min(pageCount - 1, Math.max(0, next)));
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowRight') goTo(page + forward);
+    if (e.key === 'ArrowLeft') goTo(page - forward);
+  };
+  const handlePointerUp = (e) => {
+    if (dragStartX === null) return;
+    const deltaX = e.clientX - dragStartX;
+    setDragStartX(null);
+    if (Math.abs(deltaX) > 40) goTo(page + (deltaX < 0 ? forward : -forward));
+  };
+  const choose = (status) => {
+    setIsAsking(false);
+    onPermission(status);
+  };
+
+  return (
+    <div onKeyDown={handleKeyDown} onPointerDown={(e) => setDragStartX(e.clientX)} onPointerUp={handlePointerUp} onPointerLeave={() => setDragStartX(null)}
+      style={{ position: 'relative', height: '100%', display: 'flex', flexDirection: 'column', padding: `${tokens.spacing[5]} ${tokens.spacing[6]}`, background: `linear-gradient(180deg, ${theme.background.screen} 0%, ${theme.background.screenEnd} 100%)`, touchAction: 'pan-y', userSelect: 'none' }}>
+      <div aria-live="polite" style={{ flex: 1, display: 'flex' }}>
+      <div key={`${page}-${permission}`} style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', textAlign: 'center', animation: 'memossSlideIn 0.4s ease-out' }}>
+        <div style={{ width: '190px', height: '190px', borderRadius: tokens.borderRadius.full, background: mix(content.accent, theme.background.screen, theme.name === 'dark' ? 0.25 : 0.14), border: `2px solid ${mix(content.accent, theme.background.screen, 0.35)}`, display: 'flex', alignItems: 'center', justifyContent: 'center', marginBottom: tokens.spacing[8] }}>
+          <MossMascot size={150} mood={content.mood} animate />
+        </div>
+        <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['2xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.primary, margin: `0 0 ${tokens.spacing[3]}` }}>{t(`onboarding.${content.id}.title`)}</h2>
+        <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.secondary, lineHeight: 1.6, margin: 0, maxWidth: '290px' }}>{t(`onboarding.${content.id}.description`)}</p>
+      </div>
+      </div>
+
+      {isPermissionPage ? (
+        permission === 'notDetermined'
+          ? <Button variant="primary" fullWidth icon={<Icon name="bell" size="lg" />} onClick={() => setIsAsking(true)}>{t('onboarding.ask')}</Button>
+          : <Button variant="primary" fullWidth onClick={onComplete}>{t('onboarding.begin')}</Button>
+      ) : (
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <Button variant="ghost" onClick={() => goTo(ONBOARDING_SLIDES.length)}>{t('onboarding.skip')}</Button>
+          <Button variant="primary" onClick={() => goTo(page + 1)}>{t('onboarding.continue')}</Button>
+        </div>
+      )}
+
+      <div role="group" aria-label={t('onboarding.pages')} style={{ display: 'flex', justifyContent: 'center', gap: tokens.spacing[2], margin: `${tokens.spacing[5]} auto ${tokens.spacing[3]}`, padding: `${tokens.spacing[2]} ${tokens.spacing[3]}`, borderRadius: tokens.borderRadius.full, background: theme.surface.muted }}>
+        {[...Array(pageCount)].map((_, i) => (
+          <button key={i} type="button" aria-label={t('onboarding.page', { page: i + 1, count: pageCount })} aria-current={i === page ? 'step' : undefined} onClick={() => goTo(i)}
+            style={{ width: i === page ? '20px' : '8px', height: '8px', padding: 0, border: 'none', borderRadius: tokens.borderRadius.full, cursor: 'pointer', background: i === page ? theme.surface.brand : theme.border.strong, transition: `width ${tokens.transitions.normal}` }} />
+        ))}
+      </div>
+
+      {isAsking && <PermissionAlert onChoose={choose} />}
+    </div>
+  );
+};
+
+const EmptyStateScreen = ({ onAdd }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  return (
+    <div style={{ padding: tokens.spacing[5], height: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', textAlign: 'center', background: `linear-gradient(180deg, ${theme.background.screen} 0%, ${theme.background.screenEnd} 100%)` }}>
+      <MossMascot size={160} mood="calm" animate />
+      <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['2xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.primary, marginBottom: tokens.spacing[3], marginTop: tokens.spacing[6] }}>{t('empty.title')}</h2>
+      <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.muted, marginBottom: tokens.spacing[8], maxWidth: '260px', lineHeight: 1.6 }}>{t('empty.body')}</p>
+      <Button variant="primary" icon={<Icon name="plus" size="xl" />} onClick={onAdd}>{t('empty.add')}</Button>
+    </div>
+  );
+};
+
+const SuccessScreen = ({ reminder, preferences = DEFAULT_PREFERENCES, onDone }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const { t, format } = useLocale();
+  // Opened from the nav without a saved reminder, it previews where a new one would start
+  const scheduledDate = reminder?.scheduledDate ?? defaultReminderDate(preferences, now);
+  return (
+    <div style={{ padding: tokens.spacing[5], height: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', textAlign: 'center', background: `linear-gradient(180deg, ${theme.background.celebrate} 0%, ${theme.background.celebrateEnd} 100%)` }}>
+      <div style={{ width: '110px', height: '110px', borderRadius: tokens.borderRadius.full, background: theme.surface.brand, display: 'flex', alignItems: 'center', justifyContent: 'center', marginBottom: tokens.spacing[6], boxShadow: `0 0 0 16px ${theme.tone.primary.background}` }}>
+        <Icon name="check" size={52} color={theme.text.onBrand} />
+      </div>
+      <MossMascot size={80} mood="excited" animate />
+      <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['2xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.primary, marginBottom: tokens.spacing[3], marginTop: tokens.spacing[4] }}>{t('success.title')}</h2>
+      <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.secondary, marginBottom: tokens.spacing[2] }}>{t('success.remindedOn')}</p>
+      <p style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.brandStrong, marginBottom: tokens.spacing[8] }}>{t('time.dateAt', { date: format.longDate(scheduledDate), time: format.time(scheduledDate) })}</p>
+      <Button variant="primary" onClick={onDone}>{t('common.done')}</Button>
+    </div>
+  );
+};
+
+const SAMPLE_TRANSCRIPT = 'Remind me to water the plants every morning at 9am';
+
+const transcriptHighlights = {
+  trigger: { color: tokens.colors.primary[300], underline: tokens.colors.primary[400] },
+  date: { color: tokens.colors.primary[200], underline: tokens.colors.primary[500] },
+  time: { color: tokens.colors.accent[300], underline: tokens.colors.accent[400] },
+  recurrence: { color: tokens.colors.secondary[200], underline: tokens.colors.secondary[400] },
+  tag: { color: tokens.colors.pink[100], underline: tokens.colors.pink[400] },
+  priority: { color: tokens.colors.pink[100], underline: tokens.colors.pink[500] },
+};
+
+const getSpeechRecognition = () => (typeof window === 'undefined' ? null : window.SpeechRecognition || window.webkitSpeechRecognition || null);
+
+const VoiceInputScreen = ({ profile = DEFAULT_PROFILE, onSave, onCancel }) => {
+  const { immersive } = useTheme();
+  const now = useNow();
+  const locale = useLocale();
+  const { t, format } = locale;
+  const [transcript, setTranscript] = useState(SAMPLE_TRANSCRIPT);
+  const [isListening, setIsListening] = useState(false);
+  const [error, setError] = useState(null);
+  const SpeechRecognition = getSpeechRecognition();
+
+  const parsed = parseReminder(transcript, { now });
+  const segments = segmentTranscript(transcript, parsed.spans);
+
+  const listen = () => {
+    if (!SpeechRecognition || isListening) return;
+    const recognition = new SpeechRecognition();
+    recognition.lang = 'en-US';
+    recognition.interimResults = true;
+    recognition.onresult = (event) => changeTranscript([...event.results].map(result => result[0].transcript).join(''));
+    recognition.onend = () => setIsListening(false);
+    recognition.onerror = () => setIsListening(false);
+    setIsListening(true);
+    recognition.start();
+  };
+
+  // Held to the same rules as the form, so "today at 8am" after 8 isn't saved
+  const handleCreate = () => {
+    if (!parsed.title) return;
+    const [invalid] = Object.values(validateReminderForm(parsed, { now }));
+    if (invalid) {
+      setError(t(invalid));
+      return;
+    }
+    try {
+      onSave({ ...buildReminder(parsed), tagNames: parsed.tags });
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+  const changeTranscript = (text) => {
+    setTranscript(text);
+    setError(null);
+  };
+
+  return (
+    <div style={{ padding: tokens.spacing[5], height: '100%', display: 'flex', flexDirection: 'column', background: immersive.background }}>
+      <div style={{ flex: 1, display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
+        <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['2xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: immersive.title, marginBottom: tokens.spacing[4] }}>{profile.name ? t('voice.promptNamed', { name: profile.name }) : t('voice.prompt')}</h2>
+        <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.lg, color: immersive.text, lineHeight: 1.6, minHeight: '3.2em' }}>
+          {segments.map((segment, i) => segment.kind
+            ? <span key={i} data-kind={segment.kind} style={{ borderBottom: `2px solid ${transcriptHighlights[segment.kind].underline}`, paddingBottom: '2px', color: transcriptHighlights[segment.kind].color }}>{segment.text}</span>
+            : <React.Fragment key={i}>{segment.text}</React.Fragment>)}
+        </p>
+
+        {parsed.title && (
+          <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap', marginTop: tokens.spacing[5] }}>
+            <Badge variant="default">📝 {parsed.title}</Badge>
+            <Badge variant={parsed.isPast ? 'pink' : 'primary'}>📅 {t('time.dayTime', { day: format.relativeDayTitle(parsed.scheduledDate, now), time: format.time(parsed.scheduledDate) })}</Badge>
+            {parsed.recurrenceRule.type !== 'none' && <Badge variant="secondary">🔁 {recurrenceLabel(locale, parsed.recurrenceRule)}</Badge>}
+            {parsed.tags.map(tag => <Badge key={tag} variant="accent">#{tag}</Badge>)}
+            {parsed.priority === 'high' && <Badge variant="pink">{t('voice.urgent')}</Badge>}
+          </div>
+        )}
+        {parsed.longTags.map(tag => <FieldError key={tag}>{t('voice.tagTooLong', { tag, max: MAX_TAG_NAME_LENGTH })}</FieldError>)}
+        {error && <FieldError>{error}</FieldError>}
+
+        <textarea value={transcript} onChange={(e) => changeTranscript(e.target.value)} rows={2} aria-label={t('voice.typeLabel')}
+          placeholder={t('voice.placeholder')}
+          style={{ marginTop: tokens.spacing[5], width: '100%', padding: tokens.spacing[3], fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: immersive.title, background: 'rgba(255, 255, 255, 0.06)', border: '1px solid rgba(255, 255, 255, 0.12)', borderRadius: tokens.borderRadius.lg, resize: 'none' }} />
+        {!SpeechRecognition && (
+          <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: immersive.text, opacity: 0.7, marginTop: tokens.spacing[2] }}>{t('voice.unavailable')}</p>
+        )}
+        {LOCALES[locale.locale].catalog !== 'en' && (
+          <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: immersive.text, opacity: 0.7, marginTop: tokens.spacing[2] }}>{t('voice.englishOnly')}</p>
+        )}
+      </div>
+      <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: tokens.spacing[6], paddingBottom: tokens.spacing[8] }}>
+        <button type="button" onClick={listen} disabled={!SpeechRecognition} aria-label={t('voice.speak')} aria-pressed={isListening} style={{ width: '88px', height: '88px', borderRadius: tokens.borderRadius.full, border: 'none', cursor: SpeechRecognition ? 'pointer' : 'not-allowed', opacity: SpeechRecognition ? 1 : 0.6, background: immersive.control, display: 'flex', alignItems: 'center', justifyContent: 'center', boxShadow: isListening ? `0 0 0 14px rgba(34, 197, 94, 0.35), 0 0 0 28px rgba(34, 197, 94, 0.15)` : `0 0 0 10px rgba(34, 197, 94, 0.2), 0 0 0 20px rgba(34, 197, 94, 0.1)`, transition: `box-shadow ${tokens.transitions.normal}` }}>
+          <Icon name="mic" size="4xl" color={tokens.colors.primary[600]} />
+        </button>
+        <div style={{ display: 'flex', gap: tokens.spacing[4], alignItems: 'center' }}>
+          <Button variant="ghost" icon={<Icon name="x" color={tokens.colors.neutral[0]} />} iconOnly ariaLabel={t('common.cancel')} onClick={onCancel} style={{ background: tokens.colors.pink[500], width: '52px', height: '52px' }} />
+          {parsed.title && <Button variant="primary" icon={<Icon name="check" size="xl" />} onClick={handleCreate}>{t('voice.create')}</Button>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Stats
+// Progress from the completion log: this week's days and recent weeks as
+// charts, streaks for repeating reminders and the total-count milestones.
+// The mascot's mood follows this week against the same days of the last.
+const STATS_WEEKS = 8;
+
+const RECENT_ROWS = 5;
+
+const StatsScreen = ({ reminders, history, onDone }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const { t, format } = useLocale();
+  const week = dailyCompletions(history, startOfWeek(now), 7);
+  const weeks = weeklyCompletions(history, STATS_WEEKS, now);
+  const total = (bars) => bars.reduce((sum, bar) => sum + bar.onTime + bar.late, 0);
+  const thisWeek = total(week);
+  const lastWeek = total(dailyCompletions(history, addDays(startOfWeek(now), -7), now.getDay() + 1));
+  const onTime = history.filter(isOnTime).length;
+  const streaks = reminders.filter(r => isRecurring(r.recurrenceRule)).map(reminder => ({ reminder, streak: streakOf(reminder, history, now) })).sort((a, b) => b.streak.current - a.streak.current || b.streak.best - a.streak.best);
+  const titles = new Map(reminders.map(r => [r.id, r.title]));
+  const recent = history.filter(entry => titles.has(entry.reminderId)).sort((a, b) => b.completedAt - a.completedAt).slice(0, RECENT_ROWS);
+  const difference = thisWeek - lastWeek;
+  const trend = thisWeek === 0 ? t('stats.trendNone') : difference === 0 ? t('stats.trendSame') : t(difference > 0 ? 'stats.trendUp' : 'stats.trendDown', { count: Math.abs(difference) });
+  const tiles = [
+    { label: t('stats.thisWeek'), value: format.number(thisWeek) },
+    { label: t('stats.onTime'), value: history.length ? format.percent(onTime / history.length) : '—' },
+    { label: t('stats.allTime'), value: format.number(history.length) },
+  ];
+  const rowTextStyle = { fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.body };
+  const mutedStyle = { fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.muted, margin: 0 };
+
+  return (
+    <div style={{ padding: tokens.spacing[5], background: theme.background.screen, minHeight: '100%' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: tokens.spacing[5] }}>
+        <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['2xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.primary, margin: 0 }}>{t('stats.title')}</h2>
+        <Button variant="ghost" size="sm" onClick={onDone} style={{ color: theme.text.brand }}>{t('common.done')}</Button>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[3], marginBottom: tokens.spacing[5] }}>
+        <MossMascot size={80} mood={progressMood({ thisWeek, lastWeek })} animate />
+        <p style={{ flex: 1, fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.body, margin: 0 }}>{trend}</p>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: tokens.spacing[2], marginBottom: tokens.spacing[6] }}>
+        {tiles.map(tile => (
+          <Card key={tile.label} variant="outlined" padding="sm" style={{ textAlign: 'center' }}>
+            <span style={{ display: 'block', fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.xl, fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.brandStrong }}>{tile.value}</span>
+            <span style={{ display: 'block', fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: theme.text.muted }}>{tile.label}</span>
+          </Card>
+        ))}
+      </div>
+
+      <SettingsSection title={t('stats.thisWeek')}>
+        <CompletionChart data={week} label={t('stats.weekChart')} legend />
+      </SettingsSection>
+      <SettingsSection title={t('stats.recentWeeks', { count: STATS_WEEKS })}>
+        <CompletionChart data={weeks} period="week" label={t('stats.recentWeeks', { count: STATS_WEEKS })} />
+      </SettingsSection>
+
+      <SettingsSection title={t('stats.streaks')}>
+        {streaks.length === 0 && <p style={mutedStyle}>{t('stats.noStreaks')}</p>}
+        <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+          {streaks.map(({ reminder, streak }, i) => (
+            <li key={reminder.id} style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[3], padding: `${tokens.spacing[2]} 0`, borderTop: i > 0 ? `1px solid ${theme.border.default}` : 'none' }}>
+              <span aria-hidden="true" style={{ width: '36px', height: '36px', flexShrink: 0, borderRadius: tokens.borderRadius.lg, background: streak.current > 0 ? theme.tone.accent.background : theme.surface.muted, color: streak.current > 0 ? theme.tone.accent.foreground : theme.text.disabled, display: 'flex', alignItems: 'center', justifyContent: 'center' }}><Icon name="flame" size="lg" /></span>
+              <span style={{ flex: 1, minWidth: 0 }}>
+                <span style={{ ...rowTextStyle, display: 'block', fontFamily: tokens.typography.fontFamily.display, fontWeight: tokens.typography.fontWeight.bold, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{reminder.title}</span>
+                <span style={{ display: 'block', fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: theme.text.muted }}>{t(`stats.streak.${streak.unit}`, { count: streak.current })}</span>
+              </span>
+              <Badge variant="default">{t('stats.best', { count: streak.best })}</Badge>
+            </li>
+          ))}
+        </ul>
+      </SettingsSection>
+
+      <SettingsSection title={t('stats.milestones')}>
+        <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexWrap: 'wrap', gap: tokens.spacing[2] }}>
+          {TOTAL_MILESTONES.map(count => {
+            const reached = history.length >= count;
+            return (
+              <li key={count} aria-label={t(reached ? 'stats.milestoneReached' : 'stats.milestoneAhead', { count })} style={{ minWidth: '44px', height: '44px', padding: `0 ${tokens.spacing[2]}`, borderRadius: tokens.borderRadius.full, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '2px', fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.extrabold, background: reached ? theme.surface.brand : theme.surface.muted, color: reached ? theme.text.onBrand : theme.text.disabled }}>
+                {reached && <Icon name="leaf" size="sm" />}{format.number(count)}
+              </li>
+            );
+          })}
+        </ul>
+      </SettingsSection>
+
+      <SettingsSection title={t('stats.recent')}>
+        {recent.length === 0 && <p style={mutedStyle}>{t('stats.noneYet')}</p>}
+        <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+          {recent.map((entry, i) => (
+            <li key={`${entry.reminderId}-${entry.completedAt.getTime()}`} style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[2], padding: `${tokens.spacing[2]} 0`, borderTop: i > 0 ? `1px solid ${theme.border.default}` : 'none' }}>
+              <Icon name="check" size="sm" color={tokens.colors.primary[500]} />
+              <span style={{ ...rowTextStyle, flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{titles.get(entry.reminderId)}</span>
+              <span style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: theme.text.muted }}>{formatDayTime({ t, format }, entry.completedAt, now)}</span>
+            </li>
+          ))}
+        </ul>
+      </SettingsSection>
+    </div>
+  );
+};
+
+// The mascot cheering a streak or total-count milestone, above the undo toast
+const MILESTONE_TIMEOUT = 5000;
+
+const MilestoneCelebration = ({ milestone, onDismiss }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const title = milestone.kind === 'streak' ? `${t(`stats.streak.${milestone.unit}`, { count: milestone.count })}!` : t('milestone.total', { count: milestone.count });
+  const body = milestone.kind === 'streak' ? t('milestone.streakBody', { title: milestone.title }) : t('milestone.totalBody');
+  return (
+    <div role="status" aria-label={t('milestone.label')} style={{ position: 'absolute', left: tokens.spacing[4], right: tokens.spacing[4], bottom: '180px', display: 'flex', alignItems: 'center', gap: tokens.spacing[3], padding: tokens.spacing[3], borderRadius: tokens.borderRadius['2xl'], background: `linear-gradient(135deg, ${theme.background.celebrate} 0%, ${theme.background.celebrateEnd} 100%)`, border: `2px solid ${theme.tone.primary.background}`, boxShadow: theme.shadows.xl, zIndex: 10 }}>
+      <MossMascot size={64} mood="excited" animate />
+      <span style={{ flex: 1, minWidth: 0 }}>
+        <span style={{ display: 'block', fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.primary }}>{title}</span>
+        <span style={{ display: 'block', fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{body}</span>
+      </span>
+      <button type="button" aria-label={t('common.dismiss')} onClick={onDismiss} style={{ alignSelf: 'flex-start', background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: theme.text.muted, display: 'flex' }}><Icon name="x" size="base" /></button>
+    </div>
+  );
+};
+
+// Settings
+// SettingsView from the iOS app, with the account card driven by the fake
+// auth provider (see memoss-auth.js) and the preferences from memoss-settings.js.
+const APP_VERSION = { version: '1.0', build: '1' };
+
+// Saves `text` as a file through a temporary download link
+const downloadFile = (text, name, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 
-// Card Component
-const Card = ({ children, variant = 'elevated', padding = 'md', style = {} }) => {
-  const paddings = { sm: tokens.spacing[3], md: tokens.spacing[5], lg: tokens.spacing[6] };
-  const variants = {
-    elevated: { background: tokens.colors.neutral[0], boxShadow: tokens.shadows.lg, border: `1px solid ${tokens.colors.neutral[100]}` },
-    outlined: { background: tokens.colors.neutral[0], border: `2px solid ${tokens.colors.neutral[200]}` },
-    soft: { background: tokens.colors.primary[50], border: `1px solid ${tokens.colors.primary[100]}` },
-    nature: { background: `linear-gradient(135deg, ${tokens.colors.primary[50]} 0%, ${tokens.colors.neutral[50]} 100%)`, border: `1px solid ${tokens.colors.primary[100]}` },
+// JSON export and import in the backend sync shape (see memoss-store.js), shared by Settings
+// and the prototype data panel; the messages receive the exported or imported data
+const useJsonTransfer = ({ reminders, tags, onLoad, exportedMessage, importedMessage }) => {
+  const fileInput = useRef(null);
+  const [status, setStatus] = useState(null);
+
+  const exportFile = () => {
+    downloadFile(exportJson({ reminders, tags }), `memoss-${toDateInputValue(new Date())}.json`, 'application/json');
+    setStatus({ tone: 'primary', message: exportedMessage({ reminders, tags }) });
+  };
+  const importFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const data = importJson(await file.text());
+      onLoad(data);
+      setStatus({ tone: 'primary', message: importedMessage(data, file) });
+    } catch (error) {
+      setStatus({ tone: 'error', message: error.message });
+    }
   };
-  return <div style={{ borderRadius: tokens.borderRadius['2xl'], padding: paddings[padding], ...variants[variant], ...style }}>{children}</div>;
+
+  return { fileInput, status, setStatus, exportFile, importFile };
 };
 
-// Checkbox Component
-const Checkbox = ({ checked, onChange, label, strikethrough = false }) => (
-  <label style={{ display: 'flex', alignItems: 'flex-start', gap: tokens.spacing[3], cursor: 'pointer' }}>
-    <div onClick={onChange} style={{ width: '26px', height: '26px', borderRadius: tokens.borderRadius.md, border: `2px solid ${checked ? tokens.colors.primary[500] : tokens.colors.neutral[300]}`, background: checked ? tokens.colors.primary[500] : tokens.colors.neutral[0], display: 'flex', alignItems: 'center', justifyContent: 'center', flexShrink: 0 }}>
-      {checked && <svg width="14" height="14" viewBox="0 0 14 14" fill="none"><path d="M2 7L5.5 10.5L12 3" stroke="white" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"/></svg>}
-    </div>
-    <span style={{ fontSize: tokens.typography.fontSize.base, color: checked ? tokens.colors.neutral[400] : tokens.colors.neutral[800], textDecoration: strikethrough && checked ? 'line-through' : 'none', lineHeight: 1.5 }}>{label}</span>
-  </label>
-);
+const SettingsSection = ({ title, children }) => {
+  const theme = useTheme();
+  return (
+    <section aria-label={title} style={{ marginBottom: tokens.spacing[6] }}>
+      <h3 style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, fontWeight: tokens.typography.fontWeight.semibold, color: theme.text.muted, textTransform: 'uppercase', letterSpacing: '0.04em', margin: `0 0 ${tokens.spacing[2]}` }}>{title}</h3>
+      <Card variant="outlined" padding="md">{children}</Card>
+    </section>
+  );
+};
 
-// Badge Component
-const Badge = ({ children, variant = 'default' }) => {
-  const variants = {
-    default: { background: tokens.colors.neutral[200], color: tokens.colors.neutral[700] },
-    primary: { background: tokens.colors.primary[100], color: tokens.colors.primary[700] },
-    secondary: { background: tokens.colors.secondary[100], color: tokens.colors.secondary[700] },
-    accent: { background: tokens.colors.accent[100], color: tokens.colors.accent[600] },
-    pink: { background: tokens.colors.pink[100], color: tokens.colors.pink[500] },
-  };
-  return <span style={{ display: 'inline-flex', alignItems: 'center', borderRadius: tokens.borderRadius.full, fontFamily: tokens.typography.fontFamily.display, fontWeight: tokens.typography.fontWeight.bold, padding: `${tokens.spacing[1]} ${tokens.spacing[3]}`, fontSize: tokens.typography.fontSize.xs, ...variants[variant] }}>{children}</span>;
+// A labelled switch row, like a SwiftUI Toggle in a Form
+const SettingsToggle = ({ label, hint, checked, onChange }) => {
+  const theme = useTheme();
+  return (
+    <button type="button" role="switch" aria-checked={checked} onClick={() => onChange(!checked)} style={{ width: '100%', display: 'flex', alignItems: 'center', gap: tokens.spacing[3], padding: `${tokens.spacing[2]} 0`, background: 'none', border: 'none', cursor: 'pointer', textAlign: 'start', font: 'inherit', color: 'inherit' }}>
+      <span style={{ flex: 1 }}>
+        <span style={{ display: 'block', fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.body }}>{label}</span>
+        {hint && <span style={{ display: 'block', fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: theme.text.muted }}>{hint}</span>}
+      </span>
+      <span aria-hidden="true" style={{ width: '46px', height: '28px', flexShrink: 0, borderRadius: tokens.borderRadius.full, background: checked ? theme.surface.brand : theme.border.strong, padding: '3px', display: 'flex', justifyContent: checked ? 'flex-end' : 'flex-start', transition: `all ${tokens.transitions.fast}` }}>
+        <span style={{ width: '22px', height: '22px', borderRadius: tokens.borderRadius.full, background: tokens.colors.neutral[0], boxShadow: theme.shadows.sm }} />
+      </span>
+    </button>
+  );
 };
 
-// Date Pill Component
-const DatePill = ({ day, weekday, isActive = false, hasReminder = false }) => (
-  <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', padding: `${tokens.spacing[3]} ${tokens.spacing[4]}`, borderRadius: tokens.borderRadius.xl, background: isActive ? tokens.colors.primary[500] : 'transparent', color: isActive ? tokens.colors.neutral[0] : tokens.colors.neutral[600], cursor: 'pointer', minWidth: '56px', position: 'relative' }}>
-    <span style={{ fontSize: tokens.typography.fontSize.xl, fontWeight: tokens.typography.fontWeight.extrabold, fontFamily: tokens.typography.fontFamily.display, lineHeight: 1.2 }}>{day}</span>
-    <span style={{ fontSize: tokens.typography.fontSize.xs, fontWeight: tokens.typography.fontWeight.semibold, textTransform: 'uppercase', letterSpacing: '0.5px', marginTop: '2px', opacity: 0.8 }}>{weekday}</span>
-    {hasReminder && !isActive && <div style={{ position: 'absolute', bottom: '8px', width: '6px', height: '6px', borderRadius: '50%', background: tokens.colors.primary[400] }} />}
-  </div>
-);
+// One card per account state: signed out (or failed), signing in, linked, token expired.
+// Sign out and delete ask first, like the alerts in SettingsView.
+const AccountCard = ({ auth, sync }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const { t, format } = useLocale();
+  const [, setRevision] = useState(0);
+  const [confirming, setConfirming] = useState(null);
+  useEffect(() => auth.subscribe(() => setRevision(revision => revision + 1)), [auth]);
+  const { session, busy, error } = auth.snapshot;
+  // The provider reads the virtual clock itself; `now` only re-renders this as it ticks
+  const state = auth.stateAt();
+  const providerName = (provider) => t(`settings.provider.${provider}`);
+  const textStyle = { fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary, margin: 0 };
+  const rowStyle = { display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: tokens.spacing[3], padding: `${tokens.spacing[2]} 0` };
+  const errorMessage = error && <p role="alert" style={{ ...textStyle, color: tokens.colors.error, textAlign: 'center', marginTop: tokens.spacing[3] }}>{t(`settings.error.${error.code}`)}</p>;
+  const progress = (label) => <p role="status" style={{ ...textStyle, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: tokens.spacing[2], minHeight: '40px' }}><Icon name="sync" size="base" spinning />{label}</p>;
+
+  if (state === 'signedOut' || state === 'signingIn' || state === 'error') {
+    return (
+      <div style={{ textAlign: 'center' }}>
+        <Icon name="cloud" size="4xl" color={theme.text.secondary} />
+        <p style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, margin: `${tokens.spacing[2]} 0 ${tokens.spacing[1]}` }}>{t('settings.syncTitle')}</p>
+        <p style={textStyle}>{t('settings.syncBody')}</p>
+        {errorMessage}
+        <div style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[2], marginTop: tokens.spacing[4] }}>
+          {state === 'signingIn' ? progress(t('settings.signingIn')) : AUTH_PROVIDERS.map(provider => (
+            <Button key={provider} variant={provider === 'apple' ? 'primary' : 'secondary'} fullWidth onClick={() => auth.signIn(provider)}>{t('settings.signInWith', { provider: providerName(provider) })}</Button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const confirmation = confirming && (
+    <Card variant="outlined" padding="md" style={{ borderColor: tokens.colors.error, marginTop: tokens.spacing[3] }}>
+      <p role="alert" style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.body, margin: 0 }}>{t(confirming === 'signOut' ? 'settings.signOut' : 'settings.deleteAccount')}</p>
+      <p style={{ ...textStyle, color: theme.text.muted, margin: `${tokens.spacing[1]} 0 ${tokens.spacing[4]}` }}>{t(confirming === 'signOut' ? 'settings.signOutHint' : 'settings.deleteAccountHint')}</p>
+      <div style={{ display: 'flex', gap: tokens.spacing[2], justifyContent: 'flex-end' }}>
+        <Button variant="ghost" size="sm" onClick={() => setConfirming(null)}>{t('common.cancel')}</Button>
+        <Button variant="danger" size="sm" onClick={() => { setConfirming(null); if (confirming === 'signOut') auth.signOut(); else auth.deleteAccount(); }}>{t(confirming === 'signOut' ? 'settings.signOut' : 'common.delete')}</Button>
+      </div>
+    </Card>
+  );
+  const leaveButtons = busy === 'delete' ? progress(t('settings.deleteAccount')) : !confirming && (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[1], marginTop: tokens.spacing[3] }}>
+      <Button variant="ghost" fullWidth onClick={() => setConfirming('signOut')} style={{ color: tokens.colors.error }}>{t('settings.signOut')}</Button>
+      {state === 'linked' && <Button variant="ghost" fullWidth onClick={() => setConfirming('delete')} style={{ color: theme.text.muted }}>{t('settings.deleteAccount')}</Button>}
+    </div>
+  );
 
-// Reminder Card Component
-const ReminderCard = ({ title, time, recurrence, completed = false, onToggle, tags = [], priority }) => (
-  <Card variant="elevated" padding="md" style={{ marginBottom: tokens.spacing[3] }}>
-    <div style={{ display: 'flex', alignItems: 'flex-start', gap: tokens.spacing[4] }}>
-      <Checkbox checked={completed} onChange={onToggle} strikethrough label="" />
-      <div style={{ flex: 1 }}>
-        <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[2], marginBottom: tokens.spacing[1] }}>
-          <h4 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.semibold, color: completed ? tokens.colors.neutral[400] : tokens.colors.neutral[800], textDecoration: completed ? 'line-through' : 'none', margin: 0 }}>{title}</h4>
-          {priority === 'high' && <Badge variant="pink">!</Badge>}
+  if (state === 'tokenExpired') {
+    return (
+      <div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[3] }}>
+          <Icon name="calendarAlert" size="3xl" color={theme.tone.accent.foreground} />
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <p style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, margin: 0 }}>{t('settings.expiredTitle')}</p>
+            <p style={{ ...textStyle, overflow: 'hidden', textOverflow: 'ellipsis' }}>{session.email}</p>
+          </div>
         </div>
-        <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[3], flexWrap: 'wrap' }}>
-          {time && <span style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[1], fontSize: tokens.typography.fontSize.sm, color: tokens.colors.neutral[500] }}><ClockIcon size={14} />{time}</span>}
-          {recurrence && <span style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[1], fontSize: tokens.typography.fontSize.sm, color: tokens.colors.secondary[500] }}><RepeatIcon size={14} />{recurrence}</span>}
+        <p style={{ ...textStyle, margin: `${tokens.spacing[3]} 0` }}>{t('settings.expiredBody')}</p>
+        {errorMessage}
+        {busy === 'signIn' ? progress(t('settings.signingIn')) : <Button variant="primary" fullWidth onClick={() => auth.reauthenticate()}>{t('settings.signInAgain')}</Button>}
+        {leaveButtons}
+        {confirmation}
+      </div>
+    );
+  }
+
+  const unlinked = AUTH_PROVIDERS.filter(provider => !session.linkedProviders.includes(provider));
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[3], paddingBottom: tokens.spacing[2] }}>
+        <Icon name="person" size="3xl" color={theme.text.brand} />
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <p style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, margin: 0 }}>{t('settings.signedIn')}</p>
+          <p style={{ ...textStyle, overflow: 'hidden', textOverflow: 'ellipsis' }}>{session.email}</p>
         </div>
-        {tags.length > 0 && <div style={{ display: 'flex', gap: tokens.spacing[2], marginTop: tokens.spacing[2] }}>{tags.map((tag, i) => <Badge key={i} variant="primary">{tag}</Badge>)}</div>}
+        <Badge variant="primary">{t('settings.via', { provider: providerName(session.provider) })}</Badge>
+      </div>
+      <div style={{ ...rowStyle, borderTop: `1px solid ${theme.border.subtle}` }}>
+        <span style={textStyle}>{t('settings.lastSynced')}</span>
+        <span style={{ ...textStyle, color: theme.text.body }}>{sync.lastSyncedAt ? formatDayTime({ t, format }, sync.lastSyncedAt, now) : t('sync.notYet')}</span>
       </div>
+      <Button variant="soft" size="sm" fullWidth icon={<Icon name="sync" size="base" spinning={sync.isSyncing} />} onClick={sync.onSync}>{t('settings.syncNow')}</Button>
+
+      <p style={{ ...textStyle, fontWeight: tokens.typography.fontWeight.semibold, marginTop: tokens.spacing[4] }}>{t('settings.linkedAccounts')}</p>
+      {session.linkedProviders.map(provider => (
+        <div key={provider} style={rowStyle}>
+          <span style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.body }}>{providerName(provider)}</span>
+          {busy === provider ? <Icon name="sync" size="base" spinning color={theme.text.muted} />
+            : session.linkedProviders.length > 1 && <Button variant="ghost" size="sm" ariaLabel={t('settings.unlinkItem', { provider: providerName(provider) })} onClick={() => auth.unlink(provider)}>{t('settings.unlink')}</Button>}
+        </div>
+      ))}
+      {unlinked.map(provider => (busy === provider
+        ? <div key={provider}>{progress(t('settings.linking'))}</div>
+        : <Button key={provider} variant="secondary" size="sm" fullWidth icon={<Icon name="plus" size="sm" />} onClick={() => auth.link(provider)}>{t('settings.link', { provider: providerName(provider) })}</Button>))}
+      {errorMessage}
+      {leaveButtons}
+      {confirmation}
     </div>
-  </Card>
-);
+  );
+};
 
-// FAB Component
-const FAB = ({ icon, onClick }) => (
-  <button onClick={onClick} style={{ width: '68px', height: '68px', borderRadius: tokens.borderRadius.full, border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', boxShadow: tokens.shadows.xl, background: tokens.colors.primary[500], color: tokens.colors.neutral[0] }}>{icon}</button>
-);
+const SettingsScreen = ({ auth, sync, preferences, onPreferencesChange, permission, onAllowNotifications, reminders, tags, actions, onDone }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const { t, format } = useLocale();
+  const calendarInput = useRef(null);
+  const [calendarStatus, setCalendarStatus] = useState(null);
+  const [icsComponent, setIcsComponent] = useState('VEVENT');
+  const [confirmingDeleteAll, setConfirmingDeleteAll] = useState(false);
+  const update = (changes) => onPreferencesChange(normalizePreferences({ ...preferences, ...changes }));
+  const counts = (data) => ({ reminders: t('settings.reminderCount', { count: data.reminders.length }), tags: t('settings.tagCount', { count: data.tags.length }) });
+  const textStyle = { fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary, margin: 0 };
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', padding: `${tokens.spacing[2]} 0`, fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.body };
+  const { fileInput, status, setStatus, exportFile, importFile } = useJsonTransfer({
+    reminders,
+    tags,
+    onLoad: actions.load,
+    exportedMessage: (data) => t('settings.exported', counts(data)),
+    importedMessage: (data) => t('settings.imported', counts(data)),
+  });
+  // Imported calendars open in the preview screen before anything is added
+  const exportCalendar = () => {
+    const name = `memoss-${toDateInputValue(new Date())}.ics`;
+    downloadFile(exportIcs({ reminders, tags }, { component: icsComponent }), name, ICS_MIME_TYPE);
+    setCalendarStatus({ tone: 'primary', message: t('settings.exportedIcs', { count: reminders.filter(r => r.scheduledDate).length, name }) });
+  };
+  const importCalendar = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      actions.previewCalendar({ name: file.name, previews: parseIcs(await file.text()) });
+    } catch (error) {
+      setCalendarStatus({ tone: 'error', message: error.message });
+    }
+  };
+  const deleteAll = () => {
+    actions.clear();
+    setConfirmingDeleteAll(false);
+    setStatus({ tone: 'primary', message: t('settings.deletedAll') });
+  };
 
-// Icons
-const PlusIcon = ({ size = 24, color = 'currentColor' }) => (<svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2.5" strokeLinecap="round"><line x1="12" y1="5" x2="12" y2="19" /><line x1="5" y1="12" x2="19" y2="12" /></svg>);
-const ClockIcon = ({ size = 24, color = 'currentColor' }) => (<svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2" strokeLinecap="round"><circle cx="12" cy="12" r="9" /><polyline points="12,7 12,12 15,14" /></svg>);
-const RepeatIcon = ({ size = 24, color = 'currentColor' }) => (<svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2" strokeLinecap="round"><path d="M17 2l4 4-4 4" /><path d="M3 11V9a4 4 0 014-4h14" /><path d="M7 22l-4-4 4-4" /><path d="M21 13v2a4 4 0 01-4 4H3" /></svg>);
-const BellIcon = ({ size = 24, color = 'currentColor' }) => (<svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2" strokeLinecap="round"><path d="M18 8A6 6 0 006 8c0 7-3 9-3 9h18s-3-2-3-9" /><path d="M13.73 21a2 2 0 01-3.46 0" /></svg>);
-const CheckIcon = ({ size = 24, color = 'currentColor' }) => (<svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2.5" strokeLinecap="round"><polyline points="5,12 10,17 19,7" /></svg>);
-const MicIcon = ({ size = 24, color = 'currentColor' }) => (<svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2" strokeLinecap="round"><rect x="9" y="2" width="6" height="12" rx="3" /><path d="M19 10v2a7 7 0 01-14 0v-2" /><line x1="12" y1="19" x2="12" y2="22" /></svg>);
-const CalendarIcon = ({ size = 24, color = 'currentColor' }) => (<svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2" strokeLinecap="round"><rect x="3" y="4" width="18" height="18" rx="3" /><line x1="16" y1="2" x2="16" y2="6" /><line x1="8" y1="2" x2="8" y2="6" /><line x1="3" y1="10" x2="21" y2="10" /></svg>);
-const XIcon = ({ size = 24, color = 'currentColor' }) => (<svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2.5" strokeLinecap="round"><line x1="18" y1="6" x2="6" y2="18" /><line x1="6" y1="6" x2="18" y2="18" /></svg>);
-const ChevronRightIcon = ({ size = 24, color = 'currentColor' }) => (<svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2" strokeLinecap="round"><polyline points="9,6 15,12 9,18" /></svg>);
-const LeafIcon = ({ size = 24, color = 'currentColor' }) => (<svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke={color} strokeWidth="2" strokeLinecap="round"><path d="M11 20A7 7 0 0 1 9.8 6.1C15.5 5 17 4.48 19 2c1 2 2 4.18 2 8 0 5.5-4.78 10-10 10Z" /><path d="M2 21c0-3 1.85-5.36 5.08-6C9.5 14.52 12 13 13 12" /></svg>);
+  return (
+    <div style={{ padding: tokens.spacing[5], background: theme.background.screen, minHeight: '100%' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: tokens.spacing[6] }}>
+        <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['2xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.primary, margin: 0 }}>{t('settings.title')}</h2>
+        <Button variant="ghost" size="sm" onClick={onDone} style={{ color: theme.text.brand }}>{t('common.done')}</Button>
+      </div>
 
-// Main App Component
-const MemossDesignSystem = () => {
-  const [activeScreen, setActiveScreen] = useState('list');
-  const [reminders, setReminders] = useState([
-    { id: 1, title: 'Water the plants 🌱', time: '9:00 AM', completed: false, priority: 'high' },
-    { id: 2, title: 'Call mom for her birthday', time: '11:00 AM', completed: false },
-    { id: 3, title: 'Pick up groceries', time: '2:00 PM', completed: true },
-    { id: 4, title: 'Take Buddy to the vet', time: '3:00 PM', completed: false, tags: ['Buddy'] },
-    { id: 5, title: 'Finish project presentation', time: '5:00 PM', completed: false },
-    { id: 6, title: 'Evening meditation', time: '8:00 PM', completed: false, recurrence: 'Daily' },
-  ]);
-
-  const toggleReminder = (id) => setReminders(reminders.map(r => r.id === id ? { ...r, completed: !r.completed } : r));
-
-  const screens = { list: 'Reminders', create: 'Create', empty: 'Empty', success: 'Success', voice: 'Voice', system: 'Design System' };
-
-  return (
-    <div style={{ minHeight: '100vh', background: `linear-gradient(180deg, ${tokens.colors.neutral[100]} 0%, ${tokens.colors.primary[50]} 100%)`, fontFamily: tokens.typography.fontFamily.body }}>
-      <style>{baseStyles}</style>
-      
-      {/* Navigation */}
-      <div style={{ background: tokens.colors.neutral[0], borderBottom: `1px solid ${tokens.colors.neutral[200]}`, padding: `${tokens.spacing[3]} ${tokens.spacing[4]}`, position: 'sticky', top: 0, zIndex: 100 }}>
-        <div style={{ maxWidth: '1200px', margin: '0 auto', display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-          <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[3] }}>
-            <MossMascot size={50} mood="happy" />
-            <div>
-              <h1 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.xl, fontWeight: tokens.typography.fontWeight.extrabold, color: tokens.colors.primary[600], margin: 0 }}>memoss</h1>
-              <p style={{ fontSize: tokens.typography.fontSize.xs, color: tokens.colors.neutral[500], margin: 0 }}>your reminder</p>
-            </div>
-          </div>
-          <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap' }}>
-            {Object.entries(screens).map(([key, label]) => (
-              <Button key={key} variant={activeScreen === key ? 'primary' : 'ghost'} size="sm" onClick={() => setActiveScreen(key)}>{label}</Button>
-            ))}
+      <SettingsSection title={t('settings.account')}>
+        <AccountCard auth={auth} sync={sync} />
+      </SettingsSection>
+
+      <SettingsSection title={t('settings.notifications')}>
+        {permission === 'denied' && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[2], paddingBottom: tokens.spacing[2] }}>
+            <p style={{ ...textStyle, flex: 1 }}>{t('settings.permissionOff')}</p>
+            <Button variant="soft" size="sm" onClick={onAllowNotifications}>{t('settings.turnOn')}</Button>
           </div>
+        )}
+        <SettingsToggle label={t('settings.notify')} hint={t('settings.notifyHint')} checked={preferences.notify} onChange={(notify) => update({ notify })} />
+        {preferences.notify && (
+          <>
+            <SettingsToggle label={t('settings.previews')} hint={t('settings.previewsHint')} checked={preferences.previews} onChange={(previews) => update({ previews })} />
+            <SettingsToggle label={t('settings.actions')} hint={t('settings.actionsHint')} checked={preferences.actions} onChange={(actions) => update({ actions })} />
+          </>
+        )}
+      </SettingsSection>
+
+      <SettingsSection title={t('settings.defaultTime')}>
+        <p style={{ ...textStyle, marginBottom: tokens.spacing[3] }}>{t('settings.defaultTimeHint')}</p>
+        <div role="group" aria-label={t('settings.defaultTime')} style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap' }}>
+          {DEFAULT_TIME_OPTIONS.map(time => (
+            <Button key={time ?? 'next'} size="sm" variant={preferences.defaultTime === time ? 'soft' : 'secondary'} ariaPressed={preferences.defaultTime === time} onClick={() => update({ defaultTime: time })}>
+              {time ? format.time(atTime(now, time)) : t('settings.nextQuarterHour')}
+            </Button>
+          ))}
         </div>
-      </div>
+      </SettingsSection>
 
-      {/* Main Content */}
-      <div style={{ maxWidth: '1200px', margin: '0 auto', padding: tokens.spacing[6], display: 'grid', gridTemplateColumns: activeScreen === 'system' ? '1fr' : '400px 1fr', gap: tokens.spacing[8] }}>
-        
-        {/* Phone Preview */}
-        {activeScreen !== 'system' && (
-          <div style={{ background: tokens.colors.neutral[900], borderRadius: '48px', padding: '14px', boxShadow: tokens.shadows.xl, height: 'fit-content', position: 'sticky', top: '100px' }}>
-            <div style={{ background: tokens.colors.neutral[50], borderRadius: '38px', overflow: 'hidden', height: '800px', position: 'relative' }}>
-              <div style={{ padding: `${tokens.spacing[2]} ${tokens.spacing[5]}`, display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.semibold }}>
-                <span>9:41</span>
-                <div style={{ display: 'flex', gap: tokens.spacing[1] }}><span>📶</span><span>🔋</span></div>
-              </div>
-              <div style={{ height: 'calc(100% - 40px)', overflow: 'auto' }}>
-                {activeScreen === 'list' && <ReminderListScreen reminders={reminders} toggleReminder={toggleReminder} />}
-                {activeScreen === 'create' && <CreateReminderScreen />}
-                {activeScreen === 'empty' && <EmptyStateScreen />}
-                {activeScreen === 'success' && <SuccessScreen />}
-                {activeScreen === 'voice' && <VoiceInputScreen />}
-              </div>
+      <SettingsSection title={t('settings.calendar')}>
+        <p style={{ ...textStyle, marginBottom: tokens.spacing[3] }}>{t('settings.calendarHint')}</p>
+        <div role="group" aria-label={t('settings.exportAs')} style={{ display: 'flex', gap: tokens.spacing[2], marginBottom: tokens.spacing[3] }}>
+          {ICS_COMPONENTS.map(component => (
+            <Button key={component} size="sm" variant={icsComponent === component ? 'soft' : 'secondary'} ariaPressed={icsComponent === component} onClick={() => setIcsComponent(component)}>{t(`settings.as.${component}`)}</Button>
+          ))}
+        </div>
+        <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap' }}>
+          <Button variant="soft" size="sm" onClick={exportCalendar}>{t('settings.exportIcs')}</Button>
+          <Button variant="soft" size="sm" onClick={() => calendarInput.current.click()}>{t('settings.importIcs')}</Button>
+          <input ref={calendarInput} type="file" accept={`${ICS_MIME_TYPE},.ics`} onChange={importCalendar} style={{ display: 'none' }} />
+        </div>
+        {calendarStatus && (
+          <p role={calendarStatus.tone === 'error' ? 'alert' : 'status'} style={{ ...textStyle, color: calendarStatus.tone === 'error' ? tokens.colors.error : theme.text.brand, marginTop: tokens.spacing[3] }}>{calendarStatus.message}</p>
+        )}
+      </SettingsSection>
+
+      <SettingsSection title={t('settings.data')}>
+        <p style={{ ...textStyle, marginBottom: tokens.spacing[3] }}>{t('settings.dataSummary', counts({ reminders, tags }))}</p>
+        <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap' }}>
+          <Button variant="soft" size="sm" onClick={exportFile}>{t('settings.export')}</Button>
+          <Button variant="soft" size="sm" onClick={() => fileInput.current.click()}>{t('settings.import')}</Button>
+          <input ref={fileInput} type="file" accept="application/json,.json" onChange={importFile} style={{ display: 'none' }} />
+        </div>
+        {confirmingDeleteAll ? (
+          <Card variant="outlined" padding="md" style={{ borderColor: tokens.colors.error, marginTop: tokens.spacing[3] }}>
+            <p role="alert" style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.body, margin: 0 }}>{t('settings.deleteAllConfirm', { count: reminders.length })}</p>
+            <p style={{ ...textStyle, color: theme.text.muted, margin: `${tokens.spacing[1]} 0 ${tokens.spacing[4]}` }}>{t('settings.deleteAllHint')}</p>
+            <div style={{ display: 'flex', gap: tokens.spacing[2], justifyContent: 'flex-end' }}>
+              <Button variant="ghost" size="sm" onClick={() => setConfirmingDeleteAll(false)}>{t('common.cancel')}</Button>
+              <Button variant="danger" size="sm" onClick={deleteAll}>{t('common.delete')}</Button>
             </div>
-          </div>
+          </Card>
+        ) : (
+          reminders.length > 0 && <Button variant="ghost" fullWidth onClick={() => setConfirmingDeleteAll(true)} style={{ color: theme.tone.pink.foreground, marginTop: tokens.spacing[3] }}>{t('settings.deleteAll')}</Button>
         )}
+        {status && (
+          <p role={status.tone === 'error' ? 'alert' : 'status'} style={{ ...textStyle, color: status.tone === 'error' ? tokens.colors.error : theme.text.brand, whiteSpace: 'pre-line', marginTop: tokens.spacing[3] }}>{status.message}</p>
+        )}
+      </SettingsSection>
 
-        {/* Documentation Panel */}
-        <div>{activeScreen === 'system' ? <DesignSystemDocs /> : <ScreenDocumentation screen={activeScreen} />}</div>
-      </div>
+      <SettingsSection title={t('settings.about')}>
+        <div style={rowStyle}><span>{t('settings.version')}</span><span style={{ color: theme.text.muted }}>{APP_VERSION.version}</span></div>
+        <div style={{ ...rowStyle, borderTop: `1px solid ${theme.border.subtle}` }}><span>{t('settings.build')}</span><span style={{ color: theme.text.muted }}>{APP_VERSION.build}</span></div>
+      </SettingsSection>
     </div>
   );
 };
 
-// Screen Components
-const ReminderListScreen = ({ reminders, toggleReminder }) => {
-  const incomplete = reminders.filter(r => !r.completed);
-  const completed = reminders.filter(r => r.completed);
+// Calendar Import
+// Preview of an .ics file from Settings before it goes into the reminders:
+// each VTODO or VEVENT with what it becomes and what couldn't be kept
+// (see memoss-ical.js). Items already in the list are unchecked. Opened from
+// the nav it shows SAMPLE_ICS, which mixes supported and unsupported rules.
+const SAMPLE_ICS = [
+  'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Example//Calendar//EN',
+  'BEGIN:VTODO', 'UID:plants@example.com', 'DTSTART:20260122T090000', 'RRULE:FREQ=DAILY', 'SUMMARY:Water the plants', 'CATEGORIES:home', 'END:VTODO',
+  'BEGIN:VEVENT', 'UID:rent@example.com', 'DTSTART:20260201T100000', 'RRULE:FREQ=MONTHLY;BYMONTHDAY=1;UNTIL=20261201T100000', 'SUMMARY:Pay rent', 'CATEGORIES:finance', 'PRIORITY:1', 'END:VEVENT',
+  'BEGIN:VEVENT', 'UID:vitamins@example.com', 'DTSTART;TZID=Europe/Lisbon:20260122T080000', 'RRULE:FREQ=DAILY;COUNT=30', 'SUMMARY:Take vitamins', 'CATEGORIES:health', 'END:VEVENT',
+  'BEGIN:VEVENT', 'UID:standup@example.com', 'DTSTART:20260122T093000', 'RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', 'SUMMARY:Team standup', 'CATEGORIES:work', 'END:VEVENT',
+  'BEGIN:VEVENT', 'UID:bookclub@example.com', 'DTSTART:20260212T190000', 'RRULE:FREQ=MONTHLY;BYDAY=2TH', 'SUMMARY:Book club', 'END:VEVENT',
+  'BEGIN:VEVENT', 'UID:birthday@example.com', 'DTSTART;VALUE=DATE:20260214', 'RRULE:FREQ=YEARLY', 'SUMMARY:Mom’s birthday 🎂', 'BEGIN:VALARM', 'ACTION:DISPLAY', 'TRIGGER:-P1D', 'END:VALARM', 'END:VEVENT',
+  'BEGIN:VEVENT', 'UID:dentist@example.com', 'DTSTART:20260127T150000', 'SUMMARY:Dentist', 'STATUS:CANCELLED', 'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
 
-  return (
-    <div style={{ padding: tokens.spacing[5], background: `linear-gradient(180deg, ${tokens.colors.neutral[50]} 0%, ${tokens.colors.primary[50]} 100%)`, minHeight: '100%' }}>
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: tokens.spacing[5] }}>
-        <div>
-          <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: tokens.colors.neutral[500], margin: 0 }}>Good morning,</p>
-          <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['3xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: tokens.colors.neutral[900], margin: 0 }}>James 🌿</h2>
-        </div>
-        <MossMascot size={70} mood="happy" animate />
-      </div>
+const SAMPLE_ICS_NAME = 'sample.ics';
 
-      <div style={{ display: 'flex', gap: tokens.spacing[1], marginBottom: tokens.spacing[6], background: tokens.colors.neutral[0], borderRadius: tokens.borderRadius['2xl'], padding: tokens.spacing[2], boxShadow: tokens.shadows.sm }}>
-        <DatePill day={21} weekday="TUE" isActive hasReminder />
-        <DatePill day={22} weekday="WED" hasReminder />
-        <DatePill day={23} weekday="THU" />
-        <DatePill day={24} weekday="FRI" hasReminder />
-        <DatePill day={25} weekday="SAT" />
-      </div>
+// Items that can't be added only say why. Unsupported RRULE parts read as
+// one message, e.g. "FREQ=YEARLY, BYMONTH=3".
+const issueMessages = ({ t, format }, { reminder, issues }) => {
+  const shown = reminder ? issues : issues.filter(issue => BLOCKING_ISSUES.includes(issue.code));
+  const rules = shown.filter(issue => issue.code === 'rule').map(issue => issue.value);
+  return [
+    ...(rules.length ? [t('ics.issue.rule', { parts: rules.join(', ') })] : []),
+    ...shown.filter(issue => issue.code !== 'rule').map(issue => t(`ics.issue.${issue.code}`, { zone: issue.value, tag: issue.value, max: MAX_TAG_NAME_LENGTH, time: reminder && format.time(reminder.scheduledDate) })),
+  ];
+};
+
+const IcsImportScreen = ({ file, reminders, error, onAdd, onCancel }) => {
+  const theme = useTheme();
+  const { t, format } = useLocale();
+  const { name, previews } = useMemo(() => file ?? { name: SAMPLE_ICS_NAME, previews: parseIcs(SAMPLE_ICS) }, [file]);
+  const [selected, setSelected] = useState(() => new Set(previews.flatMap((preview, i) => (preview.reminder && !isAlreadyImported(preview, reminders) ? [i] : []))));
+  const toggle = (i) => setSelected(current => {
+    const next = new Set(current);
+    if (!next.delete(i)) next.add(i);
+    return next;
+  });
+  const withIssues = previews.filter(preview => preview.issues.length > 0).length;
+  const smallStyle = { fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: theme.text.muted };
 
-      <div style={{ marginBottom: tokens.spacing[4] }}>
-        <h3 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: tokens.colors.neutral[800], marginBottom: tokens.spacing[4], display: 'flex', alignItems: 'center', gap: tokens.spacing[2] }}>
-          <LeafIcon size={20} color={tokens.colors.primary[500]} /> Today's tasks
-        </h3>
-        {incomplete.map(reminder => <ReminderCard key={reminder.id} {...reminder} onToggle={() => toggleReminder(reminder.id)} />)}
+  return (
+    <div style={{ padding: tokens.spacing[5], background: theme.background.screen, minHeight: '100%' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: tokens.spacing[2] }}>
+        <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['2xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.primary, margin: 0 }}>{t('ics.title')}</h2>
+        <Button variant="ghost" size="sm" onClick={onCancel} style={{ color: theme.text.brand }}>{t('common.cancel')}</Button>
       </div>
+      <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary, margin: `0 0 ${tokens.spacing[5]}` }}>
+        <span style={{ fontWeight: tokens.typography.fontWeight.semibold, color: theme.text.body }}>{name}</span> · {t('ics.summary', { count: previews.length })}{withIssues > 0 && ` · ${t('ics.withIssues', { count: withIssues })}`}
+      </p>
+      {!file && <p style={{ ...smallStyle, fontSize: tokens.typography.fontSize.sm, margin: `-${tokens.spacing[3]} 0 ${tokens.spacing[5]}` }}>{t('ics.sample')}</p>}
 
-      {completed.length > 0 && (
-        <div>
-          <h3 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.semibold, color: tokens.colors.neutral[500], marginBottom: tokens.spacing[3] }}>✓ Completed</h3>
-          {completed.map(reminder => <ReminderCard key={reminder.id} {...reminder} onToggle={() => toggleReminder(reminder.id)} />)}
-        </div>
-      )}
+      {previews.length === 0 && <p style={{ ...smallStyle, fontSize: tokens.typography.fontSize.sm }}>{t('ics.empty')}</p>}
+      <ul aria-label={t('ics.items')} style={{ listStyle: 'none', margin: `0 0 ${tokens.spacing[5]}`, padding: 0, display: 'flex', flexDirection: 'column', gap: tokens.spacing[3] }}>
+        {previews.map((preview, i) => {
+          const { reminder } = preview;
+          const duplicate = isAlreadyImported(preview, reminders);
+          const messages = issueMessages({ t, format }, preview);
+          return (
+            <li key={preview.uid ?? i}>
+              <Card variant="outlined" padding="md" style={{ opacity: reminder ? 1 : 0.7 }}>
+                <div style={{ display: 'flex', alignItems: 'flex-start', gap: tokens.spacing[3] }}>
+                  {reminder
+                    ? <Checkbox checked={selected.has(i)} onChange={() => toggle(i)} ariaLabel={t('ics.include', { title: reminder.title })} />
+                    : <span aria-hidden="true" style={{ color: theme.text.disabled, display: 'flex', paddingTop: '2px' }}><Icon name="x" size="lg" /></span>}
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <span style={{ display: 'block', fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.body, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{preview.title ?? t('ics.untitled')}</span>
+                    {reminder && (
+                      <span style={{ ...smallStyle, display: 'block', marginTop: '2px' }}>
+                        {t('time.dateAt', { date: format.longDate(reminder.scheduledDate), time: format.time(reminder.scheduledDate) })}
+                        {isRecurring(reminder.recurrenceRule) && ` · ${recurrenceLabel({ t, format }, reminder.recurrenceRule)}`}
+                        {reminder.recurrenceEndDate && ` · ${t('ics.until', { date: format.shortDate(reminder.recurrenceEndDate) })}`}
+                      </span>
+                    )}
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: tokens.spacing[1], marginTop: tokens.spacing[2] }}>
+                      <Badge variant="default">{t(`ics.${preview.component}`)}</Badge>
+                      {reminder?.tagNames.map(tagName => <Badge key={tagName} variant="secondary">#{tagName}</Badge>)}
+                      {reminder?.priority === 'high' && <Badge variant="pink">{t('calendar.legendPriority')}</Badge>}
+                      {reminder?.completed && <Badge variant="primary">{t('ics.completed')}</Badge>}
+                      {duplicate && <Badge variant="accent">{t('ics.duplicate')}</Badge>}
+                    </div>
+                    {messages.length > 0 && (
+                      <ul style={{ listStyle: 'none', margin: `${tokens.spacing[2]} 0 0`, padding: 0 }}>
+                        {messages.map(message => (
+                          <li key={message} style={{ ...smallStyle, display: 'flex', gap: tokens.spacing[1], alignItems: 'flex-start', color: reminder ? theme.tone.accent.foreground : theme.tone.pink.foreground, marginTop: '2px' }}>
+                            <span aria-hidden="true" style={{ display: 'flex', flexShrink: 0 }}><Icon name="calendarAlert" size="sm" /></span>{message}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </div>
+              </Card>
+            </li>
+          );
+        })}
+      </ul>
 
-      <div style={{ position: 'absolute', bottom: tokens.spacing[8], right: tokens.spacing[5] }}>
-        <FAB icon={<PlusIcon size={28} color={tokens.colors.neutral[0]} />} />
-      </div>
+      {error && <FieldError>{error}</FieldError>}
+      {selected.size > 0
+        ? <Button fullWidth onClick={() => onAdd(previews.filter((_, i) => selected.has(i)))}>{t('ics.add', { count: selected.size })}</Button>
+        : <p style={{ ...smallStyle, fontSize: tokens.typography.fontSize.sm, textAlign: 'center' }}>{t('ics.noneSelected')}</p>}
     </div>
   );
 };
 
-const CreateReminderScreen = () => (
-  <div style={{ padding: tokens.spacing[5], background: tokens.colors.neutral[50] }}>
-    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: tokens.spacing[6] }}>
-      <Button variant="ghost" size="sm" icon={<XIcon size={20} />} iconOnly />
-      <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: tokens.colors.neutral[900], margin: 0 }}>New Reminder</h2>
-      <Button variant="primary" size="sm">Save</Button>
-    </div>
+// Design System Documentation
+const DesignSystemDocs = () => {
+  const theme = useTheme();
+  const sectionTitle = { fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.xl, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, marginBottom: tokens.spacing[4] };
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[8] }}>
+      <div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[4], marginBottom: tokens.spacing[4] }}>
+          <MossMascot size={80} mood="happy" animate />
+          <div>
+            <h1 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['4xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.brand, margin: 0 }}>memoss</h1>
+            <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.lg, color: theme.text.muted, margin: 0 }}>Design System & Component Library</p>
+          </div>
+        </div>
+        <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.secondary, lineHeight: 1.7, maxWidth: '700px' }}>
+          A nature-inspired, friendly design system for the memoss reminder app. Built with a fresh green palette, soft shapes, and the adorable moss mascot that brings warmth to every interaction. Open the Catalog to try each component's props.
+        </p>
+      </div>
 
-    <div style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[5] }}>
-      <Input label="What do you need to remember?" placeholder="e.g., Water the plants, call mom" />
+      <Card variant="elevated" padding="lg">
+        <h2 style={sectionTitle}>🎨 Color System</h2>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: tokens.spacing[6] }}>
+          <ColorPalette name="Primary (Moss Green)" colors={tokens.colors.primary} />
+          <ColorPalette name="Secondary (Sage)" colors={tokens.colors.secondary} />
+          <ColorPalette name="Accent (Golden)" colors={tokens.colors.accent} />
+          <ColorPalette name="Neutral" colors={tokens.colors.neutral} />
+          <ColorPalette name="Tags" colors={tokens.colors.tag} />
+        </div>
+      </Card>
 
-      <Card variant="outlined" padding="md">
-        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-          <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[3] }}>
-            <div style={{ width: '44px', height: '44px', borderRadius: tokens.borderRadius.lg, background: tokens.colors.primary[100], display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-              <CalendarIcon size={22} color={tokens.colors.primary[600]} />
-            </div>
-            <div>
-              <p style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: tokens.colors.neutral[800], margin: 0 }}>Today</p>
-              <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: tokens.colors.neutral[500], margin: 0 }}>Tuesday, Jan 21</p>
-            </div>
-          </div>
-          <ChevronRightIcon size={20} color={tokens.colors.neutral[400]} />
+      <Card variant="elevated" padding="lg">
+        <h2 style={sectionTitle}>🌗 Theme Roles</h2>
+        <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.secondary, marginBottom: tokens.spacing[4] }}>Semantic roles for the <strong>{theme.name}</strong> theme. Toggle the theme in the nav bar to compare.</p>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: tokens.spacing[6] }}>
+          <ColorPalette name="Surface" colors={theme.surface} />
+          <ColorPalette name="Text" colors={theme.text} />
+          <ColorPalette name="Border" colors={theme.border} />
+          <ColorPalette name="Background" colors={theme.background} />
         </div>
       </Card>
 
-      <Card variant="outlined" padding="md">
-        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-          <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[3] }}>
-            <div style={{ width: '44px', height: '44px', borderRadius: tokens.borderRadius.lg, background: tokens.colors.accent[100], display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-              <ClockIcon size={22} color={tokens.colors.accent[600]} />
-            </div>
-            <div>
-              <p style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: tokens.colors.neutral[800], margin: 0 }}>9:00 AM</p>
-              <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: tokens.colors.neutral[500], margin: 0 }}>Remind me at</p>
+      <Card variant="nature" padding="lg">
+        <h2 style={sectionTitle}>🌿 Moss Mascot</h2>
+        <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.secondary, marginBottom: tokens.spacing[4] }}>Our friendly moss mascot brings personality and warmth to the app.</p>
+        <div style={{ display: 'flex', gap: tokens.spacing[6], alignItems: 'center', flexWrap: 'wrap' }}>
+          {['happy', 'excited', 'calm', 'sleepy'].map(mood => (
+            <div key={mood} style={{ textAlign: 'center' }}>
+              <MossMascot size={100} mood={mood} />
+              <p style={{ fontSize: tokens.typography.fontSize.sm, color: theme.text.muted, marginTop: tokens.spacing[2], textTransform: 'capitalize' }}>{mood}</p>
             </div>
-          </div>
-          <ChevronRightIcon size={20} color={tokens.colors.neutral[400]} />
+          ))}
         </div>
       </Card>
 
-      <div>
-        <p style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.semibold, color: tokens.colors.neutral[700], marginBottom: tokens.spacing[3] }}>Tags</p>
-        <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap' }}>
-          <Badge variant="primary">+ Work</Badge>
-          <Badge variant="secondary">+ Personal</Badge>
-          <Badge variant="accent">+ Health</Badge>
-          <Badge variant="pink">+ Urgent</Badge>
+      <Card variant="elevated" padding="lg">
+        <h2 style={sectionTitle}>🔘 Buttons</h2>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[4] }}>
+          <div style={{ display: 'flex', gap: tokens.spacing[3], alignItems: 'center', flexWrap: 'wrap' }}>
+            <Button variant="primary">Primary</Button>
+            <Button variant="secondary">Secondary</Button>
+            <Button variant="soft">Soft</Button>
+            <Button variant="accent">Accent</Button>
+            <Button variant="ghost">Ghost</Button>
+            <Button variant="danger">Danger</Button>
+          </div>
+          <div style={{ display: 'flex', gap: tokens.spacing[3], alignItems: 'center', flexWrap: 'wrap' }}>
+            <Button variant="primary" icon={<Icon name="plus" size="lg" />}>With Icon</Button>
+            <Button variant="soft" icon={<Icon name="leaf" size="xl" />} iconOnly ariaLabel="Leaf" />
+            <FAB icon={<Icon name="plus" size="3xl" color={theme.text.onBrand} />} label="Add reminder" />
+          </div>
         </div>
-      </div>
-    </div>
-  </div>
-);
+      </Card>
 
-const EmptyStateScreen = () => (
-  <div style={{ padding: tokens.spacing[5], height: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', textAlign: 'center', background: `linear-gradient(180deg, ${tokens.colors.neutral[50]} 0%, ${tokens.colors.primary[50]} 100%)` }}>
-    <MossMascot size={160} mood="calm" animate />
-    <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['2xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: tokens.colors.neutral[900], marginBottom: tokens.spacing[3], marginTop: tokens.spacing[6] }}>All clear! 🌿</h2>
-    <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: tokens.colors.neutral[500], marginBottom: tokens.spacing[8], maxWidth: '260px', lineHeight: 1.6 }}>No reminders for today. Time to relax and enjoy the moment!</p>
-    <Button variant="primary" icon={<PlusIcon size={20} />}>Add Reminder</Button>
-  </div>
-);
+      <Card variant="elevated" padding="lg">
+        <h2 style={sectionTitle}>✏️ Icons</h2>
+        <IconGallery />
+      </Card>
 
-const SuccessScreen = () => (
-  <div style={{ padding: tokens.spacing[5], height: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', textAlign: 'center', background: `linear-gradient(180deg, ${tokens.colors.primary[50]} 0%, ${tokens.colors.primary[100]} 100%)` }}>
-    <div style={{ width: '110px', height: '110px', borderRadius: tokens.borderRadius.full, background: tokens.colors.primary[500], display: 'flex', alignItems: 'center', justifyContent: 'center', marginBottom: tokens.spacing[6], boxShadow: `0 0 0 16px ${tokens.colors.primary[100]}` }}>
-      <CheckIcon size={52} color={tokens.colors.neutral[0]} />
-    </div>
-    <MossMascot size={80} mood="excited" animate />
-    <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['2xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: tokens.colors.neutral[900], marginBottom: tokens.spacing[3], marginTop: tokens.spacing[4] }}>Reminder saved! ✨</h2>
-    <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: tokens.colors.neutral[600], marginBottom: tokens.spacing[2] }}>You'll be reminded on</p>
-    <p style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: tokens.colors.primary[700], marginBottom: tokens.spacing[8] }}>Tuesday, Jan 21 at 9:00 AM</p>
-    <Button variant="primary">Done</Button>
-  </div>
-);
+      <Card variant="elevated" padding="lg">
+        <h2 style={sectionTitle}>🏷️ Badges</h2>
+        <div style={{ display: 'flex', gap: tokens.spacing[3], flexWrap: 'wrap' }}>
+          <Badge variant="default">Default</Badge>
+          <Badge variant="primary">Primary</Badge>
+          <Badge variant="secondary">Secondary</Badge>
+          <Badge variant="accent">Accent</Badge>
+          <Badge variant="pink">Pink</Badge>
+        </div>
+      </Card>
 
-const VoiceInputScreen = () => (
-  <div style={{ padding: tokens.spacing[5], height: '100%', display: 'flex', flexDirection: 'column', background: tokens.colors.neutral[950] }}>
-    <div style={{ flex: 1, display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
-      <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['2xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: tokens.colors.neutral[0], marginBottom: tokens.spacing[4] }}>How can I help you, James?</h2>
-      <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.lg, color: tokens.colors.neutral[300], lineHeight: 1.6 }}>
-        <span style={{ borderBottom: `2px solid ${tokens.colors.primary[400]}`, paddingBottom: '2px', color: tokens.colors.primary[300] }}>Remind me</span> to water the plants every morning at 9am
-      </p>
-    </div>
-    <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: tokens.spacing[6], paddingBottom: tokens.spacing[8] }}>
-      <div style={{ width: '88px', height: '88px', borderRadius: tokens.borderRadius.full, background: tokens.colors.neutral[0], display: 'flex', alignItems: 'center', justifyContent: 'center', boxShadow: `0 0 0 10px rgba(34, 197, 94, 0.2), 0 0 0 20px rgba(34, 197, 94, 0.1)` }}>
-        <MicIcon size={36} color={tokens.colors.primary[600]} />
-      </div>
-      <Button variant="ghost" icon={<XIcon size={24} color={tokens.colors.neutral[0]} />} iconOnly style={{ background: tokens.colors.pink[500], width: '52px', height: '52px' }} />
+      <Card variant="elevated" padding="lg">
+        <h2 style={sectionTitle}>♿ Accessibility</h2>
+        <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.secondary, lineHeight: 1.7, marginBottom: tokens.spacing[4] }}>
+          Every control is reachable with Tab and shows a {tokens.focus.width} focus ring in <code>border.focus</code>. Checkboxes toggle with Space; icon-only buttons and the FAB carry an accessible name. "Reduce motion" in the nav (on by default when the OS asks for it) stops the mascot and sync animations. Badge and Button colors for the <strong>{theme.name}</strong> theme, checked by <code>node scripts/check-contrast.js</code>:
+        </p>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: tokens.spacing[2] }}>
+          {contrastReport({ [theme.name]: theme }).map(row => (
+            <div key={`${row.component}-${row.variant}-${row.background}`} style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[2], fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary }}>
+              <span style={{ padding: `${tokens.spacing[1]} ${tokens.spacing[2]}`, borderRadius: tokens.borderRadius.sm, background: row.background, color: row.foreground, fontWeight: tokens.typography.fontWeight.bold, border: `1px solid ${theme.border.default}` }}>Aa</span>
+              <span style={{ flex: 1 }}>{row.component} {row.variant}</span>
+              <span style={{ color: row.pass ? theme.text.brand : tokens.colors.error, fontWeight: tokens.typography.fontWeight.semibold }}>{row.ratio.toFixed(2)}:1 {row.pass ? '✓' : '✗'}</span>
+            </div>
+          ))}
+        </div>
+      </Card>
     </div>
-  </div>
-);
+  );
+};
 
-// Design System Documentation
-const DesignSystemDocs = () => (
-  <div style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[8] }}>
+// Every registry icon with its SF Symbol, the size and weight tokens, and the repeat-kind icons
+const IconGallery = () => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const textStyle = { fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary };
+  const codeStyle = { fontSize: tokens.typography.fontSize.xs, color: theme.text.muted, wordBreak: 'break-all' };
+  const subtitle = { fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.base, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.body, margin: `${tokens.spacing[6]} 0 ${tokens.spacing[3]}` };
+  const cellStyle = { ...textStyle, padding: `${tokens.spacing[2]} ${tokens.spacing[3]}`, borderBottom: `1px solid ${theme.border.subtle}`, textAlign: 'start' };
+  return (
     <div>
-      <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[4], marginBottom: tokens.spacing[4] }}>
-        <MossMascot size={80} mood="happy" animate />
-        <div>
-          <h1 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['4xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: tokens.colors.primary[600], margin: 0 }}>memoss</h1>
-          <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.lg, color: tokens.colors.neutral[500], margin: 0 }}>Design System & Component Library</p>
-        </div>
-      </div>
-      <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: tokens.colors.neutral[600], lineHeight: 1.7, maxWidth: '700px' }}>
-        A nature-inspired, friendly design system for the memoss reminder app. Built with a fresh green palette, soft shapes, and the adorable moss mascot that brings warmth to every interaction.
+      <p style={{ ...textStyle, fontSize: tokens.typography.fontSize.base, lineHeight: 1.7, marginTop: 0, marginBottom: tokens.spacing[4] }}>
+        One component for every icon: <code>{'<Icon name="bell" size="lg" />'}</code>. Names and SF Symbols live in <code>memoss-icons.js</code>; use the symbol in the table when building the same control in SwiftUI (<code>.fill</code> symbols are outlined here).
       </p>
-    </div>
-
-    <Card variant="elevated" padding="lg">
-      <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.xl, fontWeight: tokens.typography.fontWeight.bold, color: tokens.colors.neutral[900], marginBottom: tokens.spacing[4] }}>🎨 Color System</h2>
-      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: tokens.spacing[6] }}>
-        <ColorPalette name="Primary (Moss Green)" colors={tokens.colors.primary} />
-        <ColorPalette name="Secondary (Sage)" colors={tokens.colors.secondary} />
-        <ColorPalette name="Accent (Golden)" colors={tokens.colors.accent} />
-        <ColorPalette name="Neutral" colors={tokens.colors.neutral} />
-      </div>
-    </Card>
-
-    <Card variant="nature" padding="lg">
-      <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.xl, fontWeight: tokens.typography.fontWeight.bold, color: tokens.colors.neutral[900], marginBottom: tokens.spacing[4] }}>🌿 Moss Mascot</h2>
-      <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: tokens.colors.neutral[600], marginBottom: tokens.spacing[4] }}>Our friendly moss mascot brings personality and warmth to the app.</p>
-      <div style={{ display: 'flex', gap: tokens.spacing[6], alignItems: 'center', flexWrap: 'wrap' }}>
-        {['happy', 'excited', 'calm', 'sleepy'].map(mood => (
-          <div key={mood} style={{ textAlign: 'center' }}>
-            <MossMascot size={100} mood={mood} />
-            <p style={{ fontSize: tokens.typography.fontSize.sm, color: tokens.colors.neutral[500], marginTop: tokens.spacing[2], textTransform: 'capitalize' }}>{mood}</p>
+      <div role="list" style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(150px, 1fr))', gap: tokens.spacing[3] }}>
+        {ICON_NAMES.map(name => (
+          <div key={name} role="listitem" style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: tokens.spacing[2], padding: tokens.spacing[3], borderRadius: tokens.borderRadius.lg, background: theme.surface.muted, textAlign: 'center' }}>
+            <span style={{ color: theme.text.brand }}><Icon name={name} /></span>
+            <span style={{ ...textStyle, fontWeight: tokens.typography.fontWeight.semibold, color: theme.text.body }}>{name}</span>
+            <code style={codeStyle}>{ICONS[name].symbol}</code>
           </div>
         ))}
       </div>
-    </Card>
 
-    <Card variant="elevated" padding="lg">
-      <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.xl, fontWeight: tokens.typography.fontWeight.bold, color: tokens.colors.neutral[900], marginBottom: tokens.spacing[4] }}>🔘 Buttons</h2>
-      <div style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[4] }}>
-        <div style={{ display: 'flex', gap: tokens.spacing[3], alignItems: 'center', flexWrap: 'wrap' }}>
-          <Button variant="primary">Primary</Button>
-          <Button variant="secondary">Secondary</Button>
-          <Button variant="soft">Soft</Button>
-          <Button variant="accent">Accent</Button>
-          <Button variant="ghost">Ghost</Button>
-        </div>
-        <div style={{ display: 'flex', gap: tokens.spacing[3], alignItems: 'center', flexWrap: 'wrap' }}>
-          <Button variant="primary" icon={<PlusIcon size={18} />}>With Icon</Button>
-          <Button variant="soft" icon={<LeafIcon size={20} />} iconOnly />
-          <FAB icon={<PlusIcon size={28} color={tokens.colors.neutral[0]} />} />
-        </div>
+      <h3 style={subtitle}>Sizes and weights</h3>
+      <div style={{ display: 'flex', alignItems: 'flex-end', gap: tokens.spacing[4], flexWrap: 'wrap', color: theme.text.body }}>
+        {Object.entries(tokens.icon.size).map(([size, px]) => (
+          <div key={size} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: tokens.spacing[1] }}>
+            <Icon name="leaf" size={size} />
+            <span style={textStyle}>{size}</span>
+            <code style={codeStyle}>{px}px</code>
+          </div>
+        ))}
+        {Object.entries(tokens.icon.stroke).map(([weight, width]) => (
+          <div key={weight} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: tokens.spacing[1] }}>
+            <Icon name="plus" weight={weight} />
+            <span style={textStyle}>{weight}</span>
+            <code style={codeStyle}>{width}</code>
+          </div>
+        ))}
       </div>
-    </Card>
 
-    <Card variant="elevated" padding="lg">
-      <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.xl, fontWeight: tokens.typography.fontWeight.bold, color: tokens.colors.neutral[900], marginBottom: tokens.spacing[4] }}>🏷️ Badges</h2>
-      <div style={{ display: 'flex', gap: tokens.spacing[3], flexWrap: 'wrap' }}>
-        <Badge variant="default">Default</Badge>
-        <Badge variant="primary">Primary</Badge>
-        <Badge variant="secondary">Secondary</Badge>
-        <Badge variant="accent">Accent</Badge>
-        <Badge variant="pink">Pink</Badge>
-      </div>
-    </Card>
-  </div>
-);
+      <h3 style={subtitle}>Repeat kinds</h3>
+      <table style={{ borderCollapse: 'collapse', width: '100%', maxWidth: '560px' }}>
+        <thead>
+          <tr>
+            <th scope="col" style={cellStyle}>Repeat</th>
+            <th scope="col" style={cellStyle}>Icon</th>
+            <th scope="col" style={cellStyle}><code>RecurrenceRule.icon</code></th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(RECURRENCE_ICONS).map(([type, { icon, symbol }]) => (
+            <tr key={type}>
+              <th scope="row" style={cellStyle}>{t(`recurrence.${type}`)}</th>
+              <td style={cellStyle}><span style={{ display: 'inline-flex', alignItems: 'center', gap: tokens.spacing[2], color: theme.text.body }}><Icon name={icon} size="xl" />{icon}</span></td>
+              <td style={cellStyle}><code style={codeStyle}>{symbol}</code></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
 
 const ColorPalette = ({ name, colors }) => {
-  const colorEntries = Object.entries(colors).filter(([key]) => !isNaN(key));
+  const theme = useTheme();
+  const isShadeScale = Object.keys(colors).some(key => !isNaN(key));
+  const colorEntries = Object.entries(colors).filter(([key, color]) => isShadeScale ? !isNaN(key) : typeof color === 'string');
   return (
     <div>
-      <h4 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.bold, color: tokens.colors.neutral[700], marginBottom: tokens.spacing[3] }}>{name}</h4>
+      <h4 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.label, marginBottom: tokens.spacing[3] }}>{name}</h4>
       <div style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
-        {colorEntries.slice(0, 7).map(([shade, color]) => (
+        {colorEntries.slice(0, isShadeScale ? 7 : undefined).map(([shade, color]) => (
           <div key={shade} style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[3] }}>
-            <div style={{ width: '40px', height: '20px', background: color, borderRadius: tokens.borderRadius.sm, border: shade === '0' || shade === '50' ? `1px solid ${tokens.colors.neutral[200]}` : 'none' }} />
-            <span style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: tokens.colors.neutral[600] }}>{shade}</span>
+            <div style={{ width: '40px', height: '20px', background: color, borderRadius: tokens.borderRadius.sm, border: `1px solid ${theme.border.default}` }} />
+            <span style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.xs, color: theme.text.secondary }}>{shade}</span>
           </div>
         ))}
       </div>
@@ -580,21 +2139,418 @@ const ColorPalette = ({ name, colors }) => {
   );
 };
 
+// Component Catalog
+// Everything a screen can import from this file, by name; the Catalog page
+// flags any of them without an entry in memoss-catalog.js
+const LIBRARY = { MossMascot, Button, Input, FieldError, Card, Checkbox, Badge, DatePill, CompletionChart, MonthCalendar, ReminderCard, FAB, UndoToast, SyncStatusBar, Icon };
+
+// Callbacks the preview wires to its own values, so controlled components respond to clicks and typing
+const catalogDemos = {
+  Input: (values, set) => ({ value: values.value, onChange: (e) => set('value', e.target.value) }),
+  Checkbox: (values, set) => ({ onChange: () => set('checked', !values.checked) }),
+  DatePill: (values, set) => ({ onClick: () => set('isActive', !values.isActive) }),
+  ReminderCard: (values, set) => ({ onToggle: () => set('completed', !values.completed) }),
+  CompletionChart: (values) => ({ data: values.period === 'week' ? weeklyCompletions(createSampleData().history, 8) : dailyCompletions(createSampleData().history, startOfWeek(new Date()), 7) }),
+  MonthCalendar: (values, set) => ({ month: values.month, selectedDate: values.selectedDate, summaries: monthSummaries(createSampleData().reminders, values.month ?? new Date()), onSelect: (date) => set('selectedDate', date), onMonthChange: (month) => set('month', month) }),
+};
+
+const PropControl = ({ name, schema, value, onChange }) => {
+  const theme = useTheme();
+  const fieldStyle = { width: '100%', padding: `${tokens.spacing[2]} ${tokens.spacing[3]}`, fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.body, background: theme.surface.base, border: `2px solid ${theme.border.default}`, borderRadius: tokens.borderRadius.lg, colorScheme: theme.name };
+  const labelStyle = { display: 'flex', flexDirection: 'column', gap: tokens.spacing[1], fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.semibold, color: theme.text.label };
+  if (schema.type === 'boolean') return <Checkbox checked={value} onChange={() => onChange(!value)} label={name} />;
+  if (schema.type === 'enum' || schema.type === 'icon') {
+    return (
+      <label style={labelStyle}>
+        {name}
+        <select value={value} onChange={(e) => onChange(e.target.value)} style={fieldStyle}>
+          {schema.values.map(option => <option key={option} value={option}>{option || '—'}</option>)}
+        </select>
+      </label>
+    );
+  }
+  if (schema.type === 'number') {
+    return (
+      <label style={labelStyle}>
+        {name}
+        <input type="number" min={schema.min} max={schema.max} step={schema.step} value={value} onChange={(e) => onChange(e.target.value === '' ? schema.min : Number(e.target.value))} style={fieldStyle} />
+      </label>
+    );
+  }
+  return (
+    <label style={labelStyle}>
+      {name}
+      <input type="text" value={value} onChange={(e) => onChange(e.target.value)} style={fieldStyle} />
+    </label>
+  );
+};
+
+// A catalog entry rendered with playground values; `handlers` are the demo callbacks it was given
+const catalogPreview = (name, values, set) => {
+  const entry = CATALOG[name];
+  const props = valuesToProps(entry, values);
+  Object.keys(props).filter(key => entry.props[key].type === 'icon').forEach(key => {
+    props[key] = <Icon name={props[key]} size={entry.props[key].size} />;
+  });
+  const demo = catalogDemos[name]?.(values, set) ?? {};
+  const Component = LIBRARY[name];
+  return { element: <Component {...props} {...demo} />, handlers: Object.keys(demo).filter(key => entry.props[key]?.type === 'function') };
+};
+
+// One page for every library component: prop table, live controls and the JSX they produce
+const ComponentCatalog = () => {
+  const theme = useTheme();
+  const [selected, setSelected] = useState(Object.keys(CATALOG)[0]);
+  const [valuesByEntry, setValuesByEntry] = useState({});
+  const entry = CATALOG[selected];
+  const values = valuesByEntry[selected] ?? initialValues(entry);
+  const set = (key, value) => setValuesByEntry({ ...valuesByEntry, [selected]: { ...values, [key]: value } });
+  const missing = missingEntries(Object.keys(LIBRARY));
+  const stale = staleEntries(Object.keys(LIBRARY));
+  const preview = catalogPreview(selected, values, set);
+  const snippet = jsxSnippet(selected, entry, values, { handlers: preview.handlers });
+
+  const sectionTitle = { fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.xl, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, margin: `0 0 ${tokens.spacing[2]}` };
+  const cellStyle = { padding: `${tokens.spacing[2]} ${tokens.spacing[3]}`, borderBottom: `1px solid ${theme.border.subtle}`, textAlign: 'start', verticalAlign: 'top', fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[6] }}>
+      <div>
+        <h1 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['3xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.brand, margin: 0 }}>Component Catalog</h1>
+        <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.secondary, lineHeight: 1.7, maxWidth: '700px' }}>
+          Every library component with its props, as published in <code>@memoss/design-system</code>: <code>import {'{ Button }'} from '@memoss/design-system'</code>, or <code>'@memoss/design-system/components/Button'</code> for one module. Change a control to update the preview and the JSX below it. Schemas live in <code>memoss-catalog.js</code>; <code>node scripts/check-catalog.js</code> fails when a component is added without one. <code>node scripts/snapshots.js</code> renders every enum and boolean variant here, plus the main screens, and diffs them against the baselines in <code>fixtures/snapshots</code>.
+        </p>
+      </div>
+
+      {(missing.length > 0 || stale.length > 0) && (
+        <Card variant="outlined" style={{ borderColor: tokens.colors.error }}>
+          <h2 style={{ ...sectionTitle, fontSize: tokens.typography.fontSize.lg, color: tokens.colors.error }}>⚠ Catalog out of date</h2>
+          {missing.length > 0 && <p style={{ ...cellStyle, borderBottom: 'none', padding: 0 }}>No entry for: {missing.join(', ')}</p>}
+          {stale.length > 0 && <p style={{ ...cellStyle, borderBottom: 'none', padding: 0 }}>No component for: {stale.join(', ')}</p>}
+        </Card>
+      )}
+
+      <div role="group" aria-label="Components" style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap' }}>
+        {Object.keys(CATALOG).map(key => <Button key={key} variant={selected === key ? 'soft' : 'ghost'} size="sm" ariaPressed={selected === key} onClick={() => setSelected(key)}>{key}</Button>)}
+      </div>
+
+      <Card variant="elevated" padding="lg">
+        <h2 style={sectionTitle}>{selected}</h2>
+        <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.secondary, marginTop: 0 }}>{entry.description}</p>
+        <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 3fr) minmax(220px, 2fr)', gap: tokens.spacing[6], alignItems: 'start' }}>
+          <div>
+            <div style={{ position: 'relative', minHeight: '200px', padding: tokens.spacing[6], borderRadius: tokens.borderRadius.xl, background: theme.surface.phone, border: `1px dashed ${theme.border.default}`, display: 'flex', alignItems: 'center', justifyContent: 'center', color: theme.text.primary }}>
+              <div style={{ width: '100%', display: 'flex', justifyContent: 'center' }}>
+                {preview.element}
+              </div>
+            </div>
+            <pre style={{ margin: `${tokens.spacing[4]} 0 0`, padding: tokens.spacing[4], borderRadius: tokens.borderRadius.lg, background: theme.surface.muted, overflowX: 'auto', fontSize: tokens.typography.fontSize.sm, color: theme.text.body }}><code>{snippet}</code></pre>
+          </div>
+          <div role="group" aria-label={`${selected} props`} style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[3] }}>
+            {Object.entries(entry.props).filter(([, schema]) => isEditable(schema)).map(([key, schema]) => <PropControl key={key} name={key} schema={schema} value={values[key]} onChange={(value) => set(key, value)} />)}
+            <Button variant="ghost" size="sm" onClick={() => setValuesByEntry({ ...valuesByEntry, [selected]: initialValues(entry) })}>Reset</Button>
+          </div>
+        </div>
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: tokens.spacing[6] }}>
+          <thead>
+            <tr>{['Prop', 'Type', 'Default', 'Description'].map(heading => <th key={heading} scope="col" style={{ ...cellStyle, color: theme.text.label, fontFamily: tokens.typography.fontFamily.display }}>{heading}</th>)}</tr>
+          </thead>
+          <tbody>
+            {Object.entries(entry.props).map(([key, schema]) => (
+              <tr key={key}>
+                <th scope="row" style={{ ...cellStyle, color: theme.text.primary }}><code>{key}</code></th>
+                <td style={cellStyle}><code>{schema.type === 'enum' ? schema.values.filter(Boolean).map(value => JSON.stringify(value)).join(' | ') : schema.type}</code></td>
+                <td style={cellStyle}>{schema.default === undefined ? '—' : <code>{JSON.stringify(schema.default)}</code>}</td>
+                <td style={cellStyle}>{schema.description}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Card>
+    </div>
+  );
+};
+
 const ScreenDocumentation = ({ screen }) => {
+  const theme = useTheme();
   const docs = {
-    list: { title: 'Reminder List', description: 'The main home screen with moss mascot greeting, date selector, and organized task list.' },
-    create: { title: 'Create Reminder', description: 'Form interface for creating new reminders with date, time, and tags.' },
+    onboarding: { title: 'Onboarding', description: 'The OnboardingView flow: four swipeable slides (or use the arrow keys and paging dots), each with its own mascot mood, then a notification permission step with a simulated system prompt. Skip jumps to the permission step. Until "Let\'s begin" is tapped once, the reminder list shows onboarding instead; the flag and the permission answer are saved with the prototype data.' },
+    list: { title: 'Reminder List', description: 'The main home screen with a greeting from the profile below (by time of day on the simulated clock) and a mascot whose mood follows along: sleepy late at night, calm with nothing planned, excited once today is done. Then a sync status bar, a week-long date strip (swipe or use the arrows to page weeks), and the selected day\'s tasks split into overdue, upcoming and completed. Cards show pending, syncing, failed and conflict states; use the mock server below to go offline or edit from another device. Tap a card to edit it, swipe it left to Snooze, Duplicate or Delete; deleting or completing shows an undo toast. Snoozed cards move to Upcoming and show when they wake. The status bar follows the notification simulator\'s virtual clock: play it fast or skip ahead and due reminders drop in as banners with Complete and Snooze actions. The Language menu in the nav switches the phone between English, Portuguese and right-to-left Arabic, with dates and times formatted for the locale.' },
+    edit: { title: 'Edit Reminder', description: 'The create form pre-filled with an existing reminder, like EditReminderView. A date that has already passed can be kept; a new one must be in the future. Its history lists the completed occurrences, on time or late, with the current streak for repeating reminders. Delete asks for confirmation and can still be undone from the list.' },
+    create: { title: 'Create Reminder', description: 'Form interface for creating new reminders with date, time, repeat, and tags. Empty titles and past times show inline errors; saving adds the reminder to the list.' },
     empty: { title: 'Empty State', description: 'Friendly empty state with calm moss mascot when no reminders exist.' },
     success: { title: 'Success', description: 'Celebration screen with excited moss mascot after saving a reminder.' },
-    voice: { title: 'Voice Input', description: 'Voice-to-text interface for natural language reminder creation.' },
+    tags: { title: 'Tags', description: 'Create, rename, recolor and delete tags. Colors come from the MemossColors tag palette; badge text is darkened or lightened until it meets WCAG AA contrast on its tint.' },
+    calendar: { title: 'Calendar', description: 'Month grid (the MonthCalendar component) and a scrolling agenda over the same occurrences as the list: recurring reminders are expanded into each day they fall on, and an hourly series counts once per day. Dots show how many reminders are open (one, two for 2–3, three for 4 or more); a pink marker flags open high-priority ones. Tap a day, or an agenda day header, to open it in the list; tap an agenda row to edit it. The calendar button on the date strip comes here too.' },
+    stats: { title: 'Stats', description: 'Progress from the completion log, which records every completed occurrence (recurring ones too) at the simulated time. This week by day and the last eight weeks as stacked on-time and late bars (the CompletionChart component), streaks for repeating reminders, total-count milestones and the latest completions. The mascot cheers when this week beats the last. Completing a reminder that reaches a streak or total milestone shows the mascot celebrating above the undo toast: complete today\'s Evening meditation in the sample data for a 7-day streak. Open it from the chart button in the greeting.' },
+    settings: { title: 'Settings', description: 'SettingsView with a fake auth provider in place of Sign in with Apple/Google. The account card covers signed out, signing in, linked (with linked accounts, link and unlink, sign out and delete), token expired and error; use the auth panel below to fail the next request or expire the session, or fast-forward the notification clock past 30 days. Notification toggles change the banners the simulator shows, the default time sets where new reminders start, and data management exports, imports or deletes everything. The calendar section exports reminders to an .ics file as events or tasks, and opens an imported one in the Import preview. Sync keeps using the mock server whatever the account state.' },
+    import: { title: 'Calendar Import', description: 'Preview of an iCalendar (.ics) file before its VTODOs and VEVENTs become reminders, using memoss-ical.js. Each item shows the date, repeat and end date, tags and priority it comes in with, plus what couldn\'t be kept: repeat rules Memoss can\'t express (every other week, several weekdays, nth weekday, yearly) import as one-time reminders, skipped dates are dropped, all-day items land at 9 AM. Untitled, undated and cancelled items can\'t be added, and ones already in the list start unchecked. Adding offers undo. Opened from the nav it shows a sample file; import your own, or one exported from Settings, to check the round trip. fixtures/ical-cases.json holds the mapping the iOS app should match.' },
+    voice: { title: 'Voice Input', description: 'Voice-to-text interface for natural language reminder creation. Recognized phrases (trigger, date, time, repeat, #tags) are underlined as the transcript is parsed; type into the field when speech input is unavailable.' },
   };
   const doc = docs[screen];
   return (
     <div>
-      <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['2xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: tokens.colors.neutral[900], marginBottom: tokens.spacing[3] }}>{doc.title}</h2>
-      <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: tokens.colors.neutral[600], lineHeight: 1.7 }}>{doc.description}</p>
+      <h2 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize['2xl'], fontWeight: tokens.typography.fontWeight.extrabold, color: theme.text.primary, marginBottom: tokens.spacing[3] }}>{doc.title}</h2>
+      <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.secondary, lineHeight: 1.7 }}>{doc.description}</p>
     </div>
   );
 };
 
+// Name, locale, clock and greeting style for the phone; saved with the prototype data
+const ProfilePanel = ({ profile, onChange }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const update = (changes) => onChange(normalizeProfile({ ...profile, ...changes }));
+  const selectStyle = { padding: `${tokens.spacing[4]} ${tokens.spacing[3]}`, fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.base, color: theme.text.body, background: theme.surface.base, border: `2px solid ${theme.border.default}`, borderRadius: tokens.borderRadius.xl, colorScheme: theme.name };
+
+  return (
+    <Card variant="outlined" style={{ marginTop: tokens.spacing[6] }}>
+      <h3 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, margin: `0 0 ${tokens.spacing[3]}` }}>Profile</h3>
+      <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary, lineHeight: 1.6, marginTop: 0 }}>
+        The list greets you as “{greetingFor(profile, now)}, {greetingName(profile)}” at this time of day. Without a name it says “there”, like the iOS dashboard. The locale also sets the phone’s language, date formats and text direction; the clock setting switches times between 12- and 24-hour.
+      </p>
+      <div style={{ display: 'flex', gap: tokens.spacing[3], flexWrap: 'wrap', alignItems: 'flex-end' }}>
+        <Input label="Name" placeholder="Your name" value={profile.name} onChange={(e) => onChange({ ...profile, name: e.target.value.slice(0, MAX_NAME_LENGTH) })} style={{ flex: 1, minWidth: '160px' }} />
+        <label style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[2], fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.sm, fontWeight: tokens.typography.fontWeight.semibold, color: theme.text.label }}>
+          Locale
+          <select value={profile.locale} onChange={(e) => update({ locale: e.target.value })} style={selectStyle}>
+            {PROFILE_LOCALES.map(locale => <option key={locale} value={locale}>{LOCALES[locale].label} ({locale})</option>)}
+          </select>
+        </label>
+      </div>
+      <div role="group" aria-label="Greeting style" style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap', marginTop: tokens.spacing[3] }}>
+        {GREETING_STYLES.map(style => <Button key={style} variant={profile.greetingStyle === style ? 'soft' : 'ghost'} size="sm" ariaPressed={profile.greetingStyle === style} onClick={() => update({ greetingStyle: style })}>{greetingStyleLabel(style)}</Button>)}
+      </div>
+      <div role="group" aria-label="Clock" style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap', marginTop: tokens.spacing[3] }}>
+        {HOUR_CYCLES.map(cycle => <Button key={cycle} variant={profile.hourCycle === cycle ? 'soft' : 'ghost'} size="sm" ariaPressed={profile.hourCycle === cycle} onClick={() => update({ hourCycle: cycle })}>{hourCycleLabel(cycle)}</Button>)}
+      </div>
+    </Card>
+  );
+};
+
+// Controls for the fake auth provider behind the Settings account card (see memoss-auth.js)
+const ACCOUNT_STATE_LABELS = { signedOut: 'Signed out', signingIn: 'Signing in', linked: 'Linked', tokenExpired: 'Token expired', error: 'Error' };
+const AUTH_LATENCIES = [0, 800, 3000];
+
+const AuthPanel = ({ auth }) => {
+  const theme = useTheme();
+  useNow(); // re-render as the clock ticks, so an expired session shows up
+  const { format } = useLocale();
+  const [, setRevision] = useState(0);
+  useEffect(() => auth.subscribe(() => setRevision(revision => revision + 1)), [auth]);
+  const [latency, setLatency] = useState(800);
+  const { session } = auth.snapshot;
+  const state = auth.stateAt();
+  const changeLatency = (ms) => {
+    auth.setLatency(ms);
+    setLatency(ms);
+  };
+
+  return (
+    <Card variant="outlined" style={{ marginTop: tokens.spacing[6] }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: tokens.spacing[3] }}>
+        <h3 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, margin: 0 }}>Fake Auth Provider</h3>
+        <Badge variant={{ linked: 'primary', tokenExpired: 'accent', error: 'pink' }[state] ?? 'default'}>{ACCOUNT_STATE_LABELS[state]}</Badge>
+      </div>
+      <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary, lineHeight: 1.6, marginTop: 0 }}>
+        {session ? `${session.email}, linked to ${session.linkedProviders.join(' and ')}. Expires ${format.longDate(session.expiresAt)} at ${format.time(session.expiresAt)} on the virtual clock.` : 'No session.'} Sign in from Settings on the phone; sessions last {SESSION_DAYS} days like the backend refresh token.
+        {auth.nextFailure ? ` The next request fails with ${auth.nextFailure}.` : ''}
+      </p>
+      <div role="list" aria-label="Account states" style={{ display: 'flex', gap: tokens.spacing[1], flexWrap: 'wrap', marginBottom: tokens.spacing[3] }}>
+        {ACCOUNT_STATES.map(name => <span key={name} role="listitem"><Badge variant={name === state ? 'primary' : 'default'} style={{ opacity: name === state ? 1 : 0.6 }}>{ACCOUNT_STATE_LABELS[name]}</Badge></span>)}
+      </div>
+      <div role="group" aria-label="Fail next request with" style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap' }}>
+        {AUTH_ERROR_CODES.map(code => <Button key={code} variant={auth.nextFailure === code ? 'soft' : 'ghost'} size="sm" ariaPressed={auth.nextFailure === code} onClick={() => auth.failNext(auth.nextFailure === code ? null : code)}>{code}</Button>)}
+      </div>
+      <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap', alignItems: 'center', marginTop: tokens.spacing[3] }}>
+        {session && <Button variant="soft" size="sm" onClick={() => auth.expireSession()}>Expire session</Button>}
+        <div role="group" aria-label="Latency" style={{ display: 'flex', gap: tokens.spacing[1] }}>
+          {AUTH_LATENCIES.map(ms => <Button key={ms} variant={latency === ms ? 'soft' : 'ghost'} size="sm" ariaPressed={latency === ms} onClick={() => changeLatency(ms)}>{ms ? `${ms / 1000}s` : 'Instant'}</Button>)}
+        </div>
+        <Button variant="ghost" size="sm" onClick={() => auth.reset()}>Reset</Button>
+      </div>
+    </Card>
+  );
+};
+
+// Controls for the notification simulator's virtual clock (see memoss-notifications.js)
+const NotificationPanel = ({ clock, reminders, permission, onAllow, delivered, onClearAll }) => {
+  const theme = useTheme();
+  const now = useNow();
+  const { format } = useLocale();
+  const next = nextNotification(reminders, now);
+  const nextDay = next && (isSameDay(next.date, now) ? '' : isSameDay(next.date, addDays(now, 1)) ? 'tomorrow ' : `on ${format.longDate(next.date)} `);
+  const backToRealTime = () => {
+    clock.setSpeed(1);
+    clock.set(new Date());
+    clock.play();
+  };
+
+  return (
+    <Card variant="outlined" style={{ marginTop: tokens.spacing[6] }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: tokens.spacing[3] }}>
+        <h3 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, margin: 0 }}>Notification Simulator</h3>
+        <Badge variant={clock.isPlaying ? 'primary' : 'accent'}>{clock.isPlaying ? `Playing · ${clock.speed}×` : 'Paused'}</Badge>
+      </div>
+      {permission === 'denied' && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[2], marginBottom: tokens.spacing[3] }}>
+          <Badge variant="pink">Notifications off</Badge>
+          <span style={{ flex: 1, fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary }}>Denied during onboarding, so no banners show.</span>
+          <Button variant="soft" size="sm" onClick={onAllow}>Allow</Button>
+        </div>
+      )}
+      <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary, lineHeight: 1.6, marginTop: 0 }}>
+        Virtual time is {format.longDate(now)}, {format.time(now)}. {next ? `Next: “${next.body}” ${nextDay}at ${format.time(next.date)}.` : `Nothing due in the next ${LOOKAHEAD_DAYS} days.`} Due reminders show as banners in the phone; Complete and Snooze update the list.
+      </p>
+      <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap', alignItems: 'center' }}>
+        <Button variant="primary" size="sm" onClick={() => (clock.isPlaying ? clock.pause() : clock.play())}>{clock.isPlaying ? 'Pause' : 'Play'}</Button>
+        <div role="group" aria-label="Clock speed" style={{ display: 'flex', gap: tokens.spacing[1] }}>
+          {CLOCK_SPEEDS.map(speed => <Button key={speed} variant={clock.speed === speed ? 'soft' : 'ghost'} size="sm" ariaPressed={clock.speed === speed} onClick={() => clock.setSpeed(speed)}>{speed}×</Button>)}
+        </div>
+      </div>
+      <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap', marginTop: tokens.spacing[3] }}>
+        <Button variant="soft" size="sm" onClick={() => clock.advance(15 * MINUTE)}>+15 min</Button>
+        <Button variant="soft" size="sm" onClick={() => clock.advance(60 * MINUTE)}>+1 hour</Button>
+        {next && <Button variant="soft" size="sm" onClick={() => clock.set(next.date)}>Skip to next due</Button>}
+        <Button variant="ghost" size="sm" onClick={backToRealTime}>Back to real time</Button>
+        {delivered > 0 && <Button variant="ghost" size="sm" onClick={onClearAll}>Clear {delivered} banner{delivered === 1 ? '' : 's'}</Button>}
+      </div>
+    </Card>
+  );
+};
+
+// Controls for the in-browser stand-in backend (see memoss-mock-server.js)
+const SyncPanel = ({ server, sync, reminders }) => {
+  const theme = useTheme();
+  const [, setRevision] = useState(0);
+  useEffect(() => server.subscribe(() => setRevision(revision => revision + 1)), [server]);
+  const { reminders: remoteReminders, tags: remoteTags } = server.counts;
+  // Target the reminder changed most recently here, so a pending edit turns into a conflict
+  const [lastEdited] = reminders.filter(reminder => reminder.remoteID).sort((a, b) => b.updatedAt - a.updatedAt);
+
+  const toggleOffline = () => {
+    const goingOnline = server.isOffline;
+    server.setOffline(!goingOnline);
+    // Reconnecting flushes whatever queued up while offline
+    if (goingOnline && sync.pending > 0) sync.onSync();
+  };
+
+  return (
+    <Card variant="outlined" style={{ marginTop: tokens.spacing[6] }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: tokens.spacing[3] }}>
+        <h3 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, margin: 0 }}>Mock Sync Server</h3>
+        <Badge variant={server.isOffline ? 'pink' : 'primary'}>{server.isOffline ? 'Offline' : 'Online'}</Badge>
+      </div>
+      <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary, lineHeight: 1.6, marginTop: 0 }}>
+        {remoteReminders} reminders and {remoteTags} tags on the server · {sync.pending} local change{sync.pending === 1 ? '' : 's'} pending{server.failuresLeft > 0 ? ` · next ${server.failuresLeft} request${server.failuresLeft === 1 ? '' : 's'} will fail` : ''}.
+        Conflicts resolve last-write-wins on updatedAt.
+      </p>
+      <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap' }}>
+        <Button variant="primary" size="sm" icon={<Icon name="sync" size="base" spinning={sync.isSyncing} />} onClick={sync.onSync}>Sync now</Button>
+        <Button variant="soft" size="sm" onClick={toggleOffline}>{server.isOffline ? 'Go online' : 'Go offline'}</Button>
+        <Button variant="soft" size="sm" onClick={() => server.failNextRequests(1)}>Fail next request</Button>
+        <Button variant="soft" size="sm" onClick={() => server.editAsAnotherDevice(lastEdited?.remoteID)}>Edit on another device</Button>
+        <Button variant="soft" size="sm" onClick={() => server.addAsAnotherDevice()}>Add on another device</Button>
+        <Button variant="ghost" size="sm" onClick={() => server.reset()}>Reset server</Button>
+      </div>
+    </Card>
+  );
+};
+
+// Edits the options the snooze sheet offers; saved with the prototype data
+const SnoozeSettingsPanel = ({ presets, onChange }) => {
+  const theme = useTheme();
+  const [minutes, setMinutes] = useState('');
+  const [error, setError] = useState(null);
+
+  const add = (preset) => {
+    const message = validatePreset(presets, preset);
+    if (message) {
+      setError(message);
+      return;
+    }
+    onChange(addPreset(presets, preset));
+    setMinutes('');
+    setError(null);
+  };
+  const addMinutes = () => add({ kind: 'minutes', minutes: parseSnoozeInput(minutes) ?? NaN });
+  const missingNamed = [{ kind: 'tonight' }, { kind: 'tomorrowMorning' }].filter(preset => !presets.some(existing => existing.kind === preset.kind));
+
+  return (
+    <Card variant="outlined" style={{ marginTop: tokens.spacing[6] }}>
+      <h3 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, margin: `0 0 ${tokens.spacing[3]}` }}>Snooze Options</h3>
+      <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary, lineHeight: 1.6, marginTop: 0 }}>
+        Shown in the snooze sheet (swipe a reminder left). Tonight wakes at 8 PM and is hidden once evening starts; tomorrow morning wakes at 9 AM.
+      </p>
+      <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap', marginBottom: tokens.spacing[3] }}>
+        {presets.map(preset => (
+          <span key={presetKey(preset)} style={{ display: 'inline-flex', alignItems: 'center', gap: tokens.spacing[1] }}>
+            <Badge variant="accent">{presetLabel(preset)}</Badge>
+            <Button variant="ghost" size="sm" icon={<Icon name="x" size="sm" />} iconOnly ariaLabel={`Remove ${presetLabel(preset)}`} onClick={() => onChange(removePreset(presets, presetKey(preset)))} style={{ minHeight: '28px', minWidth: '28px', padding: tokens.spacing[1] }} />
+          </span>
+        ))}
+        {presets.length === 0 && <span style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.muted }}>No presets; only custom minutes are offered.</span>}
+      </div>
+      <div style={{ display: 'flex', gap: tokens.spacing[2], alignItems: 'flex-start', flexWrap: 'wrap' }}>
+        <Input ariaLabel="Minutes for a new option" placeholder="Minutes, e.g. 30" value={minutes} onChange={(e) => { setMinutes(e.target.value); setError(null); }} error={error} style={{ flex: 1, minWidth: '160px' }} />
+        <Button variant="soft" onClick={addMinutes}>Add</Button>
+      </div>
+      <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap', marginTop: tokens.spacing[3] }}>
+        {missingNamed.map(preset => <Button key={preset.kind} variant="soft" size="sm" icon={<Icon name="plus" size="sm" />} onClick={() => add(preset)}>{presetLabel(preset)}</Button>)}
+        <Button variant="ghost" size="sm" onClick={() => { onChange(DEFAULT_SNOOZE_PRESETS); setError(null); }}>Reset to defaults</Button>
+      </div>
+    </Card>
+  );
+};
+
+// Prototype data tools: export/import in the backend sync shape (see memoss-store.js)
+const DataPanel = ({ reminders, tags, storageKind, actions }) => {
+  const theme = useTheme();
+  const { fileInput, status, setStatus, exportFile, importFile } = useJsonTransfer({
+    reminders,
+    tags,
+    onLoad: actions.load,
+    exportedMessage: (data) => `Exported ${data.reminders.length} reminders and ${data.tags.length} tags.`,
+    importedMessage: (data, file) => `Imported ${data.reminders.length} reminders and ${data.tags.length} tags from ${file.name}.`,
+  });
+
+  return (
+    <Card variant="outlined" style={{ marginTop: tokens.spacing[6] }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: tokens.spacing[3] }}>
+        <h3 style={{ fontFamily: tokens.typography.fontFamily.display, fontSize: tokens.typography.fontSize.lg, fontWeight: tokens.typography.fontWeight.bold, color: theme.text.primary, margin: 0 }}>Prototype Data</h3>
+        <Badge variant={storageKind === 'localStorage' ? 'primary' : 'accent'}>{storageKind === 'localStorage' ? 'Saved in this browser' : 'In memory only'}</Badge>
+      </div>
+      <p style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: theme.text.secondary, lineHeight: 1.6, marginTop: 0 }}>
+        {reminders.length} reminders and {tags.length} tags. Files use the Go backend sync shape (snake_case, ISO dates, remote ids), so datasets can be shared or loaded from the API.
+      </p>
+      <div style={{ display: 'flex', gap: tokens.spacing[2], flexWrap: 'wrap' }}>
+        <Button variant="soft" size="sm" onClick={exportFile}>Export JSON</Button>
+        <Button variant="soft" size="sm" onClick={() => fileInput.current.click()}>Import JSON</Button>
+        <Button variant="ghost" size="sm" onClick={() => { actions.reset(); setStatus({ tone: 'primary', message: 'Restored the sample data.' }); }}>Reset to sample data</Button>
+        <Button variant="ghost" size="sm" onClick={() => { actions.resetOnboarding(); setStatus({ tone: 'primary', message: 'Onboarding will show before the reminder list again.' }); }}>Reset onboarding</Button>
+        <input ref={fileInput} type="file" accept="application/json,.json" onChange={importFile} style={{ display: 'none' }} />
+      </div>
+      {status && (
+        <p role={status.tone === 'error' ? 'alert' : 'status'} style={{ fontFamily: tokens.typography.fontFamily.body, fontSize: tokens.typography.fontSize.sm, color: status.tone === 'error' ? tokens.colors.error : theme.text.brand, whiteSpace: 'pre-line', marginBottom: 0 }}>{status.message}</p>
+      )}
+    </Card>
+  );
+};
+
+// Static render target for scripts/snapshots.js: one catalog entry with the
+// given values, or a whole screen with the sample data and onboarding done.
+// Both render with reduced motion so nothing is caught mid-animation.
+export const Snapshot = ({ entry, values, screen, theme = 'light' }) => {
+  if (screen) return <MemossDesignSystem initialScreen={screen} initialTheme={theme} initialReduceMotion initialState={{ ...createSampleData(), settings: { hasCompletedOnboarding: true } }} fonts="local" />;
+  return (
+    <ThemeContext.Provider value={themes[theme]}>
+    <MotionContext.Provider value={true}>
+      <div data-reduced-motion="true" style={{ position: 'relative', minHeight: '200px', padding: tokens.spacing[6], background: themes[theme].surface.phone, color: themes[theme].text.primary }}>
+        {catalogPreview(entry, values, () => {}).element}
+      </div>
+    </MotionContext.Provider>
+    </ThemeContext.Provider>
+  );
+};
+
 export default MemossDesignSystem;
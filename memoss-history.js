@@ -0,0 +1,117 @@
+import { addMonths, startOfMonth } from './memoss-calendar.js';
+import { addDays, startOfDay, startOfWeek } from './memoss-dates.js';
+
+// ============================================
+// MEMOSS HISTORY
+// The completion log behind streaks, the Stats screen and the mascot's
+// milestones. Completing a recurring reminder only rolls it forward, so the
+// log is the one place each occurrence's completion is kept.
+//
+// Entries are { reminderId, occurrence, completedAt }: `occurrence` is the
+// scheduledDate that was completed, `completedAt` when (on the simulated
+// clock). The log is saved with the reminders and stays local; the backend
+// only knows is_completed.
+// ============================================
+
+/** Log `reminder`'s current occurrence as completed at `completedAt`. */
+export const logCompletion = (history, reminder, completedAt = new Date()) => [...history, { reminderId: reminder.id, occurrence: reminder.scheduledDate ?? completedAt, completedAt }];
+
+/** Drop the entry for one occurrence, e.g. when a completion is undone. */
+export const unlogCompletion = (history, reminderId, occurrence) => {
+  const time = occurrence?.getTime();
+  const index = history.map(entry => entry.reminderId === reminderId && entry.occurrence.getTime() === time).lastIndexOf(true);
+  return index === -1 ? history : [...history.slice(0, index), ...history.slice(index + 1)];
+};
+
+/** One reminder's log, latest occurrence first. */
+export const completionsOf = (history, reminderId) => history.filter(entry => entry.reminderId === reminderId).sort((a, b) => b.occurrence - a.occurrence);
+
+/** Done by the end of the day it was due. */
+export const isOnTime = ({ occurrence, completedAt }) => completedAt < addDays(startOfDay(occurrence), 1);
+
+// MARK: - Streaks
+
+// A streak counts periods in a row with a completed occurrence. Hourly
+// reminders count by day: doing some of today's hours keeps the streak.
+const PERIODS = {
+  day: { start: startOfDay, step: (date, n) => addDays(date, n) },
+  week: { start: startOfWeek, step: (date, n) => addDays(date, n * 7) },
+  month: { start: startOfMonth, step: addMonths },
+};
+
+export const streakUnit = (rule) => ({ daily: 'day', hourly: 'day', weekly: 'week', monthly: 'month' })[rule?.type] ?? null;
+
+/**
+ * `{ unit, current, best }` for a recurring reminder, or null for a one-off.
+ * The current period doesn't break the streak until it is over, so this
+ * morning's streak still counts yesterday's.
+ */
+export const streakOf = (reminder, history, now = new Date()) => {
+  const unit = streakUnit(reminder.recurrenceRule);
+  if (!unit) return null;
+  const { start, step } = PERIODS[unit];
+  const done = new Set(completionsOf(history, reminder.id).map(entry => start(entry.occurrence).getTime()));
+
+  let cursor = start(now);
+  if (!done.has(cursor.getTime())) cursor = step(cursor, -1);
+  let current = 0;
+  while (done.has(cursor.getTime())) {
+    current += 1;
+    cursor = step(cursor, -1);
+  }
+
+  let best = 0;
+  let run = 0;
+  let previous = null;
+  [...done].sort((a, b) => a - b).forEach(time => {
+    run = previous !== null && step(new Date(previous), 1).getTime() === time ? run + 1 : 1;
+    best = Math.max(best, run);
+    previous = time;
+  });
+  return { unit, current, best };
+};
+
+// MARK: - Stats
+
+/** Completions per day by when they were done: [{ date, onTime, late }] for `days` days from `start`. */
+export const dailyCompletions = (history, start, days) => [...Array(days)].map((_, i) => {
+  const date = addDays(startOfDay(start), i);
+  const entries = history.filter(entry => startOfDay(entry.completedAt).getTime() === date.getTime());
+  const onTime = entries.filter(isOnTime).length;
+  return { date, onTime, late: entries.length - onTime };
+});
+
+/** The `weeks` weeks up to and including this one: [{ date, onTime, late }], `date` being each Sunday. */
+export const weeklyCompletions = (history, weeks, now = new Date()) => {
+  const first = addDays(startOfWeek(now), -7 * (weeks - 1));
+  return [...Array(weeks)].map((_, i) => {
+    const days = dailyCompletions(history, addDays(first, i * 7), 7);
+    return { date: days[0].date, onTime: days.reduce((sum, day) => sum + day.onTime, 0), late: days.reduce((sum, day) => sum + day.late, 0) };
+  });
+};
+
+/** Mascot mood for the Stats screen: excited when this week beats last week, calm before anything is done. */
+export const progressMood = ({ thisWeek, lastWeek }) => {
+  if (thisWeek === 0) return 'calm';
+  return thisWeek > lastWeek ? 'excited' : 'happy';
+};
+
+// MARK: - Milestones
+
+export const TOTAL_MILESTONES = [1, 10, 25, 50, 100, 250, 500];
+
+export const STREAK_MILESTONES = [3, 7, 14, 30, 60, 100];
+
+/**
+ * What completing `reminder` just reached, comparing the log before and after:
+ * { kind: 'streak', count, unit, title }, { kind: 'total', count } or null.
+ * A streak milestone wins when both land on the same completion.
+ */
+export const milestoneReached = (reminder, before, after, now = new Date()) => {
+  const previous = streakOf(reminder, before, now)?.current ?? 0;
+  const streak = streakOf(reminder, after, now);
+  const count = streak && STREAK_MILESTONES.find(milestone => previous < milestone && streak.current >= milestone);
+  if (count) return { kind: 'streak', count, unit: streak.unit, title: reminder.title };
+  const total = TOTAL_MILESTONES.find(milestone => before.length < milestone && after.length >= milestone);
+  return total ? { kind: 'total', count: total } : null;
+};
@@ -0,0 +1,1092 @@
+// ============================================
+// MEMOSS I18N
+// Message catalogs and Intl-based formatting for the phone screens. The
+// documentation column and the prototype's dev panels stay in English, as do
+// the reminder parser (English phrases only) and validation messages that
+// come from the model modules (tags, snooze presets).
+//
+// Messages are flat `key → string` maps with `{name}` placeholders. A message
+// can also be an object of Intl.PluralRules categories, picked by `count`.
+// Missing keys fall back to English; `node scripts/check-messages.js` lists
+// them.
+// ============================================
+
+// `catalog` names the message map; `dir` is the text direction
+export const LOCALES = {
+  'en-US': { label: 'English (US)', catalog: 'en', dir: 'ltr' },
+  'en-GB': { label: 'English (UK)', catalog: 'en', dir: 'ltr' },
+  'pt-BR': { label: 'Português (Brasil)', catalog: 'pt', dir: 'ltr' },
+  ar: { label: 'العربية', catalog: 'ar', dir: 'rtl' },
+};
+
+export const DEFAULT_LOCALE = 'en-US';
+
+// 'auto' follows the locale (e.g. 12-hour for en-US, 24-hour for pt-BR)
+export const HOUR_CYCLES = ['auto', 'h12', 'h23'];
+
+const en = {
+  'common.cancel': 'Cancel',
+  'common.save': 'Save',
+  'common.delete': 'Delete',
+  'common.done': 'Done',
+  'common.undo': 'Undo',
+  'common.dismiss': 'Dismiss',
+  'common.edit': 'Edit',
+  'common.editItem': 'Edit {name}',
+  'common.deleteItem': 'Delete {name}',
+  'common.quoted': '“{text}”',
+
+  'time.now': 'now',
+  'time.dateAt': '{date} at {time}',
+  'time.dayTime': '{day}, {time}',
+
+  'ordinal.one': '{n}st',
+  'ordinal.two': '{n}nd',
+  'ordinal.few': '{n}rd',
+  'ordinal.other': '{n}th',
+
+  'greeting.timeOfDay.morning': 'Good morning',
+  'greeting.timeOfDay.afternoon': 'Good afternoon',
+  'greeting.timeOfDay.evening': 'Good evening',
+  'greeting.timeOfDay.night': 'Good night',
+  'greeting.casual.morning': 'Morning',
+  'greeting.casual.afternoon': 'Hey',
+  'greeting.casual.evening': 'Hey',
+  'greeting.casual.night': 'Still up',
+  'greeting.simple.morning': 'Hello',
+  'greeting.simple.afternoon': 'Hello',
+  'greeting.simple.evening': 'Hello',
+  'greeting.simple.night': 'Hello',
+  'greeting.there': 'there',
+  'greeting.salutation': '{greeting},',
+  'greeting.label': '{greeting}, {name}',
+
+  'dates.today': 'Today',
+  'dates.previousWeek': 'Previous week',
+  'dates.nextWeek': 'Next week',
+  'dates.weekOf': 'Week of {date}',
+  'dates.hasReminders': '{date}, has reminders',
+
+  'list.today': "Today's tasks",
+  'list.tomorrow': "Tomorrow's tasks",
+  'list.overdue': 'Overdue',
+  'list.upcoming': 'Upcoming',
+  'list.completed': '✓ Completed',
+  'list.allDone': 'Everything is done for this day 🌿',
+  'list.nothingPlanned': 'Nothing planned for this day 🌿',
+  'list.add': 'Add reminder',
+  'list.filterByTag': 'Filter by tag',
+  'list.allTags': 'All',
+
+  'sync.syncing': 'Syncing…',
+  'sync.offline': 'Offline',
+  'sync.failed': 'Sync failed',
+  'sync.waiting': { one: '{count} change waiting to sync', other: '{count} changes waiting to sync' },
+  'sync.waitingShort': '{count} waiting',
+  'sync.synced': 'Synced {day} at {time}',
+  'sync.notYet': 'Not synced yet',
+  'sync.sync': 'Sync',
+  'sync.retry': 'Retry',
+  'sync.pending': 'Waiting to sync',
+  'sync.cardFailed': 'Couldn’t sync',
+  'sync.conflict': 'Changed on another device',
+  'sync.ok': 'OK',
+  'sync.keptYours': 'deleted there, kept yours',
+  'sync.keptRemote': 'newer version kept',
+  'sync.keptLocal': 'your newer edit kept',
+
+  'card.snooze': 'Snooze',
+  'card.snoozeItem': 'Snooze {name}',
+  'card.duplicate': 'Duplicate',
+  'card.duplicateItem': 'Duplicate {name}',
+  'card.snoozedUntil': 'Snoozed until {time}',
+  'card.wakeNow': 'Wake now',
+  'card.next': 'Next: {when}',
+
+  'undo.completed': 'Completed “{title}”',
+  'undo.deleted': 'Deleted “{title}”',
+
+  'snooze.title': 'Snooze “{title}”',
+  'snooze.scheduled': 'Scheduled for {date} at {time}',
+  'snooze.custom': 'Custom (minutes)',
+  'snooze.customPlaceholder': 'Minutes (e.g., 22)',
+  'snooze.invalid': 'Enter a whole number of minutes from 1 to {max}.',
+  'snooze.tonight': 'Tonight',
+  'snooze.tomorrowMorning': 'Tomorrow morning',
+
+  'notification.region': 'Notifications',
+  'notification.open': 'Open {title}',
+  'notification.due': 'Due {time}',
+  'notification.snoozed': 'Snoozed reminder',
+  'notification.complete': 'Complete',
+  'notification.snoozeFor': 'Snooze for',
+  'notification.custom': 'Custom…',
+  'notification.dismiss': 'Dismiss notification',
+  'notification.preview': 'Reminder',
+
+  'tags.title': 'Tags',
+  'tags.new': 'New',
+  'tags.newTag': '+ New tag',
+  'tags.name': 'Tag name',
+  'tags.preview': 'Preview',
+  'tags.add': 'Add tag',
+  'tags.color': 'Tag color',
+  'tags.empty': 'No tags yet. Create one to group your reminders.',
+  'tags.count': { one: '{count} reminder', other: '{count} reminders' },
+
+  'color.green': 'Green',
+  'color.blue': 'Blue',
+  'color.pink': 'Pink',
+  'color.orange': 'Orange',
+  'color.purple': 'Purple',
+  'color.teal': 'Teal',
+  'color.yellow': 'Yellow',
+  'color.gray': 'Gray',
+
+  'recurrence.none': 'Once',
+  'recurrence.daily': 'Daily',
+  'recurrence.hourly': 'Hourly',
+  'recurrence.weekly': 'Weekly',
+  'recurrence.monthly': 'Monthly',
+  'recurrence.every': 'Every {weekday}',
+  'recurrence.monthlyOn': 'Monthly on the {day}',
+
+  'form.new': 'New Reminder',
+  'form.edit': 'Edit Reminder',
+  'form.titleLabel': 'What do you need to remember?',
+  'form.titlePlaceholder': 'e.g., Water the plants, call mom',
+  'form.remindAt': 'Remind me at',
+  'form.repeat': 'Repeat',
+  'form.tags': 'Tags',
+  'form.titleRequired': 'Give your reminder a title.',
+  'form.futureTime': 'Pick a time in the future.',
+  'form.deleteConfirm': 'Delete “{title}”?',
+  'form.deleteHint': 'You can undo this for a few seconds afterwards.',
+  'form.deleteReminder': 'Delete reminder',
+
+  'onboarding.welcome.title': "Hello, I'm memoss",
+  'onboarding.welcome.description': "Like moss on a forest floor, I'll gently grow alongside you—catching the things you might forget.",
+  'onboarding.snooze.title': 'Snooze in your rhythm',
+  'onboarding.snooze.description': 'Need exactly 47 minutes? Done. Reminders bend to your day, not the other way around.',
+  'onboarding.patterns.title': 'Patterns that fit your life',
+  'onboarding.patterns.description': "Every morning at 7. Every third Thursday. Whatever rhythm your days follow—I'll follow too.",
+  'onboarding.sync.title': 'One mind, many places',
+  'onboarding.sync.description': 'Check it off anywhere. Your phone, your tablet, your Mac—all breathing together.',
+  'onboarding.notDetermined.title': 'A gentle tap on the shoulder',
+  'onboarding.notDetermined.description': "I'll only whisper when it matters. No noise, just the nudges you actually need.",
+  'onboarding.granted.title': "Perfect, we're connected",
+  'onboarding.granted.description': "I'll be here when you need me—quietly waiting until the right moment.",
+  'onboarding.denied.title': "That's okay, really",
+  'onboarding.denied.description': "I'll still be here, keeping track of things. You can find me in Settings whenever you're ready.",
+  'onboarding.skip': 'Skip',
+  'onboarding.continue': 'Continue →',
+  'onboarding.ask': 'Let me remind you',
+  'onboarding.begin': "Let's begin →",
+  'onboarding.pages': 'Onboarding pages',
+  'onboarding.page': 'Page {page} of {count}',
+
+  'permission.title': '“Memoss” Would Like to Send You Notifications',
+  'permission.body': 'Notifications may include alerts, sounds, and icon badges. These can be configured in Settings.',
+  'permission.deny': 'Don’t Allow',
+  'permission.allow': 'Allow',
+
+  'empty.title': 'All clear! 🌿',
+  'empty.body': 'No reminders for today. Time to relax and enjoy the moment!',
+  'empty.add': 'Add Reminder',
+
+  'success.title': 'Reminder saved! ✨',
+  'success.remindedOn': "You'll be reminded on",
+
+  'voice.prompt': 'How can I help you?',
+  'voice.promptNamed': 'How can I help you, {name}?',
+  'voice.typeLabel': 'Type your reminder',
+  'voice.placeholder': 'Type a reminder, e.g. Call mom tomorrow at 5pm',
+  'voice.unavailable': "Voice input isn't available in this browser — type your reminder instead.",
+  'voice.englishOnly': 'Reminders are understood in English for now.',
+  'voice.speak': 'Speak your reminder',
+  'voice.create': 'Create reminder',
+  'voice.urgent': '! Urgent',
+  'voice.tagTooLong': '#{tag} is too long for a tag (up to {max} characters), so it stays in the title.',
+
+  'settings.title': 'Settings',
+  'settings.account': 'Account',
+  'settings.syncTitle': 'Sync Your Reminders',
+  'settings.syncBody': 'Sign in to sync reminders across all your devices',
+  'settings.signInWith': 'Sign in with {provider}',
+  'settings.signingIn': 'Signing in…',
+  'settings.signedIn': 'Signed In',
+  'settings.via': 'via {provider}',
+  'settings.lastSynced': 'Last synced',
+  'settings.syncNow': 'Sync Now',
+  'settings.linkedAccounts': 'Linked Accounts',
+  'settings.link': 'Link {provider} Account',
+  'settings.linking': 'Linking…',
+  'settings.unlink': 'Unlink',
+  'settings.unlinkItem': 'Unlink {provider}',
+  'settings.signOut': 'Sign Out',
+  'settings.signOutHint': "Your reminders will remain on this device but won't sync to other devices.",
+  'settings.deleteAccount': 'Delete Account',
+  'settings.deleteAccountHint': 'This will permanently delete your account and all synced data. Your local reminders will remain on this device.',
+  'settings.expiredTitle': 'Session expired',
+  'settings.expiredBody': 'Sign in again to keep your reminders in sync. Nothing on this device is lost.',
+  'settings.signInAgain': 'Sign In Again',
+  'settings.provider.apple': 'Apple',
+  'settings.provider.google': 'Google',
+  'settings.error.PROVIDER_CONFLICT': 'This account is already in use',
+  'settings.error.INVALID_PROVIDER_TOKEN': 'Invalid credentials received',
+  'settings.error.CANNOT_UNLINK_ONLY_PROVIDER': 'Cannot unlink your only authentication method',
+  'settings.error.NETWORK_ERROR': 'Couldn’t reach the server. Check your connection and try again.',
+  'settings.notifications': 'Notifications',
+  'settings.notify': 'Reminder notifications',
+  'settings.notifyHint': 'Show a banner when a reminder is due',
+  'settings.previews': 'Show previews',
+  'settings.previewsHint': 'Include the reminder title in the banner',
+  'settings.actions': 'Quick actions',
+  'settings.actionsHint': 'Complete and Snooze right from the banner',
+  'settings.permissionOff': 'Notifications are turned off for Memoss.',
+  'settings.turnOn': 'Turn On',
+  'settings.defaultTime': 'Default reminder time',
+  'settings.defaultTimeHint': 'New reminders start at this time.',
+  'settings.nextQuarterHour': 'Next quarter hour',
+  'settings.calendar': 'Calendar',
+  'settings.calendarHint': 'Share reminders with your calendar app as an .ics file. Repeats, end dates, tags and priority come along.',
+  'settings.exportAs': 'Export as',
+  'settings.as.VEVENT': 'Events',
+  'settings.as.VTODO': 'Tasks',
+  'settings.exportIcs': 'Export .ics',
+  'settings.importIcs': 'Import .ics',
+  'settings.exportedIcs': { one: 'Exported {count} reminder to {name}.', other: 'Exported {count} reminders to {name}.' },
+  'settings.data': 'Data',
+  'settings.reminderCount': { one: '{count} reminder', other: '{count} reminders' },
+  'settings.tagCount': { one: '{count} tag', other: '{count} tags' },
+  'settings.dataSummary': '{reminders} and {tags} on this device',
+  'settings.export': 'Export JSON',
+  'settings.import': 'Import JSON',
+  'settings.exported': 'Exported {reminders} and {tags}.',
+  'settings.imported': 'Imported {reminders} and {tags}.',
+  'settings.deleteAll': 'Delete All Reminders',
+  'settings.deleteAllConfirm': { one: 'Delete {count} reminder?', other: 'Delete all {count} reminders?' },
+  'settings.deleteAllHint': 'Synced reminders are removed from your other devices too. This can’t be undone.',
+  'settings.deletedAll': 'All reminders deleted.',
+  'settings.about': 'About',
+  'settings.version': 'Version',
+  'settings.build': 'Build',
+
+  'calendar.title': 'Calendar',
+  'calendar.open': 'Open calendar',
+  'calendar.view': 'Calendar view',
+  'calendar.month': 'Month',
+  'calendar.agenda': 'Agenda',
+  'calendar.previousMonth': 'Previous month',
+  'calendar.nextMonth': 'Next month',
+  'calendar.dayOpen': { one: '{date}, {count} reminder', other: '{date}, {count} reminders' },
+  'calendar.dayUrgent': { one: '{date}, {count} reminder, high priority', other: '{date}, {count} reminders, high priority' },
+  'calendar.dayDone': '{date}, all done',
+  'calendar.monthSummary': { one: '{count} open reminder this month', other: '{count} open reminders this month' },
+  'calendar.legendDensity': 'Open reminders',
+  'calendar.legendPriority': 'High priority',
+  'calendar.openDay': 'Open {date}',
+  'calendar.showMore': 'Show two more weeks',
+  'calendar.emptyAgenda': 'Nothing planned in these weeks 🌿',
+  'stats.title': 'Your progress',
+  'stats.open': 'Open progress',
+  'stats.thisWeek': 'This week',
+  'stats.allTime': 'All time',
+  'stats.onTime': 'On time',
+  'stats.late': 'Late',
+  'stats.weekChart': 'Completions this week',
+  'stats.recentWeeks': { one: 'Last week', other: 'Last {count} weeks' },
+  'stats.weekOf': 'Week of {date}',
+  'stats.bar': { one: '{date}: {count} done', other: '{date}: {count} done' },
+  'stats.barLate': { one: '{date}: {count} done, {late} late', other: '{date}: {count} done, {late} late' },
+  'stats.trendNone': 'Nothing done yet this week. One small step? 🌱',
+  'stats.trendUp': { one: '{count} more than last week. Keep it up!', other: '{count} more than last week. Keep it up!' },
+  'stats.trendSame': 'Same as last week. Nice and steady.',
+  'stats.trendDown': { one: '{count} fewer than last week. Every bit counts.', other: '{count} fewer than last week. Every bit counts.' },
+  'stats.streaks': 'Streaks',
+  'stats.noStreaks': 'Repeating reminders build streaks. Try a daily one 🌿',
+  'stats.streak.day': { one: '{count}-day streak', other: '{count}-day streak' },
+  'stats.streak.week': { one: '{count}-week streak', other: '{count}-week streak' },
+  'stats.streak.month': { one: '{count}-month streak', other: '{count}-month streak' },
+  'stats.best': 'Best {count}',
+  'stats.milestones': 'Milestones',
+  'stats.milestoneReached': { one: 'First completion, reached', other: '{count} completions, reached' },
+  'stats.milestoneAhead': { one: 'First completion, not yet', other: '{count} completions, not yet' },
+  'stats.recent': 'Recently completed',
+  'stats.noneYet': 'Completed reminders show up here.',
+  'milestone.label': 'Milestone',
+  'milestone.streakBody': '“{title}”. Keep it growing 🌱',
+  'milestone.total': { one: 'Your first one done!', other: '{count} reminders done!' },
+  'milestone.totalBody': 'Moss is proud of you 🌿',
+  'history.title': 'History',
+  'history.empty': 'Not completed yet.',
+  'history.entry': '{date}, done {done}',
+  'history.more': { one: '+{count} more', other: '+{count} more' },
+  'ics.title': 'Import calendar',
+  'ics.VEVENT': 'Event',
+  'ics.VTODO': 'Task',
+  'ics.summary': { one: '{count} item', other: '{count} items' },
+  'ics.withIssues': { one: '{count} with changes', other: '{count} with changes' },
+  'ics.sample': 'Showing a sample file. Import your own from Settings.',
+  'ics.empty': 'No tasks or events in this file.',
+  'ics.items': 'Calendar items',
+  'ics.include': 'Add “{title}”',
+  'ics.untitled': 'Untitled',
+  'ics.until': 'until {date}',
+  'ics.completed': 'Done',
+  'ics.duplicate': 'Already added',
+  'ics.add': { one: 'Add {count} reminder', other: 'Add {count} reminders' },
+  'ics.noneSelected': 'Choose the items to add.',
+  'ics.added': { one: 'Imported {count} reminder', other: 'Imported {count} reminders' },
+  'ics.issue.rule': 'Repeats in a way Memoss can’t ({parts}), so it’s added once',
+  'ics.issue.exceptions': 'Skipped and extra dates aren’t kept',
+  'ics.issue.timeZone': 'Unknown time zone {zone}, read as local time',
+  'ics.issue.allDay': 'All-day, added at {time}',
+  'ics.issue.noTitle': 'No title, can’t be added',
+  'ics.issue.noDate': 'No date, can’t be added',
+  'ics.issue.cancelled': 'Cancelled, won’t be added',
+  'ics.issue.tag': 'Category “{tag}” is too long for a tag (up to {max} characters), so it’s left out',
+};
+
+const pt = {
+  'common.cancel': 'Cancelar',
+  'common.save': 'Salvar',
+  'common.delete': 'Apagar',
+  'common.done': 'Pronto',
+  'common.undo': 'Desfazer',
+  'common.dismiss': 'Dispensar',
+  'common.edit': 'Editar',
+  'common.editItem': 'Editar {name}',
+  'common.deleteItem': 'Apagar {name}',
+  'common.quoted': '“{text}”',
+
+  'time.now': 'agora',
+  'time.dateAt': '{date} às {time}',
+  'time.dayTime': '{day}, {time}',
+
+  'ordinal.other': '{n}',
+
+  'greeting.timeOfDay.morning': 'Bom dia',
+  'greeting.timeOfDay.afternoon': 'Boa tarde',
+  'greeting.timeOfDay.evening': 'Boa noite',
+  'greeting.timeOfDay.night': 'Boa noite',
+  'greeting.casual.morning': 'E aí',
+  'greeting.casual.afternoon': 'Oi',
+  'greeting.casual.evening': 'Oi',
+  'greeting.casual.night': 'Ainda acordado',
+  'greeting.simple.morning': 'Olá',
+  'greeting.simple.afternoon': 'Olá',
+  'greeting.simple.evening': 'Olá',
+  'greeting.simple.night': 'Olá',
+  'greeting.there': 'você',
+  'greeting.salutation': '{greeting},',
+  'greeting.label': '{greeting}, {name}',
+
+  'dates.today': 'Hoje',
+  'dates.previousWeek': 'Semana anterior',
+  'dates.nextWeek': 'Próxima semana',
+  'dates.weekOf': 'Semana de {date}',
+  'dates.hasReminders': '{date}, tem lembretes',
+
+  'list.today': 'Tarefas de hoje',
+  'list.tomorrow': 'Tarefas de amanhã',
+  'list.overdue': 'Atrasados',
+  'list.upcoming': 'Próximos',
+  'list.completed': '✓ Concluídos',
+  'list.allDone': 'Tudo feito por hoje 🌿',
+  'list.nothingPlanned': 'Nada planejado para este dia 🌿',
+  'list.add': 'Adicionar lembrete',
+  'list.filterByTag': 'Filtrar por etiqueta',
+  'list.allTags': 'Todas',
+
+  'sync.syncing': 'Sincronizando…',
+  'sync.offline': 'Offline',
+  'sync.failed': 'Falha na sincronização',
+  'sync.waiting': { one: '{count} alteração aguardando sincronização', other: '{count} alterações aguardando sincronização' },
+  'sync.waitingShort': '{count} aguardando',
+  'sync.synced': 'Sincronizado {day} às {time}',
+  'sync.notYet': 'Ainda não sincronizado',
+  'sync.sync': 'Sincronizar',
+  'sync.retry': 'Tentar de novo',
+  'sync.pending': 'Aguardando sincronização',
+  'sync.cardFailed': 'Não foi possível sincronizar',
+  'sync.conflict': 'Alterado em outro aparelho',
+  'sync.ok': 'OK',
+  'sync.keptYours': 'apagado lá, mantivemos o seu',
+  'sync.keptRemote': 'versão mais nova mantida',
+  'sync.keptLocal': 'sua edição mais nova mantida',
+
+  'card.snooze': 'Adiar',
+  'card.snoozeItem': 'Adiar {name}',
+  'card.duplicate': 'Duplicar',
+  'card.duplicateItem': 'Duplicar {name}',
+  'card.snoozedUntil': 'Adiado até {time}',
+  'card.wakeNow': 'Retomar agora',
+  'card.next': 'Próximo: {when}',
+
+  'undo.completed': '“{title}” concluído',
+  'undo.deleted': '“{title}” apagado',
+
+  'snooze.title': 'Adiar “{title}”',
+  'snooze.scheduled': 'Agendado para {date} às {time}',
+  'snooze.custom': 'Personalizado (minutos)',
+  'snooze.customPlaceholder': 'Minutos (ex.: 22)',
+  'snooze.invalid': 'Digite um número inteiro de minutos entre 1 e {max}.',
+  'snooze.tonight': 'Hoje à noite',
+  'snooze.tomorrowMorning': 'Amanhã de manhã',
+
+  'notification.region': 'Notificações',
+  'notification.open': 'Abrir {title}',
+  'notification.due': 'Para às {time}',
+  'notification.snoozed': 'Lembrete adiado',
+  'notification.complete': 'Concluir',
+  'notification.snoozeFor': 'Adiar por',
+  'notification.custom': 'Personalizado…',
+  'notification.dismiss': 'Dispensar notificação',
+  'notification.preview': 'Lembrete',
+
+  'tags.title': 'Etiquetas',
+  'tags.new': 'Nova',
+  'tags.newTag': '+ Nova etiqueta',
+  'tags.name': 'Nome da etiqueta',
+  'tags.preview': 'Prévia',
+  'tags.add': 'Adicionar etiqueta',
+  'tags.color': 'Cor da etiqueta',
+  'tags.empty': 'Nenhuma etiqueta ainda. Crie uma para agrupar seus lembretes.',
+  'tags.count': { one: '{count} lembrete', other: '{count} lembretes' },
+
+  'color.green': 'Verde',
+  'color.blue': 'Azul',
+  'color.pink': 'Rosa',
+  'color.orange': 'Laranja',
+  'color.purple': 'Roxo',
+  'color.teal': 'Verde-azulado',
+  'color.yellow': 'Amarelo',
+  'color.gray': 'Cinza',
+
+  'recurrence.none': 'Uma vez',
+  'recurrence.daily': 'Diário',
+  'recurrence.hourly': 'De hora em hora',
+  'recurrence.weekly': 'Semanal',
+  'recurrence.monthly': 'Mensal',
+  'recurrence.every': 'Toda {weekday}',
+  'recurrence.monthlyOn': 'Mensalmente no dia {day}',
+
+  'form.new': 'Novo lembrete',
+  'form.edit': 'Editar lembrete',
+  'form.titleLabel': 'Do que você precisa se lembrar?',
+  'form.titlePlaceholder': 'ex.: Regar as plantas, ligar para a mãe',
+  'form.remindAt': 'Lembrar às',
+  'form.repeat': 'Repetir',
+  'form.tags': 'Etiquetas',
+  'form.titleRequired': 'Dê um título ao seu lembrete.',
+  'form.futureTime': 'Escolha um horário no futuro.',
+  'form.deleteConfirm': 'Apagar “{title}”?',
+  'form.deleteHint': 'Você pode desfazer isso por alguns segundos depois.',
+  'form.deleteReminder': 'Apagar lembrete',
+
+  'onboarding.welcome.title': 'Olá, eu sou o memoss',
+  'onboarding.welcome.description': 'Como o musgo no chão da floresta, vou crescer devagar ao seu lado — guardando o que você poderia esquecer.',
+  'onboarding.snooze.title': 'Adie no seu ritmo',
+  'onboarding.snooze.description': 'Precisa de exatamente 47 minutos? Feito. Os lembretes se ajustam ao seu dia, e não o contrário.',
+  'onboarding.patterns.title': 'Padrões que cabem na sua vida',
+  'onboarding.patterns.description': 'Toda manhã às 7. Toda terceira quinta-feira. Seja qual for o ritmo dos seus dias, eu acompanho.',
+  'onboarding.sync.title': 'Uma mente, vários lugares',
+  'onboarding.sync.description': 'Marque como feito em qualquer lugar. Seu celular, seu tablet, seu Mac — todos respirando juntos.',
+  'onboarding.notDetermined.title': 'Um toque gentil no ombro',
+  'onboarding.notDetermined.description': 'Só vou sussurrar quando importar. Sem barulho, só os lembretes de que você precisa.',
+  'onboarding.granted.title': 'Perfeito, estamos conectados',
+  'onboarding.granted.description': 'Vou estar aqui quando você precisar — esperando em silêncio a hora certa.',
+  'onboarding.denied.title': 'Tudo bem, de verdade',
+  'onboarding.denied.description': 'Continuo aqui, acompanhando tudo. Você me encontra nos Ajustes quando quiser.',
+  'onboarding.skip': 'Pular',
+  'onboarding.continue': 'Continuar →',
+  'onboarding.ask': 'Pode me lembrar',
+  'onboarding.begin': 'Vamos começar →',
+  'onboarding.pages': 'Páginas da apresentação',
+  'onboarding.page': 'Página {page} de {count}',
+
+  'permission.title': '“Memoss” Deseja Enviar Notificações',
+  'permission.body': 'As notificações podem incluir alertas, sons e indicadores nos ícones. Isso pode ser configurado nos Ajustes.',
+  'permission.deny': 'Não Permitir',
+  'permission.allow': 'Permitir',
+
+  'empty.title': 'Tudo em dia! 🌿',
+  'empty.body': 'Nenhum lembrete para hoje. Hora de relaxar e aproveitar o momento!',
+  'empty.add': 'Adicionar lembrete',
+
+  'success.title': 'Lembrete salvo! ✨',
+  'success.remindedOn': 'Você será lembrado em',
+
+  'voice.prompt': 'Como posso ajudar?',
+  'voice.promptNamed': 'Como posso ajudar, {name}?',
+  'voice.typeLabel': 'Digite seu lembrete',
+  'voice.placeholder': 'Digite um lembrete, ex.: Call mom tomorrow at 5pm',
+  'voice.unavailable': 'A entrada de voz não está disponível neste navegador — digite seu lembrete.',
+  'voice.englishOnly': 'Por enquanto, os lembretes são entendidos apenas em inglês.',
+  'voice.speak': 'Falar seu lembrete',
+  'voice.create': 'Criar lembrete',
+  'voice.urgent': '! Urgente',
+  'voice.tagTooLong': '#{tag} é longo demais para uma etiqueta (até {max} caracteres), então fica no título.',
+
+  'settings.title': 'Ajustes',
+  'settings.account': 'Conta',
+  'settings.syncTitle': 'Sincronize seus lembretes',
+  'settings.syncBody': 'Entre para sincronizar lembretes em todos os seus aparelhos',
+  'settings.signInWith': 'Entrar com {provider}',
+  'settings.signingIn': 'Entrando…',
+  'settings.signedIn': 'Conectado',
+  'settings.via': 'via {provider}',
+  'settings.lastSynced': 'Última sincronização',
+  'settings.syncNow': 'Sincronizar agora',
+  'settings.linkedAccounts': 'Contas vinculadas',
+  'settings.link': 'Vincular conta {provider}',
+  'settings.linking': 'Vinculando…',
+  'settings.unlink': 'Desvincular',
+  'settings.unlinkItem': 'Desvincular {provider}',
+  'settings.signOut': 'Sair',
+  'settings.signOutHint': 'Seus lembretes continuam neste aparelho, mas não serão sincronizados com outros.',
+  'settings.deleteAccount': 'Apagar conta',
+  'settings.deleteAccountHint': 'Isso apaga para sempre sua conta e todos os dados sincronizados. Os lembretes deste aparelho continuam aqui.',
+  'settings.expiredTitle': 'Sessão expirada',
+  'settings.expiredBody': 'Entre de novo para manter seus lembretes sincronizados. Nada neste aparelho se perde.',
+  'settings.signInAgain': 'Entrar de novo',
+  'settings.provider.apple': 'Apple',
+  'settings.provider.google': 'Google',
+  'settings.error.PROVIDER_CONFLICT': 'Esta conta já está em uso',
+  'settings.error.INVALID_PROVIDER_TOKEN': 'Credenciais inválidas recebidas',
+  'settings.error.CANNOT_UNLINK_ONLY_PROVIDER': 'Não é possível desvincular seu único método de acesso',
+  'settings.error.NETWORK_ERROR': 'Não foi possível acessar o servidor. Verifique sua conexão e tente de novo.',
+  'settings.notifications': 'Notificações',
+  'settings.notify': 'Notificações de lembretes',
+  'settings.notifyHint': 'Mostrar um aviso quando um lembrete vencer',
+  'settings.previews': 'Mostrar prévias',
+  'settings.previewsHint': 'Incluir o título do lembrete no aviso',
+  'settings.actions': 'Ações rápidas',
+  'settings.actionsHint': 'Concluir e adiar direto do aviso',
+  'settings.permissionOff': 'As notificações estão desativadas para o Memoss.',
+  'settings.turnOn': 'Ativar',
+  'settings.defaultTime': 'Horário padrão',
+  'settings.defaultTimeHint': 'Novos lembretes começam neste horário.',
+  'settings.nextQuarterHour': 'Próximo quarto de hora',
+  'settings.calendar': 'Calendário',
+  'settings.calendarHint': 'Compartilhe lembretes com seu app de calendário em um arquivo .ics. Repetições, datas de término, etiquetas e prioridade vão junto.',
+  'settings.exportAs': 'Exportar como',
+  'settings.as.VEVENT': 'Eventos',
+  'settings.as.VTODO': 'Tarefas',
+  'settings.exportIcs': 'Exportar .ics',
+  'settings.importIcs': 'Importar .ics',
+  'settings.exportedIcs': { one: '{count} lembrete exportado para {name}.', other: '{count} lembretes exportados para {name}.' },
+  'settings.data': 'Dados',
+  'settings.reminderCount': { one: '{count} lembrete', other: '{count} lembretes' },
+  'settings.tagCount': { one: '{count} etiqueta', other: '{count} etiquetas' },
+  'settings.dataSummary': '{reminders} e {tags} neste aparelho',
+  'settings.export': 'Exportar JSON',
+  'settings.import': 'Importar JSON',
+  'settings.exported': '{reminders} e {tags} exportados.',
+  'settings.imported': '{reminders} e {tags} importados.',
+  'settings.deleteAll': 'Apagar todos os lembretes',
+  'settings.deleteAllConfirm': { one: 'Apagar {count} lembrete?', other: 'Apagar todos os {count} lembretes?' },
+  'settings.deleteAllHint': 'Lembretes sincronizados também somem dos seus outros aparelhos. Não dá para desfazer.',
+  'settings.deletedAll': 'Todos os lembretes foram apagados.',
+  'settings.about': 'Sobre',
+  'settings.version': 'Versão',
+  'settings.build': 'Build',
+
+  'calendar.title': 'Calendário',
+  'calendar.open': 'Abrir calendário',
+  'calendar.view': 'Visualização do calendário',
+  'calendar.month': 'Mês',
+  'calendar.agenda': 'Agenda',
+  'calendar.previousMonth': 'Mês anterior',
+  'calendar.nextMonth': 'Próximo mês',
+  'calendar.dayOpen': { one: '{date}, {count} lembrete', other: '{date}, {count} lembretes' },
+  'calendar.dayUrgent': { one: '{date}, {count} lembrete, alta prioridade', other: '{date}, {count} lembretes, alta prioridade' },
+  'calendar.dayDone': '{date}, tudo feito',
+  'calendar.monthSummary': { one: '{count} lembrete pendente neste mês', other: '{count} lembretes pendentes neste mês' },
+  'calendar.legendDensity': 'Lembretes pendentes',
+  'calendar.legendPriority': 'Alta prioridade',
+  'calendar.openDay': 'Abrir {date}',
+  'calendar.showMore': 'Mostrar mais duas semanas',
+  'calendar.emptyAgenda': 'Nada planejado nestas semanas 🌿',
+  'stats.title': 'Seu progresso',
+  'stats.open': 'Abrir progresso',
+  'stats.thisWeek': 'Esta semana',
+  'stats.allTime': 'No total',
+  'stats.onTime': 'No prazo',
+  'stats.late': 'Atrasados',
+  'stats.weekChart': 'Concluídos nesta semana',
+  'stats.recentWeeks': { one: 'Última semana', other: 'Últimas {count} semanas' },
+  'stats.weekOf': 'Semana de {date}',
+  'stats.bar': { one: '{date}: {count} concluído', other: '{date}: {count} concluídos' },
+  'stats.barLate': { one: '{date}: {count} concluído, {late} com atraso', other: '{date}: {count} concluídos, {late} com atraso' },
+  'stats.trendNone': 'Nada feito ainda nesta semana. Que tal um passinho? 🌱',
+  'stats.trendUp': { one: '{count} a mais que na semana passada. Continue assim!', other: '{count} a mais que na semana passada. Continue assim!' },
+  'stats.trendSame': 'Igual à semana passada. Firme e constante.',
+  'stats.trendDown': { one: '{count} a menos que na semana passada. Cada passo conta.', other: '{count} a menos que na semana passada. Cada passo conta.' },
+  'stats.streaks': 'Sequências',
+  'stats.noStreaks': 'Lembretes que se repetem criam sequências. Experimente um diário 🌿',
+  'stats.streak.day': { one: '{count} dia seguido', other: '{count} dias seguidos' },
+  'stats.streak.week': { one: '{count} semana seguida', other: '{count} semanas seguidas' },
+  'stats.streak.month': { one: '{count} mês seguido', other: '{count} meses seguidos' },
+  'stats.best': 'Recorde {count}',
+  'stats.milestones': 'Conquistas',
+  'stats.milestoneReached': { one: 'Primeira conclusão, alcançada', other: '{count} conclusões, alcançada' },
+  'stats.milestoneAhead': { one: 'Primeira conclusão, ainda não', other: '{count} conclusões, ainda não' },
+  'stats.recent': 'Concluídos recentemente',
+  'stats.noneYet': 'Os lembretes concluídos aparecem aqui.',
+  'milestone.label': 'Conquista',
+  'milestone.streakBody': '“{title}”. Continue cultivando 🌱',
+  'milestone.total': { one: 'O primeiro já foi!', other: '{count} lembretes concluídos!' },
+  'milestone.totalBody': 'O Moss está orgulhoso de você 🌿',
+  'history.title': 'Histórico',
+  'history.empty': 'Ainda não foi concluído.',
+  'history.entry': '{date}, feito {done}',
+  'history.more': { one: '+{count} a mais', other: '+{count} a mais' },
+  'ics.title': 'Importar calendário',
+  'ics.VEVENT': 'Evento',
+  'ics.VTODO': 'Tarefa',
+  'ics.summary': { one: '{count} item', other: '{count} itens' },
+  'ics.withIssues': { one: '{count} com alterações', other: '{count} com alterações' },
+  'ics.sample': 'Mostrando um arquivo de exemplo. Importe o seu em Ajustes.',
+  'ics.empty': 'Nenhuma tarefa ou evento neste arquivo.',
+  'ics.items': 'Itens do calendário',
+  'ics.include': 'Adicionar “{title}”',
+  'ics.untitled': 'Sem título',
+  'ics.until': 'até {date}',
+  'ics.completed': 'Feito',
+  'ics.duplicate': 'Já adicionado',
+  'ics.add': { one: 'Adicionar {count} lembrete', other: 'Adicionar {count} lembretes' },
+  'ics.noneSelected': 'Escolha os itens a adicionar.',
+  'ics.added': { one: '{count} lembrete importado', other: '{count} lembretes importados' },
+  'ics.issue.rule': 'Repete de um jeito que o Memoss não faz ({parts}), então entra uma vez só',
+  'ics.issue.exceptions': 'Datas puladas e extras não são mantidas',
+  'ics.issue.timeZone': 'Fuso horário desconhecido {zone}, lido como horário local',
+  'ics.issue.allDay': 'Dia inteiro, adicionado às {time}',
+  'ics.issue.noTitle': 'Sem título, não pode ser adicionado',
+  'ics.issue.noDate': 'Sem data, não pode ser adicionado',
+  'ics.issue.cancelled': 'Cancelado, não será adicionado',
+  'ics.issue.tag': 'A categoria “{tag}” é longa demais para uma etiqueta (até {max} caracteres), então fica de fora',
+};
+
+const ar = {
+  'common.cancel': 'إلغاء',
+  'common.save': 'حفظ',
+  'common.delete': 'حذف',
+  'common.done': 'تم',
+  'common.undo': 'تراجع',
+  'common.dismiss': 'إغلاق',
+  'common.edit': 'تعديل',
+  'common.editItem': 'تعديل {name}',
+  'common.deleteItem': 'حذف {name}',
+  'common.quoted': '«{text}»',
+
+  'time.now': 'الآن',
+  'time.dateAt': '{date} الساعة {time}',
+  'time.dayTime': '{day}، {time}',
+
+  'ordinal.other': '{n}',
+
+  'greeting.timeOfDay.morning': 'صباح الخير',
+  'greeting.timeOfDay.afternoon': 'نهارك سعيد',
+  'greeting.timeOfDay.evening': 'مساء الخير',
+  'greeting.timeOfDay.night': 'تصبح على خير',
+  'greeting.casual.morning': 'صباحك',
+  'greeting.casual.afternoon': 'أهلًا',
+  'greeting.casual.evening': 'أهلًا',
+  'greeting.casual.night': 'ما زلت مستيقظًا',
+  'greeting.simple.morning': 'مرحبًا',
+  'greeting.simple.afternoon': 'مرحبًا',
+  'greeting.simple.evening': 'مرحبًا',
+  'greeting.simple.night': 'مرحبًا',
+  'greeting.there': 'صديقي',
+  'greeting.salutation': '{greeting}،',
+  'greeting.label': '{greeting}، {name}',
+
+  'dates.today': 'اليوم',
+  'dates.previousWeek': 'الأسبوع السابق',
+  'dates.nextWeek': 'الأسبوع التالي',
+  'dates.weekOf': 'أسبوع {date}',
+  'dates.hasReminders': '{date}، فيه تذكيرات',
+
+  'list.today': 'مهام اليوم',
+  'list.tomorrow': 'مهام الغد',
+  'list.overdue': 'متأخرة',
+  'list.upcoming': 'القادمة',
+  'list.completed': '✓ المكتملة',
+  'list.allDone': 'أُنجز كل شيء لهذا اليوم 🌿',
+  'list.nothingPlanned': 'لا شيء مخطط لهذا اليوم 🌿',
+  'list.add': 'إضافة تذكير',
+  'list.filterByTag': 'تصفية حسب الوسم',
+  'list.allTags': 'الكل',
+
+  'sync.syncing': 'جارٍ المزامنة…',
+  'sync.offline': 'غير متصل',
+  'sync.failed': 'فشلت المزامنة',
+  'sync.waiting': { zero: 'لا تغييرات بانتظار المزامنة', one: 'تغيير واحد بانتظار المزامنة', two: 'تغييران بانتظار المزامنة', few: '{count} تغييرات بانتظار المزامنة', other: '{count} تغييرًا بانتظار المزامنة' },
+  'sync.waitingShort': '{count} بالانتظار',
+  'sync.synced': 'تمت المزامنة {day} الساعة {time}',
+  'sync.notYet': 'لم تتم المزامنة بعد',
+  'sync.sync': 'مزامنة',
+  'sync.retry': 'إعادة المحاولة',
+  'sync.pending': 'بانتظار المزامنة',
+  'sync.cardFailed': 'تعذّرت المزامنة',
+  'sync.conflict': 'تغيّر على جهاز آخر',
+  'sync.ok': 'حسنًا',
+  'sync.keptYours': 'حُذف هناك، واحتفظنا بنسختك',
+  'sync.keptRemote': 'احتُفظ بالنسخة الأحدث',
+  'sync.keptLocal': 'احتُفظ بتعديلك الأحدث',
+
+  'card.snooze': 'تأجيل',
+  'card.snoozeItem': 'تأجيل {name}',
+  'card.duplicate': 'تكرار',
+  'card.duplicateItem': 'تكرار {name}',
+  'card.snoozedUntil': 'مؤجل حتى {time}',
+  'card.wakeNow': 'إيقاظ الآن',
+  'card.next': 'التالي: {when}',
+
+  'undo.completed': 'اكتمل «{title}»',
+  'undo.deleted': 'حُذف «{title}»',
+
+  'snooze.title': 'تأجيل «{title}»',
+  'snooze.scheduled': 'مجدول في {date} الساعة {time}',
+  'snooze.custom': 'مخصص (بالدقائق)',
+  'snooze.customPlaceholder': 'دقائق (مثلًا 22)',
+  'snooze.invalid': 'أدخل عددًا صحيحًا من الدقائق من 1 إلى {max}.',
+  'snooze.tonight': 'الليلة',
+  'snooze.tomorrowMorning': 'صباح الغد',
+
+  'notification.region': 'الإشعارات',
+  'notification.open': 'فتح {title}',
+  'notification.due': 'موعده {time}',
+  'notification.snoozed': 'تذكير مؤجل',
+  'notification.complete': 'إنجاز',
+  'notification.snoozeFor': 'تأجيل لمدة',
+  'notification.custom': 'مخصص…',
+  'notification.dismiss': 'إغلاق الإشعار',
+  'notification.preview': 'تذكير',
+
+  'tags.title': 'الوسوم',
+  'tags.new': 'جديد',
+  'tags.newTag': '+ وسم جديد',
+  'tags.name': 'اسم الوسم',
+  'tags.preview': 'معاينة',
+  'tags.add': 'إضافة وسم',
+  'tags.color': 'لون الوسم',
+  'tags.empty': 'لا توجد وسوم بعد. أنشئ وسمًا لتجميع تذكيراتك.',
+  'tags.count': { zero: 'لا تذكيرات', one: 'تذكير واحد', two: 'تذكيران', few: '{count} تذكيرات', other: '{count} تذكيرًا' },
+
+  'color.green': 'أخضر',
+  'color.blue': 'أزرق',
+  'color.pink': 'وردي',
+  'color.orange': 'برتقالي',
+  'color.purple': 'بنفسجي',
+  'color.teal': 'أزرق مخضر',
+  'color.yellow': 'أصفر',
+  'color.gray': 'رمادي',
+
+  'recurrence.none': 'مرة واحدة',
+  'recurrence.daily': 'يوميًا',
+  'recurrence.hourly': 'كل ساعة',
+  'recurrence.weekly': 'أسبوعيًا',
+  'recurrence.monthly': 'شهريًا',
+  'recurrence.every': 'كل {weekday}',
+  'recurrence.monthlyOn': 'شهريًا في اليوم {day}',
+
+  'form.new': 'تذكير جديد',
+  'form.edit': 'تعديل التذكير',
+  'form.titleLabel': 'ما الذي تحتاج إلى تذكّره؟',
+  'form.titlePlaceholder': 'مثلًا: سقي النباتات، الاتصال بأمي',
+  'form.remindAt': 'ذكّرني الساعة',
+  'form.repeat': 'التكرار',
+  'form.tags': 'الوسوم',
+  'form.titleRequired': 'أعطِ تذكيرك عنوانًا.',
+  'form.futureTime': 'اختر وقتًا في المستقبل.',
+  'form.deleteConfirm': 'حذف «{title}»؟',
+  'form.deleteHint': 'يمكنك التراجع عن ذلك لبضع ثوانٍ بعد الحذف.',
+  'form.deleteReminder': 'حذف التذكير',
+
+  'onboarding.welcome.title': 'مرحبًا، أنا memoss',
+  'onboarding.welcome.description': 'مثل الطحلب على أرض الغابة، سأنمو بهدوء إلى جانبك — وألتقط ما قد تنساه.',
+  'onboarding.snooze.title': 'أجّل على إيقاعك',
+  'onboarding.snooze.description': 'تحتاج ٤٧ دقيقة بالضبط؟ تم. التذكيرات تتكيّف مع يومك، لا العكس.',
+  'onboarding.patterns.title': 'أنماط تناسب حياتك',
+  'onboarding.patterns.description': 'كل صباح في السابعة. كل خميس ثالث. أيًّا كان إيقاع أيامك — سأتبعه.',
+  'onboarding.sync.title': 'عقل واحد، أماكن كثيرة',
+  'onboarding.sync.description': 'أنجِز المهمة من أي مكان. هاتفك، جهازك اللوحي، حاسوب Mac — كلها تتنفس معًا.',
+  'onboarding.notDetermined.title': 'لمسة لطيفة على الكتف',
+  'onboarding.notDetermined.description': 'لن أهمس إلا حين يهم الأمر. بلا ضجيج، فقط التنبيهات التي تحتاجها فعلًا.',
+  'onboarding.granted.title': 'رائع، أصبحنا متصلين',
+  'onboarding.granted.description': 'سأكون هنا حين تحتاجني — أنتظر بهدوء اللحظة المناسبة.',
+  'onboarding.denied.title': 'لا بأس، حقًا',
+  'onboarding.denied.description': 'سأبقى هنا أتابع الأمور. ستجدني في الإعدادات متى كنت مستعدًا.',
+  'onboarding.skip': 'تخطٍّ',
+  'onboarding.continue': 'متابعة ←',
+  'onboarding.ask': 'ذكّرني',
+  'onboarding.begin': 'لنبدأ ←',
+  'onboarding.pages': 'صفحات التعريف',
+  'onboarding.page': 'الصفحة {page} من {count}',
+
+  'permission.title': 'يود «Memoss» أن يرسل لك إشعارات',
+  'permission.body': 'قد تتضمن الإشعارات تنبيهات وأصواتًا وشارات على الأيقونة. يمكن ضبطها في الإعدادات.',
+  'permission.deny': 'عدم السماح',
+  'permission.allow': 'سماح',
+
+  'empty.title': 'لا شيء معلّق! 🌿',
+  'empty.body': 'لا تذكيرات لليوم. حان وقت الاسترخاء والاستمتاع باللحظة!',
+  'empty.add': 'إضافة تذكير',
+
+  'success.title': 'حُفظ التذكير! ✨',
+  'success.remindedOn': 'سنذكّرك في',
+
+  'voice.prompt': 'كيف يمكنني مساعدتك؟',
+  'voice.promptNamed': 'كيف يمكنني مساعدتك يا {name}؟',
+  'voice.typeLabel': 'اكتب تذكيرك',
+  'voice.placeholder': 'اكتب تذكيرًا، مثلًا: Call mom tomorrow at 5pm',
+  'voice.unavailable': 'الإدخال الصوتي غير متاح في هذا المتصفح — اكتب تذكيرك بدلًا من ذلك.',
+  'voice.englishOnly': 'تُفهم التذكيرات بالإنجليزية فقط حاليًا.',
+  'voice.speak': 'انطق تذكيرك',
+  'voice.create': 'إنشاء التذكير',
+  'voice.urgent': '! عاجل',
+  'voice.tagTooLong': '#{tag} أطول من أن يكون وسمًا (حتى {max} حرفًا)، لذا يبقى في العنوان.',
+
+  'settings.title': 'الإعدادات',
+  'settings.account': 'الحساب',
+  'settings.syncTitle': 'زامِن تذكيراتك',
+  'settings.syncBody': 'سجّل الدخول لمزامنة التذكيرات على كل أجهزتك',
+  'settings.signInWith': 'تسجيل الدخول باستخدام {provider}',
+  'settings.signingIn': 'جارٍ تسجيل الدخول…',
+  'settings.signedIn': 'تم تسجيل الدخول',
+  'settings.via': 'عبر {provider}',
+  'settings.lastSynced': 'آخر مزامنة',
+  'settings.syncNow': 'زامِن الآن',
+  'settings.linkedAccounts': 'الحسابات المرتبطة',
+  'settings.link': 'ربط حساب {provider}',
+  'settings.linking': 'جارٍ الربط…',
+  'settings.unlink': 'إلغاء الربط',
+  'settings.unlinkItem': 'إلغاء ربط {provider}',
+  'settings.signOut': 'تسجيل الخروج',
+  'settings.signOutHint': 'ستبقى تذكيراتك على هذا الجهاز لكنها لن تُزامَن مع أجهزتك الأخرى.',
+  'settings.deleteAccount': 'حذف الحساب',
+  'settings.deleteAccountHint': 'سيؤدي هذا إلى حذف حسابك وكل البيانات المتزامنة نهائيًا. ستبقى التذكيرات المحلية على هذا الجهاز.',
+  'settings.expiredTitle': 'انتهت الجلسة',
+  'settings.expiredBody': 'سجّل الدخول مجددًا لتبقى تذكيراتك متزامنة. لن يضيع شيء من هذا الجهاز.',
+  'settings.signInAgain': 'سجّل الدخول مجددًا',
+  'settings.provider.apple': 'Apple',
+  'settings.provider.google': 'Google',
+  'settings.error.PROVIDER_CONFLICT': 'هذا الحساب مستخدم بالفعل',
+  'settings.error.INVALID_PROVIDER_TOKEN': 'بيانات اعتماد غير صالحة',
+  'settings.error.CANNOT_UNLINK_ONLY_PROVIDER': 'لا يمكن إلغاء ربط طريقة تسجيل الدخول الوحيدة',
+  'settings.error.NETWORK_ERROR': 'تعذّر الوصول إلى الخادم. تحقّق من اتصالك وحاول مجددًا.',
+  'settings.notifications': 'الإشعارات',
+  'settings.notify': 'إشعارات التذكيرات',
+  'settings.notifyHint': 'إظهار إشعار عند حلول موعد التذكير',
+  'settings.previews': 'إظهار المعاينات',
+  'settings.previewsHint': 'تضمين عنوان التذكير في الإشعار',
+  'settings.actions': 'إجراءات سريعة',
+  'settings.actionsHint': 'الإكمال والتأجيل مباشرةً من الإشعار',
+  'settings.permissionOff': 'الإشعارات متوقفة لتطبيق Memoss.',
+  'settings.turnOn': 'تشغيل',
+  'settings.defaultTime': 'وقت التذكير الافتراضي',
+  'settings.defaultTimeHint': 'تبدأ التذكيرات الجديدة في هذا الوقت.',
+  'settings.nextQuarterHour': 'ربع الساعة التالي',
+  'settings.calendar': 'التقويم',
+  'settings.calendarHint': 'شارك التذكيرات مع تطبيق التقويم في ملف ‎.ics. ينتقل معها التكرار وتواريخ الانتهاء والوسوم والأولوية.',
+  'settings.exportAs': 'التصدير بصيغة',
+  'settings.as.VEVENT': 'أحداث',
+  'settings.as.VTODO': 'مهام',
+  'settings.exportIcs': 'تصدير ‎.ics',
+  'settings.importIcs': 'استيراد ‎.ics',
+  'settings.exportedIcs': { zero: 'لم يُصدَّر أي تذكير إلى {name}.', one: 'تم تصدير تذكير واحد إلى {name}.', two: 'تم تصدير تذكيرين إلى {name}.', few: 'تم تصدير {count} تذكيرات إلى {name}.', other: 'تم تصدير {count} تذكيرًا إلى {name}.' },
+  'settings.data': 'البيانات',
+  'settings.reminderCount': { zero: 'لا تذكيرات', one: 'تذكير واحد', two: 'تذكيران', few: '{count} تذكيرات', other: '{count} تذكيرًا' },
+  'settings.tagCount': { zero: 'لا وسوم', one: 'وسم واحد', two: 'وسمان', few: '{count} وسوم', other: '{count} وسمًا' },
+  'settings.dataSummary': '{reminders} و{tags} على هذا الجهاز',
+  'settings.export': 'تصدير JSON',
+  'settings.import': 'استيراد JSON',
+  'settings.exported': 'تم تصدير {reminders} و{tags}.',
+  'settings.imported': 'تم استيراد {reminders} و{tags}.',
+  'settings.deleteAll': 'حذف كل التذكيرات',
+  'settings.deleteAllConfirm': { zero: 'لا تذكيرات لحذفها', one: 'حذف التذكير؟', two: 'حذف التذكيرين؟', few: 'حذف كل التذكيرات الـ{count}؟', other: 'حذف كل التذكيرات الـ{count}؟' },
+  'settings.deleteAllHint': 'تُحذف التذكيرات المتزامنة من أجهزتك الأخرى أيضًا. لا يمكن التراجع عن ذلك.',
+  'settings.deletedAll': 'تم حذف كل التذكيرات.',
+  'settings.about': 'حول',
+  'settings.version': 'الإصدار',
+  'settings.build': 'البنية',
+
+  'calendar.title': 'التقويم',
+  'calendar.open': 'فتح التقويم',
+  'calendar.view': 'عرض التقويم',
+  'calendar.month': 'الشهر',
+  'calendar.agenda': 'جدول الأعمال',
+  'calendar.previousMonth': 'الشهر السابق',
+  'calendar.nextMonth': 'الشهر التالي',
+  'calendar.dayOpen': { zero: '{date}، لا تذكيرات', one: '{date}، تذكير واحد', two: '{date}، تذكيران', few: '{date}، {count} تذكيرات', other: '{date}، {count} تذكيرًا' },
+  'calendar.dayUrgent': { zero: '{date}، أولوية عالية', one: '{date}، تذكير واحد، أولوية عالية', two: '{date}، تذكيران، أولوية عالية', few: '{date}، {count} تذكيرات، أولوية عالية', other: '{date}، {count} تذكيرًا، أولوية عالية' },
+  'calendar.dayDone': '{date}، اكتمل كل شيء',
+  'calendar.monthSummary': { zero: 'لا تذكيرات مفتوحة هذا الشهر', one: 'تذكير مفتوح واحد هذا الشهر', two: 'تذكيران مفتوحان هذا الشهر', few: '{count} تذكيرات مفتوحة هذا الشهر', other: '{count} تذكيرًا مفتوحًا هذا الشهر' },
+  'calendar.legendDensity': 'التذكيرات المفتوحة',
+  'calendar.legendPriority': 'أولوية عالية',
+  'calendar.openDay': 'فتح {date}',
+  'calendar.showMore': 'عرض أسبوعين آخرين',
+  'calendar.emptyAgenda': 'لا شيء مخطط في هذه الأسابيع 🌿',
+  'stats.title': 'تقدّمك',
+  'stats.open': 'فتح التقدّم',
+  'stats.thisWeek': 'هذا الأسبوع',
+  'stats.allTime': 'الإجمالي',
+  'stats.onTime': 'في الموعد',
+  'stats.late': 'متأخرة',
+  'stats.weekChart': 'المنجزات هذا الأسبوع',
+  'stats.recentWeeks': { zero: 'لا أسابيع', one: 'الأسبوع الماضي', two: 'آخر أسبوعين', few: 'آخر {count} أسابيع', other: 'آخر {count} أسبوعًا' },
+  'stats.weekOf': 'أسبوع {date}',
+  'stats.bar': { zero: '{date}: لا شيء منجز', one: '{date}: تذكير واحد منجز', two: '{date}: تذكيران منجزان', few: '{date}: {count} تذكيرات منجزة', other: '{date}: {count} تذكيرًا منجزًا' },
+  'stats.barLate': { zero: '{date}: لا شيء منجز', one: '{date}: تذكير واحد منجز، {late} متأخر', two: '{date}: تذكيران منجزان، {late} متأخر', few: '{date}: {count} تذكيرات منجزة، {late} متأخر', other: '{date}: {count} تذكيرًا منجزًا، {late} متأخر' },
+  'stats.trendNone': 'لم يُنجز شيء بعد هذا الأسبوع. خطوة صغيرة؟ 🌱',
+  'stats.trendUp': { zero: 'مثل الأسبوع الماضي.', one: 'واحد أكثر من الأسبوع الماضي. واصل!', two: 'اثنان أكثر من الأسبوع الماضي. واصل!', few: '{count} أكثر من الأسبوع الماضي. واصل!', other: '{count} أكثر من الأسبوع الماضي. واصل!' },
+  'stats.trendSame': 'مثل الأسبوع الماضي. ثابت ومستمر.',
+  'stats.trendDown': { zero: 'مثل الأسبوع الماضي.', one: 'واحد أقل من الأسبوع الماضي. كل خطوة مهمة.', two: 'اثنان أقل من الأسبوع الماضي. كل خطوة مهمة.', few: '{count} أقل من الأسبوع الماضي. كل خطوة مهمة.', other: '{count} أقل من الأسبوع الماضي. كل خطوة مهمة.' },
+  'stats.streaks': 'السلاسل',
+  'stats.noStreaks': 'التذكيرات المتكررة تبني السلاسل. جرّب تذكيرًا يوميًا 🌿',
+  'stats.streak.day': { zero: 'لا أيام متتالية', one: 'يوم واحد متتالٍ', two: 'يومان متتاليان', few: '{count} أيام متتالية', other: '{count} يومًا متتاليًا' },
+  'stats.streak.week': { zero: 'لا أسابيع متتالية', one: 'أسبوع واحد متتالٍ', two: 'أسبوعان متتاليان', few: '{count} أسابيع متتالية', other: '{count} أسبوعًا متتاليًا' },
+  'stats.streak.month': { zero: 'لا أشهر متتالية', one: 'شهر واحد متتالٍ', two: 'شهران متتاليان', few: '{count} أشهر متتالية', other: '{count} شهرًا متتاليًا' },
+  'stats.best': 'الأفضل {count}',
+  'stats.milestones': 'الإنجازات',
+  'stats.milestoneReached': { zero: 'لا شيء', one: 'أول إنجاز، تحقق', two: 'إنجازان، تحقق', few: '{count} إنجازات، تحقق', other: '{count} إنجازًا، تحقق' },
+  'stats.milestoneAhead': { zero: 'لا شيء', one: 'أول إنجاز، لم يتحقق بعد', two: 'إنجازان، لم يتحقق بعد', few: '{count} إنجازات، لم يتحقق بعد', other: '{count} إنجازًا، لم يتحقق بعد' },
+  'stats.recent': 'أُنجز مؤخرًا',
+  'stats.noneYet': 'تظهر التذكيرات المنجزة هنا.',
+  'milestone.label': 'إنجاز',
+  'milestone.streakBody': '“{title}”. استمر في الإنماء 🌱',
+  'milestone.total': { zero: 'لا شيء بعد', one: 'أنجزت أول تذكير!', two: 'أنجزت تذكيرين!', few: 'أنجزت {count} تذكيرات!', other: 'أنجزت {count} تذكيرًا!' },
+  'milestone.totalBody': 'موس فخور بك 🌿',
+  'history.title': 'السجل',
+  'history.empty': 'لم يُنجز بعد.',
+  'history.entry': '{date}، أُنجز {done}',
+  'history.more': { zero: 'لا مزيد', one: '+واحد آخر', two: '+اثنان آخران', few: '+{count} أخرى', other: '+{count} أخرى' },
+  'ics.title': 'استيراد تقويم',
+  'ics.VEVENT': 'حدث',
+  'ics.VTODO': 'مهمة',
+  'ics.summary': { zero: 'لا عناصر', one: 'عنصر واحد', two: 'عنصران', few: '{count} عناصر', other: '{count} عنصرًا' },
+  'ics.withIssues': { zero: 'لا تغييرات', one: 'واحد به تغييرات', two: 'اثنان بهما تغييرات', few: '{count} بها تغييرات', other: '{count} بها تغييرات' },
+  'ics.sample': 'هذا ملف نموذجي. استورد ملفك من الإعدادات.',
+  'ics.empty': 'لا مهام أو أحداث في هذا الملف.',
+  'ics.items': 'عناصر التقويم',
+  'ics.include': 'إضافة «{title}»',
+  'ics.untitled': 'بلا عنوان',
+  'ics.until': 'حتى {date}',
+  'ics.completed': 'منجز',
+  'ics.duplicate': 'مضاف من قبل',
+  'ics.add': { zero: 'لا شيء للإضافة', one: 'إضافة تذكير واحد', two: 'إضافة تذكيرين', few: 'إضافة {count} تذكيرات', other: 'إضافة {count} تذكيرًا' },
+  'ics.noneSelected': 'اختر العناصر التي تريد إضافتها.',
+  'ics.added': { zero: 'لم يُستورد أي تذكير', one: 'تم استيراد تذكير واحد', two: 'تم استيراد تذكيرين', few: 'تم استيراد {count} تذكيرات', other: 'تم استيراد {count} تذكيرًا' },
+  'ics.issue.rule': 'يتكرر بطريقة لا يدعمها Memoss ‏({parts})، لذا يُضاف مرة واحدة',
+  'ics.issue.exceptions': 'لا تُحفظ التواريخ المستثناة والإضافية',
+  'ics.issue.timeZone': 'منطقة زمنية غير معروفة {zone}، قُرئ بالتوقيت المحلي',
+  'ics.issue.allDay': 'طوال اليوم، أُضيف في {time}',
+  'ics.issue.noTitle': 'بلا عنوان، لا يمكن إضافته',
+  'ics.issue.noDate': 'بلا تاريخ، لا يمكن إضافته',
+  'ics.issue.cancelled': 'ملغى، لن يُضاف',
+  'ics.issue.tag': 'الفئة «{tag}» أطول من أن تكون وسمًا (حتى {max} حرفًا)، لذا تُركت',
+};
+
+export const MESSAGES = { en, pt, ar };
+
+export const localeInfo = (locale) => LOCALES[locale] ?? LOCALES[DEFAULT_LOCALE];
+
+export const textDirection = (locale) => localeInfo(locale).dir;
+
+// MARK: - Messages
+
+const fill = (text, values, locale) => text.replace(/\{(\w+)\}/g, (match, name) => {
+  if (!(name in values)) return match;
+  const value = values[name];
+  return typeof value === 'number' ? new Intl.NumberFormat(locale).format(value) : String(value);
+});
+
+/**
+ * Look up `key` for a locale, falling back to English and then to the key
+ * itself. Plural messages pick their form from `values.count`.
+ */
+export const translate = (locale, key, values = {}) => {
+  const message = MESSAGES[localeInfo(locale).catalog][key] ?? en[key] ?? key;
+  if (typeof message === 'string') return fill(message, values, locale);
+  const category = new Intl.PluralRules(locale).select(values.count ?? 0);
+  return fill(message[category] ?? message.other, values, locale);
+};
+
+/** English keys a catalog doesn't define (ordinal forms are optional). */
+export const missingMessages = (catalog) => Object.keys(en).filter(key => !key.startsWith('ordinal.') && !(key in MESSAGES[catalog]));
+
+// MARK: - Formatting
+
+const capitalize = (text, locale) => text.charAt(0).toLocaleUpperCase(locale) + text.slice(1);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const dayIndex = (date) => Math.round(new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime() / DAY);
+
+/**
+ * Intl formatters for a locale. `hourCycle` forces a 12- or 24-hour clock;
+ * 'auto' keeps the locale's own.
+ */
+export const createFormatter = (locale, { hourCycle = 'auto' } = {}) => {
+  const clock = hourCycle === 'auto' ? {} : { hourCycle };
+  const time = new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', ...clock });
+  const dates = {
+    long: new Intl.DateTimeFormat(locale, { weekday: 'long', month: 'short', day: 'numeric' }),
+    full: new Intl.DateTimeFormat(locale, { weekday: 'long', month: 'long', day: 'numeric' }),
+    short: new Intl.DateTimeFormat(locale, { month: 'short', day: 'numeric' }),
+    monthYear: new Intl.DateTimeFormat(locale, { month: 'long', year: 'numeric' }),
+    weekday: new Intl.DateTimeFormat(locale, { weekday: 'long' }),
+    weekdayShort: new Intl.DateTimeFormat(locale, { weekday: 'short' }),
+    day: new Intl.DateTimeFormat(locale, { day: 'numeric' }),
+  };
+  const relative = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+  const ordinals = new Intl.PluralRules(locale, { type: 'ordinal' });
+  const unit = (name, display) => new Intl.NumberFormat(locale, { style: 'unit', unit: name, unitDisplay: display });
+
+  // "yesterday" / "today" / "tomorrow" as they read mid-sentence, otherwise the weekday
+  const relativeDay = (date, now = new Date()) => {
+    const days = dayIndex(date) - dayIndex(now);
+    return Math.abs(days) <= 1 ? relative.format(days, 'day') : dates.weekday.format(date);
+  };
+
+  return {
+    locale,
+    time: (date) => time.format(date),
+    // The status bar drops the day period ("9:41", not "9:41 AM")
+    statusTime: (date) => time.formatToParts(date).filter(part => part.type !== 'dayPeriod').map(part => part.value).join('').trim(),
+    longDate: (date) => dates.long.format(date),
+    fullDate: (date) => dates.full.format(date),
+    /** "Oct 12", e.g. the week a chart bar starts */
+    shortDate: (date) => dates.short.format(date),
+    monthYear: (date) => dates.monthYear.format(date),
+    weekday: (date) => dates.weekday.format(date),
+    weekdayShort: (date) => dates.weekdayShort.format(date),
+    day: (date) => dates.day.format(date),
+    relativeDay,
+    /** relativeDay at the start of a label: "Today", "Tomorrow", "Monday". */
+    relativeDayTitle: (date, now) => capitalize(relativeDay(date, now), locale),
+    number: (value) => new Intl.NumberFormat(locale).format(value),
+    percent: (value) => new Intl.NumberFormat(locale, { style: 'percent' }).format(value),
+    ordinal: (n) => translate(locale, `ordinal.${ordinals.select(n)}`, { n }),
+    /** "15 min", "1 hour", "1 hr 30 min" */
+    minutes: (total) => {
+      const hours = Math.floor(total / 60);
+      const rest = total % 60;
+      if (!hours) return unit('minute', 'short').format(rest);
+      if (!rest) return unit('hour', 'long').format(hours);
+      return new Intl.ListFormat(locale, { style: 'narrow', type: 'unit' }).format([unit('hour', 'short').format(hours), unit('minute', 'short').format(rest)]);
+    },
+    /** "now", "5m ago", like the banner timestamp on iOS */
+    since: (date, now) => {
+      const minutes = Math.floor((now - date) / 60000);
+      if (minutes < 1) return translate(locale, 'time.now');
+      const style = new Intl.RelativeTimeFormat(locale, { style: 'narrow' });
+      if (minutes < 60) return style.format(-minutes, 'minute');
+      const hours = Math.floor(minutes / 60);
+      return hours < 24 ? style.format(-hours, 'hour') : style.format(-Math.floor(hours / 24), 'day');
+    },
+  };
+};
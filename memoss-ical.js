@@ -0,0 +1,339 @@
+import { NO_RECURRENCE, isRecurring, nextOccurrence } from './memoss-recurrence.js';
+import { MAX_TAG_NAME_LENGTH, ensureTags } from './memoss-tags.js';
+
+// ============================================
+// MEMOSS ICALENDAR
+// Reminders to and from iCalendar (RFC 5545) files for calendar apps.
+// Export writes a VTODO (or VEVENT) per reminder with its recurrence as an
+// RRULE; import reads VTODOs and VEVENTs into previews that list whatever
+// couldn't be kept, so a file can be checked before anything is added.
+// fixtures/ical-cases.json holds the rule mapping the iOS app should share
+// (run scripts/check-ical-fixtures.js).
+//
+// Times are written as floating local times, like scheduledDate itself, so a
+// daily 8 PM reminder stays at 8 PM across daylight saving changes.
+// ============================================
+
+export const ICS_PRODUCT_ID = '-//Memoss//Memoss Prototype 1.0//EN';
+
+export const ICS_COMPONENTS = ['VTODO', 'VEVENT'];
+
+export const ICS_MIME_TYPE = 'text/calendar';
+
+// All-day (DATE) items have no time; they come in at 9 AM
+export const ALL_DAY_HOUR = 9;
+
+// Issues that keep an item out; the others say what changed on the way in
+export const BLOCKING_ISSUES = ['noTitle', 'noDate', 'cancelled'];
+
+// COUNT is walked one occurrence at a time, so longer series are reported
+// instead of imported, like occurrencesBetween's maxSteps
+const MAX_COUNT = 10000;
+
+// BYDAY codes in Memoss weekday order (1 = Sunday)
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// MARK: - Values
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/** A floating local DATE-TIME, e.g. 20261019T200000. */
+export const formatLocalDateTime = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+
+/** A UTC DATE-TIME, e.g. 20261019T180000Z, for stamps like DTSTAMP and COMPLETED. */
+export const formatUtcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// TEXT values escape backslashes, semicolons, commas and line breaks
+const escapeText = (value) => value.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// Comma-separated TEXT lists like CATEGORIES, where an escaped comma is part of a value
+const splitList = (value) => value.split(/(?<!\\),/).map(item => unescapeText(item).trim()).filter(Boolean);
+
+const encoder = new TextEncoder();
+
+/** Fold a content line at 75 octets (CRLF and a space), never inside a UTF-8 character. */
+export const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    // Continuation lines start with the folding space, which counts too
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  return [...parts, current].join('\r\n ');
+};
+
+const DATE_VALUE = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/;
+
+// Wall-clock time in an IANA zone as a Date, using the zone's offset from Intl; null for unknown zones
+const zonedDate = ([year, month, day, hours, minutes, seconds], timeZone) => {
+  let format;
+  try {
+    format = new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' });
+  } catch {
+    return null;
+  }
+  const offsetAt = (time) => {
+    const parts = Object.fromEntries(format.formatToParts(new Date(time)).map(({ type, value }) => [type, Number(value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+  };
+  const wall = Date.UTC(year, month, day, hours, minutes, seconds);
+  return new Date(wall - offsetAt(wall - offsetAt(wall)));
+};
+
+/**
+ * A DATE or DATE-TIME value as { date, allDay, unknownZone }, or null when
+ * it isn't one. UTC values end in Z; with a TZID they are read in that zone
+ * (local time when the zone is unknown); otherwise they are floating.
+ */
+export const parseIcsDate = (value, { tzid } = {}) => {
+  const match = DATE_VALUE.exec(value.trim());
+  if (!match) return null;
+  const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(Number);
+  if (match[4] === undefined) return { date: new Date(year, month - 1, day, ALL_DAY_HOUR), allDay: true };
+  if (match[7]) return { date: new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)) };
+  const local = new Date(year, month - 1, day, hours, minutes, seconds);
+  if (!tzid) return { date: local };
+  const zoned = zonedDate([year, month - 1, day, hours, minutes, seconds], tzid);
+  return zoned ? { date: zoned } : { date: local, unknownZone: tzid };
+};
+
+// MARK: - Recurrence
+
+/**
+ * The RRULE for a recurrence rule, or null for `none`. Monthly days past the
+ * 28th use the last of BYMONTHDAY=28..day each month, which is how Memoss
+ * clamps them (the 31st lands on Feb 28), rather than skipping short months.
+ */
+export const toRRule = (rule, until) => {
+  const parts = {
+    daily: ['FREQ=DAILY'],
+    hourly: ['FREQ=HOURLY'],
+    weekly: ['FREQ=WEEKLY', `BYDAY=${WEEKDAYS[rule?.weekday - 1]}`],
+    monthly: rule?.day > 28
+      ? ['FREQ=MONTHLY', `BYMONTHDAY=${[...Array(rule.day - 27)].map((_, i) => 28 + i).join(',')}`, 'BYSETPOS=-1']
+      : ['FREQ=MONTHLY', `BYMONTHDAY=${rule?.day}`],
+  }[rule?.type];
+  if (!parts) return null;
+  return [...parts, ...(until ? [`UNTIL=${formatLocalDateTime(until)}`] : [])].join(';');
+};
+
+const FREQUENCIES = { DAILY: 'daily', HOURLY: 'hourly', WEEKLY: 'weekly', MONTHLY: 'monthly' };
+
+// BYMONTHDAY=28,29,30[,31];BYSETPOS=-1 (what toRRule writes) or BYMONTHDAY=-1 for the last day
+const clampedMonthDay = (days, setPos) => {
+  if (days.length === 1 && days[0] === -1 && !setPos) return 31;
+  const consecutive = days.length > 1 && days[0] === 28 && days.every((day, i) => day === 28 + i) && days[days.length - 1] <= 31;
+  return consecutive && setPos === '-1' ? days[days.length - 1] : null;
+};
+
+/**
+ * A Memoss recurrence for an RRULE value and the series' first date:
+ * { rule, endDate, issues }. Each part Memoss can't repeat by is an issue
+ * ({ code: 'rule', value: 'INTERVAL=2' }) and the rule falls back to `none`.
+ * COUNT becomes the end date of its last occurrence; a DATE-only UNTIL
+ * includes that whole day, so the series ends just before midnight. An
+ * UNTIL that isn't a date or a COUNT that isn't 1 to MAX_COUNT is an issue too.
+ */
+export const fromRRule = (value, start) => {
+  const parts = Object.fromEntries(value.split(';').filter(Boolean).map(part => {
+    const [name, partValue = ''] = part.split('=');
+    return [name.toUpperCase(), partValue.toUpperCase()];
+  }));
+  const issues = [];
+  const unsupported = (name) => issues.push({ code: 'rule', value: `${name}=${parts[name]}` });
+  const type = FREQUENCIES[parts.FREQ];
+  if (!type) unsupported('FREQ');
+  if (parts.INTERVAL && Number(parts.INTERVAL) !== 1) unsupported('INTERVAL');
+
+  let rule = { type };
+  const handled = ['FREQ', 'INTERVAL', 'UNTIL', 'COUNT', 'WKST'];
+  if (type === 'weekly') {
+    handled.push('BYDAY');
+    const days = parts.BYDAY ? parts.BYDAY.split(',') : [WEEKDAYS[start.getDay()]];
+    if (days.length === 1 && WEEKDAYS.includes(days[0])) rule = { type, weekday: WEEKDAYS.indexOf(days[0]) + 1 };
+    else unsupported('BYDAY');
+  }
+  if (type === 'monthly') {
+    handled.push('BYMONTHDAY', 'BYSETPOS');
+    const days = parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(Number) : [start.getDate()];
+    const day = days.length === 1 && days[0] >= 1 && days[0] <= 31 && !parts.BYSETPOS ? days[0] : clampedMonthDay(days, parts.BYSETPOS);
+    if (day) rule = { type, day };
+    else unsupported(parts.BYMONTHDAY ? 'BYMONTHDAY' : 'BYSETPOS');
+  }
+  const until = 'UNTIL' in parts ? parseIcsDate(parts.UNTIL) : null;
+  if ('UNTIL' in parts && !until) unsupported('UNTIL');
+  const count = /^\d+$/.test(parts.COUNT ?? '') ? Number(parts.COUNT) : null;
+  if ('COUNT' in parts && !(count >= 1 && count <= MAX_COUNT)) unsupported('COUNT');
+  Object.keys(parts).filter(name => !handled.includes(name)).forEach(unsupported);
+  if (issues.length) return { rule: NO_RECURRENCE, endDate: undefined, issues };
+
+  let endDate;
+  if (until) endDate = until.allDay ? new Date(until.date.getFullYear(), until.date.getMonth(), until.date.getDate(), 23, 59, 59, 999) : until.date;
+  if (count) {
+    endDate = start;
+    for (let i = 1; i < count; i++) endDate = nextOccurrence(rule, endDate);
+  }
+  return { rule, endDate, issues };
+};
+
+// MARK: - Export
+
+/** Stable across exports, so calendar apps update events instead of duplicating them. */
+export const reminderUid = (reminder) => `${reminder.remoteID ?? `local-${reminder.id}`}@memoss.app`;
+
+/**
+ * An .ics file with one `component` ('VTODO' or 'VEVENT') per scheduled
+ * reminder. Tags become CATEGORIES and high priority PRIORITY:1. Tasks carry
+ * their time as DUE, except repeating ones: RRULE counts from DTSTART, and
+ * DUE may not equal it. Events get an alarm at their time.
+ */
+export const exportIcs = ({ reminders, tags = [] }, { component = 'VTODO', now = new Date() } = {}) => {
+  const tagNames = new Map(tags.map(tag => [tag.id, tag.name]));
+  const isTask = component === 'VTODO';
+  const items = reminders.filter(reminder => reminder.scheduledDate).flatMap(reminder => {
+    const time = formatLocalDateTime(reminder.scheduledDate);
+    const rrule = toRRule(reminder.recurrenceRule, reminder.recurrenceEndDate);
+    const categories = (reminder.tagIds ?? []).map(id => tagNames.get(id)).filter(Boolean);
+    return [
+      `BEGIN:${component}`,
+      `UID:${reminderUid(reminder)}`,
+      `DTSTAMP:${formatUtcDateTime(now)}`,
+      isTask && !rrule ? `DUE:${time}` : `DTSTART:${time}`,
+      ...(rrule ? [`RRULE:${rrule}`] : []),
+      `SUMMARY:${escapeText(reminder.title)}`,
+      ...(reminder.notes ? [`DESCRIPTION:${escapeText(reminder.notes)}`] : []),
+      ...(categories.length ? [`CATEGORIES:${categories.map(escapeText).join(',')}`] : []),
+      ...(reminder.priority === 'high' ? ['PRIORITY:1'] : []),
+      ...(isTask ? (reminder.completed ? ['STATUS:COMPLETED', `COMPLETED:${formatUtcDateTime(reminder.updatedAt ?? now)}`] : ['STATUS:NEEDS-ACTION']) : []),
+      ...(isTask ? [] : ['BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(reminder.title)}`, 'TRIGGER:PT0S', 'END:VALARM']),
+      `END:${component}`,
+    ];
+  });
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODUCT_ID}`, 'CALSCALE:GREGORIAN', ...items, 'END:VCALENDAR'];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// MARK: - Import
+
+// Content lines after unfolding, as { name, params, value }
+const parseLines = (text) => text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(line => line.trim()).map(line => {
+  // The value starts at the first colon outside a quoted parameter value
+  let quoted = false;
+  let split = line.length;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) {
+      split = i;
+      break;
+    }
+  }
+  const [name, ...params] = line.slice(0, split).split(';');
+  return {
+    name: name.trim().toUpperCase(),
+    params: Object.fromEntries(params.map(param => [param.slice(0, param.indexOf('=')).toUpperCase(), param.slice(param.indexOf('=') + 1).replace(/^"|"$/g, '')])),
+    value: line.slice(split + 1),
+  };
+});
+
+// VTODO and VEVENT components with their own properties; nested ones (VALARM) are dropped
+const readComponents = (lines) => {
+  const components = [];
+  const open = [];
+  lines.forEach(line => {
+    if (line.name === 'BEGIN') open.push({ type: line.value.trim().toUpperCase(), properties: [] });
+    else if (line.name === 'END') {
+      const closed = open.pop();
+      if (closed && ICS_COMPONENTS.includes(closed.type)) components.push(closed);
+    } else open[open.length - 1]?.properties.push(line);
+  });
+  return components;
+};
+
+// RFC 5545 priorities 1–4 are the high ones
+const isHighPriority = (value) => Number(value) >= 1 && Number(value) <= 4;
+
+const toPreview = ({ type, properties }) => {
+  const first = (name) => properties.find(property => property.name === name);
+  const readDate = (property) => property && parseIcsDate(property.value, { tzid: property.params.TZID });
+  const issues = [];
+
+  const title = unescapeText(first('SUMMARY')?.value ?? '').trim();
+  const start = readDate(first('DTSTART'));
+  const when = (type === 'VTODO' ? readDate(first('DUE')) : null) ?? start;
+  const status = first('STATUS')?.value.trim().toUpperCase();
+  const rrule = first('RRULE');
+  const recurrence = rrule && when ? fromRRule(rrule.value, (start ?? when).date) : { rule: NO_RECURRENCE, issues: [] };
+  // Categories too long for a tag name are left out rather than shortened into a different tag
+  const categories = properties.filter(property => property.name === 'CATEGORIES').flatMap(property => splitList(property.value));
+  const longCategories = categories.filter(name => name.length > MAX_TAG_NAME_LENGTH);
+
+  if (!title) issues.push({ code: 'noTitle' });
+  if (!when) issues.push({ code: 'noDate' });
+  if (status === 'CANCELLED') issues.push({ code: 'cancelled' });
+  if (when?.unknownZone) issues.push({ code: 'timeZone', value: when.unknownZone });
+  if (when?.allDay) issues.push({ code: 'allDay' });
+  issues.push(...recurrence.issues);
+  if (isRecurring(recurrence.rule) && properties.some(property => property.name === 'EXDATE' || property.name === 'RDATE')) issues.push({ code: 'exceptions' });
+  issues.push(...longCategories.map(name => ({ code: 'tag', value: name })));
+
+  const notes = unescapeText(first('DESCRIPTION')?.value ?? '').trim();
+  const importable = !issues.some(issue => BLOCKING_ISSUES.includes(issue.code));
+  return {
+    uid: first('UID')?.value.trim() ?? null,
+    component: type,
+    title: title || null,
+    issues,
+    reminder: importable ? {
+      title,
+      ...(notes ? { notes } : {}),
+      scheduledDate: when.date,
+      completed: type === 'VTODO' && (status === 'COMPLETED' || Boolean(first('COMPLETED'))),
+      recurrenceRule: recurrence.rule,
+      recurrenceEndDate: recurrence.endDate,
+      tagNames: categories.filter(name => !longCategories.includes(name)),
+      ...(isHighPriority(first('PRIORITY')?.value) ? { priority: 'high' } : {}),
+    } : null,
+  };
+};
+
+/**
+ * Read an .ics file into import previews, one per VTODO or VEVENT:
+ * { uid, component, title, reminder, issues }. `reminder` is null when the item
+ * can't become one (no title or date, or a cancelled event); `issues` lists
+ * what was changed or left out on the way in. Throws when the text isn't
+ * iCalendar.
+ */
+export const parseIcs = (text) => {
+  const lines = parseLines(text);
+  if (lines[0]?.name !== 'BEGIN' || lines[0].value.trim().toUpperCase() !== 'VCALENDAR') throw new Error('Can’t import this file: it isn’t an iCalendar (.ics) file.');
+  return readComponents(lines).map(toPreview);
+};
+
+/** Whether a reminder with the preview's title and time is already in `reminders`, e.g. from an earlier import. */
+export const isAlreadyImported = (preview, reminders) => Boolean(preview.reminder) && reminders.some(reminder => reminder.title === preview.reminder.title && reminder.scheduledDate?.getTime() === preview.reminder.scheduledDate.getTime());
+
+/**
+ * New reminders for the chosen previews, numbered after `reminders`, with
+ * their CATEGORIES matched to `tags` by name or created. Returns the new
+ * reminders and the full tag list.
+ */
+export const remindersFromPreviews = (previews, { reminders, tags }, { now = new Date() } = {}) => {
+  let allTags = tags;
+  let lastId = Math.max(0, ...reminders.map(reminder => reminder.id));
+  const added = previews.filter(preview => preview.reminder).map(({ reminder: { tagNames, ...reminder } }) => {
+    const resolved = ensureTags(allTags, tagNames, { now });
+    allTags = resolved.tags;
+    lastId += 1;
+    return { ...reminder, id: lastId, tagIds: resolved.tagIds, createdAt: now, updatedAt: now, remoteID: null };
+  });
+  return { reminders: added, tags: allTags };
+};
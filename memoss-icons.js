@@ -0,0 +1,56 @@
+// ============================================
+// MEMOSS ICONS
+// The icon registry: every name <Icon> accepts, its default stroke weight and
+// the SF Symbol the iOS app uses for the same job. The glyphs themselves are
+// in components/icons.jsx; this file stays plain JS so the catalog and
+// scripts can read it. Icons are outlined strokes, so `.fill` symbols map to
+// the outline here.
+// ============================================
+
+// `bold` is for glyphs drawn from one or two lines (plus, check, x), which
+// look lighter than outlined shapes at the same stroke width
+export const ICONS = {
+  plus: { symbol: 'plus', weight: 'bold' },
+  check: { symbol: 'checkmark', weight: 'bold' },
+  x: { symbol: 'xmark', weight: 'bold' },
+  chevronRight: { symbol: 'chevron.right', weight: 'regular' },
+  arrowRight: { symbol: 'arrow.right', weight: 'regular' },
+  clock: { symbol: 'clock', weight: 'regular' },
+  calendar: { symbol: 'calendar', weight: 'regular' },
+  calendarClock: { symbol: 'calendar.badge.clock', weight: 'regular' },
+  calendarAlert: { symbol: 'calendar.badge.exclamationmark', weight: 'regular' },
+  sunrise: { symbol: 'sunrise.fill', weight: 'regular' },
+  repeat: { symbol: 'arrow.trianglehead.2.clockwise.rotate.90', weight: 'regular' },
+  bell: { symbol: 'bell', weight: 'regular' },
+  snooze: { symbol: 'moon.zzz', weight: 'regular' },
+  sync: { symbol: 'arrow.triangle.2.circlepath', weight: 'regular' },
+  cloud: { symbol: 'icloud', weight: 'regular' },
+  tag: { symbol: 'tag', weight: 'regular' },
+  flag: { symbol: 'flag.fill', weight: 'regular' },
+  mic: { symbol: 'mic', weight: 'regular' },
+  copy: { symbol: 'doc.on.doc', weight: 'regular' },
+  trash: { symbol: 'trash', weight: 'regular' },
+  settings: { symbol: 'gearshape.fill', weight: 'regular' },
+  person: { symbol: 'person.circle', weight: 'regular' },
+  leaf: { symbol: 'leaf.fill', weight: 'regular' },
+  chart: { symbol: 'chart.bar.fill', weight: 'regular' },
+  flame: { symbol: 'flame.fill', weight: 'regular' },
+};
+
+export const ICON_NAMES = Object.keys(ICONS);
+
+// MARK: - Recurrence
+
+/**
+ * The icon for each repeat kind, matching RecurrenceRule.icon in
+ * Memoss/Models/RecurrenceRule.swift (`symbol` is what Swift returns).
+ */
+export const RECURRENCE_ICONS = {
+  none: { icon: 'arrowRight', symbol: 'arrow.forward' },
+  daily: { icon: 'sunrise', symbol: 'sunrise.fill' },
+  hourly: { icon: 'clock', symbol: 'clock.fill' },
+  weekly: { icon: 'calendarClock', symbol: 'calendar.badge.clock' },
+  monthly: { icon: 'calendar', symbol: 'calendar' },
+};
+
+export const recurrenceIcon = (rule) => (RECURRENCE_ICONS[rule?.type] ?? RECURRENCE_ICONS.none).icon;
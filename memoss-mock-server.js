@@ -0,0 +1,164 @@
+import { generateId } from './memoss-tags.js';
+import { createMemoryStorage, probeLocalStorage } from './memoss-store.js';
+
+// ============================================
+// MEMOSS MOCK SERVER
+// In-browser stand-in for the Go API's /v1/reminders and /v1/tags routes
+// (plans/feat-go-backend-sync.md): same JSON shapes, server-stamped
+// timestamps and error envelope. Knobs for latency, going offline, failing
+// requests and edits "from another device" make sync states reproducible.
+// ============================================
+
+export const MOCK_SERVER_KEY = 'memoss.mock-server';
+
+const RESOURCES = ['reminders', 'tags'];
+
+const wait = (ms) => (ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve());
+
+// Round-trip through JSON so callers never share objects with the "database"
+const wire = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const errorResponse = (status, code, message, field) => ({ status, body: { error: { code, message, ...(field ? { field } : {}) } } });
+
+const validate = (resource, body, { partial, tables }) => {
+  if (!body || typeof body !== 'object') return errorResponse(400, 'VALIDATION_ERROR', 'Request body must be a JSON object');
+  if (resource === 'tags') {
+    if ((!partial || body.name != null) && !(typeof body.name === 'string' && body.name.trim())) return errorResponse(400, 'VALIDATION_ERROR', 'Name is required', 'name');
+    return null;
+  }
+  if ((!partial || body.title != null) && !(typeof body.title === 'string' && body.title.trim())) return errorResponse(400, 'VALIDATION_ERROR', 'Title is required', 'title');
+  if ((!partial || body.scheduled_date != null) && Number.isNaN(Date.parse(body.scheduled_date))) return errorResponse(400, 'VALIDATION_ERROR', 'Scheduled date is invalid', 'scheduled_date');
+  const unknownTag = (body.tag_ids ?? []).find(id => !tables.tags.has(id));
+  if (unknownTag) return errorResponse(400, 'VALIDATION_ERROR', `Tag ${unknownTag} does not exist`, 'tag_ids');
+  return null;
+};
+
+/**
+ * Create a mock server. `handle({ method, path, body })` resolves to
+ * `{ status, body }` like an HTTP response, or rejects while offline.
+ */
+export const createMockServer = ({ latency = 150, storage = probeLocalStorage() ?? createMemoryStorage(), key = MOCK_SERVER_KEY, now = () => new Date() } = {}) => {
+  const load = () => {
+    try {
+      const saved = JSON.parse(storage.getItem(key) ?? 'null');
+      return Object.fromEntries(RESOURCES.map(resource => [resource, new Map((saved?.[resource] ?? []).map(row => [row.id, row]))]));
+    } catch {
+      return Object.fromEntries(RESOURCES.map(resource => [resource, new Map()]));
+    }
+  };
+  const tables = load();
+  const persist = () => storage.setItem(key, JSON.stringify(Object.fromEntries(RESOURCES.map(resource => [resource, [...tables[resource].values()]]))));
+
+  let offline = false;
+  let failuresLeft = 0;
+  const listeners = new Set();
+  const notify = () => listeners.forEach(listener => listener());
+
+  const insert = (resource, body) => {
+    const timestamp = now().toISOString();
+    const row = { ...wire(body), id: generateId(), created_at: timestamp, updated_at: timestamp };
+    if (resource === 'reminders') row.tag_ids = row.tag_ids ?? [];
+    tables[resource].set(row.id, row);
+    return row;
+  };
+
+  const update = (resource, id, body) => {
+    const changes = Object.fromEntries(Object.entries(wire(body)).filter(([, value]) => value !== undefined));
+    const row = { ...tables[resource].get(id), ...changes, id, updated_at: now().toISOString() };
+    tables[resource].set(id, row);
+    return row;
+  };
+
+  const route = (method, path, body) => {
+    const [, version, resource, id, extra] = path.split('/');
+    if (version !== 'v1' || !RESOURCES.includes(resource) || extra !== undefined) return errorResponse(404, 'NOT_FOUND', `No route for ${method} ${path}`);
+    const table = tables[resource];
+
+    if (!id) {
+      if (method === 'GET') return { status: 200, body: [...table.values()].sort((a, b) => a.created_at.localeCompare(b.created_at)) };
+      if (method === 'POST') return validate(resource, body, { partial: false, tables }) ?? { status: 201, body: insert(resource, body) };
+      return errorResponse(405, 'METHOD_NOT_ALLOWED', `${method} is not supported on ${path}`);
+    }
+
+    if (!table.has(id)) return errorResponse(404, 'NOT_FOUND', `${resource === 'tags' ? 'Tag' : 'Reminder'} not found`);
+    switch (method) {
+      case 'GET':
+        return { status: 200, body: table.get(id) };
+      case 'PUT':
+        return validate(resource, body, { partial: true, tables }) ?? { status: 200, body: update(resource, id, body) };
+      case 'DELETE':
+        table.delete(id);
+        // Deleting a tag detaches it, like the reminder_tags cascade
+        if (resource === 'tags') tables.reminders.forEach(row => { row.tag_ids = row.tag_ids.filter(tagId => tagId !== id); });
+        return { status: 204, body: null };
+      default:
+        return errorResponse(405, 'METHOD_NOT_ALLOWED', `${method} is not supported on ${path}`);
+    }
+  };
+
+  return {
+    async handle({ method = 'GET', path, body }) {
+      await wait(latency);
+      if (offline) throw new Error('The Internet connection appears to be offline.');
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        notify();
+        return errorResponse(500, 'INTERNAL_ERROR', 'Simulated server error');
+      }
+      const response = route(method, path, wire(body));
+      if (method !== 'GET' && response.status < 300) {
+        persist();
+        notify();
+      }
+      return { status: response.status, body: wire(response.body) };
+    },
+
+    get isOffline() { return offline; },
+    get failuresLeft() { return failuresLeft; },
+    get counts() { return { reminders: tables.reminders.size, tags: tables.tags.size }; },
+
+    setOffline(value) {
+      offline = value;
+      notify();
+    },
+
+    /** Make the next `count` requests fail with a 500. */
+    failNextRequests(count = 1) {
+      failuresLeft = count;
+      notify();
+    },
+
+    /**
+     * Change a reminder as another device would, bumping its updated_at.
+     * Picks the most recently updated one when no id is given; returns it, or null.
+     */
+    editAsAnotherDevice(id, changes) {
+      const row = id ? tables.reminders.get(id) : [...tables.reminders.values()].sort((a, b) => b.updated_at.localeCompare(a.updated_at))[0];
+      if (!row) return null;
+      const edited = update('reminders', row.id, changes ?? { title: row.title.endsWith(' (edited on iPad)') ? row.title : `${row.title} (edited on iPad)` });
+      persist();
+      notify();
+      return wire(edited);
+    },
+
+    /** Create a reminder as another device would. */
+    addAsAnotherDevice(body) {
+      const row = insert('reminders', { title: 'Added on iPad', scheduled_date: now().toISOString(), is_completed: false, recurrence_rule: null, notes: null, ...body });
+      persist();
+      notify();
+      return wire(row);
+    },
+
+    reset() {
+      RESOURCES.forEach(resource => tables[resource].clear());
+      failuresLeft = 0;
+      persist();
+      notify();
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
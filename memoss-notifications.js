@@ -0,0 +1,163 @@
+import { occurrencesBetween } from './memoss-recurrence.js';
+
+// ============================================
+// MEMOSS NOTIFICATIONS
+// Notification simulator for the prototype. On iOS, NotificationService.swift
+// hands each occurrence to UNUserNotificationCenter; here a virtual clock
+// stands in for real time so due reminders can be played through at speed.
+//
+// A notification is { id, reminderId, title, body, date, snoozed }. `title`
+// and `body` match the iOS content ("Memoss" and the reminder title).
+// ============================================
+
+export const NOTIFICATION_TITLE = 'Memoss';
+
+// Real time, a minute per second and ten minutes per second
+export const CLOCK_SPEEDS = [1, 60, 600];
+export const CLOCK_TICK = 1000;
+
+// How far ahead "next due" looks, and how many banners stay on screen
+export const LOOKAHEAD_DAYS = 7;
+export const MAX_BANNERS = 3;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a virtual clock. It runs at `speed` times real time while playing
+ * and can be paused, sped up or moved to any date. Listeners get the new
+ * time on every change and, while playing, every `tick` ms of real time.
+ */
+export const createVirtualClock = ({ start = new Date(), speed = 1, playing = true, tick = CLOCK_TICK, realNow = () => Date.now() } = {}) => {
+  // Virtual time is `base` plus the real time since `anchor`, scaled by speed
+  let base = start.getTime();
+  let anchor = realNow();
+  let currentSpeed = speed;
+  let isPlaying = playing;
+  let timer = null;
+  const listeners = new Set();
+
+  const read = () => (isPlaying ? base + (realNow() - anchor) * currentSpeed : base);
+  const rebase = () => {
+    base = read();
+    anchor = realNow();
+  };
+  const notify = () => {
+    const now = new Date(read());
+    listeners.forEach(listener => listener(now));
+  };
+  // Only tick while someone is listening, so an idle clock holds no timer
+  const schedule = () => {
+    clearInterval(timer);
+    timer = isPlaying && listeners.size > 0 ? setInterval(notify, tick) : null;
+  };
+
+  return {
+    now: () => new Date(read()),
+
+    get isPlaying() {
+      return isPlaying;
+    },
+
+    get speed() {
+      return currentSpeed;
+    },
+
+    play() {
+      if (isPlaying) return;
+      anchor = realNow();
+      isPlaying = true;
+      schedule();
+      notify();
+    },
+
+    pause() {
+      if (!isPlaying) return;
+      rebase();
+      isPlaying = false;
+      schedule();
+      notify();
+    },
+
+    setSpeed(next) {
+      rebase();
+      currentSpeed = next;
+      notify();
+    },
+
+    /** Jump ahead by `ms` of virtual time. */
+    advance(ms) {
+      rebase();
+      base += ms;
+      notify();
+    },
+
+    set(date) {
+      base = date.getTime();
+      anchor = realNow();
+      notify();
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      schedule();
+      return () => {
+        listeners.delete(listener);
+        schedule();
+      };
+    },
+  };
+};
+
+// MARK: - Scheduling
+
+/**
+ * Times in (from, to] when a reminder's notification fires: each occurrence,
+ * or the end of its snooze. A snooze replaces the occurrences it covers, like
+ * snoozeNotification re-adding the request with the same identifier.
+ */
+export const fireTimesBetween = (reminder, from, to) => {
+  if (reminder.completed || !reminder.scheduledDate) return [];
+  const { snoozedUntil } = reminder;
+  const dates = occurrencesBetween(reminder, new Date(from.getTime() + 1), new Date(to.getTime() + 1))
+    .filter(date => !snoozedUntil || date > snoozedUntil);
+  if (snoozedUntil && snoozedUntil > from && snoozedUntil <= to) dates.push(snoozedUntil);
+  return dates.sort((a, b) => a - b);
+};
+
+const toNotification = (reminder, date) => ({
+  id: `${reminder.id}@${date.getTime()}`,
+  reminderId: reminder.id,
+  title: NOTIFICATION_TITLE,
+  body: reminder.title,
+  date,
+  snoozed: Boolean(reminder.snoozedUntil) && date.getTime() === reminder.snoozedUntil.getTime(),
+});
+
+/** Every notification that fires in (from, to], oldest first. */
+export const notificationsBetween = (reminders, from, to) => reminders
+  .flatMap(reminder => fireTimesBetween(reminder, from, to).map(date => toNotification(reminder, date)))
+  .sort((a, b) => a.date - b.date);
+
+/** The next notification after `after`, looking LOOKAHEAD_DAYS ahead; null when nothing is due. */
+export const nextNotification = (reminders, after, { within = LOOKAHEAD_DAYS * DAY } = {}) => {
+  const horizon = new Date(after.getTime() + within);
+  const soonest = reminders
+    .map(reminder => [reminder, fireTimesBetween(reminder, after, horizon)[0]])
+    .filter(([, date]) => date)
+    .sort(([, a], [, b]) => a - b)[0];
+  return soonest ? toNotification(...soonest) : null;
+};
+
+/**
+ * Add newly fired notifications to the banners on screen. A reminder shows
+ * one banner at a time (its latest), and only the newest `limit` are kept.
+ */
+export const deliverNotifications = (banners, incoming, { limit = MAX_BANNERS } = {}) => {
+  const next = [...banners];
+  incoming.forEach(notification => {
+    const existing = next.findIndex(banner => banner.reminderId === notification.reminderId);
+    if (existing !== -1) next.splice(existing, 1);
+    next.push(notification);
+  });
+  return next.slice(-limit);
+};
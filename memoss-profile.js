@@ -0,0 +1,64 @@
+import { DEFAULT_LOCALE, HOUR_CYCLES, LOCALES, translate } from './memoss-i18n.js';
+
+// ============================================
+// MEMOSS PROFILE
+// Who the prototype greets and how. Mirrors the greeting and displayName
+// logic in DashboardView.swift / GreetingHeader.swift, plus a greeting style
+// and the mascot mood that goes with the time of day and the day's tasks.
+//
+// A profile is { name, locale, hourCycle, greetingStyle }; it is saved with
+// the rest of the prototype settings. `locale` also picks the phone's language.
+// ============================================
+
+export const PROFILE_LOCALES = Object.keys(LOCALES);
+
+export const GREETING_STYLES = ['timeOfDay', 'casual', 'simple'];
+
+export const DEFAULT_PROFILE = { name: '', locale: DEFAULT_LOCALE, hourCycle: 'auto', greetingStyle: 'timeOfDay' };
+
+export const MAX_NAME_LENGTH = 30;
+
+/** Fill in defaults and drop values the prototype doesn't know, e.g. from older saved data. */
+export const normalizeProfile = (profile = {}) => ({
+  name: typeof profile.name === 'string' ? profile.name.trim().slice(0, MAX_NAME_LENGTH) : DEFAULT_PROFILE.name,
+  locale: PROFILE_LOCALES.includes(profile.locale) ? profile.locale : DEFAULT_PROFILE.locale,
+  hourCycle: HOUR_CYCLES.includes(profile.hourCycle) ? profile.hourCycle : DEFAULT_PROFILE.hourCycle,
+  greetingStyle: GREETING_STYLES.includes(profile.greetingStyle) ? profile.greetingStyle : DEFAULT_PROFILE.greetingStyle,
+});
+
+// MARK: - Greeting
+
+/** Same hour ranges as DashboardView.greeting. */
+export const partOfDay = (date = new Date()) => {
+  const hour = date.getHours();
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 21) return 'evening';
+  return 'night';
+};
+
+export const greetingStyleLabel = (style) => ({ timeOfDay: 'Time of day', casual: 'Casual', simple: 'Simple' })[style];
+
+export const hourCycleLabel = (cycle) => ({ auto: 'Locale default', h12: '12-hour', h23: '24-hour' })[cycle];
+
+/** The greeting in the profile's language, e.g. "Good morning" or "Bom dia". */
+export const greetingFor = ({ greetingStyle, locale }, now = new Date()) => translate(locale, `greeting.${greetingStyle}.${partOfDay(now)}`);
+
+/** The name to greet; "there" (or its translation) when none is set, like DashboardView.displayName. */
+export const greetingName = ({ name, locale }) => name.trim() || translate(locale, 'greeting.there');
+
+// MARK: - Mascot Mood
+
+/** Late night and very early morning, when the mascot dozes off. */
+export const isLateNight = (date = new Date()) => date.getHours() >= 22 || date.getHours() < 5;
+
+/**
+ * Mood for the mascot next to the greeting: sleepy late at night, calm with
+ * nothing planned, excited once everything planned is done, otherwise happy.
+ */
+export const mascotMood = ({ now = new Date(), open = 0, completed = 0 } = {}) => {
+  if (isLateNight(now)) return 'sleepy';
+  if (open === 0 && completed === 0) return 'calm';
+  if (open === 0) return 'excited';
+  return 'happy';
+};
@@ -0,0 +1,158 @@
+// ============================================
+// MEMOSS RECURRENCE
+// JS counterpart of Memoss/Models/RecurrenceRule.swift and the recurrence
+// helpers on Reminder.swift. Keep the two in step: fixtures/recurrence-cases.json
+// holds the shared expectations (run scripts/check-recurrence-fixtures.js).
+//
+// Rules are plain objects: { type: 'none' | 'daily' | 'hourly' }, or
+// { type: 'weekly', weekday } with 1=Sunday, or { type: 'monthly', day } with 1-31.
+// ============================================
+
+const HOUR = 60 * 60 * 1000;
+
+export const RECURRENCE_TYPES = ['none', 'daily', 'hourly', 'weekly', 'monthly'];
+
+export const NO_RECURRENCE = { type: 'none' };
+
+// MARK: - Display Properties
+
+const weekdayName = (weekday, locale) => new Date(2026, 0, 3 + weekday).toLocaleDateString(locale, { weekday: 'long' });
+
+const daySuffix = (day) => {
+  if ([1, 21, 31].includes(day)) return 'st';
+  if ([2, 22].includes(day)) return 'nd';
+  if ([3, 23].includes(day)) return 'rd';
+  return 'th';
+};
+
+export const displayName = (rule, locale = 'en-US') => {
+  switch (rule.type) {
+    case 'daily': return 'Daily';
+    case 'hourly': return 'Hourly';
+    case 'weekly': return `Every ${weekdayName(rule.weekday, locale)}`;
+    case 'monthly': return `Monthly on the ${rule.day}${daySuffix(rule.day)}`;
+    default: return 'Never';
+  }
+};
+
+export const shortDisplayName = (rule) => ({ none: 'Once', daily: 'Daily', hourly: 'Hourly', weekly: 'Weekly', monthly: 'Monthly' })[rule.type];
+
+// SF Symbol names, as used by RecurrenceRule.icon
+export const sfSymbol = (rule) => ({ none: 'arrow.forward', daily: 'sunrise.fill', hourly: 'clock.fill', weekly: 'calendar.badge.clock', monthly: 'calendar' })[rule.type];
+
+export const isRecurring = (rule) => Boolean(rule) && rule.type !== 'none';
+
+// MARK: - Codable Interop
+
+/** Encode a rule the way Swift's synthesized Codable does, e.g. `{ weekly: { weekday: 2 } }`. */
+export const toSwiftCodable = ({ type, ...values }) => ({ [type]: values });
+
+/** Decode a Swift Codable rule. Unknown or missing data falls back to `none`, like Reminder.recurrenceRule. */
+export const fromSwiftCodable = (json) => {
+  const [type] = Object.keys(json ?? {});
+  if (!RECURRENCE_TYPES.includes(type)) return NO_RECURRENCE;
+  return { type, ...json[type] };
+};
+
+// MARK: - Occurrence Calculation
+
+export const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/** Calculate the next occurrence after the given date, or null for `none`. */
+export const nextOccurrence = (rule, date) => {
+  switch (rule.type) {
+    case 'daily':
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1, date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+
+    case 'hourly':
+      return new Date(date.getTime() + HOUR);
+
+    case 'weekly': {
+      // Find the next matching weekday strictly after `date`, keeping hour and minute
+      const offset = ((rule.weekday - 1 - date.getDay() + 7) % 7) || 7;
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset, date.getHours(), date.getMinutes());
+    }
+
+    case 'monthly': {
+      // Clamp to the target month's length (day 31 lands on Feb 28/29, Apr 30, ...)
+      const year = date.getFullYear();
+      const month = date.getMonth();
+      const sameMonth = new Date(year, month, Math.min(rule.day, daysInMonth(year, month)), date.getHours(), date.getMinutes());
+      if (sameMonth > date) return sameMonth;
+
+      const nextYear = month === 11 ? year + 1 : year;
+      const nextMonth = (month + 1) % 12;
+      return new Date(nextYear, nextMonth, Math.min(rule.day, daysInMonth(nextYear, nextMonth)), date.getHours(), date.getMinutes());
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Generate next N occurrences from a start date. Mirrors the Swift helper,
+ * including its quirk of only skipping the start date (not later ones) when
+ * it is in the past — use upcomingOccurrences for "what's next" lists.
+ */
+export const occurrences = (rule, startDate, count, now = new Date()) => {
+  if (!isRecurring(rule)) return startDate > now ? [startDate] : [];
+
+  const dates = [];
+  let current = startDate;
+  if (current > now) dates.push(current);
+
+  while (dates.length < count) {
+    const next = nextOccurrence(rule, current);
+    if (!next) break;
+    current = next;
+    dates.push(current);
+  }
+  return dates;
+};
+
+/** Future occurrences of a reminder, stopping at its recurrenceEndDate. */
+export const upcomingOccurrences = ({ recurrenceRule = NO_RECURRENCE, scheduledDate, recurrenceEndDate }, { count = 5, now = new Date() } = {}) => {
+  const dates = [];
+  let current = scheduledDate;
+  while (current && dates.length < count) {
+    if (recurrenceEndDate && current > recurrenceEndDate) break;
+    if (current > now) dates.push(current);
+    current = nextOccurrence(recurrenceRule, current);
+  }
+  return dates;
+};
+
+/**
+ * Occurrences of a reminder that fall in [start, end), honouring its
+ * recurrenceEndDate. Walks forward from scheduledDate, so past series work too.
+ */
+export const occurrencesBetween = ({ recurrenceRule = NO_RECURRENCE, scheduledDate, recurrenceEndDate }, start, end, { maxSteps = 10000 } = {}) => {
+  const dates = [];
+  let current = scheduledDate;
+  for (let step = 0; current && current < end && step < maxSteps; step++) {
+    if (recurrenceEndDate && current > recurrenceEndDate) break;
+    if (current >= start) dates.push(current);
+    current = nextOccurrence(recurrenceRule, current);
+  }
+  return dates;
+};
+
+// MARK: - Reminder Helpers
+
+/**
+ * Advance a recurring reminder to its next occurrence (for completing it).
+ * Returns a new reminder; past the recurrenceEndDate the series is marked done.
+ */
+export const advanceToNextOccurrence = (reminder) => {
+  const nextDate = nextOccurrence(reminder.recurrenceRule ?? NO_RECURRENCE, reminder.scheduledDate);
+  if (!nextDate) return reminder;
+  if (reminder.recurrenceEndDate && nextDate > reminder.recurrenceEndDate) return { ...reminder, completed: true };
+  return { ...reminder, scheduledDate: nextDate };
+};
+
+// MARK: - Presets
+
+export const weeklyOnCurrentDay = (date = new Date()) => ({ type: 'weekly', weekday: date.getDay() + 1 });
+
+export const monthlyOnCurrentDay = (date = new Date()) => ({ type: 'monthly', day: date.getDate() });
@@ -0,0 +1,390 @@
+import { daysInMonth } from './memoss-recurrence.js';
+import { MAX_TAG_NAME_LENGTH } from './memoss-tags.js';
+
+// ============================================
+// MEMOSS REMINDER PARSER
+// Turns free text like "Remind me to water the plants every morning at 9am"
+// into a structured reminder. Pure functions — no React, no globals.
+// fixtures/parser-cases.json holds phrases and what they resolve to (run
+// scripts/check-parser-fixtures.js).
+// ============================================
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const WEEKDAY_PATTERN = 'sundays?|mondays?|tuesdays?|wednesdays?|thursdays?|fridays?|saturdays?|sun|mon|tues?|wed|thu(?:rs?)?|fri|sat';
+const PLURAL_WEEKDAY_PATTERN = 'sundays|mondays|tuesdays|wednesdays|thursdays|fridays|saturdays';
+const MONTH_PATTERN = 'january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept?|oct|nov|dec';
+const ORDINAL = '(\\d{1,2})(?:st|nd|rd|th)';
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, fifteen: 15, twenty: 20, thirty: 30, 'forty-five': 45 };
+
+// Default times for loose phrases like "every morning" or "in the evening"
+export const PERIOD_TIMES = {
+  morning: { hours: 9, minutes: 0 },
+  afternoon: { hours: 15, minutes: 0 },
+  evening: { hours: 18, minutes: 0 },
+  night: { hours: 21, minutes: 0 },
+  tonight: { hours: 20, minutes: 0 },
+  noon: { hours: 12, minutes: 0 },
+  midday: { hours: 12, minutes: 0 },
+  midnight: { hours: 0, minutes: 0 },
+};
+
+const DEFAULT_TIME = PERIOD_TIMES.morning;
+
+// RecurrenceRule weekdays are 1-based from Sunday, like Calendar.component(.weekday)
+const weekdayNumber = (name) => WEEKDAYS.findIndex(day => day.startsWith(name.toLowerCase().slice(0, 3))) + 1;
+const monthIndex = (name) => MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+const toNumber = (value) => NUMBER_WORDS[value.toLowerCase()] ?? Number(value);
+
+const to24Hour = (hours, meridiem) => {
+  if (!meridiem) return hours;
+  const isPm = meridiem.toLowerCase().startsWith('p');
+  if (hours === 12) return isPm ? 12 : 0;
+  return isPm ? hours + 12 : hours;
+};
+
+// "at 9" without am/pm: small numbers are afternoon, like people say them
+const guessMeridiemHours = (hours) => (hours >= 1 && hours <= 7 ? hours + 12 : hours);
+
+// ...unless the evening was said too: "at 9 tonight" is 9 PM, "at 12 tonight" the midnight after
+const EVENING_PERIODS = ['evening', 'night', 'tonight'];
+
+const applyEveningToBareHour = (state) => {
+  if (state.bareHour === undefined || !EVENING_PERIODS.includes(state.period)) return;
+  if (state.bareHour === 12) {
+    state.time = { ...PERIOD_TIMES.midnight };
+    if (state.dayOffset !== undefined) state.dayOffset += 1;
+  } else {
+    state.time = { hours: state.bareHour + 12, minutes: 0 };
+  }
+};
+
+// Any year would do for the month lengths, as long as it has Feb 29
+const LEAP_YEAR = 2024;
+const isPossibleDate = (month, day) => day >= 1 && day <= daysInMonth(LEAP_YEAR, month);
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const withTime = (date, { hours, minutes }) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+
+const nextWeekday = (from, weekday, { strict = false } = {}) => {
+  const offset = (weekday - 1 - from.getDay() + 7) % 7;
+  return addDays(from, offset === 0 && strict ? 7 : offset);
+};
+
+const OFFSET_UNITS = { min: 60 * 1000, hour: 60 * 60 * 1000, hr: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Each rule is tried in order; a match only counts when it does not overlap
+ * text already claimed by an earlier rule. `apply` records what it found on
+ * the parse state and may return a narrower `{ start, end }` to highlight,
+ * with `title` for text that stays in the title in place of the match.
+ */
+const rules = [
+  {
+    kind: 'trigger',
+    pattern: /^\s*(?:please\s+)?(remind me|don'?t forget|remember|i need)(\s+to)?\b/i,
+    apply: (match) => {
+      const start = match.index + match[0].indexOf(match[1]);
+      return { start, end: start + match[1].length };
+    },
+  },
+  {
+    kind: 'tag',
+    pattern: /#([\p{L}\d_-]+)/giu,
+    apply: (match, state) => {
+      // Too long for a tag name: it stays in the title and is reported instead
+      if (match[1].length > MAX_TAG_NAME_LENGTH) {
+        state.longTags.push(match[1]);
+        return false;
+      }
+      state.tags.push(match[1]);
+      // Joined to the sentence by "and" or "or" ("Buy #milk and #eggs"), the word stays in the title
+      const end = match.index + match[0].length;
+      if (/\b(?:and|or)\s+$/i.test(match.input.slice(0, match.index)) || /^\s+(?:and|or)\b/i.test(match.input.slice(end))) return { start: match.index, end, title: match[1] };
+    },
+  },
+  {
+    kind: 'priority',
+    pattern: /\b(?:urgent|asap|high priority)\b|!+\s*$/gi,
+    apply: (match, state) => {
+      state.priority = 'high';
+      const trimmed = match[0].trimEnd();
+      return { start: match.index, end: match.index + trimmed.length };
+    },
+  },
+  {
+    kind: 'date',
+    pattern: /\bin\s+(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|fifteen|twenty|thirty|forty-five)\s+(min(?:ute)?s?|hours?|hrs?|days?|weeks?)\b/gi,
+    apply: (match, state) => {
+      const unit = Object.keys(OFFSET_UNITS).find(key => match[2].toLowerCase().startsWith(key));
+      state.offset = toNumber(match[1]) * OFFSET_UNITS[unit];
+    },
+  },
+  {
+    kind: 'recurrence',
+    pattern: /\bevery\s+(morning|afternoon|evening|night)\b/gi,
+    apply: (match, state) => {
+      state.recurrence = { type: 'daily' };
+      state.period = match[1].toLowerCase();
+    },
+  },
+  {
+    kind: 'recurrence',
+    pattern: /\b(?:every\s+day|each\s+day|everyday|daily)\b/gi,
+    apply: (match, state) => { state.recurrence = { type: 'daily' }; },
+  },
+  {
+    kind: 'recurrence',
+    pattern: /\b(?:every\s+hour|each\s+hour|hourly)\b/gi,
+    apply: (match, state) => { state.recurrence = { type: 'hourly' }; },
+  },
+  {
+    kind: 'recurrence',
+    pattern: new RegExp(`\\b(?:every|each)\\s+(${WEEKDAY_PATTERN})\\b|\\bon\\s+(${PLURAL_WEEKDAY_PATTERN})\\b`, 'gi'),
+    apply: (match, state) => { state.recurrence = { type: 'weekly', weekday: weekdayNumber(match[1] ?? match[2]) }; },
+  },
+  {
+    kind: 'recurrence',
+    pattern: /\b(?:every\s+week|each\s+week|weekly)\b/gi,
+    apply: (match, state) => { state.recurrence = { type: 'weekly' }; },
+  },
+  {
+    kind: 'recurrence',
+    pattern: new RegExp(`\\b(?:on\\s+)?(?:the\\s+)?${ORDINAL}\\s+of\\s+(?:every|each)\\s+month\\b|\\b(?:every|each)\\s+month\\s+on\\s+the\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b|\\bmonthly\\s+on\\s+the\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b|\\bevery\\s+${ORDINAL}\\b`, 'gi'),
+    apply: (match, state) => {
+      const day = Number(match[1] ?? match[2] ?? match[3] ?? match[4]);
+      if (day < 1 || day > 31) return false;
+      state.recurrence = { type: 'monthly', day };
+    },
+  },
+  {
+    kind: 'recurrence',
+    pattern: /\b(?:every\s+month|each\s+month|monthly)\b/gi,
+    apply: (match, state) => { state.recurrence = { type: 'monthly' }; },
+  },
+  {
+    kind: 'time',
+    pattern: /\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?=\W|$)/gi,
+    apply: (match, state) => {
+      const hours = Number(match[1]);
+      const minutes = Number(match[2] ?? 0);
+      if (hours < 1 || hours > 12 || minutes > 59) return false;
+      state.time = { hours: to24Hour(hours, match[3]), minutes };
+    },
+  },
+  {
+    kind: 'time',
+    pattern: /\bat\s+(\d{1,2}):(\d{2})\b/gi,
+    apply: (match, state) => {
+      const hours = Number(match[1]);
+      const minutes = Number(match[2]);
+      if (hours > 23 || minutes > 59) return false;
+      state.time = { hours, minutes };
+    },
+  },
+  {
+    kind: 'time',
+    pattern: /\bat\s+(\d{1,2})\b(?!\s*(?:st|nd|rd|th|%|:))/gi,
+    apply: (match, state) => {
+      const hours = Number(match[1]);
+      if (hours < 1 || hours > 12) return false;
+      state.time = { hours: guessMeridiemHours(hours), minutes: 0 };
+      state.bareHour = hours;
+    },
+  },
+  {
+    kind: 'time',
+    pattern: /\b(?:at\s+)?(noon|midday|midnight)\b/gi,
+    apply: (match, state) => { state.time = { ...PERIOD_TIMES[match[1].toLowerCase()] }; },
+  },
+  {
+    kind: 'date',
+    pattern: /\btonight\b/gi,
+    apply: (match, state) => {
+      state.dayOffset = 0;
+      state.period = 'tonight';
+    },
+  },
+  {
+    kind: 'time',
+    pattern: /\b(?:in\s+the\s+(morning|afternoon|evening)|at\s+(night))\b/gi,
+    apply: (match, state) => { state.period = (match[1] ?? match[2]).toLowerCase(); },
+  },
+  {
+    kind: 'date',
+    pattern: /\b(day after tomorrow|today|tomorrow|tmrw)\b/gi,
+    apply: (match, state) => {
+      const word = match[1].toLowerCase();
+      state.dayOffset = word === 'today' ? 0 : word === 'day after tomorrow' ? 2 : 1;
+    },
+  },
+  {
+    kind: 'date',
+    pattern: new RegExp(`\\b(?:on\\s+)?(?:(next|this)\\s+)?(${WEEKDAY_PATTERN})\\b`, 'gi'),
+    apply: (match, state) => {
+      state.weekday = weekdayNumber(match[2]);
+      state.strictWeekday = match[1]?.toLowerCase() === 'next';
+    },
+  },
+  {
+    kind: 'date',
+    pattern: new RegExp(`\\b(?:on\\s+)?(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b|\\b(?:on\\s+)?(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_PATTERN})\\b`, 'gi'),
+    apply: (match, state) => {
+      const day = Number(match[2] ?? match[3]);
+      const month = monthIndex(match[1] ?? match[4]);
+      if (!isPossibleDate(month, day)) return false;
+      state.calendarDate = { month, day };
+    },
+  },
+  {
+    kind: 'date',
+    pattern: new RegExp(`\\bon\\s+the\\s+${ORDINAL}\\b`, 'gi'),
+    apply: (match, state) => {
+      const day = Number(match[1]);
+      if (day < 1 || day > 31) return false;
+      state.calendarDate = { month: null, day };
+    },
+  },
+];
+
+const overlaps = (ranges, start, end) => ranges.some(range => start < range.end && end > range.start);
+
+const LEADING_FILLER = /^(?:to|that|about|and)\s+/i;
+const TRAILING_FILLER = /\s+(?:on|at|in|by|for|every|each|the|to)$/i;
+
+const cleanTitle = (text) => {
+  let title = text.replace(/\s+/g, ' ').trim().replace(/^[,;:\s]+|[,;:.!?\s]+$/g, '');
+  while (LEADING_FILLER.test(title)) title = title.replace(LEADING_FILLER, '');
+  while (TRAILING_FILLER.test(title)) title = title.replace(TRAILING_FILLER, '').replace(/[,;:\s]+$/, '');
+  return title.charAt(0).toUpperCase() + title.slice(1);
+};
+
+// The next time the day comes round at `time`, so a day already past today is
+// next month's (or next year's). Without a month, the day is clamped to short
+// months like nextOccurrence does ("the 31st" in April is the 30th); a named
+// month waits for a year that has the day (Feb 29).
+const resolveCalendarDate = ({ month, day }, now, time) => {
+  if (month === null) {
+    const clamped = (monthStart) => new Date(monthStart.getFullYear(), monthStart.getMonth(), Math.min(day, daysInMonth(monthStart.getFullYear(), monthStart.getMonth())));
+    const candidate = clamped(new Date(now.getFullYear(), now.getMonth(), 1));
+    return withTime(candidate, time) <= now ? clamped(new Date(now.getFullYear(), now.getMonth() + 1, 1)) : candidate;
+  }
+  let year = now.getFullYear();
+  while (day > daysInMonth(year, month) || withTime(new Date(year, month, day), time) <= now) year += 1;
+  return new Date(year, month, day);
+};
+
+// Work out the first date the reminder fires, starting from what was said
+const resolveSchedule = (state, now) => {
+  if (state.offset !== undefined) return { scheduledDate: new Date(now.getTime() + state.offset), explicitDate: true };
+
+  const time = state.time ?? PERIOD_TIMES[state.period] ?? null;
+  const { recurrence } = state;
+  let day = null;
+
+  if (state.calendarDate) day = resolveCalendarDate(state.calendarDate, now, time ?? DEFAULT_TIME);
+  else if (state.dayOffset !== undefined) day = addDays(startOfDay(now), state.dayOffset);
+  else if (state.weekday) day = nextWeekday(now, state.weekday, { strict: state.strictWeekday });
+  else if (recurrence?.type === 'weekly' && recurrence.weekday) day = nextWeekday(now, recurrence.weekday);
+  else if (recurrence?.type === 'monthly' && recurrence.day) day = resolveCalendarDate({ month: null, day: recurrence.day }, now, time ?? DEFAULT_TIME);
+
+  const explicitDate = day !== null;
+
+  if (recurrence?.type === 'hourly' && !time && !explicitDate) {
+    const nextHour = new Date(now);
+    nextHour.setHours(now.getHours() + 1, 0, 0, 0);
+    return { scheduledDate: nextHour, explicitDate };
+  }
+
+  let scheduledDate = withTime(day ?? startOfDay(now), time ?? DEFAULT_TIME);
+  if (scheduledDate <= now && !explicitDate) {
+    scheduledDate = withTime(addDays(startOfDay(now), 1), time ?? DEFAULT_TIME);
+  } else if (scheduledDate <= now && (recurrence?.type === 'weekly' || state.weekday) && !state.calendarDate) {
+    scheduledDate = withTime(addDays(day, 7), time ?? DEFAULT_TIME);
+  }
+  return { scheduledDate, explicitDate };
+};
+
+const completeRecurrence = (recurrence, scheduledDate) => {
+  if (!recurrence) return { type: 'none' };
+  if (recurrence.type === 'weekly' && !recurrence.weekday) return { type: 'weekly', weekday: scheduledDate.getDay() + 1 };
+  if (recurrence.type === 'monthly' && !recurrence.day) return { type: 'monthly', day: scheduledDate.getDate() };
+  return recurrence;
+};
+
+/**
+ * Parse free text into a reminder draft.
+ *
+ * Returns `{ text, title, scheduledDate, isPast, time, recurrenceRule, tags, longTags, priority, spans }`.
+ * `isPast` is true when the day said has already gone by, as in "today at 8am"
+ * after 8; other dates move on to their next occurrence.
+ * `time` is `{ hours, minutes }` when a time was said, otherwise null.
+ * `recurrenceRule` uses the RecurrenceRule cases: none, daily, hourly,
+ * weekly (weekday 1=Sunday) and monthly (day 1-31).
+ * `longTags` are hashtags over MAX_TAG_NAME_LENGTH, left in the title.
+ * `spans` are the recognized `{ start, end, kind, text }` ranges, sorted.
+ */
+export const parseReminder = (text, { now = new Date() } = {}) => {
+  const state = { tags: [], longTags: [] };
+  const claimed = [];
+  const spans = [];
+
+  rules.forEach(({ kind, pattern, apply }) => {
+    const regex = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+    for (const match of text.matchAll(regex)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (overlaps(claimed, start, end)) continue;
+      const result = apply(match, state);
+      if (result === false) continue;
+      claimed.push({ start, end, title: result?.title ?? '' });
+      const span = result ?? { start, end };
+      const spanStart = span.start + (text.slice(span.start, span.end).length - text.slice(span.start, span.end).trimStart().length);
+      spans.push({ start: spanStart, end: span.end, kind, text: text.slice(spanStart, span.end) });
+    }
+  });
+
+  claimed.sort((a, b) => a.start - b.start);
+  let remaining = '';
+  let cursor = 0;
+  claimed.forEach(({ start, end, title }) => {
+    remaining += `${text.slice(cursor, start)} ${title} `;
+    cursor = end;
+  });
+  remaining += text.slice(cursor);
+
+  applyEveningToBareHour(state);
+  const { scheduledDate } = resolveSchedule(state, now);
+  const time = state.time ?? PERIOD_TIMES[state.period] ?? null;
+
+  return {
+    text,
+    title: cleanTitle(remaining),
+    scheduledDate,
+    isPast: scheduledDate <= now,
+    time: state.offset !== undefined ? { hours: scheduledDate.getHours(), minutes: scheduledDate.getMinutes() } : time && { ...time },
+    recurrenceRule: completeRecurrence(state.recurrence, scheduledDate),
+    tags: state.tags,
+    longTags: state.longTags,
+    priority: state.priority ?? null,
+    spans: spans.sort((a, b) => a.start - b.start),
+  };
+};
+
+/**
+ * Split a transcript into plain and recognized segments for highlighting:
+ * `[{ text, kind }]`, where `kind` is null for unrecognized text.
+ */
+export const segmentTranscript = (text, spans) => {
+  const segments = [];
+  let cursor = 0;
+  spans.forEach(({ start, end, kind }) => {
+    if (start > cursor) segments.push({ text: text.slice(cursor, start), kind: null });
+    segments.push({ text: text.slice(start, end), kind });
+    cursor = end;
+  });
+  if (cursor < text.length) segments.push({ text: text.slice(cursor), kind: null });
+  return segments;
+};
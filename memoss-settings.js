@@ -0,0 +1,45 @@
+import { nextQuarterHour } from './memoss-dates.js';
+
+// ============================================
+// MEMOSS SETTINGS
+// Preferences from the Settings screen that change how the rest of the
+// prototype behaves: which parts of a notification banner show, and the time
+// a new reminder starts at.
+//
+// Preferences are { notify, previews, actions, defaultTime } and are saved
+// with the rest of the prototype settings. `defaultTime` is 'HH:MM', or null
+// for the next quarter hour like the iOS create form.
+// ============================================
+
+export const DEFAULT_PREFERENCES = { notify: true, previews: true, actions: true, defaultTime: null };
+
+/** Times offered in the default reminder time picker; null is "next quarter hour". */
+export const DEFAULT_TIME_OPTIONS = [null, '07:00', '08:00', '09:00', '12:00', '18:00', '20:00'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const flag = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+
+/** Fill in defaults and drop values the prototype doesn't know, e.g. from older saved data. */
+export const normalizePreferences = (preferences = {}) => ({
+  notify: flag(preferences.notify, DEFAULT_PREFERENCES.notify),
+  previews: flag(preferences.previews, DEFAULT_PREFERENCES.previews),
+  actions: flag(preferences.actions, DEFAULT_PREFERENCES.actions),
+  defaultTime: TIME_PATTERN.test(preferences.defaultTime ?? '') ? preferences.defaultTime : DEFAULT_PREFERENCES.defaultTime,
+});
+
+/** A Date at `time` ('HH:MM') on the day of `date`. */
+export const atTime = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+};
+
+/**
+ * Where the create form's date and time start: the next quarter hour, or the
+ * preferred time today (tomorrow once it has passed).
+ */
+export const defaultReminderDate = ({ defaultTime }, now = new Date()) => {
+  if (!defaultTime) return nextQuarterHour(now);
+  const today = atTime(now, defaultTime);
+  return today > now ? today : atTime(new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1), defaultTime);
+};
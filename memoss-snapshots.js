@@ -0,0 +1,177 @@
+import { CATALOG, initialValues, isEditable } from './memoss-catalog.js';
+
+// ============================================
+// MEMOSS SNAPSHOTS
+// Cases, file format and diffing for the visual regression harness
+// (scripts/snapshots.js). Each case renders to static markup with the clock
+// frozen at SNAPSHOT_TIME, reduced motion on (no animations or transitions)
+// and fonts from the machine instead of Google Fonts, so runs are repeatable
+// offline. Baselines live in fixtures/snapshots, one file per component
+// entry or screen.
+// ============================================
+
+/** Wednesday, January 21, 2026, 9:30 AM in the harness's UTC time zone. */
+export const SNAPSHOT_TIME = '2026-01-21T09:30:00.000Z';
+
+export const SNAPSHOT_SCREENS = ['list', 'create', 'empty', 'success', 'voice', 'calendar', 'stats', 'settings', 'import'];
+
+export const SNAPSHOT_THEMES = ['light', 'dark'];
+
+// MARK: - Cases
+
+// Hex color lists would add a case per palette color without covering new code
+const isVariantProp = (schema) => isEditable(schema) && (schema.type === 'boolean' || (schema.type === 'enum' && !schema.values.some(value => value.startsWith('#'))));
+
+/**
+ * One case for an entry's playground defaults, then one per other value of
+ * each enum or boolean prop (changed one at a time). Icon props get a single
+ * case with the first icon.
+ */
+export const componentCases = (catalog = CATALOG) => Object.entries(catalog).flatMap(([name, entry]) => {
+  const base = initialValues(entry);
+  const variations = Object.entries(entry.props).flatMap(([key, schema]) => {
+    if (schema.type === 'icon' && base[key] === '') return [[key, schema.values[1]]];
+    if (!isVariantProp(schema)) return [];
+    const values = schema.type === 'boolean' ? [!base[key]] : schema.values.filter(value => value !== base[key]);
+    return values.map(value => [key, value]);
+  });
+  return [
+    { file: name, id: 'default', entry: name, values: base },
+    ...variations.map(([key, value]) => ({ file: name, id: `${key}=${value === '' ? 'unset' : value}`, entry: name, values: { ...base, [key]: value } })),
+  ];
+});
+
+export const screenCases = () => SNAPSHOT_SCREENS.flatMap(screen => SNAPSHOT_THEMES.map(theme => ({ file: `screen-${screen}`, id: theme, screen, theme })));
+
+export const snapshotCases = (catalog = CATALOG) => [...componentCases(catalog), ...screenCases()];
+
+// MARK: - Files
+
+/** One tag per line, so diffs point at the element that changed. */
+export const formatMarkup = (html) => html.replace(/></g, '>\n<').trim();
+
+const CASE_MARKER = /^<!-- snapshot: (.+) -->$/;
+
+/** A baseline file: each case's markup under a `<!-- snapshot: id -->` line. */
+export const serializeSnapshots = (snapshots) => `${snapshots.map(({ id, markup }) => `<!-- snapshot: ${id} -->\n${markup}`).join('\n\n')}\n`;
+
+export const parseSnapshots = (text) => {
+  const snapshots = new Map();
+  let current = null;
+  text.split('\n').forEach(line => {
+    const marker = line.match(CASE_MARKER);
+    if (marker) {
+      current = marker[1];
+      snapshots.set(current, []);
+    } else if (current) {
+      snapshots.get(current).push(line);
+    }
+  });
+  return new Map([...snapshots].map(([id, lines]) => [id, lines.join('\n').trim()]));
+};
+
+// MARK: - Diffing
+
+/** Line diff by longest common subsequence: [{ type: ' ' | '-' | '+', line }]. */
+export const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i * width + j] = a[i] === b[j] ? lengths[(i + 1) * width + j + 1] + 1 : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i += 1;
+      j += 1;
+    } else if (j < b.length && (i === a.length || lengths[i * width + j + 1] > lengths[(i + 1) * width + j])) {
+      ops.push({ type: '+', line: b[j] });
+      j += 1;
+    } else {
+      ops.push({ type: '-', line: a[i] });
+      i += 1;
+    }
+  }
+  return ops;
+};
+
+/** Changed lines with `context` unchanged lines around them; `…` between hunks. */
+export const unifiedDiff = (ops, context = 3) => {
+  const keep = ops.map((op, index) => ops.slice(Math.max(0, index - context), index + context + 1).some(near => near.type !== ' '));
+  return ops.reduce((lines, op, index) => {
+    if (!keep[index]) return lines;
+    if (index > 0 && !keep[index - 1] && lines.length > 0) lines.push('…');
+    lines.push(`${op.type} ${op.line}`);
+    return lines;
+  }, []).join('\n');
+};
+
+/**
+ * Compares rendered cases with the baselines (Map of file → Map of id →
+ * markup). Status is unchanged, changed, added (no baseline yet) or removed
+ * (a baseline case that no longer renders).
+ */
+export const compareSnapshots = (baselines, rendered) => {
+  const results = rendered.map(({ file, id, markup }) => {
+    const baseline = baselines.get(file)?.get(id);
+    if (baseline === undefined) return { file, id, status: 'added', markup };
+    if (baseline === markup) return { file, id, status: 'unchanged', markup };
+    return { file, id, status: 'changed', markup, baseline, diff: unifiedDiff(diffLines(baseline, markup)) };
+  });
+  const removed = [...baselines].flatMap(([file, cases]) => [...cases.keys()]
+    .filter(id => !rendered.some(snapshot => snapshot.file === file && snapshot.id === id))
+    .map(id => ({ file, id, status: 'removed', baseline: cases.get(id) })));
+  return [...results, ...removed];
+};
+
+export const summarize = (results) => results.reduce((counts, { status }) => ({ ...counts, [status]: (counts[status] ?? 0) + 1 }), { unchanged: 0, changed: 0, added: 0, removed: 0 });
+
+// MARK: - Report
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const frame = (title, markup) => `<figure><figcaption>${title}</figcaption><iframe title="${title}" srcdoc="${escapeHtml(markup)}"></iframe></figure>`;
+
+const diffBlock = (diff) => diff.split('\n').map(line => `<span class="${{ '+': 'add', '-': 'del' }[line[0]] ?? ''}">${escapeHtml(line)}</span>`).join('\n');
+
+/** HTML page listing every case that isn't unchanged, with baseline and current renders side by side. */
+export const snapshotReport = (results) => {
+  const counts = summarize(results);
+  const sections = results.filter(({ status }) => status !== 'unchanged').map(({ file, id, status, markup, baseline, diff }) => `
+<section class="${status}">
+  <h2>${escapeHtml(file)} › ${escapeHtml(id)} <small>${status}</small></h2>
+  <div class="renders">${baseline !== undefined ? frame('Baseline', baseline) : ''}${markup !== undefined ? frame('Current', markup) : ''}</div>
+  ${diff ? `<pre>${diffBlock(diff)}</pre>` : ''}
+</section>`).join('\n');
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Memoss snapshot report</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2a1f; }
+  section { border-top: 1px solid #d6ddd6; padding: 1rem 0; }
+  small { font-weight: normal; text-transform: uppercase; color: #5c6b5c; }
+  .renders { display: flex; gap: 1rem; flex-wrap: wrap; }
+  figure { margin: 0; flex: 1; min-width: 320px; }
+  iframe { width: 100%; height: 480px; border: 1px solid #d6ddd6; }
+  pre { background: #f5f7f5; padding: 1rem; overflow-x: auto; font-size: 12px; }
+  .add { background: #dcf5dc; }
+  .del { background: #fbdede; }
+</style>
+</head>
+<body>
+<h1>Memoss snapshot report</h1>
+<p>${counts.changed} changed, ${counts.added} added, ${counts.removed} removed, ${counts.unchanged} unchanged.</p>
+${sections || '<p>Everything matches the baselines.</p>'}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,101 @@
+// ============================================
+// MEMOSS SNOOZE
+// Snooze model for the prototype. The notification actions in
+// AppDelegate+Notifications.swift offer 15 min, 1 hour and a typed number of
+// minutes; here the preset list is editable and adds "tonight" and
+// "tomorrow morning".
+//
+// A preset is { kind: 'minutes', minutes } | { kind: 'tonight' } |
+// { kind: 'tomorrowMorning' }. Snoozing sets `snoozedUntil` on the reminder
+// and leaves `scheduledDate` alone, like rescheduling only the notification.
+// Snoozes are per device, so they don't bump `updatedAt` and never sync.
+// ============================================
+
+// Same bounds and fallback as parseSnoozeInput on iOS
+export const DEFAULT_SNOOZE_MINUTES = 15;
+export const MAX_SNOOZE_MINUTES = 180;
+
+export const TONIGHT_HOUR = 20;
+export const MORNING_HOUR = 9;
+
+export const MAX_SNOOZE_PRESETS = 6;
+
+export const DEFAULT_SNOOZE_PRESETS = [
+  { kind: 'minutes', minutes: 15 },
+  { kind: 'minutes', minutes: 60 },
+  { kind: 'tonight' },
+  { kind: 'tomorrowMorning' },
+];
+
+export const presetKey = (preset) => (preset.kind === 'minutes' ? `minutes:${preset.minutes}` : preset.kind);
+
+export const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest} min`;
+  if (!rest) return hours === 1 ? '1 hour' : `${hours} hours`;
+  return `${hours} h ${rest} min`;
+};
+
+export const presetLabel = (preset) => {
+  if (preset.kind === 'tonight') return 'Tonight';
+  if (preset.kind === 'tomorrowMorning') return 'Tomorrow morning';
+  return formatMinutes(preset.minutes);
+};
+
+/** Whole minutes between 1 and MAX_SNOOZE_MINUTES, or null. */
+export const parseSnoozeInput = (input) => {
+  const trimmed = String(input).trim();
+  if (!/^\d+$/.test(trimmed)) return null;
+  const minutes = Number(trimmed);
+  return minutes > 0 && minutes <= MAX_SNOOZE_MINUTES ? minutes : null;
+};
+
+const atHour = (date, days, hour) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days, hour);
+
+/** When a preset would wake the reminder, or null when it doesn't apply (tonight, once evening has started). */
+export const snoozeUntil = (preset, now = new Date()) => {
+  switch (preset.kind) {
+    case 'minutes':
+      return new Date(now.getTime() + preset.minutes * 60 * 1000);
+    case 'tonight': {
+      const tonight = atHour(now, 0, TONIGHT_HOUR);
+      return tonight > now ? tonight : null;
+    }
+    case 'tomorrowMorning':
+      return atHour(now, 1, MORNING_HOUR);
+    default:
+      return null;
+  }
+};
+
+export const isSnoozed = (reminder, now = new Date()) => Boolean(reminder.snoozedUntil && !reminder.completed && reminder.snoozedUntil > now);
+
+/** When the reminder is next due: the snooze time while snoozed, otherwise its scheduled date. */
+export const dueDate = (reminder, now = new Date()) => (isSnoozed(reminder, now) ? reminder.snoozedUntil : reminder.scheduledDate);
+
+export const snoozeReminder = (reminder, until) => ({ ...reminder, snoozedUntil: until });
+
+export const clearSnooze = (reminder) => ({ ...reminder, snoozedUntil: null });
+
+// MARK: - Preset list
+
+/** Returns an error message for a preset that can't be added, or null. */
+export const validatePreset = (presets, preset) => {
+  if (preset.kind === 'minutes' && !(Number.isInteger(preset.minutes) && preset.minutes > 0 && preset.minutes <= MAX_SNOOZE_MINUTES)) {
+    return `Use a whole number of minutes from 1 to ${MAX_SNOOZE_MINUTES}.`;
+  }
+  if (presets.some(existing => presetKey(existing) === presetKey(preset))) return `“${presetLabel(preset)}” is already in the list.`;
+  if (presets.length >= MAX_SNOOZE_PRESETS) return `Keep it to ${MAX_SNOOZE_PRESETS} options or fewer.`;
+  return null;
+};
+
+/** Add a preset, keeping durations in ascending order ahead of tonight / tomorrow morning. Throws on invalid presets. */
+export const addPreset = (presets, preset) => {
+  const error = validatePreset(presets, preset);
+  if (error) throw new Error(error);
+  const order = (item) => (item.kind === 'minutes' ? item.minutes : item.kind === 'tonight' ? MAX_SNOOZE_MINUTES + 1 : MAX_SNOOZE_MINUTES + 2);
+  return [...presets, preset].sort((a, b) => order(a) - order(b));
+};
+
+export const removePreset = (presets, key) => presets.filter(preset => presetKey(preset) !== key);
@@ -0,0 +1,298 @@
+import { ensureTags } from './memoss-tags.js';
+import { NO_RECURRENCE, RECURRENCE_TYPES, isRecurring } from './memoss-recurrence.js';
+
+// ============================================
+// MEMOSS STORE
+// Persists the prototype's reminders and tags (localStorage, or memory when
+// it is unavailable) under a versioned schema, and converts to and from the
+// JSON shape the Go backend sync uses (RemoteReminder / RemoteTag in
+// Memoss/Services/SyncService.swift).
+// ============================================
+
+export const SCHEMA_VERSION = 2;
+
+export const STORAGE_KEY = 'memoss.data';
+
+export const EXPORT_FORMAT = 'memoss.export';
+
+// MARK: - Migrations
+
+/**
+ * `migrations[n]` upgrades serialized data from version n to n + 1.
+ * Bump SCHEMA_VERSION and add a step here whenever the stored shape changes.
+ */
+export const migrations = {
+  // v1 was the original prototype shape: tag names inline on each reminder,
+  // a display-only `time` string and no timestamps or tag store.
+  1: ({ reminders = [], tags = [] }, { now }) => {
+    let allTags = tags;
+    const migrated = reminders.map(({ time, tags: tagNames = [], ...reminder }) => {
+      const resolved = ensureTags(allTags, tagNames.filter(name => typeof name === 'string'), { now });
+      allTags = resolved.tags;
+      return { remoteID: null, createdAt: now, updatedAt: now, ...reminder, tagIds: resolved.tagIds };
+    });
+    return { reminders: migrated, tags: allTags.map(tag => ({ remoteID: null, ...tag })) };
+  },
+};
+
+export const migrate = (data, { now = new Date() } = {}) => {
+  if (!Number.isInteger(data?.version)) throw new Error('Stored data has no schema version.');
+  if (data.version > SCHEMA_VERSION) throw new Error(`Stored data uses schema v${data.version}; this prototype reads up to v${SCHEMA_VERSION}.`);
+  let current = data;
+  while (current.version < SCHEMA_VERSION) {
+    const step = migrations[current.version];
+    if (!step) throw new Error(`No migration from schema v${current.version}.`);
+    current = { ...step(current, { now }), version: current.version + 1 };
+  }
+  return current;
+};
+
+// MARK: - Serialization
+
+const toDate = (value) => (value == null ? value : new Date(value));
+
+const reviveReminder = (reminder) => ({
+  ...reminder,
+  scheduledDate: toDate(reminder.scheduledDate),
+  recurrenceEndDate: toDate(reminder.recurrenceEndDate),
+  createdAt: toDate(reminder.createdAt),
+  updatedAt: toDate(reminder.updatedAt),
+  syncedAt: toDate(reminder.syncedAt),
+  snoozedUntil: toDate(reminder.snoozedUntil),
+});
+
+const reviveTag = (tag) => ({ ...tag, createdAt: toDate(tag.createdAt), updatedAt: toDate(tag.updatedAt), syncedAt: toDate(tag.syncedAt) });
+
+// `sync` is the sync client's bookkeeping (see memoss-sync.js); optional, so older data needs no migration
+const reviveSync = (sync) => (sync ? { ...sync, lastSyncedAt: toDate(sync.lastSyncedAt) } : undefined);
+
+// `history` is the completion log (see memoss-history.js); optional too
+const reviveHistory = (history) => history?.map(entry => ({ ...entry, occurrence: toDate(entry.occurrence), completedAt: toDate(entry.completedAt) }));
+
+// Dates serialize to ISO strings through Date#toJSON. `settings` holds prototype preferences
+// (e.g. snooze presets); optional like `sync`, and plain JSON, so parseState passes it through
+export const serializeState = ({ reminders, tags, sync, settings, history }) => JSON.stringify({ version: SCHEMA_VERSION, reminders, tags, sync, settings, history });
+
+/** Parse stored JSON, migrating older schemas. Throws on unreadable data. */
+export const parseState = (json, options) => {
+  const { reminders = [], tags = [], sync, settings, history } = migrate(JSON.parse(json), options);
+  return { reminders: reminders.map(reviveReminder), tags: tags.map(reviveTag), sync: reviveSync(sync), settings, history: reviveHistory(history) };
+};
+
+// MARK: - Storage
+
+export const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); },
+  };
+};
+
+// localStorage can be missing (server rendering) or throw on access
+// (Safari private browsing, sandboxed iframes), so probe it once
+export const probeLocalStorage = () => {
+  try {
+    const storage = globalThis.localStorage;
+    storage.setItem('memoss.probe', '1');
+    storage.removeItem('memoss.probe');
+    return storage;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * A load/save/clear wrapper around localStorage. Falls back to memory when
+ * localStorage is unavailable or a write fails (e.g. quota exceeded);
+ * `kind` reports which one is in use.
+ */
+export const createReminderStore = ({ key = STORAGE_KEY, storage = probeLocalStorage() } = {}) => {
+  let backend = storage ?? createMemoryStorage();
+  let kind = storage ? 'localStorage' : 'memory';
+
+  return {
+    get kind() { return kind; },
+
+    /** The stored state, or null when nothing (readable) is stored. */
+    load() {
+      const raw = backend.getItem(key);
+      if (raw == null) return null;
+      try {
+        return parseState(raw);
+      } catch (error) {
+        // Keep the unreadable copy around for debugging instead of overwriting it silently
+        console.warn(`Ignoring stored Memoss data: ${error.message}`);
+        try { backend.setItem(`${key}.unreadable`, raw); } catch {}
+        return null;
+      }
+    },
+
+    save(state) {
+      const json = serializeState(state);
+      try {
+        backend.setItem(key, json);
+      } catch (error) {
+        console.warn(`Could not write to ${kind}, keeping data in memory: ${error.message}`);
+        backend = createMemoryStorage();
+        kind = 'memory';
+        backend.setItem(key, json);
+      }
+    },
+
+    clear() {
+      backend.removeItem(key);
+    },
+  };
+};
+
+// MARK: - Backend Sync Shape
+
+const toISO = (date) => (date ? new Date(date).toISOString() : null);
+
+const toRemoteRecurrenceRule = (rule = NO_RECURRENCE, endDate) => (
+  isRecurring(rule) ? { type: rule.type, weekday: rule.weekday ?? null, day: rule.day ?? null, end_date: toISO(endDate) } : null
+);
+
+// Same defaults as SyncService.encodeRecurrenceRule
+const fromRemoteRecurrenceRule = (remote) => {
+  switch (remote?.type) {
+    case 'daily':
+    case 'hourly':
+      return { type: remote.type };
+    case 'weekly':
+      return { type: 'weekly', weekday: remote.weekday ?? 2 };
+    case 'monthly':
+      return { type: 'monthly', day: remote.day ?? 1 };
+    default:
+      return NO_RECURRENCE;
+  }
+};
+
+/** CreateTagInput body for a local tag. */
+export const toTagInput = (tag) => ({ name: tag.name, color_hex: tag.colorHex });
+
+/**
+ * CreateReminderInput body for a local reminder. `remoteTagId` maps a local
+ * tag id to its backend id; tags without one are left out.
+ */
+export const toReminderInput = (reminder, remoteTagId) => ({
+  title: reminder.title,
+  notes: reminder.notes ?? null,
+  scheduled_date: toISO(reminder.scheduledDate),
+  is_completed: Boolean(reminder.completed),
+  recurrence_rule: toRemoteRecurrenceRule(reminder.recurrenceRule, reminder.recurrenceEndDate),
+  tag_ids: (reminder.tagIds ?? []).map(remoteTagId).filter(Boolean),
+  // Prototype-only; the backend ignores unknown fields
+  ...(reminder.priority ? { priority: reminder.priority } : {}),
+});
+
+/** Local tag fields from a RemoteTag (no local id). */
+export const fromRemoteTag = (remote, { now = new Date() } = {}) => ({
+  name: remote.name.trim(),
+  colorHex: remote.color_hex,
+  createdAt: toDate(remote.created_at ?? now),
+  updatedAt: toDate(remote.updated_at ?? remote.created_at ?? now),
+});
+
+/** Local reminder fields from a RemoteReminder (no local id). `localTagId` maps backend tag ids back. */
+export const fromRemoteReminder = (remote, localTagId, { now = new Date() } = {}) => ({
+  title: remote.title.trim(),
+  ...(remote.notes ? { notes: remote.notes } : {}),
+  scheduledDate: new Date(remote.scheduled_date),
+  completed: Boolean(remote.is_completed),
+  recurrenceRule: fromRemoteRecurrenceRule(remote.recurrence_rule),
+  recurrenceEndDate: remote.recurrence_rule?.end_date ? new Date(remote.recurrence_rule.end_date) : undefined,
+  tagIds: (remote.tag_ids ?? []).map(localTagId).filter(Boolean),
+  ...(remote.priority ? { priority: remote.priority } : {}),
+  createdAt: toDate(remote.created_at ?? now),
+  updatedAt: toDate(remote.updated_at ?? remote.created_at ?? now),
+});
+
+/**
+ * Export reminders and tags as RemoteReminder / RemoteTag JSON (snake_case keys,
+ * ISO dates). Synced items keep their remoteID as `id`; local-only items use
+ * their local id and are listed under `local_only` so an import keeps them
+ * unsynced.
+ */
+export const exportData = ({ reminders, tags }, { now = new Date() } = {}) => {
+  const tagIdMap = new Map(tags.map(tag => [tag.id, tag.remoteID ?? String(tag.id)]));
+  const timestamps = (item) => ({ created_at: toISO(item.createdAt ?? now), updated_at: toISO(item.updatedAt ?? item.createdAt ?? now) });
+  return {
+    format: EXPORT_FORMAT,
+    version: SCHEMA_VERSION,
+    exported_at: now.toISOString(),
+    tags: tags.map(tag => ({ id: tagIdMap.get(tag.id), ...toTagInput(tag), ...timestamps(tag) })),
+    reminders: reminders.map(reminder => ({ id: reminder.remoteID ?? String(reminder.id), ...toReminderInput(reminder, id => tagIdMap.get(id)), ...timestamps(reminder) })),
+    local_only: {
+      tags: tags.filter(tag => !tag.remoteID).map(tag => String(tag.id)),
+      reminders: reminders.filter(reminder => !reminder.remoteID).map(reminder => String(reminder.id)),
+    },
+  };
+};
+
+export const exportJson = (state, options) => `${JSON.stringify(exportData(state, options), null, 2)}\n`;
+
+const isValidDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+const validateImport = (data) => {
+  const problems = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return ['Expected a JSON object with `reminders` and `tags`.'];
+  if (data.format && data.format !== EXPORT_FORMAT) problems.push(`Unknown format “${data.format}”.`);
+  if (!Array.isArray(data.reminders)) problems.push('`reminders` must be an array.');
+  if (data.tags != null && !Array.isArray(data.tags)) problems.push('`tags` must be an array.');
+  if (problems.length) return problems;
+
+  (data.tags ?? []).forEach((tag, i) => {
+    if (typeof tag?.id !== 'string' || !tag.id) problems.push(`tags[${i}]: missing id.`);
+    if (typeof tag?.name !== 'string' || !tag.name.trim()) problems.push(`tags[${i}]: missing name.`);
+  });
+  data.reminders.forEach((reminder, i) => {
+    if (typeof reminder?.id !== 'string' || !reminder.id) problems.push(`reminders[${i}]: missing id.`);
+    if (typeof reminder?.title !== 'string' || !reminder.title.trim()) problems.push(`reminders[${i}]: missing title.`);
+    if (!isValidDate(reminder?.scheduled_date)) problems.push(`reminders[${i}]: scheduled_date is not a date.`);
+    if (reminder?.recurrence_rule && !RECURRENCE_TYPES.includes(reminder.recurrence_rule.type)) problems.push(`reminders[${i}]: unknown recurrence type “${reminder.recurrence_rule.type}”.`);
+  });
+  return problems;
+};
+
+/**
+ * Read an export (or a raw backend dump of reminders and tags) back into
+ * prototype state. Reminders get fresh local ids; tag references to tags
+ * missing from the file are dropped. Throws with every problem found.
+ */
+export const importData = (data, { now = new Date() } = {}) => {
+  const problems = validateImport(data);
+  if (problems.length) throw new Error(`Can’t import this file:\n${problems.join('\n')}`);
+
+  const localOnly = {
+    tags: new Set(data.local_only?.tags ?? []),
+    reminders: new Set(data.local_only?.reminders ?? []),
+  };
+  // Items that came from the backend count as synced at their updated_at
+  const syncFields = (id, updatedAt, isLocal) => (isLocal ? { remoteID: null } : { remoteID: id, syncedAt: updatedAt });
+
+  const tags = (data.tags ?? []).map(tag => {
+    const fields = fromRemoteTag(tag, { now });
+    return { id: tag.id, ...fields, ...syncFields(tag.id, fields.updatedAt, localOnly.tags.has(tag.id)) };
+  });
+  const tagIds = new Set(tags.map(tag => tag.id));
+
+  const reminders = data.reminders.map((reminder, i) => {
+    const fields = fromRemoteReminder(reminder, id => (tagIds.has(id) ? id : null), { now });
+    return { id: i + 1, ...fields, ...syncFields(reminder.id, fields.updatedAt, localOnly.reminders.has(reminder.id)) };
+  });
+
+  return { reminders, tags };
+};
+
+export const importJson = (json, options) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Can’t import this file: it isn’t valid JSON (${error.message}).`);
+  }
+  return importData(data, options);
+};
@@ -0,0 +1,223 @@
+import { generateId } from './memoss-tags.js';
+import { fromRemoteReminder, fromRemoteTag, toReminderInput, toTagInput } from './memoss-store.js';
+
+// ============================================
+// MEMOSS SYNC
+// JS counterpart of Memoss/Services/APIClient.swift and SyncService.swift.
+// Tags sync before reminders; conflicts resolve last-write-wins on
+// updatedAt. Unlike the iOS service, edits to already-synced items are
+// pushed too, and one failing item doesn't abort the rest.
+//
+// Items carry `remoteID` and `syncedAt` (the server's updated_at when they
+// were last in step). State-level bookkeeping lives in `sync`:
+// { lastSyncedAt, deletions: [{ resource, remoteID }] }.
+// ============================================
+
+export const EMPTY_SYNC = { lastSyncedAt: null, deletions: [] };
+
+// MARK: - API Client
+
+/** Mirrors APIError: `code` is the backend error code, or NETWORK_ERROR. */
+export class ApiError extends Error {
+  constructor(code, message, { status, field, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.field = field;
+  }
+}
+
+/** Wrap a transport (e.g. mockServer.handle) in a request function that throws ApiError. */
+export const createApiClient = (transport) => ({
+  async request(path, { method = 'GET', body } = {}) {
+    let response;
+    try {
+      response = await transport({ method, path, body });
+    } catch (error) {
+      throw new ApiError('NETWORK_ERROR', error.message, { cause: error });
+    }
+    if (response.status >= 200 && response.status < 300) return response.body;
+    const detail = response.body?.error ?? {};
+    throw new ApiError(detail.code ?? 'UNKNOWN', detail.message ?? `Request failed with status ${response.status}`, { status: response.status, field: detail.field });
+  },
+});
+
+// MARK: - Status
+
+export const itemKey = (resource, id) => `${resource}:${id}`;
+
+/** True when an item has local changes the server hasn't seen. */
+export const isDirty = (item) => !item.remoteID || !item.syncedAt || item.updatedAt > item.syncedAt;
+
+/**
+ * UI state for one item: 'conflict' | 'failed' | 'syncing' | 'pending', or
+ * null when it is in step with the server. `report` is the last sync result.
+ */
+export const syncStatusOf = (resource, item, { syncing = false, conflicts = {}, failures = {} } = {}) => {
+  const key = itemKey(resource, item.id);
+  if (conflicts[key]) return 'conflict';
+  if (failures[key] && isDirty(item)) return syncing ? 'syncing' : 'failed';
+  if (isDirty(item)) return syncing ? 'syncing' : 'pending';
+  return null;
+};
+
+export const pendingCount = ({ reminders, tags, sync = EMPTY_SYNC }) =>
+  reminders.filter(isDirty).length + tags.filter(isDirty).length + sync.deletions.length;
+
+/** Queue a server-side delete for an item that was removed locally. */
+export const queueDeletion = (sync = EMPTY_SYNC, resource, item) => (
+  item?.remoteID ? { ...sync, deletions: [...sync.deletions, { resource, remoteID: item.remoteID }] } : sync
+);
+
+// MARK: - Sync
+
+// Local reminder ids are numbers (see addReminder); tags use generateId
+export const nextNumericId = (taken) => Math.max(0, ...taken) + 1;
+
+/**
+ * Reconcile one resource. Pulls the server list, applies remote changes,
+ * resolves conflicts (newer updatedAt wins) and pushes local changes.
+ */
+const syncResource = async ({ api, resource, items, toInput, fromRemote, newLocalId, report, now }) => {
+  const remoteItems = await api.request(`/v1/${resource}`);
+  const remoteById = new Map(remoteItems.map(remote => [remote.id, remote]));
+  const result = [];
+
+  const push = async (item) => {
+    const key = itemKey(resource, item.id);
+    try {
+      const saved = item.remoteID
+        ? await api.request(`/v1/${resource}/${item.remoteID}`, { method: 'PUT', body: toInput(item) })
+        : await api.request(`/v1/${resource}`, { method: 'POST', body: toInput(item) });
+      const updatedAt = new Date(saved.updated_at);
+      report.pushed += 1;
+      return { ...item, remoteID: saved.id, updatedAt, syncedAt: updatedAt };
+    } catch (error) {
+      report.failures[key] = error.message;
+      return item;
+    }
+  };
+
+  for (const item of items) {
+    const key = itemKey(resource, item.id);
+    const remote = item.remoteID ? remoteById.get(item.remoteID) : null;
+    remoteById.delete(item.remoteID);
+
+    if (!item.remoteID) {
+      result.push(await push(item));
+      continue;
+    }
+
+    if (!remote) {
+      // Deleted on another device: drop it, unless it was edited here since
+      if (!isDirty(item)) continue;
+      report.conflicts[key] = { winner: 'local', reason: 'deleted', at: now };
+      result.push(await push({ ...item, remoteID: null }));
+      continue;
+    }
+
+    const remoteUpdatedAt = new Date(remote.updated_at);
+    const remoteChanged = !item.syncedAt || remoteUpdatedAt > item.syncedAt;
+    const localChanged = isDirty(item);
+    const remoteWins = remoteChanged && (!localChanged || remoteUpdatedAt > item.updatedAt);
+
+    if (remoteChanged && localChanged) {
+      report.conflicts[key] = { winner: remoteWins ? 'remote' : 'local', reason: 'edited', at: now, overwritten: remoteWins ? item : fromRemote(remote) };
+    }
+    if (remoteWins) {
+      report.pulled += 1;
+      result.push({ ...item, ...fromRemote(remote), syncedAt: remoteUpdatedAt });
+    } else if (localChanged) {
+      result.push(await push(item));
+    } else {
+      result.push(item);
+    }
+  }
+
+  // Whatever is left only exists on the server
+  remoteById.forEach(remote => {
+    const fields = fromRemote(remote);
+    report.pulled += 1;
+    result.push({ id: newLocalId(result), ...fields, remoteID: remote.id, syncedAt: fields.updatedAt });
+  });
+
+  return result;
+};
+
+/**
+ * Run a full sync of `{ reminders, tags, sync }` against `api`.
+ * Resolves to `{ state, report }`; report = { conflicts, failures, pulled,
+ * pushed, error }, keyed by itemKey. A failed pull (e.g. offline) marks every
+ * pending item as failed and leaves the state untouched.
+ */
+export const syncAll = async ({ reminders, tags, sync = EMPTY_SYNC }, api, { now = new Date() } = {}) => {
+  const report = { conflicts: {}, failures: {}, pulled: 0, pushed: 0, error: null };
+
+  try {
+    const deletions = [];
+    for (const deletion of sync.deletions) {
+      try {
+        await api.request(`/v1/${deletion.resource}/${deletion.remoteID}`, { method: 'DELETE' });
+      } catch (error) {
+        if (error.code !== 'NOT_FOUND') {
+          if (error.code === 'NETWORK_ERROR') throw error;
+          deletions.push(deletion);
+        }
+      }
+    }
+
+    const syncedTags = await syncResource({
+      api, resource: 'tags', items: tags, report, now,
+      toInput: toTagInput,
+      fromRemote: (remote) => fromRemoteTag(remote, { now }),
+      newLocalId: () => generateId(),
+    });
+
+    const remoteTagId = (id) => syncedTags.find(tag => tag.id === id)?.remoteID;
+    const localTagId = (remoteID) => syncedTags.find(tag => tag.remoteID === remoteID)?.id;
+    const syncedReminders = await syncResource({
+      api, resource: 'reminders', items: reminders, report, now,
+      toInput: (reminder) => toReminderInput(reminder, remoteTagId),
+      fromRemote: (remote) => fromRemoteReminder(remote, localTagId, { now }),
+      newLocalId: (result) => nextNumericId([...reminders, ...result].map(reminder => reminder.id)),
+    });
+
+    return { state: { reminders: syncedReminders, tags: syncedTags, sync: { ...sync, deletions, lastSyncedAt: now } }, report };
+  } catch (error) {
+    report.error = error.message;
+    [['reminders', reminders], ['tags', tags]].forEach(([resource, items]) => {
+      items.filter(isDirty).forEach(item => { report.failures[itemKey(resource, item.id)] = error.message; });
+    });
+    return { state: { reminders, tags, sync }, report };
+  }
+};
+
+/**
+ * Apply a sync result to a list that may have changed while it ran.
+ * Items untouched since `before` (same object) take the synced version;
+ * ones edited meanwhile keep the edit and pick up the synced remoteID, and
+ * stay dirty so the edit goes out next time. Items deleted meanwhile stay
+ * deleted. Pulled items whose id was taken in the meantime get `newId(taken)`.
+ */
+export const rebase = (before, synced, current, { newId = () => generateId() } = {}) => {
+  const beforeById = new Map(before.map(item => [item.id, item]));
+  const syncedById = new Map(synced.map(item => [item.id, item]));
+
+  const kept = current.flatMap(item => {
+    if (!beforeById.has(item.id)) return [item];
+    const syncedItem = syncedById.get(item.id);
+    if (beforeById.get(item.id) === item) return syncedItem ? [syncedItem] : [];
+    if (!syncedItem?.syncedAt) return [item];
+    const updatedAt = new Date(Math.max(item.updatedAt ?? 0, syncedItem.syncedAt.getTime() + 1));
+    return [{ ...item, remoteID: syncedItem.remoteID, syncedAt: syncedItem.syncedAt, updatedAt }];
+  });
+
+  const taken = new Set(kept.map(item => item.id));
+  const pulled = synced.filter(item => !beforeById.has(item.id)).map(item => {
+    const id = taken.has(item.id) ? newId(taken) : item.id;
+    taken.add(id);
+    return { ...item, id };
+  });
+  return [...kept, ...pulled];
+};
@@ -0,0 +1,81 @@
+import { tokens } from './memoss-tokens.js';
+
+// ============================================
+// MEMOSS TAGS
+// Tag store for the prototype, shaped like Memoss/Models/Tag.swift:
+// { id, name, colorHex, createdAt, updatedAt, remoteID }.
+// Every function returns new arrays; nothing is mutated in place.
+// ============================================
+
+// Same order as MemossColors.tagColors
+export const TAG_COLORS = Object.values(tokens.colors.tag);
+
+export const MAX_TAG_NAME_LENGTH = 24;
+
+export const generateId = () => (typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(16)}-${Math.random().toString(16).slice(2, 10)}`);
+
+const normalizeName = (name) => name.trim().replace(/\s+/g, ' ');
+
+export const findTagByName = (tags, name) => tags.find(tag => tag.name.toLowerCase() === normalizeName(name).toLowerCase());
+
+/** Returns an error message for an invalid tag name, or null. */
+export const validateTagName = (tags, name, { ignoreId } = {}) => {
+  const normalized = normalizeName(name);
+  if (!normalized) return 'Tag names can’t be empty.';
+  if (normalized.length > MAX_TAG_NAME_LENGTH) return `Keep tag names under ${MAX_TAG_NAME_LENGTH} characters.`;
+  const existing = findTagByName(tags, normalized);
+  if (existing && existing.id !== ignoreId) return `“${existing.name}” already exists.`;
+  return null;
+};
+
+/** The palette color used by the fewest tags, so new tags spread across the palette. */
+export const nextTagColor = (tags) => {
+  const usage = TAG_COLORS.map(color => tags.filter(tag => tag.colorHex.toUpperCase() === color.toUpperCase()).length);
+  return TAG_COLORS[usage.indexOf(Math.min(...usage))];
+};
+
+export const createTag = (tags, { name, colorHex = nextTagColor(tags), id = generateId(), now = new Date() }) => {
+  const error = validateTagName(tags, name);
+  if (error) throw new Error(error);
+  return [...tags, { id, name: normalizeName(name), colorHex, createdAt: now, updatedAt: now }];
+};
+
+const updateTag = (tags, id, changes, now) => tags.map(tag => (tag.id === id ? { ...tag, ...changes, updatedAt: now } : tag));
+
+export const renameTag = (tags, id, name, { now = new Date() } = {}) => {
+  const error = validateTagName(tags, name, { ignoreId: id });
+  if (error) throw new Error(error);
+  return updateTag(tags, id, { name: normalizeName(name) }, now);
+};
+
+export const recolorTag = (tags, id, colorHex, { now = new Date() } = {}) => updateTag(tags, id, { colorHex }, now);
+
+export const deleteTag = (tags, id) => tags.filter(tag => tag.id !== id);
+
+/** Drop a deleted tag from every reminder, like the nullify delete rule on iOS. */
+export const removeTagFromReminders = (reminders, id, { now = new Date() } = {}) => reminders.map(reminder => (
+  reminder.tagIds?.includes(id) ? { ...reminder, tagIds: reminder.tagIds.filter(tagId => tagId !== id), updatedAt: now } : reminder
+));
+
+/**
+ * Resolve tag names (e.g. parsed #hashtags) to ids, creating missing tags.
+ * Returns `{ tags, tagIds }`.
+ */
+export const ensureTags = (tags, names, { now = new Date() } = {}) => names.reduce(({ tags: current, tagIds }, name) => {
+  const existing = findTagByName(current, name);
+  if (existing) return { tags: current, tagIds: tagIds.includes(existing.id) ? tagIds : [...tagIds, existing.id] };
+  const next = createTag(current, { name, now });
+  return { tags: next, tagIds: [...tagIds, next[next.length - 1].id] };
+}, { tags, tagIds: [] });
+
+export const resolveTags = (tags, tagIds = []) => tagIds.map(id => tags.find(tag => tag.id === id)).filter(Boolean);
+
+export const countRemindersByTag = (reminders) => reminders.reduce((counts, reminder) => {
+  (reminder.tagIds ?? []).forEach(id => { counts[id] = (counts[id] ?? 0) + 1; });
+  return counts;
+}, {});
+
+/** Keep reminders tagged with any of `tagIds`; an empty filter keeps everything. */
+export const filterByTags = (reminders, tagIds) => (
+  tagIds.length === 0 ? reminders : reminders.filter(reminder => (reminder.tagIds ?? []).some(id => tagIds.includes(id)))
+);
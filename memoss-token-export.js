@@ -0,0 +1,222 @@
+import { tokens as defaultTokens, themes as defaultThemes } from './memoss-tokens.js';
+
+// ============================================
+// MEMOSS TOKEN EXPORT
+// Generates Swift, CSS and W3C design-tokens output from memoss-tokens.js
+// and reports drift against the checked-in MemossColors.swift.
+// ============================================
+
+// Semantic names used by MemossColors.swift, mapped to token paths
+export const swiftColorAliases = [
+  { section: 'Primary (Moss Green)', name: 'brandPrimary', path: 'primary.500' },
+  { section: 'Primary (Moss Green)', name: 'brandPrimaryDark', path: 'primary.600' },
+  { section: 'Primary (Moss Green)', name: 'brandPrimaryLight', path: 'primary.50' },
+  { section: 'Neutral', name: 'backgroundStart', path: 'neutral.100' },
+  { section: 'Neutral', name: 'backgroundEnd', path: 'primary.50' },
+  { section: 'Neutral', name: 'textPrimary', path: 'neutral.900' },
+  { section: 'Neutral', name: 'textSecondary', path: 'neutral.500' },
+  { section: 'Neutral', name: 'cardBackground', path: 'neutral.0' },
+  { section: 'Neutral', name: 'cardBorder', path: 'neutral.100' },
+  { section: 'Accent', name: 'accent', path: 'accent.500' },
+  { section: 'Semantic', name: 'success', path: 'success' },
+  { section: 'Semantic', name: 'warning', path: 'warning' },
+  { section: 'Semantic', name: 'error', path: 'error' },
+];
+
+const resolveColor = (tokens, path) => path.split('.').reduce((node, key) => node?.[key], tokens.colors);
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const kebab = (value) => String(value).replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase();
+
+const paletteEntries = (tokens) => Object.entries(tokens.colors).filter(([, value]) => typeof value === 'object');
+
+// Swift
+
+/**
+ * Generate a MemossColors-style Swift enum. Semantic aliases and tag colors
+ * keep the names the app already uses; every shade is added under `Palette`.
+ */
+export const toSwift = (tokens = defaultTokens) => {
+  const lines = ['// Generated from memoss-tokens.js — do not edit by hand.', '', 'import SwiftUI', '', 'enum MemossColors {'];
+  let section = null;
+  swiftColorAliases.forEach(({ section: aliasSection, name, path }) => {
+    if (aliasSection !== section) {
+      if (section) lines.push('');
+      lines.push(`    // ${aliasSection}`);
+      section = aliasSection;
+    }
+    lines.push(`    static let ${name} = Color(hex: "${resolveColor(tokens, path)}")`);
+  });
+
+  lines.push('', '    // Tag Colors', '    static let tagColors: [Color] = [');
+  Object.entries(tokens.colors.tag).forEach(([name, hex]) => {
+    lines.push(`        Color(hex: "${hex}"),      // ${capitalize(name)}`);
+  });
+  lines.push('    ]');
+
+  lines.push('', '    // Palette', '    enum Palette {');
+  paletteEntries(tokens).filter(([name]) => name !== 'tag').forEach(([name, shades], i) => {
+    if (i > 0) lines.push('');
+    Object.entries(shades).forEach(([shade, hex]) => {
+      lines.push(`        static let ${name}${shade} = Color(hex: "${hex}")`);
+    });
+  });
+  lines.push('    }', '}', '');
+  return lines.join('\n');
+};
+
+// CSS
+
+const cssBlock = (selector, vars) => [`${selector} {`, ...vars.map(([name, value]) => `  --memoss-${name}: ${value};`), '}'].join('\n');
+
+const themeVariables = (theme) => {
+  const vars = [];
+  ['background', 'surface', 'text', 'border'].forEach(group => {
+    Object.entries(theme[group]).forEach(([role, value]) => vars.push([`${group}-${kebab(role)}`, value]));
+  });
+  Object.entries(theme.tone).forEach(([tone, { background, foreground }]) => {
+    vars.push([`tone-${tone}-background`, background], [`tone-${tone}-foreground`, foreground]);
+  });
+  Object.entries(theme.shadows).forEach(([size, value]) => vars.push([`shadow-${size}`, value]));
+  return vars;
+};
+
+/** Generate a CSS custom-properties stylesheet, with theme roles per `data-theme`. */
+export const toCssVariables = (tokens = defaultTokens, themes = defaultThemes) => {
+  const vars = [];
+  Object.entries(tokens.colors).forEach(([name, value]) => {
+    if (typeof value === 'string') vars.push([`color-${name}`, value]);
+    else Object.entries(value).forEach(([shade, hex]) => vars.push([`color-${name}-${shade}`, hex]));
+  });
+  Object.entries(tokens.typography.fontFamily).forEach(([name, value]) => vars.push([`font-family-${name}`, value]));
+  Object.entries(tokens.typography.fontSize).forEach(([name, value]) => vars.push([`font-size-${name}`, value]));
+  Object.entries(tokens.typography.fontWeight).forEach(([name, value]) => vars.push([`font-weight-${name}`, value]));
+  Object.entries(tokens.spacing).forEach(([name, value]) => vars.push([`space-${name}`, value]));
+  Object.entries(tokens.borderRadius).forEach(([name, value]) => vars.push([`radius-${name}`, value]));
+  Object.entries(tokens.transitions).forEach(([name, value]) => vars.push([`transition-${name}`, value]));
+  Object.entries(tokens.focus).forEach(([name, value]) => vars.push([`focus-${name}`, value]));
+  Object.entries(tokens.icon.size).forEach(([name, value]) => vars.push([`icon-size-${name}`, `${value}px`]));
+  Object.entries(tokens.icon.stroke).forEach(([name, value]) => vars.push([`icon-stroke-${name}`, value]));
+
+  return [
+    '/* Generated from memoss-tokens.js — do not edit by hand. */',
+    cssBlock(':root', vars),
+    cssBlock(':root, [data-theme="light"]', themeVariables(themes.light)),
+    cssBlock('[data-theme="dark"]', themeVariables(themes.dark)),
+    '',
+  ].join('\n\n');
+};
+
+// W3C design tokens
+
+const parseShadow = (value) => {
+  const [, x, y, blur, color] = value.match(/^(\S+) (\S+) (\S+) (.+)$/);
+  return { color, offsetX: x === '0' ? '0px' : x, offsetY: y === '0' ? '0px' : y, blur, spread: '0px' };
+};
+
+const timingFunctions = { ease: [0.25, 0.1, 0.25, 1], linear: [0, 0, 1, 1], 'ease-in': [0.42, 0, 1, 1], 'ease-out': [0, 0, 0.58, 1], 'ease-in-out': [0.42, 0, 0.58, 1] };
+
+const parseTransition = (value) => {
+  const [, duration, easing] = value.match(/^(\S+) (.+)$/);
+  const bezier = easing.match(/^cubic-bezier\((.+)\)$/);
+  return { duration, delay: '0ms', timingFunction: bezier ? bezier[1].split(',').map(Number) : timingFunctions[easing] };
+};
+
+const group = (type, entries, toValue = (value) => value) =>
+  Object.fromEntries(Object.entries(entries).map(([name, value]) => [name, { $type: type, $value: toValue(value) }]));
+
+/** Generate a W3C Design Tokens Community Group format object. */
+export const toDesignTokens = (tokens = defaultTokens) => ({
+  color: Object.fromEntries(Object.entries(tokens.colors).map(([name, value]) => [
+    name,
+    typeof value === 'string' ? { $type: 'color', $value: value } : group('color', value),
+  ])),
+  font: {
+    family: group('fontFamily', tokens.typography.fontFamily, (value) => value.split(',').map(part => part.trim().replace(/^"|"$/g, ''))),
+    size: group('dimension', tokens.typography.fontSize),
+    weight: group('fontWeight', tokens.typography.fontWeight),
+  },
+  spacing: group('dimension', tokens.spacing),
+  radius: group('dimension', tokens.borderRadius),
+  shadow: group('shadow', tokens.shadows, parseShadow),
+  transition: group('transition', tokens.transitions, parseTransition),
+  focus: group('dimension', tokens.focus),
+  icon: {
+    size: group('dimension', tokens.icon.size, (value) => `${value}px`),
+    stroke: group('number', tokens.icon.stroke),
+  },
+});
+
+export const toDesignTokensJson = (tokens = defaultTokens) => `${JSON.stringify(toDesignTokens(tokens), null, 2)}\n`;
+
+// Drift report
+
+const normalizeHex = (hex) => hex.toUpperCase();
+
+/**
+ * Read the colors declared in a MemossColors.swift source. Aliases to other
+ * members (e.g. `brandPrimary,` inside `tagColors`) are resolved.
+ */
+export const parseSwiftColors = (source) => {
+  const colors = {};
+  for (const [, name, hex] of source.matchAll(/static let (\w+) = Color\(hex: "(#[0-9A-Fa-f]{6})"\)/g)) {
+    colors[name] = normalizeHex(hex);
+  }
+  const tagBlock = source.match(/static let tagColors: \[Color\] = \[([\s\S]*?)\n\s*\]/);
+  const tagColors = tagBlock
+    ? tagBlock[1].split('\n').map(line => line.replace(/\/\/.*$/, '').trim().replace(/,$/, '')).filter(Boolean).map(entry => {
+      const literal = entry.match(/^Color\(hex: "(#[0-9A-Fa-f]{6})"\)$/);
+      return literal ? normalizeHex(literal[1]) : colors[entry] ?? `unresolved:${entry}`;
+    })
+    : [];
+  return { colors, tagColors };
+};
+
+/**
+ * Compare the checked-in Swift colors against the tokens.
+ * Returns `{ changed, missing, extra, tagColors, unknownHex, ok }`.
+ */
+export const diffSwiftColors = (swiftSource, tokens = defaultTokens) => {
+  const swift = parseSwiftColors(swiftSource);
+  const knownHex = new Set(paletteEntries(tokens).flatMap(([, shades]) => Object.values(shades).map(normalizeHex))
+    .concat(Object.values(tokens.colors).filter(value => typeof value === 'string').map(normalizeHex)));
+
+  const changed = [];
+  const missing = [];
+  swiftColorAliases.forEach(({ name, path }) => {
+    const expected = normalizeHex(resolveColor(tokens, path));
+    if (!(name in swift.colors)) missing.push({ name, path, expected });
+    else if (swift.colors[name] !== expected) changed.push({ name, path, expected, actual: swift.colors[name] });
+  });
+
+  const aliasNames = new Set(swiftColorAliases.map(({ name }) => name));
+  const extra = Object.entries(swift.colors)
+    .filter(([name]) => !aliasNames.has(name))
+    .map(([name, actual]) => ({ name, actual }));
+
+  const expectedTags = Object.entries(tokens.colors.tag).map(([name, hex]) => ({ name, hex: normalizeHex(hex) }));
+  const tagLength = Math.max(expectedTags.length, swift.tagColors.length);
+  const tagColors = [];
+  for (let i = 0; i < tagLength; i++) {
+    const expected = expectedTags[i];
+    const actual = swift.tagColors[i];
+    if (expected?.hex !== actual) tagColors.push({ index: i, name: expected?.name, expected: expected?.hex, actual });
+  }
+
+  const unknownHex = [...new Set([...Object.values(swift.colors), ...swift.tagColors])].filter(hex => !knownHex.has(hex));
+
+  return { changed, missing, extra, tagColors, unknownHex, ok: !changed.length && !missing.length && !extra.length && !tagColors.length && !unknownHex.length };
+};
+
+/** Format a diffSwiftColors result as a plain-text report. */
+export const formatDriftReport = (diff) => {
+  if (diff.ok) return 'MemossColors.swift matches memoss-tokens.js.\n';
+  const lines = ['MemossColors.swift has drifted from memoss-tokens.js:'];
+  diff.changed.forEach(({ name, path, expected, actual }) => lines.push(`  ~ ${name}: ${actual} in Swift, ${expected} in tokens (${path})`));
+  diff.missing.forEach(({ name, path, expected }) => lines.push(`  - ${name}: missing in Swift, expected ${expected} (${path})`));
+  diff.extra.forEach(({ name, actual }) => lines.push(`  + ${name}: ${actual} only exists in Swift`));
+  diff.tagColors.forEach(({ index, name, expected, actual }) => lines.push(`  ~ tagColors[${index}]${name ? ` (${name})` : ''}: ${actual ?? 'missing'} in Swift, ${expected ?? 'nothing'} in tokens`));
+  diff.unknownHex.forEach(hex => lines.push(`  ? ${hex} is not in the token palette`));
+  return `${lines.join('\n')}\n`;
+};
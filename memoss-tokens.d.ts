@@ -0,0 +1,52 @@
+// Types for memoss-tokens.js. Keep in step with the token and theme objects there.
+
+type Shades<K extends string | number> = Readonly<Record<K, string>>;
+
+export interface MemossTokens {
+  colors: {
+    primary: Shades<50 | 100 | 200 | 300 | 400 | 500 | 600 | 700 | 800 | 900>;
+    secondary: Shades<50 | 100 | 200 | 300 | 400 | 500 | 600 | 700 | 800>;
+    accent: Shades<50 | 100 | 200 | 300 | 400 | 500 | 600 | 800 | 900>;
+    pink: Shades<100 | 400 | 500 | 800 | 900>;
+    neutral: Shades<0 | 50 | 100 | 200 | 300 | 400 | 500 | 600 | 700 | 800 | 900 | 950>;
+    success: string;
+    warning: string;
+    error: string;
+    /** Tag palette, in the order the iOS tag picker offers them. */
+    tag: Shades<'green' | 'blue' | 'pink' | 'orange' | 'purple' | 'teal' | 'yellow' | 'gray'>;
+  };
+  typography: {
+    fontFamily: Shades<'display' | 'body'>;
+    fontSize: Shades<'xs' | 'sm' | 'base' | 'lg' | 'xl' | '2xl' | '3xl' | '4xl'>;
+    fontWeight: Readonly<Record<'normal' | 'medium' | 'semibold' | 'bold' | 'extrabold', number>>;
+  };
+  spacing: Shades<1 | 2 | 3 | 4 | 5 | 6 | 8 | 10 | 12>;
+  borderRadius: Shades<'sm' | 'md' | 'lg' | 'xl' | '2xl' | 'full'>;
+  shadows: Shades<'sm' | 'md' | 'lg' | 'xl'>;
+  transitions: Shades<'fast' | 'normal' | 'bounce'>;
+  /** Keyboard focus ring; the color comes from the theme's border.focus. */
+  focus: Shades<'width' | 'offset'>;
+  /** Icon sizes in px, named after the matching font size; strokes in viewBox units. */
+  icon: {
+    size: Readonly<Record<'xs' | 'sm' | 'base' | 'lg' | 'xl' | '2xl' | '3xl' | '4xl', number>>;
+    stroke: Readonly<Record<'regular' | 'bold', number>>;
+  };
+}
+
+export type ToneName = 'neutral' | 'primary' | 'secondary' | 'accent' | 'pink';
+
+/** Semantic color roles; components read these through useTheme(). */
+export interface MemossTheme {
+  name: 'light' | 'dark';
+  background: Shades<'app' | 'appEnd' | 'screen' | 'screenEnd' | 'celebrate' | 'celebrateEnd'>;
+  surface: Shades<'base' | 'muted' | 'soft' | 'softEnd' | 'phone' | 'bezel' | 'brand'>;
+  text: Shades<'primary' | 'body' | 'label' | 'secondary' | 'muted' | 'disabled' | 'brand' | 'brandStrong' | 'recurrence' | 'onBrand'>;
+  border: Shades<'subtle' | 'default' | 'strong' | 'brand' | 'focus'>;
+  tone: Readonly<Record<ToneName, { background: string; foreground: string }>>;
+  immersive: Shades<'background' | 'title' | 'text' | 'highlight' | 'underline' | 'control'>;
+  shadows: Shades<'sm' | 'md' | 'lg' | 'xl'>;
+}
+
+export const tokens: MemossTokens;
+
+export const themes: { light: MemossTheme; dark: MemossTheme };
@@ -0,0 +1,175 @@
+// ============================================
+// MEMOSS DESIGN TOKENS
+// Single source of truth for the web prototype and the generated
+// Swift, CSS and design-tokens exports (see memoss-token-export.js).
+// ============================================
+
+export const tokens = {
+  colors: {
+    primary: {
+      50: '#F0F9F4',
+      100: '#DCFCE7',
+      200: '#BBF7D0',
+      300: '#86EFAC',
+      400: '#4ADE80',
+      500: '#22C55E',
+      600: '#16A34A',
+      700: '#15803D',
+      800: '#166534',
+      900: '#14532D',
+    },
+    secondary: {
+      50: '#F6F9F6',
+      100: '#E8F0E8',
+      200: '#D1E2D1',
+      300: '#AECBAE',
+      400: '#86B086',
+      500: '#6B9B6B',
+      600: '#567D56',
+      700: '#456445',
+      800: '#364F36',
+    },
+    accent: {
+      50: '#FEFCF3',
+      100: '#FEF9E7',
+      200: '#FEF3C7',
+      300: '#FDE68A',
+      400: '#FACC15',
+      500: '#EAB308',
+      600: '#CA8A04',
+      800: '#854D0E',
+      900: '#713F12',
+    },
+    pink: {
+      100: '#FFE4E6',
+      400: '#FB7185',
+      500: '#F43F5E',
+      800: '#9F1239',
+      900: '#881337',
+    },
+    neutral: {
+      0: '#FFFFFF',
+      50: '#FDFCFA',
+      100: '#F9F7F3',
+      200: '#F3F0EA',
+      300: '#E8E4DC',
+      400: '#D4CEC4',
+      500: '#A8A298',
+      600: '#7D786F',
+      700: '#5C5852',
+      800: '#3D3A36',
+      900: '#252320',
+      950: '#1A1816',
+    },
+    success: '#22C55E',
+    warning: '#EAB308',
+    error: '#F43F5E',
+    // Tag palette, in the order the iOS tag picker offers them
+    tag: {
+      green: '#22C55E',
+      blue: '#3B82F6',
+      pink: '#EC4899',
+      orange: '#F97316',
+      purple: '#8B5CF6',
+      teal: '#14B8A6',
+      yellow: '#EAB308',
+      gray: '#6B7280',
+    },
+  },
+  typography: {
+    fontFamily: {
+      display: '"Nunito", system-ui, sans-serif',
+      body: '"Nunito Sans", system-ui, sans-serif',
+    },
+    fontSize: {
+      xs: '0.75rem',
+      sm: '0.875rem',
+      base: '1rem',
+      lg: '1.125rem',
+      xl: '1.25rem',
+      '2xl': '1.5rem',
+      '3xl': '1.875rem',
+      '4xl': '2.25rem',
+    },
+    fontWeight: {
+      normal: 400,
+      medium: 500,
+      semibold: 600,
+      bold: 700,
+      extrabold: 800,
+    },
+  },
+  spacing: {
+    1: '0.25rem', 2: '0.5rem', 3: '0.75rem', 4: '1rem',
+    5: '1.25rem', 6: '1.5rem', 8: '2rem', 10: '2.5rem', 12: '3rem',
+  },
+  borderRadius: {
+    sm: '0.5rem', md: '0.75rem', lg: '1rem', xl: '1.5rem', '2xl': '2rem', full: '9999px',
+  },
+  shadows: {
+    sm: '0 1px 3px rgba(20, 83, 45, 0.06)',
+    md: '0 4px 12px rgba(20, 83, 45, 0.08)',
+    lg: '0 8px 24px rgba(20, 83, 45, 0.1)',
+    xl: '0 16px 48px rgba(20, 83, 45, 0.12)',
+  },
+  transitions: {
+    fast: '150ms ease',
+    normal: '250ms ease',
+    bounce: '500ms cubic-bezier(0.34, 1.56, 0.64, 1)',
+  },
+  // Keyboard focus ring; the color comes from the theme's border.focus
+  focus: {
+    width: '3px',
+    offset: '2px',
+  },
+  // Icon box sizes in px, named after the font size they sit next to, and
+  // stroke widths in the icons' 24-unit viewBox (see memoss-icons.js)
+  icon: {
+    size: { xs: 12, sm: 14, base: 16, lg: 18, xl: 20, '2xl': 24, '3xl': 30, '4xl': 36 },
+    stroke: { regular: 2, bold: 2.5 },
+  },
+};
+
+// Themes map semantic roles onto the raw palette. Components read roles via
+// useTheme() instead of picking shades, so light and dark stay in sync.
+const { primary, secondary, accent, pink, neutral } = tokens.colors;
+
+export const themes = {
+  light: {
+    name: 'light',
+    background: { app: neutral[100], appEnd: primary[50], screen: neutral[50], screenEnd: primary[50], celebrate: primary[50], celebrateEnd: primary[100] },
+    surface: { base: neutral[0], muted: neutral[100], soft: primary[50], softEnd: neutral[50], phone: neutral[50], bezel: neutral[900], brand: primary[700] },
+    text: { primary: neutral[900], body: neutral[800], label: neutral[700], secondary: neutral[600], muted: neutral[500], disabled: neutral[400], brand: primary[600], brandStrong: primary[700], recurrence: secondary[500], onBrand: neutral[0] },
+    border: { subtle: neutral[100], default: neutral[200], strong: neutral[300], brand: primary[100], focus: primary[600] },
+    tone: {
+      neutral: { background: neutral[200], foreground: neutral[700] },
+      primary: { background: primary[100], foreground: primary[700] },
+      secondary: { background: secondary[100], foreground: secondary[700] },
+      accent: { background: accent[100], foreground: accent[800] },
+      pink: { background: pink[100], foreground: pink[800] },
+    },
+    immersive: { background: neutral[950], title: neutral[0], text: neutral[300], highlight: primary[300], underline: primary[400], control: neutral[0] },
+    shadows: tokens.shadows,
+  },
+  dark: {
+    name: 'dark',
+    background: { app: neutral[950], appEnd: '#102418', screen: neutral[950], screenEnd: '#0F2217', celebrate: '#0F2217', celebrateEnd: primary[900] },
+    surface: { base: neutral[900], muted: neutral[800], soft: '#13291C', softEnd: neutral[900], phone: neutral[950], bezel: '#000000', brand: primary[700] },
+    text: { primary: neutral[50], body: neutral[100], label: neutral[300], secondary: neutral[400], muted: neutral[500], disabled: neutral[600], brand: primary[400], brandStrong: primary[300], recurrence: secondary[400], onBrand: neutral[0] },
+    border: { subtle: neutral[800], default: neutral[800], strong: neutral[700], brand: primary[900], focus: primary[400] },
+    tone: {
+      neutral: { background: neutral[800], foreground: neutral[200] },
+      primary: { background: primary[900], foreground: primary[300] },
+      secondary: { background: secondary[800], foreground: secondary[200] },
+      accent: { background: accent[900], foreground: accent[300] },
+      pink: { background: pink[900], foreground: pink[100] },
+    },
+    immersive: { background: '#0D0C0B', title: neutral[0], text: neutral[300], highlight: primary[300], underline: primary[400], control: neutral[100] },
+    shadows: {
+      sm: '0 1px 3px rgba(0, 0, 0, 0.4)',
+      md: '0 4px 12px rgba(0, 0, 0, 0.45)',
+      lg: '0 8px 24px rgba(0, 0, 0, 0.5)',
+      xl: '0 16px 48px rgba(0, 0, 0, 0.55)',
+    },
+  },
+};
@@ -0,0 +1,30 @@
+import { tokens } from './memoss-tokens.js';
+
+// ============================================
+// MEMOSS VARIANTS
+// Color styles for the Badge and Button variants, per theme. The components
+// and scripts/check-contrast.js both read them from here, so the contrast
+// check always covers what actually renders.
+// ============================================
+
+export const BADGE_VARIANTS = ['default', 'primary', 'secondary', 'accent', 'pink'];
+
+export const BUTTON_VARIANTS = ['primary', 'secondary', 'ghost', 'soft', 'accent', 'danger'];
+
+export const badgeVariants = ({ tone }) => ({
+  default: { background: tone.neutral.background, color: tone.neutral.foreground },
+  primary: { background: tone.primary.background, color: tone.primary.foreground },
+  secondary: { background: tone.secondary.background, color: tone.secondary.foreground },
+  accent: { background: tone.accent.background, color: tone.accent.foreground },
+  pink: { background: tone.pink.background, color: tone.pink.foreground },
+});
+
+// Ghost buttons are transparent; `backdrops` lists the surfaces they sit on
+export const buttonVariants = (theme) => ({
+  primary: { background: theme.surface.brand, color: theme.text.onBrand, boxShadow: theme.shadows.md },
+  secondary: { background: theme.surface.base, color: theme.text.body, border: `2px solid ${theme.border.default}` },
+  ghost: { background: 'transparent', color: theme.text.label, backdrops: [theme.surface.base, theme.background.screen] },
+  soft: { background: theme.tone.primary.background, color: theme.tone.primary.foreground },
+  accent: { background: tokens.colors.accent[500], color: tokens.colors.neutral[900] },
+  danger: { background: tokens.colors.pink[800], color: theme.text.onBrand },
+});
@@ -0,0 +1,51 @@
+// Usage: node scripts/build-package.js
+//
+// Builds the publishable package into dist/package: one ES module per file in
+// components/ (so bundlers can drop the components an app never imports), the
+// tokens, and the showcase app as its own entry. Code shared between entries
+// goes into chunks instead of being copied; react and react-dom stay external
+// peer dependencies. The hand-written .d.ts files are copied next to the
+// modules they describe. Needs esbuild installed next to the repo. Exits 1 if
+// the build fails or a module has no type definitions.
+
+import { copyFileSync, existsSync, mkdirSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const outDir = join(root, 'dist/package');
+
+const modules = [
+  ...readdirSync(join(root, 'components')).filter(name => /\.jsx?$/.test(name)).map(name => join('components', name)),
+  'memoss-tokens.js',
+  'memoss-design-system.jsx',
+];
+const typings = modules.map(source => source.replace(/\.jsx?$/, '.d.ts'));
+
+const untyped = typings.filter(file => !existsSync(join(root, file)));
+untyped.forEach(file => console.error(`missing: ${file} (every published module needs type definitions)`));
+
+// esbuild is only needed once the typings check passes
+const built = !untyped.length && await (await import('esbuild')).build({
+  entryPoints: modules.map(source => join(root, source)),
+  outbase: root,
+  outdir: outDir,
+  bundle: true,
+  splitting: true,
+  format: 'esm',
+  chunkNames: 'chunks/[name]-[hash]',
+  external: ['react', 'react-dom'],
+  logLevel: 'warning',
+  write: false,
+}).catch(() => null);
+
+if (built) {
+  rmSync(outDir, { recursive: true, force: true });
+  built.outputFiles.forEach(({ path, contents }) => {
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, contents);
+  });
+  typings.forEach(file => copyFileSync(join(root, file), join(outDir, file)));
+  console.log(`Built ${modules.length} modules and ${built.outputFiles.length - modules.length} shared chunks to ${outDir}`);
+}
+process.exitCode = built ? 0 : 1;
@@ -0,0 +1,22 @@
+// Usage: node scripts/check-catalog.js
+//
+// Finds the components defined in components/ and memoss-design-system.jsx
+// and lists those without an entry in memoss-catalog.js (add one, or add the name to
+// CATALOG_IGNORED if it only makes sense inside a screen), plus entries whose
+// component is gone. Exits 1 if either list is non-empty.
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CATALOG, findComponentNames, missingEntries, staleEntries } from '../memoss-catalog.js';
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const sources = [...readdirSync(join(root, 'components')).filter(name => name.endsWith('.jsx')).map(name => join('components', name)), 'memoss-design-system.jsx'];
+const names = sources.flatMap(source => findComponentNames(readFileSync(join(root, source), 'utf8')));
+
+const missing = missingEntries(names);
+const stale = staleEntries(names);
+missing.forEach(name => console.error(`missing: ${name} has no catalog entry`));
+stale.forEach(name => console.error(`stale: ${name} is catalogued but not defined`));
+console.log(`${Object.keys(CATALOG).length} catalog entries for ${names.length} components`);
+process.exitCode = missing.length + stale.length ? 1 : 0;
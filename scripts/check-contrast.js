@@ -0,0 +1,14 @@
+// Usage: node scripts/check-contrast.js
+//
+// Checks every Badge and Button variant in both themes against WCAG AA text
+// contrast (see memoss-contrast.js). Exits 1 if any pair falls short.
+
+import { themes } from '../memoss-tokens.js';
+import { contrastReport, formatContrastRow } from '../memoss-contrast.js';
+
+const rows = contrastReport(themes);
+const failures = rows.filter(row => !row.pass);
+
+rows.forEach(row => (row.pass ? console.log : console.error)(formatContrastRow(row)));
+console.log(`${rows.length - failures.length}/${rows.length} variant color pairs meet WCAG AA`);
+process.exitCode = failures.length ? 1 : 0;
@@ -0,0 +1,51 @@
+// Usage: node scripts/check-ical-fixtures.js
+//
+// Runs memoss-ical.js against fixtures/ical-cases.json, the expectations
+// shared with the iOS calendar import and export. Exits 1 on any mismatch.
+
+import { readFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { fromRRule, parseIcs, toRRule } from '../memoss-ical.js';
+import { fromSwiftCodable, toSwiftCodable } from '../memoss-recurrence.js';
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const fixtures = JSON.parse(readFileSync(join(root, 'fixtures/ical-cases.json'), 'utf8'));
+
+const pad = (value) => String(value).padStart(2, '0');
+const format = (date) => (date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` : null);
+const parse = (value) => (value ? new Date(value) : null);
+
+const failures = [];
+const check = (group, name, actual, expected) => {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) failures.push(`${group} › ${name}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+};
+
+fixtures.toRRule.forEach(({ name, rule, until, expected }) => {
+  check('toRRule', name, toRRule(fromSwiftCodable(rule), parse(until)), expected);
+});
+
+fixtures.fromRRule.forEach(({ name, rrule, start, expected }) => {
+  const { rule, endDate, issues } = fromRRule(rrule, parse(start));
+  check('fromRRule', name, { rule: toSwiftCodable(rule), endDate: format(endDate), issues }, expected);
+});
+
+// Items that can't be added only report their component, title and issues
+fixtures.parseIcs.forEach(({ name, ics, expected }) => {
+  const previews = parseIcs(ics).map(({ component, title, reminder, issues }) => (reminder ? {
+    component,
+    title,
+    scheduledDate: format(reminder.scheduledDate),
+    rule: toSwiftCodable(reminder.recurrenceRule),
+    tagNames: reminder.tagNames,
+    priority: reminder.priority ?? null,
+    completed: reminder.completed,
+    issues,
+  } : { component, title, issues }));
+  check('parseIcs', name, previews, expected);
+});
+
+const total = fixtures.toRRule.length + fixtures.fromRRule.length + fixtures.parseIcs.length;
+failures.forEach(failure => console.error(`✗ ${failure}`));
+console.log(`${total - failures.length}/${total} iCalendar fixtures pass`);
+process.exitCode = failures.length ? 1 : 0;
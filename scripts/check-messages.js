@@ -0,0 +1,20 @@
+// Usage: node scripts/check-messages.js
+//
+// Lists English messages that a catalog doesn't translate yet (they fall back
+// to English in the phone) and keys that English no longer has. Exits 1 if
+// any catalog is out of step (see memoss-i18n.js).
+
+import { MESSAGES, missingMessages } from '../memoss-i18n.js';
+
+const catalogs = Object.keys(MESSAGES).filter(catalog => catalog !== 'en');
+let problems = 0;
+
+catalogs.forEach(catalog => {
+  const missing = missingMessages(catalog);
+  const stale = Object.keys(MESSAGES[catalog]).filter(key => !(key in MESSAGES.en));
+  missing.forEach(key => console.error(`${catalog}: missing ${key}`));
+  stale.forEach(key => console.error(`${catalog}: unknown ${key}`));
+  problems += missing.length + stale.length;
+  console.log(`${catalog}: ${Object.keys(MESSAGES.en).length - missing.length} messages translated`);
+});
+process.exitCode = problems ? 1 : 0;
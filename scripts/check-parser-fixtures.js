@@ -0,0 +1,28 @@
+// Usage: node scripts/check-parser-fixtures.js
+//
+// Runs memoss-reminder-parser.js against fixtures/parser-cases.json, the
+// phrases and what they should resolve to. Exits 1 on any mismatch.
+
+import { readFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseReminder } from '../memoss-reminder-parser.js';
+import { toSwiftCodable } from '../memoss-recurrence.js';
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const fixtures = JSON.parse(readFileSync(join(root, 'fixtures/parser-cases.json'), 'utf8'));
+
+const pad = (value) => String(value).padStart(2, '0');
+const format = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+const now = new Date(fixtures.now);
+
+const failures = [];
+fixtures.cases.forEach(({ name, text, expected }) => {
+  const { title, scheduledDate, isPast, time, recurrenceRule, tags, priority } = parseReminder(text, { now });
+  const actual = { title, scheduledDate: format(scheduledDate), isPast, time, rule: toSwiftCodable(recurrenceRule), tags, priority };
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) failures.push(`${name}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+});
+
+failures.forEach(failure => console.error(`✗ ${failure}`));
+console.log(`${fixtures.cases.length - failures.length}/${fixtures.cases.length} parser fixtures pass`);
+process.exitCode = failures.length ? 1 : 0;
@@ -0,0 +1,39 @@
+// Usage: node scripts/check-recurrence-fixtures.js
+//
+// Runs memoss-recurrence.js against fixtures/recurrence-cases.json, the
+// expectations shared with RecurrenceRule.swift. Exits 1 on any mismatch.
+
+import { readFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { advanceToNextOccurrence, fromSwiftCodable, nextOccurrence, occurrences } from '../memoss-recurrence.js';
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const fixtures = JSON.parse(readFileSync(join(root, 'fixtures/recurrence-cases.json'), 'utf8'));
+
+const pad = (value) => String(value).padStart(2, '0');
+const format = (date) => date && `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+const parse = (value) => (value ? new Date(value) : null);
+
+const failures = [];
+const check = (group, name, actual, expected) => {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) failures.push(`${group} › ${name}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+};
+
+fixtures.nextOccurrence.forEach(({ name, rule, after, expected }) => {
+  check('nextOccurrence', name, format(nextOccurrence(fromSwiftCodable(rule), parse(after))), expected);
+});
+
+fixtures.occurrences.forEach(({ name, rule, start, now, count, expected }) => {
+  check('occurrences', name, occurrences(fromSwiftCodable(rule), parse(start), count, parse(now)).map(format), expected);
+});
+
+fixtures.advanceToNextOccurrence.forEach(({ name, rule, scheduledDate, recurrenceEndDate, expected }) => {
+  const reminder = advanceToNextOccurrence({ recurrenceRule: fromSwiftCodable(rule), scheduledDate: parse(scheduledDate), recurrenceEndDate: parse(recurrenceEndDate), completed: false });
+  check('advanceToNextOccurrence', name, { scheduledDate: format(reminder.scheduledDate), isCompleted: reminder.completed }, expected);
+});
+
+const total = fixtures.nextOccurrence.length + fixtures.occurrences.length + fixtures.advanceToNextOccurrence.length;
+failures.forEach(failure => console.error(`✗ ${failure}`));
+console.log(`${total - failures.length}/${total} recurrence fixtures pass`);
+process.exitCode = failures.length ? 1 : 0;
@@ -0,0 +1,23 @@
+// Usage: node scripts/export-tokens.js [outDir]
+//
+// Writes MemossColors.swift, memoss-tokens.css and memoss-tokens.json to
+// outDir (default: dist/tokens) and prints the drift report for the
+// checked-in Memoss/Extensions/MemossColors.swift. Exits 1 on drift.
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { diffSwiftColors, formatDriftReport, toCssVariables, toDesignTokensJson, toSwift } from '../memoss-token-export.js';
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const outDir = resolve(process.argv[2] ?? join(root, 'dist/tokens'));
+
+mkdirSync(outDir, { recursive: true });
+writeFileSync(join(outDir, 'MemossColors.swift'), toSwift());
+writeFileSync(join(outDir, 'memoss-tokens.css'), toCssVariables());
+writeFileSync(join(outDir, 'memoss-tokens.json'), toDesignTokensJson());
+console.log(`Wrote tokens to ${outDir}`);
+
+const diff = diffSwiftColors(readFileSync(join(root, 'Memoss/Extensions/MemossColors.swift'), 'utf8'));
+process.stdout.write(formatDriftReport(diff));
+process.exitCode = diff.ok ? 0 : 1;
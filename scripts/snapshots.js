@@ -0,0 +1,67 @@
+// Usage: node scripts/snapshots.js [--update]
+//
+// Renders every catalog variant and the list, create, empty, success, voice,
+// calendar, stats, settings and import screens in both themes to static
+// markup (see SNAPSHOT_SCREENS in memoss-snapshots.js), compares them with
+// the baselines in fixtures/snapshots and writes a diff report to
+// dist/snapshots/report.html. With --update, rewrites the baselines instead.
+// Needs react, react-dom and esbuild installed next to the repo; no network
+// access. Exits 1 if any snapshot differs from its baseline or has none.
+
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { SNAPSHOT_TIME, compareSnapshots, formatMarkup, parseSnapshots, serializeSnapshots, snapshotCases, snapshotReport, summarize } from '../memoss-snapshots.js';
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const baselineDir = join(root, 'fixtures/snapshots');
+const outDir = join(root, 'dist/snapshots');
+const update = process.argv.includes('--update');
+
+// Same wall clock and time zone on every machine: new Date() and Date.now()
+// return SNAPSHOT_TIME, so the sample data and virtual clock line up
+process.env.TZ = 'UTC';
+const frozen = new Date(SNAPSHOT_TIME).getTime();
+const RealDate = Date;
+globalThis.Date = class extends RealDate {
+  constructor(...args) {
+    super(...(args.length ? args : [frozen]));
+  }
+
+  static now() {
+    return frozen;
+  }
+};
+
+// The harness bundles the JSX itself; react stays external so it resolves from the repo's node_modules
+const { build } = await import('esbuild');
+const bundle = join(outDir, 'memoss-design-system.mjs');
+mkdirSync(outDir, { recursive: true });
+await build({ entryPoints: [join(root, 'memoss-design-system.jsx')], bundle: true, format: 'esm', platform: 'node', outfile: bundle, external: ['react', 'react-dom'], logLevel: 'warning' });
+const React = (await import('react')).default;
+const { renderToStaticMarkup } = await import('react-dom/server');
+const { Snapshot } = await import(pathToFileURL(bundle).href);
+
+const rendered = snapshotCases().map(({ file, id, entry, values, screen, theme }) => ({
+  file,
+  id,
+  markup: formatMarkup(renderToStaticMarkup(React.createElement(Snapshot, { entry, values, screen, theme }))),
+}));
+const files = [...new Set(rendered.map(snapshot => snapshot.file))];
+
+if (update) {
+  rmSync(baselineDir, { recursive: true, force: true });
+  mkdirSync(baselineDir, { recursive: true });
+  files.forEach(file => writeFileSync(join(baselineDir, `${file}.html`), serializeSnapshots(rendered.filter(snapshot => snapshot.file === file))));
+  console.log(`Wrote ${rendered.length} snapshots in ${files.length} files to ${baselineDir}`);
+} else {
+  const baselines = new Map(existsSync(baselineDir)
+    ? readdirSync(baselineDir).filter(name => name.endsWith('.html')).map(name => [name.replace(/\.html$/, ''), parseSnapshots(readFileSync(join(baselineDir, name), 'utf8'))])
+    : []);
+  const results = compareSnapshots(baselines, rendered);
+  const counts = summarize(results);
+  writeFileSync(join(outDir, 'report.html'), snapshotReport(results));
+  results.filter(({ status }) => status !== 'unchanged').forEach(({ file, id, status, diff }) => console.error(`${status}: ${file} › ${id}${diff ? `\n${diff}\n` : ''}`));
+  console.log(`${counts.unchanged}/${results.length} snapshots match; report at ${join(outDir, 'report.html')}`);
+  process.exitCode = counts.changed + counts.added + counts.removed ? 1 : 0;
+}